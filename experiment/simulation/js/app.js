@@ -7,6 +7,7 @@
  * Responsibilities:
  * - Load configuration files
  * - Initialize all managers in correct order
+ * - Offer to restore the last saved session
  * - Handle startup errors
  * - Provide global initialization
  */
@@ -50,6 +51,9 @@ async function initializeApp() {
         // Data Store (must be first)
         window.dataStore = new DataStore();
 
+        // Session Store (IndexedDB persistence of the data store)
+        window.sessionStore = new SessionStore();
+
         // Log Engine (needs data store)
         window.logEngine = new LogEngine();
 
@@ -65,6 +69,36 @@ async function initializeApp() {
         // Ping Manager (NEW)
         window.pingManager = new PingManager();
 
+        // SQL Engine (oai_db view over the subscriber store)
+        window.sqlEngine = new SQLEngine();
+
+        // Nudr Router (Nudr_DataRepository API over the subscriber store)
+        window.nudrRouter = new NudrRouter();
+
+        // SDM Manager (UDM Nudm_SDM subscriptions of AMF / SMF)
+        window.sdmManager = new SdmManager();
+
+        // NSSF Engine (Nnssf_NSSelection: Allowed / Rejected NSSAI)
+        window.nssfEngine = new NssfEngine();
+
+        // PCF Engine (Npcf_SMPolicyControl: SM policy decisions, UPF QER / gates)
+        window.pcfEngine = new PcfEngine();
+
+        // DB Linter (UDR subscriber store checks against the topology)
+        window.dbLinter = new DbLinter();
+
+        // Auth Engine (MILENAGE / 5G-AKA)
+        window.authEngine = new AuthEngine();
+
+        // SUCI Engine (ECIES Profile A / B)
+        window.suciEngine = new SuciEngine();
+
+        // UE Conf File (ue.conf SIM profile of the UE terminals)
+        window.ueConfFile = new UeConfFile();
+
+        // Compose File (docker-compose.yml of the Docker terminal)
+        window.composeFile = new ComposeFile();
+
         // Deployment Manager (NEW)
         window.deploymentManager = new DeploymentManager();
 
@@ -91,9 +125,30 @@ async function initializeApp() {
         console.log('✅ Canvas rendered');
 
         // ==========================================
-        // STEP 6: Add Startup Log
+        // STEP 6: Restore Last Session
+        // ==========================================
+        console.log('\n💾 Step 6: Checking for a saved session...');
+        const snapshot = await window.sessionStore.load();
+        if (snapshot && snapshot.nfs.length + snapshot.subscribers.length > 0 &&
+            confirm(`Restore your last session?\n\n${window.sessionStore.describeSnapshot(snapshot)}\n\nCancel starts a new session (the saved one is replaced).`)) {
+            try {
+                window.sessionStore.restore(snapshot);
+                window.uiController.updateLogNFFilter();
+                window.canvasRenderer.render();
+                console.log('✅ Last session restored');
+            } catch (error) {
+                console.error('❌ Session restore failed:', error);
+                alert('❌ Could not restore the last session: ' + error.message);
+            }
+        } else {
+            console.log('ℹ️ Starting a new session');
+        }
+        window.sessionStore.startAutoSave();
+
+        // ==========================================
+        // STEP 7: Add Startup Log
         // ==========================================
-        console.log('\n📋 Step 6: Adding startup log...');
+        console.log('\n📋 Step 7: Adding startup log...');
         window.logEngine.addLog('system', 'SUCCESS',
             '5G SBA Dashboard initialized and ready', {
             version: '1.0.0',
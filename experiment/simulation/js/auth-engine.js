@@ -0,0 +1,679 @@
+/**
+ * ============================================
+ * AUTH ENGINE (MILENAGE / 5G-AKA)
+ * ============================================
+ * Pure JavaScript 5G-AKA as run between UE, AMF (SEAF), AUSF and UDM
+ *
+ * Responsibilities:
+ * - AES-128 block cipher and the MILENAGE functions f1-f5* (TS 35.206)
+ * - SHA-256, HMAC-SHA-256 and the 3GPP key derivation function (TS 33.220)
+ * - Home network side: 5G HE AV generation (RAND, AUTN, XRES*, HXRES*, KAUSF)
+ * - UE side: AUTN verification and RES* / KAUSF computation (TS 33.501)
+ * - SQN management: UDR SQN_HE and USIM SQN_MS, Synch Failure with AUTS
+ *   and UDM resynchronisation (TS 33.102 6.3.5, Annex C)
+ */
+
+class AuthEngine {
+    constructor() {
+        this.buildAesTables();
+
+        // TS 35.208 test set 1 - checked once at start-up
+        this.testVectorsPassed = this.verifyTestVectors();
+
+        console.log(this.testVectorsPassed
+            ? '✅ AuthEngine initialized (MILENAGE test vectors passed)'
+            : '❌ AuthEngine initialized but MILENAGE test vectors FAILED');
+    }
+
+    // ==========================================
+    // BYTE HELPERS
+    // ==========================================
+
+    /**
+     * Convert a hex string to bytes
+     * @param {string} hex - Hex string (even length)
+     * @returns {Uint8Array} Bytes
+     */
+    hexToBytes(hex) {
+        const clean = String(hex || '').replace(/\s+/g, '');
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convert bytes to an upper-case hex string
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    /**
+     * XOR two byte arrays of equal length
+     * @param {Uint8Array} a - First operand
+     * @param {Uint8Array} b - Second operand
+     * @returns {Uint8Array} a XOR b
+     */
+    xor(a, b) {
+        return a.map((byte, i) => byte ^ b[i]);
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {...Uint8Array} parts - Byte arrays
+     * @returns {Uint8Array} Concatenation
+     */
+    concat(...parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    // ==========================================
+    // AES-128 (encryption only - all MILENAGE needs)
+    // ==========================================
+
+    /**
+     * Build the AES S-box from the GF(2^8) inverse and affine transform
+     */
+    buildAesTables() {
+        this.sbox = new Uint8Array(256);
+        let p = 1;
+        let q = 1;
+
+        do {
+            // p * 3, q / 3 walk the multiplicative group
+            p = p ^ ((p << 1) & 0xff) ^ (p & 0x80 ? 0x1b : 0);
+            q ^= q << 1;
+            q ^= q << 2;
+            q ^= q << 4;
+            q &= 0xff;
+            if (q & 0x80) q ^= 0x09;
+
+            const rotl = (x, shift) => ((x << shift) | (x >> (8 - shift))) & 0xff;
+            this.sbox[p] = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+        } while (p !== 1);
+
+        this.sbox[0] = 0x63;
+    }
+
+    /**
+     * Expand a 128-bit key into 11 round keys
+     * @param {Uint8Array} key - 16-byte key
+     * @returns {Uint8Array} 176-byte key schedule
+     */
+    expandAesKey(key) {
+        const schedule = new Uint8Array(176);
+        schedule.set(key);
+        let rcon = 1;
+
+        for (let i = 16; i < 176; i += 4) {
+            let word = schedule.slice(i - 4, i);
+            if (i % 16 === 0) {
+                word = new Uint8Array([
+                    this.sbox[word[1]] ^ rcon,
+                    this.sbox[word[2]],
+                    this.sbox[word[3]],
+                    this.sbox[word[0]]
+                ]);
+                rcon = ((rcon << 1) ^ (rcon & 0x80 ? 0x1b : 0)) & 0xff;
+            }
+            for (let j = 0; j < 4; j++) {
+                schedule[i + j] = schedule[i - 16 + j] ^ word[j];
+            }
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Encrypt one 16-byte block with AES-128
+     * @param {Uint8Array} key - 16-byte key
+     * @param {Uint8Array} block - 16-byte plaintext
+     * @returns {Uint8Array} 16-byte ciphertext
+     */
+    aesEncrypt(key, block) {
+        const schedule = this.expandAesKey(key);
+        const xtime = (x) => ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff;
+        let state = this.xor(block, schedule.subarray(0, 16));
+
+        for (let round = 1; round <= 10; round++) {
+            // SubBytes + ShiftRows (state is column-major)
+            const shifted = new Uint8Array(16);
+            for (let col = 0; col < 4; col++) {
+                for (let row = 0; row < 4; row++) {
+                    shifted[col * 4 + row] = this.sbox[state[((col + row) % 4) * 4 + row]];
+                }
+            }
+
+            // MixColumns (skipped in the final round)
+            if (round < 10) {
+                for (let col = 0; col < 4; col++) {
+                    const [a0, a1, a2, a3] = shifted.subarray(col * 4, col * 4 + 4);
+                    const all = a0 ^ a1 ^ a2 ^ a3;
+                    shifted[col * 4] = a0 ^ all ^ xtime(a0 ^ a1);
+                    shifted[col * 4 + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+                    shifted[col * 4 + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+                    shifted[col * 4 + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+                }
+            }
+
+            state = this.xor(shifted, schedule.subarray(round * 16, round * 16 + 16));
+        }
+
+        return state;
+    }
+
+    // ==========================================
+    // MILENAGE (TS 35.206)
+    // ==========================================
+
+    /**
+     * Derive OPc from the operator variant OP: OPc = E_K(OP) XOR OP
+     * @param {string} keyHex - Subscriber key K (32 hex)
+     * @param {string} opHex - Operator variant OP (32 hex)
+     * @returns {string} OPc (32 hex)
+     */
+    computeOpc(keyHex, opHex) {
+        const op = this.hexToBytes(opHex);
+        return this.bytesToHex(this.xor(this.aesEncrypt(this.hexToBytes(keyHex), op), op));
+    }
+
+    /**
+     * Rotate a 128-bit value left by a number of bits (multiple of 8)
+     * @param {Uint8Array} bytes - 16 bytes
+     * @param {number} bits - Rotation in bits
+     * @returns {Uint8Array} Rotated value
+     */
+    rotate(bytes, bits) {
+        const shift = bits / 8;
+        return bytes.map((_, i) => bytes[(i + shift) % 16]);
+    }
+
+    /**
+     * Run MILENAGE f1-f5 and f1* / f5*
+     * @param {string} keyHex - Subscriber key K (32 hex)
+     * @param {string} opcHex - OPc (32 hex)
+     * @param {string} randHex - RAND (32 hex)
+     * @param {string} sqnHex - SQN (12 hex)
+     * @param {string} amfHex - AMF (4 hex)
+     * @returns {Object} { macA, macS, res, ck, ik, ak, akStar } as hex strings
+     */
+    milenage(keyHex, opcHex, randHex, sqnHex, amfHex) {
+        const key = this.hexToBytes(keyHex);
+        const opc = this.hexToBytes(opcHex);
+        const sqn = this.hexToBytes(sqnHex);
+        const amf = this.hexToBytes(amfHex);
+        const temp = this.aesEncrypt(key, this.xor(this.hexToBytes(randHex), opc));
+
+        // Constants c1..c5 are 0 apart from the last bit of c2..c5 (1, 2, 4, 8); r1..r5 = 64, 0, 32, 64, 96
+        const constant = (value) => {
+            const c = new Uint8Array(16);
+            c[15] = value;
+            return c;
+        };
+        const out = (rotation, value) => this.xor(
+            this.aesEncrypt(key, this.xor(this.rotate(this.xor(temp, opc), rotation), constant(value))),
+            opc
+        );
+
+        // f1 / f1*: IN1 = SQN || AMF || SQN || AMF
+        const in1 = this.concat(sqn, amf, sqn, amf);
+        const out1 = this.xor(
+            this.aesEncrypt(key, this.xor(this.xor(temp, this.rotate(this.xor(in1, opc), 64)), constant(0))),
+            opc
+        );
+
+        const out2 = out(0, 1);
+        const out3 = out(32, 2);
+        const out4 = out(64, 4);
+        const out5 = out(96, 8);
+
+        return {
+            macA: this.bytesToHex(out1.subarray(0, 8)),
+            macS: this.bytesToHex(out1.subarray(8, 16)),
+            res: this.bytesToHex(out2.subarray(8, 16)),
+            ak: this.bytesToHex(out2.subarray(0, 6)),
+            ck: this.bytesToHex(out3),
+            ik: this.bytesToHex(out4),
+            akStar: this.bytesToHex(out5.subarray(0, 6))
+        };
+    }
+
+    /**
+     * Check the implementation against TS 35.208 test set 1
+     * @returns {boolean} True if every output matches
+     */
+    verifyTestVectors() {
+        const key = '465b5ce8b199b49faa5f0a2ee238a6bc';
+        const opc = this.computeOpc(key, 'cdc202d5123e20f62b6d676ac72cb318');
+        const result = this.milenage(key, opc, '23553cbe9637a89d218ae64dae47bf35', 'ff9bb4d0b607', 'b9b9');
+        const expected = {
+            opc: 'CD63CB71954A9F4E48A5994E37A02BAF',
+            macA: '4A9FFAC354DFAFB3',
+            macS: '01CFAF9EC4E871E9',
+            res: 'A54211D5E3BA50BF',
+            ck: 'B40BA9A3C58B2A05BBF0D987B21BF8CB',
+            ik: 'F769BCD751044604127672711C6D3441',
+            ak: 'AA689C648370',
+            akStar: '451E8BECA43B'
+        };
+
+        return Object.entries(expected).every(([name, value]) => (name === 'opc' ? opc : result[name]) === value);
+    }
+
+    // ==========================================
+    // SHA-256 / HMAC / KDF (TS 33.220 Annex B)
+    // ==========================================
+
+    /**
+     * SHA-256 digest
+     * @param {Uint8Array} data - Message
+     * @returns {Uint8Array} 32-byte digest
+     */
+    sha256(data) {
+        const k = AuthEngine.SHA256_K;
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const bitLength = data.length * 8;
+        const padded = new Uint8Array(Math.ceil((data.length + 9) / 64) * 64);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padded.length - 4, bitLength >>> 0);
+
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const w = new Uint32Array(64);
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                hh = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+
+            [a, b, c, d, e, f, g, hh].forEach((value, i) => { h[i] = (h[i] + value) >>> 0; });
+        }
+
+        const digest = new Uint8Array(32);
+        const out = new DataView(digest.buffer);
+        h.forEach((value, i) => out.setUint32(i * 4, value));
+        return digest;
+    }
+
+    /**
+     * HMAC-SHA-256
+     * @param {Uint8Array} key - Key
+     * @param {Uint8Array} data - Message
+     * @returns {Uint8Array} 32-byte MAC
+     */
+    hmacSha256(key, data) {
+        const block = new Uint8Array(64);
+        block.set(key.length > 64 ? this.sha256(key) : key);
+        const inner = block.map(byte => byte ^ 0x36);
+        const outer = block.map(byte => byte ^ 0x5c);
+        return this.sha256(this.concat(outer, this.sha256(this.concat(inner, data))));
+    }
+
+    /**
+     * Generic 3GPP KDF: HMAC-SHA-256(key, FC || P0 || L0 || P1 || L1 ...)
+     * @param {Uint8Array} key - Input key
+     * @param {number} fc - Function code
+     * @param {Array<Uint8Array>} params - P0..Pn
+     * @returns {Uint8Array} 32-byte derived key
+     */
+    kdf(key, fc, params) {
+        const s = this.concat(
+            new Uint8Array([fc]),
+            ...params.flatMap(param => [param, new Uint8Array([param.length >> 8, param.length & 0xff])])
+        );
+        return this.hmacSha256(key, s);
+    }
+
+    // ==========================================
+    // 5G-AKA (TS 33.501 6.1.3.2, Annex A)
+    // ==========================================
+
+    /**
+     * Serving PLMN of a UE: the PLMN its gNB broadcasts, else the primary network PLMN
+     * @param {Object} ue - UE network function (optional)
+     * @returns {Object} { mcc, mnc }
+     */
+    getServingPlmn(ue = null) {
+        const gnb = ue ? window.nfManager?.getServingGnb(ue) : null;
+        const primary = window.dataStore?.getNetworkSettings().plmns[0] || { mcc: '001', mnc: '01' };
+        return { mcc: String(gnb?.config.mcc || primary.mcc), mnc: String(gnb?.config.mnc || primary.mnc) };
+    }
+
+    /**
+     * Serving network name used in the 5G key derivations
+     * @param {Object} plmn - Serving PLMN { mcc, mnc } (default: primary network PLMN)
+     * @returns {string} e.g. "5G:mnc001.mcc001.3gppnetwork.org"
+     */
+    getServingNetworkName(plmn = this.getServingPlmn()) {
+        return `5G:mnc${plmn.mnc.padStart(3, '0')}.mcc${plmn.mcc}.3gppnetwork.org`;
+    }
+
+    /**
+     * Derive RES* / XRES* (Annex A.4) - the 128 least significant bits of the KDF output
+     */
+    deriveResStar(ckIk, snName, rand, res) {
+        return this.kdf(ckIk, 0x6b, [new TextEncoder().encode(snName), rand, res]).subarray(16, 32);
+    }
+
+    /**
+     * Home network side: generate a 5G HE authentication vector (UDM + AUSF)
+     * @param {Object} subscriber - Subscriber profile from the UDR store
+     * @param {Object} options - { rand (32 hex, random if omitted), sqn (12 hex, default: profile SQN),
+     *   snName (default: primary network PLMN) }
+     * @returns {Object} { rand, autn, xresStar, hxresStar, kausf, kseaf, sqn, ak, macA, snName }
+     */
+    generateAuthVector(subscriber, options = {}) {
+        const snName = options.snName || this.getServingNetworkName();
+        const randBytes = options.rand ? this.hexToBytes(options.rand) : this.randomBytes(16);
+        const rand = this.bytesToHex(randBytes);
+        const sqn = (options.sqn || subscriber.sqn).toUpperCase();
+        const amf = subscriber.amf.toUpperCase();
+        const m = this.milenage(subscriber.key, subscriber.opc, rand, sqn, amf);
+
+        const sqnXorAk = this.xor(this.hexToBytes(sqn), this.hexToBytes(m.ak));
+        const ckIk = this.hexToBytes(m.ck + m.ik);
+        const snBytes = new TextEncoder().encode(snName);
+
+        const xresStar = this.deriveResStar(ckIk, snName, randBytes, this.hexToBytes(m.res));
+        const hxresStar = this.sha256(this.concat(randBytes, xresStar)).subarray(16, 32);
+        const kausf = this.kdf(ckIk, 0x6a, [snBytes, sqnXorAk]);
+        const kseaf = this.kdf(kausf, 0x6c, [snBytes]);
+
+        return {
+            rand,
+            autn: this.bytesToHex(sqnXorAk) + amf + m.macA,
+            xresStar: this.bytesToHex(xresStar),
+            hxresStar: this.bytesToHex(hxresStar),
+            kausf: this.bytesToHex(kausf),
+            kseaf: this.bytesToHex(kseaf),
+            sqn,
+            ak: m.ak,
+            macA: m.macA,
+            snName
+        };
+    }
+
+    /**
+     * UE side: verify AUTN with the USIM credentials and compute RES*
+     * @param {Object} usim - { key, opc, sqn } held by the UE (sqn = SQN_MS, freshness is skipped without it)
+     * @param {Object} challenge - { rand, autn, snName } from the Authentication Request
+     * @returns {Object} { success, cause, sqn, xmac, mac, resStar, kausf, auts }
+     */
+    ueAuthenticate(usim, challenge) {
+        const autn = this.hexToBytes(challenge.autn);
+        const sqnXorAk = autn.subarray(0, 6);
+        const amf = this.bytesToHex(autn.subarray(6, 8));
+        const mac = this.bytesToHex(autn.subarray(8, 16));
+
+        // f5 does not depend on SQN, so AK can be computed first to recover SQN
+        const ak = this.milenage(usim.key, usim.opc, challenge.rand, '000000000000', amf).ak;
+        const sqn = this.bytesToHex(this.xor(sqnXorAk, this.hexToBytes(ak)));
+        const m = this.milenage(usim.key, usim.opc, challenge.rand, sqn, amf);
+
+        if (m.macA !== mac) {
+            return { success: false, cause: AuthEngine.CAUSE_MAC_FAILURE, sqn, mac, xmac: m.macA };
+        }
+
+        // SQN must be fresh: ahead of SQN_MS but not by more than the window
+        if (usim.sqn && !this.isSqnAcceptable(sqn, usim.sqn)) {
+            return {
+                success: false,
+                cause: AuthEngine.CAUSE_SYNCH_FAILURE,
+                sqn,
+                mac,
+                xmac: m.macA,
+                sqnMs: usim.sqn.toUpperCase(),
+                auts: this.computeAuts(usim, challenge.rand)
+            };
+        }
+
+        // 5G AKA requires the AMF separation bit (TS 33.501 6.1.3.2)
+        if ((parseInt(amf.substring(0, 2), 16) & 0x80) === 0) {
+            return { success: false, cause: AuthEngine.CAUSE_NON_5G_AUTH, sqn, mac, xmac: m.macA };
+        }
+
+        const ckIk = this.hexToBytes(m.ck + m.ik);
+        const resStar = this.deriveResStar(ckIk, challenge.snName, this.hexToBytes(challenge.rand), this.hexToBytes(m.res));
+        const kausf = this.kdf(ckIk, 0x6a, [new TextEncoder().encode(challenge.snName), sqnXorAk]);
+
+        return {
+            success: true,
+            cause: null,
+            sqn,
+            mac,
+            xmac: m.macA,
+            resStar: this.bytesToHex(resStar),
+            kausf: this.bytesToHex(kausf)
+        };
+    }
+
+    /**
+     * Run a complete 5G-AKA between a UE and its UDR subscription (no state is changed)
+     * @param {Object} ue - UE network function (USIM K/OPc/SQN in config.subscriberKey/Opc/Sqn)
+     * @param {Object} subscriber - Subscriber profile from the UDR store
+     * @param {Object} options - { rand } to force a RAND
+     * @returns {Object} { success, cause, vector, ueResult, hresStar }
+     */
+    run5GAka(ue, subscriber, options = {}) {
+        // A UE without explicit credentials uses a USIM provisioned from the UDR profile
+        const usim = {
+            key: ue.config.subscriberKey || subscriber.key,
+            opc: ue.config.subscriberOpc || subscriber.opc,
+            sqn: this.getUsimSqn(ue, subscriber)
+        };
+
+        // UDM advances SQN_HE for every new vector, bound to the PLMN serving the UE
+        const vector = this.generateAuthVector(subscriber, {
+            snName: this.getServingNetworkName(this.getServingPlmn(ue)),
+            ...options,
+            sqn: this.incrementSqn(subscriber.sqn)
+        });
+        const ueResult = this.ueAuthenticate(usim, vector);
+        if (!ueResult.success) {
+            return { success: false, cause: ueResult.cause, vector, ueResult, hresStar: null };
+        }
+
+        // SEAF checks HRES* against HXRES*, AUSF checks RES* against XRES*
+        const hresStar = this.bytesToHex(
+            this.sha256(this.concat(this.hexToBytes(vector.rand), this.hexToBytes(ueResult.resStar))).subarray(16, 32)
+        );
+        if (hresStar !== vector.hxresStar || ueResult.resStar !== vector.xresStar) {
+            return { success: false, cause: AuthEngine.CAUSE_RES_MISMATCH, vector, ueResult, hresStar };
+        }
+
+        return { success: true, cause: null, vector, ueResult, hresStar };
+    }
+
+    /**
+     * Authenticate a UE the way the core does: one 5G-AKA run, and on Synch Failure
+     * a UDM resynchronisation followed by a second run with a fresh vector
+     * @param {Object} ue - UE network function
+     * @param {Object} subscriber - Subscriber profile from the UDR store
+     * @param {Object} options - { persist } write SQN_HE / SQN_MS back (default true)
+     * @returns {Object} { success, cause, attempts: [run5GAka results], resync, sqnHe, sqnMs }
+     */
+    authenticate(ue, subscriber, options = {}) {
+        const { persist = true } = options;
+        const attempts = [];
+        let profile = subscriber;
+        let resync = null;
+
+        const attempt = () => {
+            const result = this.run5GAka(ue, profile);
+            profile = { ...profile, sqn: result.vector.sqn };
+            attempts.push(result);
+            return result;
+        };
+
+        let result = attempt();
+        if (result.cause === AuthEngine.CAUSE_SYNCH_FAILURE) {
+            resync = this.resynchronize(profile, result.vector.rand, result.ueResult.auts);
+            if (resync.success) {
+                profile = { ...profile, sqn: resync.sqnMs };
+                result = attempt();
+            }
+        }
+
+        const sqnMs = result.success ? result.vector.sqn : this.getUsimSqn(ue, subscriber);
+
+        if (persist) {
+            this.storeSqnHe(subscriber.imsi, profile.sqn);
+            if (result.success) {
+                ue.config.subscriberSqn = sqnMs;
+                window.dataStore?.updateNF(ue.id, ue);
+            }
+        }
+
+        return { success: result.success, cause: result.cause, attempts, resync, sqnHe: profile.sqn, sqnMs };
+    }
+
+    // ==========================================
+    // SQN MANAGEMENT (TS 33.102 Annex C)
+    // ==========================================
+
+    /**
+     * SQN_MS of the UE's USIM - a USIM that never authenticated is in sync with the UDR
+     * @param {Object} ue - UE network function
+     * @param {Object} subscriber - Subscriber profile
+     * @returns {string} SQN_MS (12 hex)
+     */
+    getUsimSqn(ue, subscriber) {
+        return (ue?.config?.subscriberSqn || subscriber?.sqn || '000000000000').toUpperCase();
+    }
+
+    /**
+     * Advance an SQN by a step
+     * @param {string} sqnHex - SQN (12 hex)
+     * @param {number} step - Increment (default 1)
+     * @returns {string} New SQN (12 hex, wraps at 2^48)
+     */
+    incrementSqn(sqnHex, step = 1) {
+        const value = (parseInt(sqnHex, 16) + step) % AuthEngine.SQN_MODULUS;
+        return value.toString(16).toUpperCase().padStart(12, '0');
+    }
+
+    /**
+     * USIM freshness check: SQN > SQN_MS and SQN - SQN_MS <= delta
+     * @param {string} sqnHex - SQN received in AUTN
+     * @param {string} sqnMsHex - Highest SQN accepted by the USIM
+     * @returns {boolean} True if the SQN is accepted
+     */
+    isSqnAcceptable(sqnHex, sqnMsHex) {
+        const difference = parseInt(sqnHex, 16) - parseInt(sqnMsHex, 16);
+        return difference > 0 && difference <= AuthEngine.SQN_WINDOW;
+    }
+
+    /**
+     * Compute AUTS = (SQN_MS XOR AK*) || MAC-S, with MAC-S = f1*(K, SQN_MS, RAND, AMF 0000)
+     * @param {Object} usim - { key, opc, sqn }
+     * @param {string} randHex - RAND of the failed challenge
+     * @returns {string} AUTS (28 hex)
+     */
+    computeAuts(usim, randHex) {
+        const m = this.milenage(usim.key, usim.opc, randHex, usim.sqn, '0000');
+        const concealed = this.xor(this.hexToBytes(usim.sqn), this.hexToBytes(m.akStar));
+        return this.bytesToHex(concealed) + m.macS;
+    }
+
+    /**
+     * UDM side: verify AUTS and recover SQN_MS (Nudm_UEAuthentication ResynchronizationInfo)
+     * @param {Object} subscriber - Subscriber profile (K/OPc)
+     * @param {string} randHex - RAND the UE answered
+     * @param {string} autsHex - AUTS from the Authentication Failure
+     * @returns {Object} { success, sqnMs, macS, xmacS }
+     */
+    resynchronize(subscriber, randHex, autsHex) {
+        const auts = this.hexToBytes(autsHex);
+        const akStar = this.milenage(subscriber.key, subscriber.opc, randHex, '000000000000', '0000').akStar;
+        const sqnMs = this.bytesToHex(this.xor(auts.subarray(0, 6), this.hexToBytes(akStar)));
+        const macS = this.bytesToHex(auts.subarray(6, 14));
+        const xmacS = this.milenage(subscriber.key, subscriber.opc, randHex, sqnMs, '0000').macS;
+
+        return { success: macS === xmacS, sqnMs, macS, xmacS };
+    }
+
+    /**
+     * Write SQN_HE back to the UDR - a Nudr PATCH from the UDM when the router is loaded
+     * @param {string} imsi - Subscriber IMSI
+     * @param {string} sqn - New SQN_HE (hex)
+     * @returns {Object|null} Nudr response, or null when written to the store directly
+     */
+    storeSqnHe(imsi, sqn) {
+        if (window.nudrRouter) {
+            return window.nudrRouter.request('PATCH',
+                `/subscription-data/imsi-${imsi}/authentication-data/authentication-subscription`, {
+                consumer: 'UDM',
+                body: [{ op: 'replace', path: '/sequenceNumber/sqn', value: sqn }]
+            });
+        }
+
+        window.dataStore?.upsertSubscriber(imsi, { sqn }, { source: 'aka' });
+        return null;
+    }
+
+    /**
+     * Random bytes (crypto.getRandomValues when available)
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} Random bytes
+     */
+    randomBytes(length) {
+        const bytes = new Uint8Array(length);
+        if (globalThis.crypto?.getRandomValues) {
+            globalThis.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < length; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return bytes;
+    }
+}
+
+// 5GMM causes used by the authentication procedure (TS 24.501 9.11.3.2)
+AuthEngine.CAUSE_MAC_FAILURE = { code: 20, name: 'MAC failure' };
+AuthEngine.CAUSE_SYNCH_FAILURE = { code: 21, name: 'Synch failure' };
+AuthEngine.CAUSE_NON_5G_AUTH = { code: 26, name: 'Non-5G authentication unacceptable' };
+AuthEngine.CAUSE_RES_MISMATCH = { code: 3, name: 'Illegal UE' };
+
+// SQN is 48 bits; the USIM accepts an SQN at most SQN_WINDOW ahead of SQN_MS (TS 33.102 C.2.1 delta)
+AuthEngine.SQN_MODULUS = 2 ** 48;
+AuthEngine.SQN_WINDOW = 2 ** 28;
+
+// SHA-256 round constants
+AuthEngine.SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
@@ -184,6 +184,8 @@ class BusManager {
 
         Object.assign(bus, updates);
 
+        window.dataStore?.notifyListeners('bus-updated', bus);
+
         console.log('✅ Bus updated:', bus.name);
 
         if (window.canvasRenderer) {
@@ -226,6 +226,14 @@ class CanvasRenderer {
         this.ctx.textAlign = 'center';
         this.ctx.fillText(nf.name, x + width / 2, y + 50);
 
+        // Network-initiated deregistration (subscriber deleted or barred)
+        const deregistered = nf.type === 'UE' && nf.config?.registrationState === 'DEREGISTERED';
+        if (deregistered) {
+            this.ctx.fillStyle = '#e74c3c';
+            this.ctx.font = 'bold 8px Arial';
+            this.ctx.fillText('DEREGISTERED', x + width / 2, y + 60);
+        }
+
         // HTTP Protocol Badge removed for cleaner visual - protocol info available in logs only
 
         // Enhanced status indicator with better visibility
@@ -239,6 +247,9 @@ class CanvasRenderer {
         } else {
             statusColor = '#95a5a6'; // Gray for unknown
         }
+        if (deregistered) {
+            statusColor = '#e74c3c'; // Red for a deregistered UE
+        }
         
         // Draw status indicator with glow effect
         this.ctx.shadowColor = statusColor;
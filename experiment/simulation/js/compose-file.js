@@ -0,0 +1,700 @@
+/**
+ * ============================================
+ * COMPOSE FILE (docker-compose.yml of the core)
+ * ============================================
+ * The docker-compose.yml of the Docker terminal as an editable virtual file.
+ * vi writes it here; docker compose up -d loads it and applies what changed
+ * to the NFs of its services
+ *
+ * Responsibilities:
+ * - Parse the YAML subset compose files use, with go-yaml style errors
+ * - Validate the project like compose does (schema, images, depends_on, networks)
+ * - Check service addresses like the Docker daemon does
+ * - Work out and apply the changed IPs / environments of existing NFs
+ * - Tell which core services were removed from the file
+ */
+
+class ComposeFile {
+    constructor() {
+        this.content = ComposeFile.DEFAULT_FILE;              // Last written file
+        this.defaults = this.load(ComposeFile.DEFAULT_FILE);  // Project of the shipped file
+        console.log('✅ ComposeFile initialized');
+    }
+
+    // ==========================================
+    // YAML
+    // ==========================================
+
+    /**
+     * Parse the YAML subset compose files use: block mappings and sequences,
+     * plain / quoted scalars, [a, b] / {a: b} flow collections, # comments.
+     * Like go-yaml, parsing stops at the first syntax error; duplicate keys are
+     * collected as unmarshal errors
+     * @param {string} text - File content
+     * @returns {Object} { document, lines: { path → line }, errors: [{ kind, line, message }] }
+     */
+    parseYaml(text) {
+        const tokens = [];
+        const lines = {};
+        const errors = [];
+        let pos = 0;
+
+        const fail = (line, message) => {
+            const error = new Error(message);
+            error.line = line;
+            throw error;
+        };
+        const isEntry = (text) => /^-( |$)/.test(text);
+        const keyPattern = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/;
+
+        const parseScalar = (text, line) => {
+            if (text.startsWith('"') || text.startsWith("'")) {
+                const quoted = text.match(text[0] === '"' ? /^"((?:[^"\\]|\\.)*)"/ : /^'((?:[^']|'')*)'/);
+                if (!quoted) fail(line, 'found unexpected end of stream');
+                if (!/^\s*(#.*)?$/.test(text.slice(quoted[0].length))) fail(line, 'did not find expected key');
+                if (text[0] === "'") return quoted[1].replace(/''/g, "'");
+                try {
+                    return JSON.parse(`"${quoted[1]}"`);
+                } catch (error) {
+                    return quoted[1];
+                }
+            }
+
+            const plain = text.replace(/\s+#.*$/, '').trim();
+            if (plain.startsWith('[') || plain.startsWith('{')) {
+                return parseFlow(plain, line);
+            }
+            if (/^[@`]/.test(plain)) fail(line, 'found character that cannot start any token');
+            if (/^[|>&*!%]/.test(plain)) fail(line, `unsupported YAML feature "${plain[0]}" (block scalars, anchors and tags are not supported)`);
+            if (/:(\s|$)/.test(plain)) fail(line, 'mapping values are not allowed in this context');
+            return plain === '' || plain === '~' || plain === 'null' ? null : plain;
+        };
+
+        const parseFlow = (text, line) => {
+            const close = text[0] === '[' ? ']' : '}';
+            if (!text.endsWith(close)) fail(line, `did not find expected ',' or '${close}'`);
+
+            // Split on the commas outside quotes
+            const items = [];
+            let current = '';
+            let quote = null;
+            for (const char of text.slice(1, -1)) {
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === ',') {
+                    items.push(current.trim());
+                    current = '';
+                    continue;
+                }
+                current += char;
+            }
+            if (quote) fail(line, 'found unexpected end of stream');
+            items.push(current.trim());
+            const entries = items.filter(Boolean);
+
+            if (close === ']') return entries.map(item => parseScalar(item, line));
+            return Object.fromEntries(entries.map(item => {
+                const match = item.match(keyPattern);
+                if (!match) fail(line, "did not find expected ',' or '}'");
+                return [parseScalar(match[1], line), parseScalar(match[2] || '', line)];
+            }));
+        };
+
+        // A scalar value ends at its line; deeper lines below it are errors
+        const checkNoChildren = (indent) => {
+            const next = tokens[pos];
+            if (next && next.indent > indent) {
+                fail(next.line, isEntry(next.text) ? 'block sequence entries are not allowed in this context' : 'mapping values are not allowed in this context');
+            }
+        };
+
+        const parseBlock = (indent, path) => (isEntry(tokens[pos].text) ? parseSequence(indent, path) : parseMapping(indent, path));
+
+        const parseMapping = (indent, path) => {
+            const mapping = {};
+            while (pos < tokens.length && tokens[pos].indent >= indent) {
+                const token = tokens[pos];
+                if (token.indent > indent || isEntry(token.text)) fail(token.line, 'did not find expected key');
+                const match = token.text.match(keyPattern);
+                if (!match) fail(token.line, "could not find expected ':'");
+
+                const key = String(parseScalar(match[1], token.line));
+                const keyPath = path ? `${path}.${key}` : key;
+                const duplicate = Object.prototype.hasOwnProperty.call(mapping, key);
+                if (duplicate) {
+                    errors.push({ kind: 'unmarshal', line: token.line, message: `mapping key "${key}" already defined at line ${lines[keyPath]}` });
+                } else {
+                    lines[keyPath] = token.line;
+                }
+                pos++;
+
+                let value = null;
+                if (match[2] && !match[2].startsWith('#')) {
+                    value = parseScalar(match[2], token.line);
+                    checkNoChildren(indent);
+                } else if (pos < tokens.length && (tokens[pos].indent > indent || (tokens[pos].indent === indent && isEntry(tokens[pos].text)))) {
+                    // Block value; a sequence may sit at the indent of its key
+                    value = parseBlock(tokens[pos].indent, keyPath);
+                }
+                if (!duplicate) mapping[key] = value;
+            }
+            return mapping;
+        };
+
+        const parseSequence = (indent, path) => {
+            const sequence = [];
+            while (pos < tokens.length && tokens[pos].indent === indent && isEntry(tokens[pos].text)) {
+                const token = tokens[pos];
+                const itemPath = `${path}[${sequence.length}]`;
+                const rest = token.text.slice(1).trimStart();
+                lines[itemPath] = token.line;
+
+                if (!rest || rest.startsWith('#')) {
+                    pos++;
+                    sequence.push(pos < tokens.length && tokens[pos].indent > indent ? parseBlock(tokens[pos].indent, itemPath) : null);
+                } else if (isEntry(rest) || (keyPattern.test(rest) && !/^["']/.test(rest))) {
+                    // "- key: value" / "- - item": the nested block starts at the column of rest
+                    tokens[pos] = { indent: indent + token.text.length - rest.length, text: rest, line: token.line };
+                    sequence.push(parseBlock(tokens[pos].indent, itemPath));
+                } else {
+                    pos++;
+                    sequence.push(parseScalar(rest, token.line));
+                    checkNoChildren(indent);
+                }
+            }
+            return sequence;
+        };
+
+        try {
+            text.split('\n').forEach((raw, index) => {
+                const line = raw.replace(/\r$/, '');
+                if (!line.trim() || /^\s*#/.test(line) || (tokens.length === 0 && /^---\s*$/.test(line))) return;
+                if (/^ *\t/.test(line)) fail(index + 1, 'found character that cannot start any token');
+                const indent = line.match(/^ */)[0].length;
+                tokens.push({ indent, text: line.slice(indent).trimEnd(), line: index + 1 });
+            });
+
+            const document = tokens.length > 0 ? parseBlock(tokens[0].indent, '') : null;
+            if (pos < tokens.length) fail(tokens[pos].line, 'did not find expected <document start>');
+            return { document, lines, errors };
+        } catch (error) {
+            if (error.line === undefined) throw error;
+            return { document: null, lines, errors: [{ kind: 'yaml', line: error.line, message: error.message }] };
+        }
+    }
+
+    // ==========================================
+    // COMPOSE PROJECT
+    // ==========================================
+
+    /**
+     * Load a docker-compose.yml into the project the simulation works with
+     * @param {string} text - File content (default: the last written file)
+     * @returns {Object} { services: { name → { name, containerName, image, environment, ipv4Address } }, subnets, errors }
+     */
+    load(text = this.content) {
+        const { document, lines, errors } = this.parseYaml(text);
+        const project = { services: {}, subnets: [], errors };
+        if (errors.length > 0) return project;
+
+        const at = (path) => lines[path] ?? 1;
+        const invalid = (path, message) => errors.push({ kind: 'validating', line: at(path), message });
+        const invalidProject = (path, message) => errors.push({ kind: 'project', line: at(path), message });
+        const isMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isExtension = (key) => key.startsWith('x-');
+
+        if (!isMapping(document)) {
+            invalid('', 'Top-level object must be a mapping');
+            return project;
+        }
+        Object.keys(document).filter(key => !ComposeFile.TOP_LEVEL_KEYS.includes(key) && !isExtension(key))
+            .forEach(key => invalid(key, `(root) Additional property ${key} is not allowed`));
+
+        const services = document.services ?? {};
+        const networks = document.networks ?? {};
+        if (!isMapping(services)) {
+            invalid('services', 'services must be a mapping');
+            return project;
+        }
+        if (!isMapping(networks)) {
+            invalid('networks', 'networks must be a mapping');
+        } else {
+            Object.values(networks).forEach(network => {
+                const config = network?.ipam?.config;
+                (Array.isArray(config) ? config : []).forEach(entry => {
+                    if (entry?.subnet) project.subnets.push(String(entry.subnet));
+                });
+            });
+        }
+
+        Object.entries(services).forEach(([name, service]) => {
+            const path = `services.${name}`;
+            if (!isMapping(service)) {
+                invalid(path, `${path} must be a mapping`);
+                return;
+            }
+            Object.keys(service).filter(key => !ComposeFile.SERVICE_KEYS.includes(key) && !isExtension(key))
+                .forEach(key => invalid(`${path}.${key}`, `${path} Additional property ${key} is not allowed`));
+
+            if (!service.image && !service.build) {
+                invalidProject(path, `service "${name}" has neither an image nor a build context specified`);
+            }
+
+            const dependsOn = service.depends_on ?? [];
+            const dependencies = Array.isArray(dependsOn) ? dependsOn : (isMapping(dependsOn) ? Object.keys(dependsOn) : null);
+            if (!dependencies) {
+                invalid(`${path}.depends_on`, `${path}.depends_on must be a mapping or a list`);
+            } else {
+                dependencies.filter(dependency => !Object.prototype.hasOwnProperty.call(services, dependency)).forEach(dependency =>
+                    invalidProject(`${path}.depends_on`, `service "${name}" depends on undefined service "${dependency}"`));
+            }
+
+            // Networks as a list of names or a mapping of name → { ipv4_address }
+            const serviceNetworks = service.networks ?? {};
+            const networkEntries = Array.isArray(serviceNetworks) ? serviceNetworks.map(network => [network, null]) : (isMapping(serviceNetworks) ? Object.entries(serviceNetworks) : null);
+            let ipv4Address = null;
+            if (!networkEntries) {
+                invalid(`${path}.networks`, `${path}.networks must be a mapping or a list`);
+            } else {
+                networkEntries.forEach(([network, config]) => {
+                    if (!isMapping(networks) || !Object.prototype.hasOwnProperty.call(networks, network)) {
+                        invalidProject(`${path}.networks`, `service "${name}" refers to undefined network ${network}`);
+                    }
+                    if (config?.ipv4_address && !ipv4Address) {
+                        ipv4Address = String(config.ipv4_address);
+                    }
+                });
+            }
+
+            project.services[name] = {
+                name,
+                containerName: service.container_name ? String(service.container_name) : name,
+                image: service.image || null,
+                environment: this.readEnvironment(service.environment, `${path}.environment`, invalid, isMapping),
+                ipv4Address
+            };
+        });
+
+        return project;
+    }
+
+    /**
+     * Environment of a service, as a list of KEY=VALUE or a mapping
+     * @param {*} value - environment node
+     * @param {string} path - Path of the node
+     * @param {Function} invalid - (path, message) => void
+     * @param {Function} isMapping - Mapping test
+     * @returns {Object} { KEY → value }
+     */
+    readEnvironment(value, path, invalid, isMapping) {
+        const environment = {};
+        if (value === null || value === undefined) return environment;
+
+        if (Array.isArray(value)) {
+            value.forEach((entry, index) => {
+                if (typeof entry !== 'string') {
+                    invalid(`${path}[${index}]`, `${path}[${index}] must be a string`);
+                    return;
+                }
+                const separator = entry.indexOf('=');
+                environment[separator === -1 ? entry : entry.slice(0, separator)] = separator === -1 ? '' : entry.slice(separator + 1);
+            });
+        } else if (isMapping(value)) {
+            Object.entries(value).forEach(([key, entry]) => {
+                if (entry !== null && typeof entry === 'object') {
+                    invalid(`${path}.${key}`, `${path}.${key} must be a string, number, boolean or null`);
+                    return;
+                }
+                environment[key] = entry === null ? '' : String(entry);
+            });
+        } else {
+            invalid(path, `${path} must be a mapping or a list`);
+        }
+        return environment;
+    }
+
+    /**
+     * Compose error message of a load error
+     * @param {Object} error - { kind, line, message }
+     * @returns {string} Message as docker compose prints it
+     */
+    formatError(error) {
+        switch (error.kind) {
+            case 'yaml': return `yaml: line ${error.line}: ${error.message}`;
+            case 'unmarshal': return `yaml: unmarshal errors: line ${error.line}: ${error.message}`;
+            case 'validating': return `validating docker-compose.yml: ${error.message}`;
+            default: return `${error.message}: invalid compose project`;
+        }
+    }
+
+    /**
+     * The error lines docker compose prints for a project that does not load
+     * (all duplicate keys at once, otherwise the first error)
+     * @param {Array} errors - Load errors
+     * @returns {Array<string>} Output lines
+     */
+    formatErrors(errors) {
+        const unmarshal = errors.filter(error => error.kind === 'unmarshal');
+        if (unmarshal.length > 0) {
+            return ['yaml: unmarshal errors:', ...unmarshal.map(error => `  line ${error.line}: ${error.message}`)];
+        }
+        return errors.length > 0 ? [this.formatError(errors[0])] : [];
+    }
+
+    /**
+     * Write the file from vi (written even if it does not load - compose reports that on up)
+     * @param {string} text - File content
+     * @returns {Object} { ok, message, errors } (the ViEditor onSave result)
+     */
+    save(text) {
+        this.content = text;
+        const project = this.load(text);
+        if (project.errors.length > 0) {
+            return { ok: true, errors: project.errors.map(error => ({ line: error.line, message: this.formatError(error) })) };
+        }
+        return { ok: true, message: `${Object.keys(project.services).length} service(s), run docker compose up -d to apply`, errors: [] };
+    }
+
+    // ==========================================
+    // SERVICES ↔ NFS
+    // ==========================================
+
+    /**
+     * Service of an NF type in a project (matched by container name)
+     * @param {Object} project - Loaded project
+     * @param {string} nfType - NF type
+     * @returns {Object|null} Service
+     */
+    getService(project, nfType) {
+        const containerName = ComposeFile.CONTAINER_NAMES[nfType];
+        return Object.values(project.services).find(service => service.containerName === containerName) || null;
+    }
+
+    /**
+     * NF type of a service name or container name of a project
+     * @param {Object} project - Loaded project
+     * @param {string} name - Service or container name
+     * @returns {string|null} NF type
+     */
+    getNfType(project, name) {
+        const containerName = project.services[name]?.containerName || name;
+        return Object.keys(ComposeFile.CONTAINER_NAMES).find(type => ComposeFile.CONTAINER_NAMES[type] === containerName) || null;
+    }
+
+    /**
+     * Whether an NF type had a service in the shipped file that the project no longer has
+     * @param {Object} project - Loaded project
+     * @param {string} nfType - NF type
+     * @returns {boolean} True if removed
+     */
+    isRemoved(project, nfType) {
+        return !!this.getService(this.defaults, nfType) && !this.getService(project, nfType);
+    }
+
+    /**
+     * Environment an NF runs with (the last applied one, else the shipped file's)
+     * @param {string} nfType - NF type
+     * @param {Object} nf - Network function (null if not deployed)
+     * @returns {Object} { KEY → value }
+     */
+    getEnvironment(nfType, nf = null) {
+        return nf?.config.environment || this.getService(this.defaults, nfType)?.environment || {};
+    }
+
+    /**
+     * What docker compose up -d changes on the NF of a service
+     * @param {Object} project - Loaded project
+     * @param {Object} nf - Network function
+     * @returns {Object|null} { ipAddress, environment } (changed ones only) or null if nothing changes
+     */
+    getChanges(project, nf) {
+        const service = this.getService(project, nf.type);
+        if (!service) return null;
+
+        const changes = {};
+        // The addresses of the shipped file are those of the lab machine; NFs keep their
+        // simulation address until the file gives the service another one
+        const defaultAddress = this.getService(this.defaults, nf.type)?.ipv4Address;
+        if (service.ipv4Address && service.ipv4Address !== defaultAddress && service.ipv4Address !== nf.config.ipAddress) {
+            changes.ipAddress = service.ipv4Address;
+        }
+        if (this.getChangedVariables(this.getEnvironment(nf.type, nf), service.environment).length > 0) {
+            changes.environment = service.environment;
+        }
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    getChangedVariables(previous, next) {
+        const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+        return [...keys].filter(key => previous[key] !== next[key]);
+    }
+
+    /**
+     * Check the service addresses the way the Docker daemon does when it creates the containers
+     * @param {Object} project - Loaded project
+     * @returns {Array} Daemon errors { service, message }
+     */
+    checkAddresses(project) {
+        const errors = [];
+        const seen = new Set();
+        const nfs = window.dataStore?.getAllNFs() || [];
+
+        Object.values(project.services).forEach(service => {
+            const address = service.ipv4Address;
+            if (!address) return;
+
+            const fail = (message) => errors.push({ service: service.name, message: `Error response from daemon: ${message}` });
+            if (!this.isValidIPv4(address)) {
+                fail(`invalid IPv4 address: ${address}`);
+            } else if (project.subnets.length > 0 && !project.subnets.some(subnet => this.inSubnet(address, subnet))) {
+                fail(`Invalid address ${address}: It does not belong to any of this network's subnets`);
+            } else if (seen.has(address) || nfs.some(nf => nf.config.ipAddress === address && nf.type !== this.getNfType(project, service.name))) {
+                fail(`failed to create endpoint ${service.containerName} on network oaiworkshop: Address already in use`);
+            }
+            seen.add(address);
+        });
+        return errors;
+    }
+
+    isValidIPv4(address) {
+        return /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(address);
+    }
+
+    /**
+     * Whether an address is inside a subnet
+     * @param {string} address - IPv4 address
+     * @param {string} subnet - CIDR (e.g. 192.168.70.128/26)
+     * @returns {boolean} True if inside
+     */
+    inSubnet(address, subnet) {
+        const [network, bits] = subnet.split('/');
+        const prefix = parseInt(bits, 10);
+        if (!this.isValidIPv4(network) || !(prefix >= 0 && prefix <= 32)) return false;
+        const toNumber = (ip) => ip.split('.').reduce((sum, octet) => sum * 256 + parseInt(octet, 10), 0);
+        const size = 2 ** (32 - prefix);
+        return Math.floor(toNumber(address) / size) === Math.floor(toNumber(network) / size);
+    }
+
+    /**
+     * Apply the changes of its service to an NF
+     * @param {Object} nf - Network function
+     * @param {Object} changes - From getChanges()
+     * @returns {Array<string>} Human readable changes
+     */
+    apply(nf, changes) {
+        const summary = [];
+        const previousIP = nf.config.ipAddress;
+
+        if (changes.ipAddress) {
+            summary.push(`IP: ${previousIP} → ${changes.ipAddress}`);
+            nf.config.ipAddress = changes.ipAddress;
+        }
+        if (changes.environment) {
+            summary.push(`environment: ${this.getChangedVariables(this.getEnvironment(nf.type, nf), changes.environment).join(', ')}`);
+            nf.config.environment = { ...changes.environment };
+        }
+        window.dataStore.updateNF(nf.id, nf);
+
+        window.logEngine?.addLog(nf.id, 'INFO', `Configuration updated from docker-compose.yml: ${summary.join(', ')}`, {
+            previousIP,
+            newIP: nf.config.ipAddress,
+            subnet: window.nfManager?.getNetworkFromIP(nf.config.ipAddress) + '.0/24',
+            source: 'docker-compose'
+        });
+        return summary;
+    }
+}
+
+// Root and service keys compose accepts (x-* extension keys are accepted too)
+ComposeFile.TOP_LEVEL_KEYS = ['version', 'name', 'include', 'services', 'networks', 'volumes', 'configs', 'secrets'];
+ComposeFile.SERVICE_KEYS = [
+    'build', 'cap_add', 'cap_drop', 'command', 'container_name', 'depends_on', 'deploy', 'devices', 'dns',
+    'entrypoint', 'env_file', 'environment', 'expose', 'extra_hosts', 'healthcheck', 'hostname', 'image',
+    'init', 'labels', 'logging', 'network_mode', 'networks', 'platform', 'ports', 'privileged', 'profiles',
+    'restart', 'shm_size', 'stdin_open', 'sysctls', 'tty', 'ulimits', 'user', 'volumes', 'working_dir'
+];
+
+// Container of each core NF type
+ComposeFile.CONTAINER_NAMES = {
+    'AMF': 'oai-amf', 'SMF': 'oai-smf', 'UPF': 'oai-upf', 'AUSF': 'oai-ausf',
+    'UDM': 'oai-udm', 'UDR': 'oai-udr', 'NRF': 'oai-nrf', 'PCF': 'oai-pcf',
+    'NSSF': 'oai-nssf', 'MySQL': 'mysql', 'ext-dn': 'oai-ext-dn'
+};
+
+// docker-compose.yml as shipped with the lab
+ComposeFile.DEFAULT_FILE = `services:
+    mysql:
+        container_name: "mysql"
+        image: ghcr.io/openairinterface/mysql:8.0
+        volumes:
+            - ./database/oai_db.sql:/docker-entrypoint-initdb.d/oai_db.sql
+            - ./healthscripts/mysql-healthcheck.sh:/tmp/mysql-healthcheck.sh
+        environment:
+            - TZ=Europe/Paris
+            - MYSQL_DATABASE=oai_db
+            - MYSQL_USER=test
+            - MYSQL_PASSWORD=test
+            - MYSQL_ROOT_PASSWORD=linux
+        healthcheck:
+            test: /bin/bash -c "/tmp/mysql-healthcheck.sh"
+            interval: 10s
+            timeout: 5s
+            retries: 30
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.131
+
+    oai-udr:
+        container_name: "oai-udr"
+        image: ghcr.io/openairinterface/oai-udr:develop
+        expose:
+            - 80/tcp
+            - 8080/tcp
+        volumes:
+            - ./conf/config.yaml:/openair-udr/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        depends_on:
+            - mysql
+            - oai-nrf
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.136
+
+    oai-udm:
+        container_name: "oai-udm"
+        image: ghcr.io/openairinterface/oai-udm:develop
+        expose:
+            - 80/tcp
+            - 8080/tcp
+        volumes:
+            - ./conf/config.yaml:/openair-udm/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        depends_on:
+            - oai-udr
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.137
+
+    oai-ausf:
+        container_name: "oai-ausf"
+        image: ghcr.io/openairinterface/oai-ausf:develop
+        expose:
+            - 80/tcp
+            - 8080/tcp
+        volumes:
+            - ./conf/config.yaml:/openair-ausf/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        depends_on:
+            - oai-udm
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.138
+
+    oai-nrf:
+        container_name: "oai-nrf"
+        image: ghcr.io/openairinterface/oai-nrf:develop
+        expose:
+            - 80/tcp
+            - 8080/tcp
+        volumes:
+            - ./conf/config.yaml:/openair-nrf/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.130
+
+    oai-amf:
+        container_name: "oai-amf"
+        image: ghcr.io/openairinterface/oai-amf:develop
+        expose:
+            - 80/tcp
+            - 8080/tcp
+            - 38412/sctp
+        volumes:
+            - ./conf/config.yaml:/openair-amf/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        depends_on:
+            - mysql
+            - oai-nrf
+            - oai-ausf
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.132
+
+    oai-smf:
+        container_name: "oai-smf"
+        image: ghcr.io/openairinterface/oai-smf:develop
+        expose:
+            - 80/tcp
+            - 8080/tcp
+            - 8805/udp
+        volumes:
+            - ./conf/config.yaml:/openair-smf/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        depends_on:
+            - oai-nrf
+            - oai-amf
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.133
+
+    oai-upf:
+        container_name: "oai-upf"
+        image: ghcr.io/openairinterface/oai-upf:develop
+        expose:
+            - 80/tcp
+            - 2152/udp
+            - 8805/udp
+        volumes:
+            - ./conf/config.yaml:/openair-upf/etc/config.yaml
+        environment:
+            - TZ=Europe/Paris
+        depends_on:
+            - oai-nrf
+            - oai-smf
+        cap_add:
+            - NET_ADMIN
+            - SYS_ADMIN
+        cap_drop:
+            - ALL
+        privileged: true
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.134
+
+    oai-traffic-server:
+        privileged: true
+        init: true
+        container_name: oai-ext-dn
+        image: ghcr.io/openairinterface/trf-gen-cn5g:latest
+        environment:
+            - UPF_FQDN=oai-upf
+            - UE_NETWORK=10.0.0.0/24
+            - USE_FQDN=yes
+        healthcheck:
+            test: /bin/bash -c "ip r | grep 12.1.1"
+            interval: 10s
+            timeout: 5s
+            retries: 5
+        networks:
+            public_net:
+                ipv4_address: 192.168.70.135
+
+networks:
+    public_net:
+        driver: bridge
+        name: oaiworkshop
+        ipam:
+            config:
+                - subnet: 192.168.70.128/26
+        driver_opts:
+            com.docker.network.bridge.name: "oaiworkshop"
+`;
@@ -225,7 +225,7 @@ class ConnectionManager {
             setTimeout(() => {
                 if (window.logEngine && typeof window.logEngine.simulateNASRegistration === 'function') {
                     const params = {
-                        imsi: ue.config.subscriberImsi || '001010000000101',
+                        imsi: ue.config.subscriberImsi || window.dataStore.getDefaultImsi(101),
                         dnn: ue.config.subscriberDnn || '5G-Lab',
                         nssai_sst: ue.config.subscriberSst || 1
                     };
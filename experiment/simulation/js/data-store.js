@@ -21,6 +21,15 @@ class DataStore {
         this.busConnections = []; // NEW: Store NF-to-bus connections
         this.listeners = [];     // Event listeners for changes
         this.subscribers = [];   // Initialize subscribers array to prevent undefined issues
+        this.subscriberTemplates = [];        // Named profile templates (plans) subscribers are linked to
+        this.subscriberHistory = [];          // Change history of subscriber profiles (oldest first)
+        this.subscriberVersions = new Map();  // IMSI -> JSON of the last recorded version
+        this.subscriberHistorySeq = 0;
+        this.maxSubscriberHistory = 1000;     // Oldest entries are dropped beyond this
+        this.normalizedSubscribers = new WeakSet(); // Profiles built by normalizeSubscriber (never mutated afterwards)
+        this.subscriberJson = new WeakMap();  // Profile -> its JSON, for the history diff
+        this.subscriberIdentityIndex = null;  // SUPI / GPSI / PEI -> profile, built on first lookup
+        this.networkSettings = this.normalizeNetworkSettings(DataStore.DEFAULT_NETWORK_SETTINGS); // PLMNs, TACs, GUAMI, DNN / slice catalogues
 
         console.log('✅ DataStore initialized');
     }
@@ -193,15 +202,19 @@ class DataStore {
             nfs: cleanNFs,
             connections: this.connections,
             buses: this.buses,                    // NEW
-            busConnections: this.busConnections   // NEW
+            busConnections: this.busConnections,  // NEW
+            networkSettings: this.networkSettings,
+            subscriberTemplates: this.getSubscriberTemplates(),
+            subscribers: this.getSubscribers()
         };
     }
 
     /**
      * Import data from JSON
      * @param {Object} data - Data to import
+     * @param {Object} options - { source } of the subscriber history entries (default 'import')
      */
-    importData(data) {
+    importData(data, options = {}) {
         if (data.nfs && Array.isArray(data.nfs)) {
             this.nfs = data.nfs.map(nf => {
                 nf.iconImage = null;
@@ -225,6 +238,20 @@ class DataStore {
             this.busConnections = data.busConnections;
         }
 
+        if (data.networkSettings) {
+            this.networkSettings = this.normalizeNetworkSettings(data.networkSettings);
+        }
+
+        // Templates first, the subscribers linked to them are checked against them
+        if (Array.isArray(data.subscriberTemplates)) {
+            this.subscriberTemplates = data.subscriberTemplates.map(template => this.normalizeSubscriberTemplate(template));
+            this.notifyListeners('subscriber-templates-updated', this.subscriberTemplates);
+        }
+
+        if (Array.isArray(data.subscribers)) {
+            this.setSubscribers(data.subscribers, { source: options.source || 'import' });
+        }
+
         this.notifyListeners('data-imported', data);
         console.log('📦 DataStore: Data imported');
     }
@@ -312,22 +339,143 @@ class DataStore {
 
     removeBusConnections(busId) {
         this.busConnections = this.busConnections.filter(conn => conn.busId !== busId);
+        this.notifyListeners('bus-connection-removed', { busId });
         console.log('📦 DataStore: Bus connections removed for bus:', busId);
     }
 
     removeBusConnection(connectionId) {
         const index = this.busConnections.findIndex(conn => conn.id === connectionId);
         if (index !== -1) {
-            this.busConnections.splice(index, 1);
+            const connection = this.busConnections.splice(index, 1)[0];
+            this.notifyListeners('bus-connection-removed', connection);
             console.log('📦 DataStore: Bus connection removed');
         }
     }
 
+    // ==========================================
+    // NETWORK SETTINGS
+    // ==========================================
+    // Network-wide identities shared by the AMF, gNB, SMF and UDR:
+    //   plmns         - PLMNs of the network ({ mcc, mnc }, the first one is the primary)
+    //   roamingPlmns  - partner PLMNs whose subscribers may register as roamers
+    //   tacs          - tracking areas (numbers, as in the gNB config)
+    //   amfRegionId / amfSetId - GUAMI of the AMFs
+    //   dnns / snssais - DNN and slice catalogues offered to subscribers
+
+    /**
+     * Get the network settings
+     * @returns {Object} Network settings
+     */
+    getNetworkSettings() {
+        return this.networkSettings;
+    }
+
+    /**
+     * Replace the network settings
+     * @param {Object} settings - Network settings (see DataStore.DEFAULT_NETWORK_SETTINGS)
+     * @returns {Object} Normalized settings
+     */
+    setNetworkSettings(settings) {
+        this.networkSettings = this.normalizeNetworkSettings(settings);
+        this.notifyListeners('network-settings-updated', this.networkSettings);
+        console.log('📦 DataStore: Network settings updated');
+        return this.networkSettings;
+    }
+
+    /**
+     * Normalize network settings, falling back to the defaults for missing lists
+     * @param {Object} settings - Raw settings
+     * @returns {Object} Normalized settings
+     */
+    normalizeNetworkSettings(settings = {}) {
+        const defaults = DataStore.DEFAULT_NETWORK_SETTINGS;
+        const plmnList = list => (Array.isArray(list) ? list : [])
+            .map(plmn => ({ mcc: String(plmn.mcc ?? '').trim(), mnc: String(plmn.mnc ?? '').trim() }))
+            .filter(plmn => plmn.mcc && plmn.mnc);
+        const plmns = plmnList(settings.plmns);
+        const tacs = (Array.isArray(settings.tacs) ? settings.tacs : []).map(tac => parseInt(tac)).filter(tac => !isNaN(tac));
+        const dnns = (Array.isArray(settings.dnns) ? settings.dnns : []).map(dnn => String(dnn).trim()).filter(Boolean);
+        const snssais = (Array.isArray(settings.snssais) ? settings.snssais : [])
+            .map(snssai => ({ sst: parseInt(snssai.sst), sd: this.normalizeSd(snssai.sd) }))
+            .filter(snssai => !isNaN(snssai.sst));
+        const regionId = parseInt(settings.amfRegionId);
+        const setId = parseInt(settings.amfSetId);
+
+        return {
+            plmns: plmns.length > 0 ? plmns : defaults.plmns.map(plmn => ({ ...plmn })),
+            roamingPlmns: plmnList(settings.roamingPlmns),
+            tacs: tacs.length > 0 ? [...new Set(tacs)] : [...defaults.tacs],
+            amfRegionId: isNaN(regionId) ? defaults.amfRegionId : regionId,
+            amfSetId: isNaN(setId) ? defaults.amfSetId : setId,
+            dnns: dnns.length > 0 ? [...new Set(dnns)] : [...defaults.dnns],
+            snssais: snssais.length > 0 ? snssais : defaults.snssais.map(snssai => ({ ...snssai }))
+        };
+    }
+
+    /**
+     * Find the home PLMN of an IMSI among the network and roaming partner PLMNs
+     * @param {string} imsi - IMSI
+     * @returns {Object|null} { mcc, mnc, roaming } or null if the PLMN is unknown to the network
+     */
+    getImsiPlmn(imsi) {
+        const settings = this.getNetworkSettings();
+        const matches = plmn => String(imsi || '').startsWith(`${plmn.mcc}${plmn.mnc}`);
+        const home = settings.plmns.find(matches);
+        if (home) return { ...home, roaming: false };
+        const partner = settings.roamingPlmns.find(matches);
+        return partner ? { ...partner, roaming: true } : null;
+    }
+
+    /**
+     * Build an IMSI in the primary network PLMN (MCC + MNC + MSIN, 15 digits)
+     * @param {number} msin - Subscriber number
+     * @returns {string} IMSI
+     */
+    getDefaultImsi(msin) {
+        const plmn = this.getNetworkSettings().plmns[0];
+        const prefix = `${plmn.mcc}${plmn.mnc}`;
+        return `${prefix}${String(msin).padStart(15 - prefix.length, '0')}`;
+    }
+
+    /**
+     * Format a PLMN as "MCC-MNC"
+     * @param {Object} plmn - { mcc, mnc }
+     * @returns {string} Formatted PLMN
+     */
+    formatPlmn(plmn) {
+        return `${plmn.mcc}-${plmn.mnc}`;
+    }
+
     // ==========================================
     // SUBSCRIBER (UDR/MySQL) STORE - In-memory mock
     // ==========================================
-    setSubscribers(list) {
-        this.subscribers = Array.isArray(list) ? list : [];
+    // Each subscriber is a full 5G subscription profile:
+    //   imsi, key, opc, sqn (48-bit hex), amf (AMF field, 16-bit hex)
+    //   amData  - Access & Mobility data (subscribed UE-AMBR, S-NSSAIs)
+    //   smData  - SM subscription data, one entry per DNN/S-NSSAI pair
+    //             (session AMBR, default 5QI, ARP, PDU session type)
+    //   policyProfile - PCF policy profile of the subscriber (policy data, optional)
+    //   template      - { name, overrides } when linked to a profile template
+    //   gpsi, pei     - optional GPSI ("msisdn-<digits>") and PEI ("imei-<15>" /
+    //                   "imeisv-<16>"), each unique across the store
+    // The flat dnn / nssai_sst fields are kept as a mirror of the default
+    // smData entry so older code paths and saved topologies keep working.
+
+    /**
+     * Replace the whole subscriber list
+     * @param {Array} list - Subscriber profiles
+     * @param {Object} options - { source } recorded in the change history (panel, sql, import, ...)
+     */
+    setSubscribers(list, options = {}) {
+        // Profiles taken unchanged from the store are not normalized again (large stores)
+        const subscribers = Array.isArray(list)
+            ? list.map(sub => (this.normalizedSubscribers.has(sub) ? sub : this.normalizeSubscriber(sub)))
+            : [];
+        this.assertUniqueIdentities(subscribers);
+
+        this.subscribers = subscribers;
+        this.subscriberIdentityIndex = null;
+        this.recordSubscriberChanges(options.source || 'system');
         this.notifyListeners('subscribers-updated', this.subscribers);
     }
 
@@ -335,14 +483,938 @@ class DataStore {
         return this.subscribers || [];
     }
 
-    upsertSubscriber(imsi, data) {
+    /**
+     * Get subscriber profile by IMSI
+     * @param {string} imsi - Subscriber IMSI
+     * @returns {Object|null} Subscriber profile or null if not found
+     */
+    getSubscriberByImsi(imsi) {
+        return this.getSubscribers().find(s => s.imsi === imsi) || null;
+    }
+
+    /**
+     * Create or update a single subscriber
+     * @param {string} imsi - Subscriber IMSI
+     * @param {Object} data - Fields to set
+     * @param {Object} options - { source } recorded in the change history
+     */
+    upsertSubscriber(imsi, data, options = {}) {
         if (!this.subscribers) this.subscribers = [];
         const idx = this.subscribers.findIndex(s => s.imsi === imsi);
+        const profile = this.normalizeSubscriber(idx >= 0 ? { ...this.subscribers[idx], ...data, imsi } : { imsi, ...data });
+        this.assertUniqueIdentities([profile], imsi);
+
         if (idx >= 0) {
-            this.subscribers[idx] = { ...this.subscribers[idx], ...data, imsi };
+            this.subscribers[idx] = profile;
         } else {
-            this.subscribers.push({ imsi, ...data });
+            this.subscribers.push(profile);
         }
+        this.subscriberIdentityIndex = null;
+        this.recordSubscriberChanges(options.source || 'system', [imsi]);
         this.notifyListeners('subscribers-updated', this.subscribers);
     }
-}
\ No newline at end of file
+
+    /**
+     * Seed the UDR store with the lab's default subscribers if it is empty
+     * @returns {boolean} True if defaults were added
+     */
+    ensureDefaultSubscribers() {
+        if (this.getSubscribers().length > 0) return false;
+
+        this.setSubscribers([
+            { imsi: this.getDefaultImsi(101), key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 },
+            { imsi: this.getDefaultImsi(102), key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 }
+        ], { source: 'defaults' });
+        console.log('📋 Default subscribers initialized in UDR store');
+        return true;
+    }
+
+    // ==========================================
+    // SUBSCRIBER IDENTITIES (SUPI / GPSI / PEI)
+    // ==========================================
+
+    /**
+     * Find a subscriber by any of its identities
+     * @param {string} identity - IMSI digits, "imsi-…", GPSI ("msisdn-…", "+…") or PEI ("imei-…", "imeisv-…")
+     * @returns {Object|null} Subscriber profile or null if no subscriber has that identity
+     */
+    getSubscriberByIdentity(identity) {
+        if (!this.subscriberIdentityIndex) {
+            this.subscriberIdentityIndex = new Map();
+            this.getSubscribers().forEach(sub => {
+                this.getSubscriberIdentities(sub).forEach(({ value }) => {
+                    if (!this.subscriberIdentityIndex.has(value)) this.subscriberIdentityIndex.set(value, sub);
+                });
+            });
+        }
+
+        return this.subscriberIdentityIndex.get(this.normalizeIdentity(identity)) || null;
+    }
+
+    /**
+     * Identities of a subscriber in their TS 29.571 form
+     * @param {Object} sub - Subscriber profile
+     * @returns {Array} [{ type: 'SUPI' | 'GPSI' | 'PEI', value }]
+     */
+    getSubscriberIdentities(sub) {
+        return [
+            { type: 'SUPI', value: `imsi-${sub.imsi}` },
+            ...(sub.gpsi ? [{ type: 'GPSI', value: sub.gpsi }] : []),
+            ...(sub.pei ? [{ type: 'PEI', value: sub.pei }] : [])
+        ];
+    }
+
+    /**
+     * Find GPSIs and PEIs that more than one IMSI uses
+     * @param {Array} subscribers - Subscriber profiles (defaults to the store)
+     * @returns {Array} [{ type, value, imsis }]
+     */
+    getIdentityConflicts(subscribers = this.getSubscribers()) {
+        const owners = new Map();
+        subscribers.forEach(sub => {
+            this.getSubscriberIdentities(sub).filter(identity => identity.type !== 'SUPI').forEach(({ type, value }) => {
+                if (!owners.has(value)) owners.set(value, { type, value, imsis: new Set() });
+                owners.get(value).imsis.add(sub.imsi);
+            });
+        });
+
+        return [...owners.values()]
+            .filter(owner => owner.imsis.size > 1)
+            .map(owner => ({ ...owner, imsis: [...owner.imsis] }));
+    }
+
+    /**
+     * Find the first GPSI / PEI of a profile that another subscriber already uses
+     * @param {Object} data - Subscriber profile (normalized or raw form data)
+     * @param {string} previousImsi - IMSI the profile is stored under (an edit that changes the IMSI)
+     * @returns {Object|null} { type, value, imsi } of the conflicting subscriber, or null
+     */
+    findIdentityConflict(data, previousImsi = null) {
+        const identities = [
+            { type: 'GPSI', value: this.normalizeGpsi(data.gpsi) },
+            { type: 'PEI', value: this.normalizePei(data.pei) }
+        ].filter(identity => identity.value);
+
+        for (const identity of identities) {
+            const owner = this.getSubscriberByIdentity(identity.value);
+            if (owner && owner.imsi !== data.imsi && owner.imsi !== previousImsi) {
+                return { ...identity, imsi: owner.imsi };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Enforce the unique GPSI / PEI constraint before a write
+     * @param {Array} profiles - Profiles about to be stored
+     * @param {string} replacedImsi - For single-profile writes: the IMSI being replaced
+     * @throws {Error} When a GPSI or PEI would belong to two subscribers
+     */
+    assertUniqueIdentities(profiles, replacedImsi = null) {
+        const conflict = replacedImsi === null
+            ? this.getIdentityConflicts(profiles).map(({ type, value, imsis }) => ({ type, value, imsi: imsis.join(', ') }))[0]
+            : this.findIdentityConflict(profiles[0], replacedImsi);
+
+        if (conflict) {
+            throw new Error(`Duplicate ${conflict.type} ${conflict.value} (IMSI ${conflict.imsi}${replacedImsi ? `, ${profiles[0].imsi}` : ''})`);
+        }
+    }
+
+    /**
+     * Normalize any identity to the key used by the identity index
+     * @param {string} identity - SUPI, GPSI or PEI in any accepted form
+     * @returns {string} Normalized identity
+     */
+    normalizeIdentity(identity) {
+        const value = String(identity ?? '').trim().toLowerCase();
+        if (/^imsi-\d+$/.test(value)) return value;
+        if (/^\d{15}$/.test(value)) return `imsi-${value}`;
+        if (value.startsWith('imei')) return this.normalizePei(value);
+        return this.normalizeGpsi(value);
+    }
+
+    /**
+     * Normalize a GPSI to "msisdn-<digits>" ("+49 170 1234567" → "msisdn-491701234567")
+     * @param {string} gpsi - MSISDN or GPSI
+     * @returns {string} Normalized GPSI ('' when absent, unchanged if not recognised)
+     */
+    normalizeGpsi(gpsi) {
+        if (gpsi === undefined || gpsi === null || String(gpsi).trim() === '') return '';
+        const value = String(gpsi).trim();
+        if (/^extid-/i.test(value)) return value;
+        const digits = value.replace(/^msisdn-/i, '').replace(/^\+/, '').replace(/[\s-]/g, '');
+        return /^\d+$/.test(digits) ? `msisdn-${digits}` : value;
+    }
+
+    /**
+     * Normalize a PEI to "imei-<15 digits>" or "imeisv-<16 digits>"
+     * @param {string} pei - IMEI / IMEISV with or without prefix
+     * @returns {string} Normalized PEI ('' when absent, unchanged if not recognised)
+     */
+    normalizePei(pei) {
+        if (pei === undefined || pei === null || String(pei).trim() === '') return '';
+        const value = String(pei).trim();
+        const digits = value.replace(/^imei(sv)?-/i, '').replace(/[\s-]/g, '');
+        if (/^\d{15}$/.test(digits)) return `imei-${digits}`;
+        if (/^\d{16}$/.test(digits)) return `imeisv-${digits}`;
+        return value;
+    }
+
+    // ==========================================
+    // SUBSCRIBER PROFILE TEMPLATES
+    // ==========================================
+    // A template is a named plan ("IoT basic") holding the template sections
+    // of a profile (DataStore.TEMPLATE_SECTIONS). Linked subscribers take every
+    // section from their template; a section that differs from the template is
+    // an override of that subscriber and is left alone when the template changes.
+    // Credentials, SQN, barring and static IPs stay per subscriber.
+
+    getSubscriberTemplates() {
+        return this.subscriberTemplates || [];
+    }
+
+    /**
+     * Get a profile template by name
+     * @param {string} name - Template name
+     * @returns {Object|null} Template or null if not found
+     */
+    getSubscriberTemplate(name) {
+        return this.getSubscriberTemplates().find(template => template.name === name) || null;
+    }
+
+    /**
+     * Get the subscribers linked to a template
+     * @param {string} name - Template name
+     * @returns {Array} Subscriber profiles
+     */
+    getTemplateSubscribers(name) {
+        return this.getSubscribers().filter(sub => sub.template?.name === name);
+    }
+
+    /**
+     * Create or update a template and apply it to every linked subscriber
+     * (their overridden sections are kept)
+     * @param {Object} data - Template { name, description, amData, smData, policyProfile }
+     * @param {string} previousName - Name of the template being edited (renames keep the links)
+     * @returns {Array<string>} IMSIs of the linked subscribers
+     */
+    saveSubscriberTemplate(data, previousName = null) {
+        const template = this.normalizeSubscriberTemplate(data);
+        const oldName = previousName ?? template.name;
+        const linked = this.getTemplateSubscribers(oldName);
+
+        const idx = this.subscriberTemplates.findIndex(existing => existing.name === oldName);
+        if (idx >= 0) {
+            this.subscriberTemplates[idx] = template;
+        } else {
+            this.subscriberTemplates.push(template);
+        }
+
+        linked.forEach(sub => {
+            const index = this.subscribers.indexOf(sub);
+            const overrides = sub.template.overrides;
+            this.subscribers[index] = this.normalizeSubscriber({
+                ...this.applyTemplateSections(sub, template, overrides),
+                template: { name: template.name }
+            });
+        });
+
+        const imsis = linked.map(sub => sub.imsi);
+        this.notifyListeners('subscriber-templates-updated', this.subscriberTemplates);
+        if (imsis.length > 0) {
+            this.recordSubscriberChanges('template', imsis);
+            this.notifyListeners('subscribers-updated', this.subscribers);
+        }
+        return imsis;
+    }
+
+    /**
+     * Delete a template; its subscribers keep their current values, unlinked
+     * @param {string} name - Template name
+     * @returns {Array<string>} IMSIs of the unlinked subscribers
+     */
+    deleteSubscriberTemplate(name) {
+        this.subscriberTemplates = this.getSubscriberTemplates().filter(template => template.name !== name);
+        const imsis = this.getTemplateSubscribers(name).map(sub => sub.imsi);
+        this.subscribers = this.getSubscribers().map(sub => {
+            if (sub.template?.name !== name) return sub;
+            const unlinked = { ...sub };
+            delete unlinked.template;
+            return this.normalizeSubscriber(unlinked);
+        });
+
+        this.notifyListeners('subscriber-templates-updated', this.subscriberTemplates);
+        if (imsis.length > 0) {
+            this.recordSubscriberChanges('template', imsis);
+            this.notifyListeners('subscribers-updated', this.subscribers);
+        }
+        return imsis;
+    }
+
+    /**
+     * Link subscribers to a template (every section taken from the template) or unlink them
+     * @param {Array<string>} imsis - Subscriber IMSIs
+     * @param {string|null} name - Template name, null to unlink
+     * @param {Object} options - { source } recorded in the change history
+     */
+    linkSubscribersToTemplate(imsis, name, options = {}) {
+        const template = name ? this.getSubscriberTemplate(name) : null;
+        if (name && !template) return;
+
+        this.subscribers = this.getSubscribers().map(sub => {
+            if (!imsis.includes(sub.imsi)) return sub;
+            if (!template) {
+                const unlinked = { ...sub };
+                delete unlinked.template;
+                return this.normalizeSubscriber(unlinked);
+            }
+            return this.normalizeSubscriber({ ...this.applyTemplateSections(sub, template, []), template: { name } });
+        });
+
+        this.recordSubscriberChanges(options.source || 'template', imsis);
+        this.notifyListeners('subscribers-updated', this.subscribers);
+    }
+
+    /**
+     * Copy the template sections into a profile
+     * @param {Object} profile - Subscriber profile
+     * @param {Object} template - Profile template
+     * @param {Array<string>} keep - Sections to keep from the profile (overrides)
+     * @returns {Object} New profile data (not normalized)
+     */
+    applyTemplateSections(profile, template, keep = []) {
+        let result = JSON.parse(JSON.stringify(profile));
+        Object.keys(DataStore.TEMPLATE_SECTIONS)
+            .filter(section => !keep.includes(section))
+            .forEach(section => {
+                result = this.setTemplateSection(result, section, JSON.parse(JSON.stringify(this.getTemplateSection(template, section) ?? null)));
+            });
+        return result;
+    }
+
+    /**
+     * Read a template section of a profile or template
+     * @param {Object} profile - Subscriber profile or template
+     * @param {string} section - Key of DataStore.TEMPLATE_SECTIONS
+     * @returns {*} Section value (undefined when not set)
+     */
+    getTemplateSection(profile, section) {
+        const amData = profile.amData || {};
+        switch (section) {
+            case 'ueAmbr': return amData.subscribedUeAmbr;
+            case 'nssai': return amData.nssai;
+            case 'restrictions': {
+                const restrictions = {};
+                DataStore.TEMPLATE_RESTRICTIONS.filter(field => amData[field] !== undefined)
+                    .forEach(field => { restrictions[field] = amData[field]; });
+                return restrictions;
+            }
+            case 'smData': return (profile.smData || []).map(({ staticIpAddress, ...entry }) => entry);
+            case 'policyProfile': return profile.policyProfile || undefined;
+            default: return undefined;
+        }
+    }
+
+    /**
+     * Write a template section into a profile
+     * @param {Object} profile - Subscriber profile data
+     * @param {string} section - Key of DataStore.TEMPLATE_SECTIONS
+     * @param {*} value - Section value
+     * @returns {Object} The profile
+     */
+    setTemplateSection(profile, section, value) {
+        profile.amData = profile.amData || {};
+        switch (section) {
+            case 'ueAmbr':
+                profile.amData.subscribedUeAmbr = value;
+                break;
+            case 'nssai':
+                profile.amData.nssai = value;
+                break;
+            case 'restrictions':
+                DataStore.TEMPLATE_RESTRICTIONS.forEach(field => { delete profile.amData[field]; });
+                Object.assign(profile.amData, value || {});
+                break;
+            case 'smData': {
+                // Static IPs are per subscriber: keep them on the DNNs the template still has
+                const staticIps = new Map((profile.smData || []).filter(entry => entry.staticIpAddress)
+                    .map(entry => [`${entry.dnn}|${entry.sst}|${entry.sd || ''}`, entry.staticIpAddress]));
+                profile.smData = (value || []).map(entry => {
+                    const staticIpAddress = staticIps.get(`${entry.dnn}|${entry.sst}|${entry.sd || ''}`);
+                    return staticIpAddress ? { ...entry, staticIpAddress } : entry;
+                });
+                break;
+            }
+            case 'policyProfile':
+                if (value) {
+                    profile.policyProfile = value;
+                } else {
+                    delete profile.policyProfile;
+                }
+                break;
+        }
+        return profile;
+    }
+
+    /**
+     * Sections of a profile that differ from its template
+     * @param {Object} profile - Normalized subscriber profile
+     * @param {Object} template - Profile template
+     * @returns {Array<string>} Overridden section keys
+     */
+    getTemplateOverrides(profile, template) {
+        return Object.keys(DataStore.TEMPLATE_SECTIONS).filter(section =>
+            JSON.stringify(this.getTemplateSection(profile, section) ?? null) !==
+            JSON.stringify(this.getTemplateSection(template, section) ?? null));
+    }
+
+    /**
+     * Build a complete template from partial data (a profile without credentials)
+     * @param {Object} data - Template data
+     * @returns {Object} Normalized template
+     */
+    normalizeSubscriberTemplate(data = {}) {
+        const profile = this.normalizeSubscriber({ amData: data.amData, smData: data.smData, policyProfile: data.policyProfile });
+        const template = {
+            name: String(data.name || '').trim(),
+            description: String(data.description || '').trim(),
+            amData: {}
+        };
+        Object.keys(DataStore.TEMPLATE_SECTIONS).forEach(section => {
+            this.setTemplateSection(template, section, this.getTemplateSection(profile, section));
+        });
+        return template;
+    }
+
+    // ==========================================
+    // SUBSCRIBER CHANGE HISTORY
+    // ==========================================
+    // Every store write is compared against the last recorded version of each
+    // subscriber (kept as JSON, so no live profile object is shared with the
+    // history) and produces one entry per created / updated / deleted profile.
+
+    /**
+     * Record the differences between the store and the last recorded versions
+     * @param {string} source - Where the change came from (panel, sql, import, aka, rollback, ...)
+     * @param {Array<string>} imsis - Only check these IMSIs (default: the whole store)
+     */
+    recordSubscriberChanges(source, imsis = null) {
+        const wanted = imsis ? new Set(imsis) : null;
+        const current = new Map(this.getSubscribers()
+            .filter(sub => !wanted || wanted.has(sub.imsi))
+            .map(sub => [sub.imsi, this.getSubscriberJson(sub)]));
+        const candidates = imsis || [...new Set([...this.subscriberVersions.keys(), ...current.keys()])];
+        const timestamp = new Date().toISOString();
+
+        const changed = candidates.filter(imsi => (this.subscriberVersions.get(imsi) ?? null) !== (current.get(imsi) ?? null));
+        // Only the newest changes fit in the history; the older ones of a bulk import are just versioned
+        const logged = new Set(changed.slice(-this.maxSubscriberHistory));
+
+        changed.forEach(imsi => {
+            const before = this.subscriberVersions.get(imsi) ?? null;
+            const after = current.get(imsi) ?? null;
+
+            if (after) {
+                this.subscriberVersions.set(imsi, after);
+            } else {
+                this.subscriberVersions.delete(imsi);
+            }
+            if (!logged.has(imsi)) return;
+
+            const beforeProfile = before ? JSON.parse(before) : null;
+            const afterProfile = after ? JSON.parse(after) : null;
+            this.subscriberHistory.push({
+                id: ++this.subscriberHistorySeq,
+                timestamp,
+                imsi,
+                action: !before ? 'created' : (!after ? 'deleted' : 'updated'),
+                source,
+                changes: this.diffSubscriberVersions(beforeProfile, afterProfile),
+                before: beforeProfile,
+                after: afterProfile
+            });
+        });
+
+        if (this.subscriberHistory.length > this.maxSubscriberHistory) {
+            this.subscriberHistory.splice(0, this.subscriberHistory.length - this.maxSubscriberHistory);
+        }
+    }
+
+    /**
+     * JSON of a profile, cached per profile object (the store replaces a profile when it changes)
+     * @param {Object} sub - Subscriber profile
+     * @returns {string} JSON string
+     */
+    getSubscriberJson(sub) {
+        let json = this.subscriberJson.get(sub);
+        if (json === undefined) {
+            json = JSON.stringify(sub);
+            this.subscriberJson.set(sub, json);
+        }
+        return json;
+    }
+
+    /**
+     * Field-level diff of two subscriber versions
+     * @param {Object|null} before - Previous version (null when created)
+     * @param {Object|null} after - New version (null when deleted)
+     * @returns {Array} Array of { field, before, after } (e.g. field "smData[0].sessionAmbr.uplink")
+     */
+    diffSubscriberVersions(before, after) {
+        const flatten = (value, path, out) => {
+            if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => {
+                    flatten(child, Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key), out);
+                });
+            } else {
+                out.set(path, value);
+            }
+            return out;
+        };
+
+        const oldFields = flatten(before, '', new Map());
+        const newFields = flatten(after, '', new Map());
+        const fields = [...new Set([...oldFields.keys(), ...newFields.keys()])].filter(field => field !== '');
+
+        return fields
+            .filter(field => oldFields.get(field) !== newFields.get(field))
+            .map(field => ({ field, before: oldFields.get(field), after: newFields.get(field) }));
+    }
+
+    /**
+     * Get the change history, newest first
+     * @param {string} imsi - Only entries of this IMSI (optional)
+     * @returns {Array} History entries
+     */
+    getSubscriberHistory(imsi = null) {
+        return this.subscriberHistory.filter(entry => !imsi || entry.imsi === imsi).reverse();
+    }
+
+    /**
+     * Roll a subscriber back to the version recorded by a history entry
+     * (the version after the change, or the last version before a delete)
+     * @param {number} entryId - History entry ID
+     * @returns {Object|null} Restored profile, or null if the entry is unknown
+     */
+    rollbackSubscriber(entryId) {
+        const entry = this.subscriberHistory.find(e => e.id === entryId);
+        if (!entry) return null;
+
+        const target = entry.action === 'deleted' ? entry.before : entry.after;
+        const profile = this.normalizeSubscriber(JSON.parse(JSON.stringify(target)));
+        this.assertUniqueIdentities([profile], entry.imsi);
+
+        const idx = this.subscribers.findIndex(s => s.imsi === entry.imsi);
+        if (idx >= 0) {
+            this.subscribers[idx] = profile;
+        } else {
+            this.subscribers.push(profile);
+        }
+        this.subscriberIdentityIndex = null;
+
+        this.recordSubscriberChanges('rollback', [entry.imsi]);
+        this.notifyListeners('subscribers-updated', this.subscribers);
+        return profile;
+    }
+
+    /**
+     * Build a complete subscription profile from partial or legacy data.
+     * Legacy records (only dnn + nssai_sst) become a single-DNN, single-slice profile.
+     * @param {Object} data - Subscriber data
+     * @returns {Object} Normalized subscriber profile
+     */
+    normalizeSubscriber(data = {}) {
+        const legacyDnn = data.dnn || '5G-Lab';
+        const legacySst = parseInt(data.nssai_sst) || 1;
+
+        const normalizeSnssai = (snssai) => ({
+            sst: parseInt(snssai?.sst) || 1,
+            sd: this.normalizeSd(snssai?.sd)
+        });
+
+        // SM subscription data - one entry per DNN (an explicit empty list means no SM data)
+        let smData = Array.isArray(data.smData)
+            ? data.smData
+            : [{ dnn: legacyDnn, sst: legacySst }];
+
+        smData = smData.map((entry, index) => ({
+            dnn: entry.dnn,
+            sst: parseInt(entry.sst) || 1,
+            sd: this.normalizeSd(entry.sd),
+            pduSessionType: entry.pduSessionType || 'IPV4',
+            sessionAmbr: {
+                uplink: this.normalizeBitRate(entry.sessionAmbr?.uplink) || '100 Mbps',
+                downlink: this.normalizeBitRate(entry.sessionAmbr?.downlink) || '200 Mbps'
+            },
+            default5qi: parseInt(entry.default5qi) || 9,
+            arpPriorityLevel: parseInt(entry.arpPriorityLevel) || 8,
+            isDefault: entry.isDefault ?? index === 0,
+            // Optional static UE address the SMF assigns instead of a pool address
+            ...(this.normalizeStaticIpAddress(entry.staticIpAddress)
+                ? { staticIpAddress: this.normalizeStaticIpAddress(entry.staticIpAddress) }
+                : {})
+        }));
+
+        // Exactly one default DNN
+        const defaultIndex = Math.max(0, smData.findIndex(entry => entry.isDefault));
+        smData.forEach((entry, index) => { entry.isDefault = index === defaultIndex; });
+
+        // Access & Mobility subscription data
+        const amData = data.amData || {};
+        let defaultSingleNssais = (amData.nssai?.defaultSingleNssais || []).map(normalizeSnssai);
+        let singleNssais = (amData.nssai?.singleNssais || []).map(normalizeSnssai);
+        if (defaultSingleNssais.length === 0 && singleNssais.length === 0) {
+            defaultSingleNssais = [{ sst: smData[defaultIndex]?.sst || legacySst, sd: smData[defaultIndex]?.sd || '' }];
+        }
+
+        const profile = {
+            ...data,
+            imsi: data.imsi,
+            key: data.key,
+            opc: data.opc,
+            sqn: (data.sqn || '000000000020').toUpperCase(),
+            amf: (data.amf || '8000').toUpperCase(),
+            amData: {
+                ...amData,
+                subscribedUeAmbr: {
+                    uplink: this.normalizeBitRate(amData.subscribedUeAmbr?.uplink) || '1 Gbps',
+                    downlink: this.normalizeBitRate(amData.subscribedUeAmbr?.downlink) || '2 Gbps'
+                },
+                nssai: { defaultSingleNssais, singleNssais }
+            },
+            smData
+        };
+
+        // Mirror default DNN/slice into legacy flat fields
+        profile.dnn = smData[defaultIndex]?.dnn || '';
+        profile.nssai_sst = smData[defaultIndex]?.sst || legacySst;
+
+        if (!profile.policyProfile) delete profile.policyProfile;
+
+        // Optional identities (TS 29.571 GPSI / PEI forms)
+        profile.gpsi = this.normalizeGpsi(data.gpsi);
+        profile.pei = this.normalizePei(data.pei);
+        if (!profile.gpsi) delete profile.gpsi;
+        if (!profile.pei) delete profile.pei;
+
+        // Template link: the overrides are the sections that differ from the template
+        const template = data.template?.name ? this.getSubscriberTemplate(data.template.name) : null;
+        if (template) {
+            profile.template = { name: template.name, overrides: this.getTemplateOverrides(profile, template) };
+        } else {
+            delete profile.template;
+        }
+
+        this.normalizedSubscribers.add(profile);
+        return profile;
+    }
+
+    /**
+     * Collect all validation errors of a subscriber profile.
+     * Shared by the UDR panel, CSV import and the SQL engine.
+     * @param {Object} subscriber - Subscriber profile
+     * @param {Object} options - { requireSmData } (SQL rows may carry auth data only),
+     *   { template } to skip the credential checks of a profile template
+     * @returns {Array<string>} Error messages (empty if valid)
+     */
+    getSubscriberValidationErrors(subscriber, options = {}) {
+        const { requireSmData = true, template = false } = options;
+        const errors = [];
+        const bitRatePattern = /^\d+(\.\d+)? (bps|Kbps|Mbps|Gbps|Tbps)$/;
+        const isValidSnssai = (s) => Number.isInteger(s.sst) && s.sst >= 0 && s.sst <= 255 && (!s.sd || /^[0-9A-F]{6}$/.test(s.sd));
+        const { imsi, key, opc, sqn, amf } = subscriber || {};
+
+        if (!template && (!imsi || !/^\d{15}$/.test(imsi))) {
+            errors.push('Invalid IMSI: Must be exactly 15 digits');
+        }
+
+        if (!template && (!key || !/^[0-9a-fA-F]{32}$/.test(key))) {
+            errors.push('Invalid Key: Must be exactly 32 hexadecimal characters');
+        }
+
+        if (!template && (!opc || !/^[0-9a-fA-F]{32}$/.test(opc))) {
+            errors.push('Invalid OPc: Must be exactly 32 hexadecimal characters');
+        }
+
+        if (sqn !== undefined && !/^[0-9a-fA-F]{12}$/.test(sqn)) {
+            errors.push('Invalid SQN: Must be exactly 12 hexadecimal characters');
+        }
+
+        if (amf !== undefined && !/^[0-9a-fA-F]{4}$/.test(amf)) {
+            errors.push('Invalid AMF: Must be exactly 4 hexadecimal characters');
+        }
+
+        const gpsi = this.normalizeGpsi(subscriber?.gpsi);
+        if (gpsi && !/^msisdn-\d{5,15}$/.test(gpsi)) {
+            errors.push('Invalid GPSI: Use an MSISDN of 5-15 digits (e.g. msisdn-491701234567)');
+        }
+
+        const pei = this.normalizePei(subscriber?.pei);
+        if (pei && !/^imei(sv)?-\d+$/.test(pei)) {
+            errors.push('Invalid PEI: Use an IMEI (15 digits) or IMEISV (16 digits)');
+        }
+
+        // Access & Mobility data
+        const ueAmbr = subscriber?.amData?.subscribedUeAmbr;
+        if (ueAmbr && (!bitRatePattern.test(ueAmbr.uplink) || !bitRatePattern.test(ueAmbr.downlink))) {
+            errors.push('Invalid UE-AMBR: Use a bit rate such as "1 Gbps" or "500 Mbps"');
+        }
+
+        const nssai = subscriber?.amData?.nssai;
+        const snssais = nssai ? [...nssai.defaultSingleNssais, ...nssai.singleNssais] : null;
+        if (nssai) {
+            if (nssai.defaultSingleNssais.length === 0) {
+                errors.push('At least one default S-NSSAI is required');
+            }
+            if (snssais.some(s => !isValidSnssai(s))) {
+                errors.push('Invalid S-NSSAI: SST must be 0-255 and SD 6 hexadecimal characters');
+            }
+        }
+
+        // Access restrictions
+        const amData = subscriber?.amData || {};
+        const restrictedTacs = [
+            ...(amData.forbiddenAreas || []),
+            ...(amData.serviceAreaRestriction?.areas || [])
+        ].flatMap(area => area.tacs || []);
+        if (restrictedTacs.some(tac => !/^[0-9A-F]{6}$/.test(tac))) {
+            errors.push('Invalid TAC: Use up to 6 hexadecimal characters (e.g. 000001)');
+        }
+        if (amData.serviceAreaRestriction?.restrictionType === 'ALLOWED_AREAS' &&
+            !amData.serviceAreaRestriction.areas?.some(area => area.tacs?.length > 0)) {
+            errors.push('Service area restriction "Allowed areas" needs at least one TAC');
+        }
+
+        // SM subscription data
+        const smData = subscriber?.smData || [];
+        if (smData.length === 0 && requireSmData) {
+            errors.push('At least one DNN is required');
+        }
+
+        const seen = new Set();
+        const staticIps = new Set();
+        smData.forEach(entry => {
+            const label = entry.dnn || '(empty)';
+
+            if (!entry.dnn) {
+                errors.push('DNN is required');
+            } else if (!/^[A-Za-z0-9]([A-Za-z0-9.-]*[A-Za-z0-9])?$/.test(entry.dnn)) {
+                errors.push(`Invalid DNN "${entry.dnn}": Use letters, digits, "-" and "."`);
+            }
+
+            if (!isValidSnssai(entry) || entry.sst < 1) {
+                errors.push(`Invalid SST for DNN ${label}: Must be between 1 and 255 (SD 6 hex)`);
+            } else if (snssais && !snssais.some(s => s.sst === entry.sst && (s.sd || '') === (entry.sd || ''))) {
+                errors.push(`DNN ${label} uses S-NSSAI ${this.formatSnssai(entry)} which is not in the subscribed NSSAI`);
+            }
+
+            const pairKey = `${entry.dnn}|${entry.sst}|${entry.sd || ''}`;
+            if (seen.has(pairKey)) {
+                errors.push(`DNN ${label} is configured twice on the same S-NSSAI`);
+            }
+            seen.add(pairKey);
+
+            if (entry.sessionAmbr && (!bitRatePattern.test(entry.sessionAmbr.uplink) || !bitRatePattern.test(entry.sessionAmbr.downlink))) {
+                errors.push(`Invalid session AMBR for DNN ${label}: Use a bit rate such as "100 Mbps"`);
+            }
+
+            if (entry.default5qi !== undefined && (!Number.isInteger(entry.default5qi) || entry.default5qi < 1 || entry.default5qi > 255)) {
+                errors.push(`Invalid default 5QI for DNN ${label}: Must be between 1 and 255`);
+            }
+
+            if (entry.arpPriorityLevel !== undefined && (!Number.isInteger(entry.arpPriorityLevel) || entry.arpPriorityLevel < 1 || entry.arpPriorityLevel > 15)) {
+                errors.push(`Invalid ARP priority for DNN ${label}: Must be between 1 and 15`);
+            }
+
+            // Static UE addresses must match the PDU session type and be unique within the profile
+            const { ipv4Addr, ipv6Addr } = entry.staticIpAddress || {};
+            const pduSessionType = entry.pduSessionType || 'IPV4';
+            if (ipv4Addr) {
+                if (!this.isValidIPv4(ipv4Addr)) {
+                    errors.push(`Invalid static IPv4 address for DNN ${label}: ${ipv4Addr}`);
+                } else if (pduSessionType === 'IPV6') {
+                    errors.push(`Static IPv4 address for DNN ${label} needs PDU type IPV4 or IPV4V6`);
+                }
+            }
+            if (ipv6Addr) {
+                if (!window.nfManager?.expandIPv6(ipv6Addr)) {
+                    errors.push(`Invalid static IPv6 address for DNN ${label}: ${ipv6Addr}`);
+                } else if (pduSessionType === 'IPV4') {
+                    errors.push(`Static IPv6 address for DNN ${label} needs PDU type IPV6 or IPV4V6`);
+                }
+            }
+            [[ipv4Addr, ipv4Addr], [ipv6Addr, window.nfManager?.expandIPv6(ipv6Addr || '')?.join(':')]]
+                .filter(([address, key]) => address && key)
+                .forEach(([address, key]) => {
+                    if (staticIps.has(key)) {
+                        errors.push(`Static IP address ${address} is used by more than one DNN`);
+                    }
+                    staticIps.add(key);
+                });
+        });
+
+        if (smData.length > 0 && smData.filter(entry => entry.isDefault).length !== 1) {
+            errors.push('Exactly one DNN must be marked as default');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate an IPv4 address (first octet must not be 0)
+     * @param {string} ip - IPv4 address
+     * @returns {boolean} True if valid
+     */
+    isValidIPv4(ip) {
+        const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+        return ipRegex.test(ip) && Number(ip.split('.')[0]) !== 0;
+    }
+
+    /**
+     * Normalize a slice differentiator to 6 upper-case hex digits ("123" → "000123")
+     * @param {string} sd - Slice differentiator
+     * @returns {string} Normalized SD ('' when absent)
+     */
+    normalizeSd(sd) {
+        if (sd === undefined || sd === null || sd === '') return '';
+        const value = String(sd).trim().toUpperCase();
+        return /^[0-9A-F]{1,6}$/.test(value) ? value.padStart(6, '0') : value;
+    }
+
+    /**
+     * Normalize a tracking area code to 6 upper-case hex digits.
+     * Numbers are taken as decimal (gNB config, tac = 1), strings as hex (subscription data).
+     * @param {number|string} tac - Tracking area code
+     * @returns {string} Normalized TAC ("000001")
+     */
+    normalizeTac(tac) {
+        const value = typeof tac === 'number' ? tac.toString(16) : String(tac ?? '').trim();
+        return /^[0-9A-Fa-f]{1,6}$/.test(value) ? value.toUpperCase().padStart(6, '0') : value.toUpperCase();
+    }
+
+    /**
+     * Normalize a bit rate to the TS 29.571 form ("100Mbps" → "100 Mbps")
+     * @param {string} value - Bit rate string
+     * @returns {string} Normalized bit rate (unchanged if not recognised)
+     */
+    normalizeBitRate(value) {
+        if (!value) return '';
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)bps$/i);
+        if (!match) return String(value).trim();
+        const prefix = match[2] ? (match[2].toLowerCase() === 'k' ? 'K' : match[2].toUpperCase()) : '';
+        return `${match[1]} ${prefix}bps`;
+    }
+
+    /**
+     * Parse a TS 29.571 bit rate ("100 Mbps") into bits per second
+     * @param {string} value - Bit rate string
+     * @returns {number|null} Bits per second, null if not a bit rate
+     */
+    parseBitRate(value) {
+        const match = this.normalizeBitRate(value).match(/^(\d+(?:\.\d+)?) (|K|M|G|T)bps$/);
+        if (!match) return null;
+        return parseFloat(match[1]) * { '': 1, K: 1e3, M: 1e6, G: 1e9, T: 1e12 }[match[2]];
+    }
+
+    /**
+     * Normalize a static UE address (TS 29.503 IpAddress) of an SM data entry
+     * @param {Object} value - { ipv4Addr, ipv6Addr }
+     * @returns {Object|null} Object with the present addresses, null when none
+     */
+    normalizeStaticIpAddress(value) {
+        const ipv4Addr = String(value?.ipv4Addr ?? '').trim();
+        const ipv6Addr = String(value?.ipv6Addr ?? '').trim().toLowerCase();
+        if (!ipv4Addr && !ipv6Addr) return null;
+        return { ...(ipv4Addr ? { ipv4Addr } : {}), ...(ipv6Addr ? { ipv6Addr } : {}) };
+    }
+
+    /**
+     * Get all S-NSSAIs a subscriber is allowed to use (default + non-default)
+     * @param {Object} subscriber - Subscriber profile
+     * @returns {Array} Array of { sst, sd, isDefault }
+     */
+    getSubscribedSnssais(subscriber) {
+        const nssai = subscriber?.amData?.nssai || {};
+        return [
+            ...(nssai.defaultSingleNssais || []).map(s => ({ ...s, isDefault: true })),
+            ...(nssai.singleNssais || []).map(s => ({ ...s, isDefault: false }))
+        ];
+    }
+
+    /**
+     * Resolve the SM subscription data a UE would get for a DNN/slice request
+     * @param {Object} subscriber - Subscriber profile
+     * @param {string} dnn - Requested DNN (empty = subscriber default)
+     * @param {number} sst - Requested SST (empty = default slice of the DNN)
+     * @returns {Object} { allowed, field, reason, smData }
+     */
+    resolveSessionProfile(subscriber, dnn, sst) {
+        const smData = subscriber?.smData || [];
+        const requestedSst = parseInt(sst) || null;
+        const dnnEntries = dnn ? smData.filter(entry => entry.dnn === dnn) : smData.filter(entry => entry.isDefault);
+
+        if (dnnEntries.length === 0) {
+            return {
+                allowed: false,
+                field: 'DNN',
+                reason: `DNN ${dnn} is not subscribed (subscribed DNNs: ${[...new Set(smData.map(e => e.dnn))].join(', ') || 'none'})`,
+                smData: null
+            };
+        }
+
+        const entry = requestedSst ? dnnEntries.find(e => e.sst === requestedSst) : dnnEntries[0];
+        if (!entry) {
+            return {
+                allowed: false,
+                field: 'NSSAI_SST',
+                reason: `DNN ${dnnEntries[0].dnn} is not subscribed on SST ${requestedSst} (subscribed: ${dnnEntries.map(e => e.sst).join(', ')})`,
+                smData: null
+            };
+        }
+
+        const sliceSubscribed = this.getSubscribedSnssais(subscriber)
+            .some(s => s.sst === entry.sst && (!entry.sd || !s.sd || s.sd === entry.sd));
+        if (!sliceSubscribed) {
+            return {
+                allowed: false,
+                field: 'NSSAI_SST',
+                reason: `S-NSSAI ${this.formatSnssai(entry)} is not in the subscribed NSSAI`,
+                smData: null
+            };
+        }
+
+        return { allowed: true, field: null, reason: null, smData: entry };
+    }
+
+    /**
+     * Format an S-NSSAI as "SST" or "SST:SD"
+     * @param {Object} snssai - { sst, sd }
+     * @returns {string} Formatted S-NSSAI
+     */
+    formatSnssai(snssai) {
+        return snssai?.sd ? `${snssai.sst}:${snssai.sd}` : `${snssai?.sst}`;
+    }
+}
+
+// Network settings of a fresh lab (PLMN 001-01, TAC 1, GUAMI region 128 / set 1)
+DataStore.DEFAULT_NETWORK_SETTINGS = {
+    plmns: [{ mcc: '001', mnc: '01' }],
+    roamingPlmns: [],
+    tacs: [1],
+    amfRegionId: 128,
+    amfSetId: 1,
+    dnns: ['5G-Lab', 'internet'],
+    snssais: [{ sst: 1, sd: '' }, { sst: 2, sd: '' }, { sst: 3, sd: '' }]
+};
+
+// Profile sections a template sets on its subscribers (key → label)
+DataStore.TEMPLATE_SECTIONS = {
+    ueAmbr: 'UE-AMBR',
+    nssai: 'S-NSSAIs',
+    restrictions: 'Access restrictions',
+    smData: 'DNNs',
+    policyProfile: 'Policy profile'
+};
+
+// AM data restrictions a template can carry (barring stays per subscriber)
+DataStore.TEMPLATE_RESTRICTIONS = ['ratRestrictions', 'forbiddenAreas', 'serviceAreaRestriction', 'coreNetworkTypeRestrictions'];
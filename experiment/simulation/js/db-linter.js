@@ -0,0 +1,203 @@
+/**
+ * ============================================
+ * DB LINTER (UDR subscriber store checks)
+ * ============================================
+ * Lint pass over the UDR subscriber store against the topology, for the
+ * misconfigurations that make registrations or PDU sessions fail
+ *
+ * Responsibilities:
+ * - Flag duplicate IMSIs and K / OPc pairs shared by several SIMs
+ * - Flag IMSIs outside the network PLMNs and roaming partners
+ * - Flag DNNs no SMF serves and subscribed slices no AMF supports
+ * - Flag UEs whose IMSI / DNN point to missing subscriber data
+ * - Give every finding a severity and the subscriber or UE it is about
+ */
+
+class DbLinter {
+    constructor() {
+        console.log('✅ DbLinter initialized');
+    }
+
+    // ==========================================
+    // LINT PASS
+    // ==========================================
+
+    /**
+     * Run every rule over the UDR store
+     * @returns {Array} Findings { rule, severity, message, imsi, ueId }, errors first
+     */
+    lint() {
+        const subscribers = window.dataStore?.getSubscribers() || [];
+        const nfs = window.dataStore?.getAllNFs() || [];
+        const findings = [
+            ...this.checkDuplicateImsis(subscribers),
+            ...this.checkPlmn(subscribers),
+            ...this.checkSharedKeys(subscribers),
+            ...this.checkServedDnns(subscribers, nfs),
+            ...this.checkSupportedSlices(subscribers, nfs),
+            ...this.checkUeSubscribers(subscribers, nfs)
+        ];
+
+        return findings.sort((a, b) => DbLinter.SEVERITIES.indexOf(a.severity) - DbLinter.SEVERITIES.indexOf(b.severity));
+    }
+
+    /**
+     * Build a finding
+     * @param {string} rule - Key of DbLinter.RULES
+     * @param {string} message - What is wrong and what it causes
+     * @param {Object} target - { imsi } or { ueId }
+     * @returns {Object} Finding
+     */
+    finding(rule, message, target) {
+        return { rule, severity: DbLinter.RULES[rule].severity, message, imsi: target.imsi || null, ueId: target.ueId || null };
+    }
+
+    // ==========================================
+    // RULES
+    // ==========================================
+
+    /**
+     * The same IMSI stored more than once (the UDM only ever reads one of them)
+     * @param {Array} subscribers - Subscriber profiles
+     * @returns {Array} Findings
+     */
+    checkDuplicateImsis(subscribers) {
+        const counts = new Map();
+        subscribers.forEach(sub => counts.set(sub.imsi, (counts.get(sub.imsi) || 0) + 1));
+
+        return [...counts].filter(([, count]) => count > 1).map(([imsi, count]) =>
+            this.finding('duplicate-imsi', `IMSI ${imsi} is stored ${count} times - the UDM uses the first entry only`, { imsi }));
+    }
+
+    /**
+     * IMSIs outside the network PLMNs (registration is rejected with #11) and
+     * subscribers of roaming partners (they register as roamers)
+     * @param {Array} subscribers - Subscriber profiles
+     * @returns {Array} Findings
+     */
+    checkPlmn(subscribers) {
+        const settings = window.dataStore.getNetworkSettings();
+        const networkPlmns = settings.plmns.map(plmn => window.dataStore.formatPlmn(plmn)).join(' / ');
+
+        return subscribers.flatMap(sub => {
+            const plmn = window.dataStore.getImsiPlmn(sub.imsi);
+            if (!plmn) {
+                return [this.finding('plmn-mismatch',
+                    `IMSI ${sub.imsi} (MCC ${sub.imsi.substring(0, 3)}) is not in the network PLMN ${networkPlmns} or a roaming partner - registration is rejected with #11`,
+                    { imsi: sub.imsi })];
+            }
+            if (plmn.roaming) {
+                return [this.finding('plmn-roaming',
+                    `IMSI ${sub.imsi} belongs to roaming partner ${window.dataStore.formatPlmn(plmn)} - registration is handled as roaming`,
+                    { imsi: sub.imsi })];
+            }
+            return [];
+        });
+    }
+
+    /**
+     * K / OPc pairs used by more than one SIM
+     * @param {Array} subscribers - Subscriber profiles
+     * @returns {Array} Findings
+     */
+    checkSharedKeys(subscribers) {
+        const groups = new Map();
+        subscribers.forEach(sub => {
+            const pair = `${sub.key.toLowerCase()}|${sub.opc.toLowerCase()}`;
+            if (!groups.has(pair)) groups.set(pair, new Set());
+            groups.get(pair).add(sub.imsi);
+        });
+
+        return [...groups.values()].filter(group => group.size > 1).map(group => [...group]).flatMap(imsis => imsis.map(imsi => {
+            const others = imsis.length - 1;
+            const sample = imsis.slice(0, 4).filter(other => other !== imsi).slice(0, 3);
+            return this.finding('shared-keys',
+                `K / OPc of IMSI ${imsi} is also used by ${others} other SIM(s) (${sample.join(', ')}${others > 3 ? ', ...' : ''})`,
+                { imsi });
+        }));
+    }
+
+    /**
+     * Subscribed DNNs that no SMF serves (the PDU session is rejected)
+     * @param {Array} subscribers - Subscriber profiles
+     * @param {Array} nfs - Network functions
+     * @returns {Array} Findings
+     */
+    checkServedDnns(subscribers, nfs) {
+        const smfs = nfs.filter(nf => nf.type === 'SMF');
+        if (smfs.length === 0) return [];
+
+        const served = new Set(smfs.flatMap(smf => smf.config.dnns || window.dataStore.getNetworkSettings().dnns));
+        return subscribers.flatMap(sub => sub.smData.filter(entry => !served.has(entry.dnn)).map(entry =>
+            this.finding('dnn-not-served',
+                `DNN ${entry.dnn} of IMSI ${sub.imsi} is not served by any SMF (served: ${[...served].join(', ') || 'none'})`,
+                { imsi: sub.imsi })));
+    }
+
+    /**
+     * Subscribed S-NSSAIs that no AMF supports in a tracking area of the gNBs
+     * (the slice ends up in the Rejected NSSAI)
+     * @param {Array} subscribers - Subscriber profiles
+     * @param {Array} nfs - Network functions
+     * @returns {Array} Findings
+     */
+    checkSupportedSlices(subscribers, nfs) {
+        const amfs = nfs.filter(nf => nf.type === 'AMF');
+        if (amfs.length === 0 || !window.nssfEngine) return [];
+
+        // TAs broadcast by the gNBs, or every TA the AMFs are configured for
+        const gnbTacs = nfs.filter(nf => nf.type === 'gNB').map(gnb => window.dataStore.normalizeTac(gnb.config.tac ?? 1));
+        const tacs = gnbTacs.length > 0
+            ? [...new Set(gnbTacs)]
+            : [...new Set(amfs.flatMap(amf => (amf.config.taiSliceSupport || []).map(entry => window.dataStore.normalizeTac(entry.tac))))];
+        const supported = amfs.flatMap(amf => tacs.flatMap(tac => window.nssfEngine.getSupportedSnssais(amf, tac)));
+
+        return subscribers.flatMap(sub => window.dataStore.getSubscribedSnssais(sub)
+            .filter(snssai => !supported.some(s => window.nssfEngine.sameSnssai(s, snssai)))
+            .map(snssai => this.finding('slice-not-supported',
+                `S-NSSAI ${window.dataStore.formatSnssai(snssai)} of IMSI ${sub.imsi} is not supported by any AMF in TA ${tacs.join(', ') || '-'}`,
+                { imsi: sub.imsi })));
+    }
+
+    /**
+     * UEs configured with an IMSI, DNN or slice the UDR store does not have
+     * @param {Array} subscribers - Subscriber profiles
+     * @param {Array} nfs - Network functions
+     * @returns {Array} Findings
+     */
+    checkUeSubscribers(subscribers, nfs) {
+        const byImsi = new Map(subscribers.map(sub => [sub.imsi, sub]));
+
+        return nfs.filter(nf => nf.type === 'UE' && nf.config.subscriberImsi).flatMap(ue => {
+            const sub = byImsi.get(ue.config.subscriberImsi);
+            if (!sub) {
+                return [this.finding('ue-missing-subscriber',
+                    `${ue.name} is configured with IMSI ${ue.config.subscriberImsi}, which is not in the UDR store`,
+                    { ueId: ue.id })];
+            }
+
+            const { subscriberDnn: dnn, subscriberSst: sst } = ue.config;
+            if (dnn && !sub.smData.some(entry => entry.dnn === dnn && (!sst || entry.sst === parseInt(sst)))) {
+                return [this.finding('ue-dnn-not-subscribed',
+                    `${ue.name} requests DNN ${dnn}${sst ? ` on SST ${sst}` : ''}, which IMSI ${sub.imsi} has no SM data for`,
+                    { ueId: ue.id })];
+            }
+            return [];
+        });
+    }
+}
+
+// Severities, most severe first
+DbLinter.SEVERITIES = ['ERROR', 'WARNING', 'INFO'];
+
+// Lint rules (key → severity and label)
+DbLinter.RULES = {
+    'duplicate-imsi': { severity: 'ERROR', label: 'Duplicate IMSI' },
+    'plmn-mismatch': { severity: 'ERROR', label: 'IMSI outside network PLMN' },
+    'ue-missing-subscriber': { severity: 'ERROR', label: 'UE without subscriber' },
+    'dnn-not-served': { severity: 'ERROR', label: 'DNN not served by an SMF' },
+    'slice-not-supported': { severity: 'WARNING', label: 'Slice not supported by an AMF' },
+    'ue-dnn-not-subscribed': { severity: 'WARNING', label: 'UE DNN not subscribed' },
+    'plmn-roaming': { severity: 'INFO', label: 'IMSI of a roaming partner' },
+    'shared-keys': { severity: 'INFO', label: 'K / OPc shared by several SIMs' }
+};
@@ -270,8 +270,20 @@ class DeploymentManager {
             nf.config.subscriberImsi = nfConfig.config.subscriberImsi;
             nf.config.subscriberKey = nfConfig.config.subscriberKey;
             nf.config.subscriberOpc = nfConfig.config.subscriberOpc;
+            nf.config.subscriberSqn = nfConfig.config.subscriberSqn || '';
             nf.config.subscriberDnn = nfConfig.config.subscriberDnn;
             nf.config.subscriberSst = nfConfig.config.subscriberSst;
+            nf.config.suciScheme = nfConfig.config.suciScheme || nf.config.suciScheme;
+            nf.config.suciKeyId = nfConfig.config.suciKeyId ?? nf.config.suciKeyId;
+        }
+        if (nfConfig.config.suciKeys) {
+            nf.config.suciKeys = nfConfig.config.suciKeys.map(key => ({ ...key }));
+        }
+        if (nfConfig.config.dnns) {
+            nf.config.dnns = [...nfConfig.config.dnns];
+        }
+        if (nfConfig.config.policyProfiles) {
+            nf.config.policyProfiles = JSON.parse(JSON.stringify(nfConfig.config.policyProfiles));
         }
 
         // Update in data store
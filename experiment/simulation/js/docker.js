@@ -31,22 +31,15 @@
  *    - Fixed centered modal overlay
  *    - See: openTerminal()
  * 
- * 3. VI MODE - FULL NAVIGATION
- *    Exit Commands:
- *    - Press 'q' for quick exit (like less/more pagers)
- *    - Press ':q', ':q!', ':wq' for vi-style exit
- *    - Press 'Escape' to exit or clear command buffer
- *    
- *    Navigation Keys:
- *    - 'j' / 'k' → Scroll line by line
- *    - 'f' / 'b' → Scroll page by page
- *    - 'G' → Go to bottom
- *    - 'gg' → Go to top (press 'g' twice)
- *    - Arrow keys, PageUp/PageDown supported
- *    
- *    All keystrokes prevented from reaching terminal
- *    Uses event capture phase for proper isolation
- *    See: enterViMode(), viKeyHandler
+ * 3. VI - docker-compose.yml EDITOR
+ *    - vi docker-compose.yml opens the file in ViEditor (insert mode,
+ *      :w :q :q! :wq, /search, line numbers)
+ *    - :w stores the file in ComposeFile; YAML / compose errors are listed
+ *      in the editor and reported again by docker compose up -d
+ *    - docker compose up -d applies changed service IPs and environments
+ *      to the NFs, skips removed services and warns about their orphans
+ *      (--remove-orphans removes them)
+ *    See: dockerVi(), dockerComposeUp(), ComposeFile
  * 
  * 4. KEYBOARD SHORTCUTS
  *    - Ctrl+C → Interrupt/Stop watch mode
@@ -55,7 +48,14 @@
  *    - Enter → Execute command
  *    - Tab → Autocomplete with LCP
  * 
- * 5. CLEAN OUTPUT
+ * 5. MYSQL CLIENT
+ *    - docker exec -it mysql mysql -u test -p oai_db
+ *    - Password prompt, mysql> / -> prompts, ; \G terminators
+ *    - Statements run on SQLEngine (live view of the UDR store)
+ *    - exit / quit / \q leave the client, Ctrl+C clears the statement
+ *    See: dockerExec(), processSqlInput()
+ * 
+ * 6. CLEAN OUTPUT
  *    - No extra blank lines after commands
  *    - Professional spacing like real terminals
  *    - Color-coded output (Success/Warning/Error/Info)
@@ -82,6 +82,12 @@ class DockerTerminal {
         this.oaiWorkshopNetworkId = this.generateNetworkId();
         this.oaiWorkshopCreatedTime = null;
 
+        // Interactive mysql client session (null when not connected)
+        this.sqlSession = null;
+
+        // True while vi covers the terminal
+        this.isInViMode = false;
+
         // Cache for one-click.json topology
         this.oneClickTopology = null;
         this.topologyLoadPromise = null;
@@ -238,6 +244,9 @@ class DockerTerminal {
      * Open Docker terminal modal - Realistic Terminal Style
      */
     openTerminal() {
+        // A fresh terminal always starts at the docker prompt
+        this.sqlSession = null;
+
         // Remove existing terminal if any
         const existingTerminal = document.getElementById('docker-terminal-modal');
         if (existingTerminal) {
@@ -360,8 +369,10 @@ class DockerTerminal {
         const commands = [
             // Simple commands
             'help', 'status', 'check', 'clear', 'cls', 'exit', 'ls',
-            // vi - only docker-compose.yml
+            // vi - docker-compose.yml editor
             'vi docker-compose.yml',
+            // docker exec - mysql client
+            'docker exec -it mysql mysql -u test -p oai_db',
             // docker plain
             'docker ps',
             'docker network ls',
@@ -371,6 +382,7 @@ class DockerTerminal {
             'docker stop ',
             // docker compose (space form) — core
             'docker compose up -d',
+            'docker compose up -d --remove-orphans',
             'docker compose down',
             'docker compose -f docker-compose.yml up -d',
             'docker compose -f docker-compose.yml up -d ',   // trailing space → service name follows
@@ -428,6 +440,7 @@ class DockerTerminal {
 
         // Keep focus on input when clicking in terminal
         content.addEventListener('click', (e) => {
+            if (this.isInViMode) return;
             const inp = document.getElementById('docker-terminal-input');
             if (inp && e.target !== inp) {
                 inp.focus();
@@ -506,6 +519,22 @@ class DockerTerminal {
                 return;
             }
 
+            // mysql client: Ctrl+C drops the statement being typed
+            if (isCtrlC && this.sqlSession) {
+                e.preventDefault();
+                const inp = document.getElementById('docker-terminal-input');
+                this.addTerminalLine(output, this.escapeHtml(`${this.getSqlPrompt()} ${inp ? inp.textContent : ''}^C`), 'command');
+                if (this.sqlSession.stage === 'password') {
+                    this.endSqlSession(output);
+                } else {
+                    this.sqlSession.buffer = '';
+                    this.updatePrompt();
+                }
+                writeInput('');
+                scrollToBottom();
+                return;
+            }
+
             // Handle Ctrl+L to clear screen
             if (e.ctrlKey && e.key === 'l') {
                 e.preventDefault();
@@ -514,6 +543,27 @@ class DockerTerminal {
                 return;
             }
 
+            if (e.key === 'Enter' && this.sqlSession) {
+                e.preventDefault();
+                tab = null;
+                const inp = document.getElementById('docker-terminal-input');
+                const line = inp ? inp.textContent : '';
+                if (this.sqlSession.stage === 'password') {
+                    this.addTerminalLine(output, this.getSqlPrompt(), 'command');
+                } else {
+                    this.addTerminalLine(output, this.escapeHtml(`${this.getSqlPrompt()} ${line}`), 'command');
+                    if (line.trim()) {
+                        commandHistory.push(line.trim());
+                        historyIndex = commandHistory.length;
+                    }
+                }
+                writeInput('');
+                this.processSqlInput(line, output);
+                scrollToBottom();
+                document.getElementById('docker-terminal-input')?.focus();
+                return;
+            }
+
             if (e.key === 'Enter') {
                 e.preventDefault();
                 tab = null;
@@ -559,6 +609,9 @@ class DockerTerminal {
             } else if (e.key === 'Tab') {
                 e.preventDefault();
 
+                // No completion inside the mysql client
+                if (this.sqlSession) return;
+
                 // Cycle through stored options if tab is already active
                 if (tab && tab.active) {
                     tab.index = (tab.index + 1) % tab.options.length;
@@ -666,6 +719,8 @@ class DockerTerminal {
     async processCommand(command, output) {
         const cmd = command.toLowerCase().trim();
         const args = command.split(' ');
+        // docker compose up -d [--remove-orphans]
+        const composeCmd = cmd.replace(/\s+--remove-orphans(?=\s|$)/, '');
 
         if (cmd === 'help' || cmd === '?') {
             this.showHelp(output);
@@ -673,13 +728,13 @@ class DockerTerminal {
             this.dockerLS(output);
         } else if (cmd.startsWith('vi ') || cmd === 'vi') {
             const fileName = args[1] || '';
-            this.dockerVi(fileName, output);
+            await this.dockerVi(fileName, output);
         } else if (cmd === 'status' || cmd === 'check') {
             this.checkSystemStatus(output);
-        } else if (cmd === 'docker compose -f docker-compose.yml up -d' || cmd === 'docker-compose -f docker-compose.yml up -d' ||
-                   cmd === 'docker compose up -d' ||
-                   cmd === 'docker-compose up -d') {
-            await this.dockerComposeUp(output);
+        } else if (composeCmd === 'docker compose -f docker-compose.yml up -d' || composeCmd === 'docker-compose -f docker-compose.yml up -d' ||
+                   composeCmd === 'docker compose up -d' ||
+                   composeCmd === 'docker-compose up -d') {
+            await this.dockerComposeUp(output, { removeOrphans: composeCmd !== cmd });
         } else if (cmd === 'docker compose -f docker-compose-gnb.yml up -d' || 
                    cmd === 'docker-compose -f docker-compose-gnb.yml up -d') {
             await this.dockerComposeGnbUp(output);
@@ -730,6 +785,8 @@ class DockerTerminal {
         } else if (cmd === 'docker compose -f docker-compose-ue.yml down' ||
                    cmd === 'docker-compose -f docker-compose-ue.yml down') {
             await this.dockerComposeUeDown(output);
+        } else if (cmd.startsWith('docker exec ')) {
+            this.dockerExec(command, output);
         } else if (cmd.startsWith('docker start ')) {
             const serviceName = args.slice(2).join(' ');
             await this.dockerStart(serviceName, output);
@@ -799,417 +856,38 @@ class DockerTerminal {
     }
 
     /**
-     * Open a file in an embedded read-only viewer (vi)
+     * Edit a file in vi (docker-compose.yml is the only file)
      * @param {string} fileName - File to open
      * @param {HTMLElement} output - Output element
+     * @returns {Promise} Resolves when the editor is closed
      */
-    dockerVi(fileName, output) {
-        if (!fileName || fileName !== 'docker-compose.yml') {
-            this.addTerminalLine(output, `vi: ${fileName || 'no file'}: No such file or directory`, 'error');
+    async dockerVi(fileName, output) {
+        if (fileName.replace(/^\.\//, '') !== 'docker-compose.yml') {
+            this.addTerminalLine(output, `vi: ${this.escapeHtml(fileName || 'no file')}: No such file or directory`, 'error');
             return;
         }
 
-        const content = `services:
-    mysql:
-        container_name: "mysql"
-        image: ghcr.io/openairinterface/mysql:8.0
-        volumes:
-            - ./database/oai_db.sql:/docker-entrypoint-initdb.d/oai_db.sql
-            - ./healthscripts/mysql-healthcheck.sh:/tmp/mysql-healthcheck.sh
-        environment:
-            - TZ=Europe/Paris
-            - MYSQL_DATABASE=oai_db
-            - MYSQL_USER=test
-            - MYSQL_PASSWORD=test
-            - MYSQL_ROOT_PASSWORD=linux
-        healthcheck:
-            test: /bin/bash -c "/tmp/mysql-healthcheck.sh"
-            interval: 10s
-            timeout: 5s
-            retries: 30
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.131
-
-    oai-udr:
-        container_name: "oai-udr"
-        image: ghcr.io/openairinterface/oai-udr:develop
-        expose:
-            - 80/tcp
-            - 8080/tcp
-        volumes:
-            - ./conf/config.yaml:/openair-udr/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        depends_on:
-            - mysql
-            - oai-nrf
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.136
-
-    oai-udm:
-        container_name: "oai-udm"
-        image: ghcr.io/openairinterface/oai-udm:develop
-        expose:
-            - 80/tcp
-            - 8080/tcp
-        volumes:
-            - ./conf/config.yaml:/openair-udm/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        depends_on:
-            - oai-udr
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.137
-
-    oai-ausf:
-        container_name: "oai-ausf"
-        image: ghcr.io/openairinterface/oai-ausf:develop
-        expose:
-            - 80/tcp
-            - 8080/tcp
-        volumes:
-            - ./conf/config.yaml:/openair-ausf/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        depends_on:
-            - oai-udm
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.138
-
-    oai-nrf:
-        container_name: "oai-nrf"
-        image: ghcr.io/openairinterface/oai-nrf:develop
-        expose:
-            - 80/tcp
-            - 8080/tcp
-        volumes:
-            - ./conf/config.yaml:/openair-nrf/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.130
-
-    oai-amf:
-        container_name: "oai-amf"
-        image: ghcr.io/openairinterface/oai-amf:develop
-        expose:
-            - 80/tcp
-            - 8080/tcp
-            - 38412/sctp
-        volumes:
-            - ./conf/config.yaml:/openair-amf/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        depends_on:
-            - mysql
-            - oai-nrf
-            - oai-ausf
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.132
-
-    oai-smf:
-        container_name: "oai-smf"
-        image: ghcr.io/openairinterface/oai-smf:develop
-        expose:
-            - 80/tcp
-            - 8080/tcp
-            - 8805/udp
-        volumes:
-            - ./conf/config.yaml:/openair-smf/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        depends_on:
-            - oai-nrf
-            - oai-amf
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.133
-
-    oai-upf:
-        container_name: "oai-upf"
-        image: ghcr.io/openairinterface/oai-upf:develop
-        expose:
-            - 80/tcp
-            - 2152/udp
-            - 8805/udp
-        volumes:
-            - ./conf/config.yaml:/openair-upf/etc/config.yaml
-        environment:
-            - TZ=Europe/Paris
-        depends_on:
-            - oai-nrf
-            - oai-smf
-        cap_add:
-            - NET_ADMIN
-            - SYS_ADMIN
-        cap_drop:
-            - ALL
-        privileged: true
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.134
-
-    oai-traffic-server:
-        privileged: true
-        init: true
-        container_name: oai-ext-dn
-        image: ghcr.io/openairinterface/trf-gen-cn5g:latest
-        environment:
-            - UPF_FQDN=oai-upf
-            - UE_NETWORK=10.0.0.0/24
-            - USE_FQDN=yes
-        healthcheck:
-            test: /bin/bash -c "ip r | grep 12.1.1"
-            interval: 10s
-            timeout: 5s
-            retries: 5
-        networks:
-            public_net:
-                ipv4_address: 192.168.70.135
-
-networks:
-    public_net:
-        driver: bridge
-        name: oaiworkshop
-        ipam:
-            config:
-                - subnet: 192.168.70.128/26
-        driver_opts:
-            com.docker.network.bridge.name: "oaiworkshop"`;
-
-        this.enterViMode(fileName, content);
-    }
-
-    /**
-     * Enter embedded vi mode inside terminal window
-     * @param {string} fileName - File name
-     * @param {string} content - File content
-     */
-    enterViMode(fileName, content) {
+        // vi covers the terminal until :q / :wq
         const terminalContent = document.getElementById('docker-terminal-content');
-        if (!terminalContent) return;
-
-        // Save and hide current output/input
-        const output = document.getElementById('docker-terminal-output');
         const inputLine = document.getElementById('docker-terminal-input-line');
-        if (output) output.style.display = 'none';
+        output.style.display = 'none';
         if (inputLine) inputLine.style.display = 'none';
-
-        // Create vi container (covers the area)
-        const viContainer = document.createElement('div');
-        viContainer.id = 'vi-editor-container';
-        viContainer.style.cssText = `
-            position: absolute;
-            top: 35px; /* Adjust for titlebar height */
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: #000;
-            display: flex;
-            flex-direction: column;
-            z-index: 100;
-        `;
-
-        const editorBody = document.createElement('div');
-        editorBody.style.cssText = `
-            flex: 1;
-            padding: 10px;
-            overflow-y: auto;
-            font-family: 'Consolas', 'Courier New', monospace;
-            font-size: 13px;
-            line-height: 1.5;
-            color: #d4d4d4;
-        `;
-
-        const lines = content.split('\n');
-        let highlightedContent = '';
-        lines.forEach((line, index) => {
-            const lineNum = (index + 1).toString().padStart(2, ' ');
-            // Simple syntax highlighting for YAML
-            let formattedLine = line
-                .replace(/^(\s*)([a-zA-Z0-9_-]+):/, '$1<span style="color:#9cdcfe">$2</span>:')
-                .replace(/: "(.*)"$/, ': <span style="color:#ce9178">"$1"</span>')
-                .replace(/: (.*)$/, (match, group) => {
-                    if (group.includes('span')) return match;
-                    return ': <span style="color:#b5cea8">' + group + '</span>';
-                });
-            
-            highlightedContent += `<div style="display:flex; white-space: pre;"><span style="color:#858585; min-width: 30px; margin-right: 15px; user-select:none; text-align: right;">${lineNum}</span><span>${formattedLine}</span></div>`;
-        });
-
-        editorBody.innerHTML = highlightedContent;
-
-        const statusBar = document.createElement('div');
-        statusBar.style.cssText = `
-            height: 25px;
-            background: #264f78;
-            color: #fff;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            padding: 0 10px;
-            font-size: 11px;
-            font-family: sans-serif;
-        `;
-        statusBar.innerHTML = `<span>"${fileName}" [readonly]</span><span>Press 'q' or ':q' to close`;
-
-        viContainer.appendChild(editorBody);
-        viContainer.appendChild(statusBar);
-        terminalContent.appendChild(viContainer);
-
         this.isInViMode = true;
-        this.viCommandBuffer = '';
-        this.viGBuffer = ''; // For 'gg' command
-
-        // Custom key handler for vi mode - Full vi navigation
-        this.viKeyHandler = (e) => {
-            if (!this.isInViMode) return;
-
-            // Prevent all keys from reaching terminal
-            e.preventDefault();
-            e.stopPropagation();
-
-            const viBody = document.querySelector('#vi-editor-container > div:first-child');
-            if (!viBody) return;
-
-            // Handle 'g' for 'gg' (go to top)
-            if (e.key.toLowerCase() === 'g') {
-                if (this.viGBuffer === 'g') {
-                    // Second 'g' - go to top
-                    viBody.scrollTop = 0;
-                    this.viGBuffer = '';
-                } else {
-                    // First 'g' - wait for second
-                    this.viGBuffer = 'g';
-                    setTimeout(() => { this.viGBuffer = ''; }, 1000); // Reset after 1 second
-                }
-                return;
-            }
-
-            // Handle 'G' (go to bottom)
-            if (e.key === 'G') {
-                viBody.scrollTop = viBody.scrollHeight;
-                return;
-            }
-
-            // Handle 'j' (scroll down one line)
-            if (e.key.toLowerCase() === 'j') {
-                viBody.scrollTop += 20; // Approximate line height
-                return;
-            }
-
-            // Handle 'k' (scroll up one line)
-            if (e.key.toLowerCase() === 'k') {
-                viBody.scrollTop -= 20; // Approximate line height
-                return;
-            }
-
-            // Handle 'f' (scroll forward one page)
-            if (e.key.toLowerCase() === 'f') {
-                viBody.scrollTop += viBody.clientHeight;
-                return;
-            }
-
-            // Handle 'b' (scroll backward one page)
-            if (e.key.toLowerCase() === 'b') {
-                viBody.scrollTop -= viBody.clientHeight;
-                return;
-            }
 
-            // Handle Arrow keys for scrolling
-            if (e.key === 'ArrowDown') {
-                viBody.scrollTop += 20;
-                return;
-            }
-
-            if (e.key === 'ArrowUp') {
-                viBody.scrollTop -= 20;
-                return;
-            }
-
-            if (e.key === 'PageDown') {
-                viBody.scrollTop += viBody.clientHeight;
-                return;
-            }
-
-            if (e.key === 'PageUp') {
-                viBody.scrollTop -= viBody.clientHeight;
-                return;
-            }
-
-            // Handle simple 'q' key to exit (like less/more pagers)
-            if (e.key.toLowerCase() === 'q' && this.viCommandBuffer === '') {
-                this.exitViMode();
-                return;
-            }
-
-            // Handle ':' to start command mode
-            if (e.key === ':') {
-                this.viCommandBuffer = ':';
-                return;
-            }
-
-            // If in command mode, handle command input
-            if (this.viCommandBuffer === ':') {
-                if (e.key === 'q' || e.key === 'Q') {
-                    // :q or :Q command
-                    this.exitViMode();
-                    return;
-                } else if (e.key === 'Escape') {
-                    // Cancel command mode
-                    this.viCommandBuffer = '';
-                    return;
+        await new Promise(resolve => {
+            const editor = new ViEditor({
+                container: terminalContent,
+                fileName: 'docker-compose.yml',
+                content: window.composeFile.content,
+                onSave: (text) => window.composeFile.save(text),
+                onClose: () => {
+                    this.isInViMode = false;
+                    output.style.display = '';
+                    resolve();
                 }
-            }
-
-            // Handle Enter key in command mode
-            if (e.key === 'Enter' && this.viCommandBuffer.startsWith(':')) {
-                const cmd = this.viCommandBuffer.slice(1).toLowerCase();
-                if (['q', 'q!', 'wq', 'quit', 'exit'].includes(cmd)) {
-                    this.exitViMode();
-                }
-                this.viCommandBuffer = '';
-                return;
-            }
-
-            // Handle Escape to exit or clear command buffer
-            if (e.key === 'Escape') {
-                if (this.viCommandBuffer) {
-                    this.viCommandBuffer = '';
-                } else {
-                    this.exitViMode();
-                }
-                return;
-            }
-        };
-        // Use capture phase to intercept BEFORE main terminal handler
-        document.addEventListener('keydown', this.viKeyHandler, true);
-    }
-
-    /**
-     * Exit vi mode and restore terminal
-     */
-    exitViMode() {
-        const viContainer = document.getElementById('vi-editor-container');
-        if (viContainer) viContainer.remove();
-
-        const output = document.getElementById('docker-terminal-output');
-        const inputLine = document.getElementById('docker-terminal-input-line');
-        if (output) output.style.display = 'block';
-        if (inputLine) inputLine.style.display = 'flex';
-        
-        this.isInViMode = false;
-        document.removeEventListener('keydown', this.viKeyHandler, true);
-        
-        // Refocus main terminal input
-        const input = document.getElementById('docker-terminal-input');
-        if (input) input.focus();
+            });
+            editor.open();
+        });
     }
 
     /**
@@ -1220,8 +898,9 @@ networks:
         const helpText = [
             'Available Docker Commands:',
             '',
-            '  docker compose -f docker-compose.yml up -d',
-            '    Start all Core Network Functions (one-click deployment)',
+            '  docker compose -f docker-compose.yml up -d [--remove-orphans]',
+            '    Start all Core Network Functions (one-click deployment) and apply',
+            '    the edited docker-compose.yml (IPs, environment, removed services)',
             '',
             '  docker compose -f docker-compose-gnb.yml up -d',
             '    Start gNB (gNodeB) container',
@@ -1259,6 +938,9 @@ networks:
             '  docker compose -f docker-compose-ue.yml down',
             '    Stop and remove all UE containers',
             '',
+            '  docker exec -it mysql mysql -u test -p oai_db',
+            '    Open a MySQL client on the subscriber database (password: test)',
+            '',
             '  docker start <service-name>',
             '    Start a specific Network Function',
             '',
@@ -1269,7 +951,8 @@ networks:
             '    List files in current directory',
             '',
             '  vi <file-name>',
-            '    Open file in read-only viewer (e.g., vi docker-compose.yml)',
+            '    Edit a file (e.g., vi docker-compose.yml): i insert, Esc, :w save, :q quit,',
+            '    :q! discard, :wq save and quit, /text search (n / N next / previous)',
             '',
             '  cls / clear',
             '    Clear the terminal screen',
@@ -1288,10 +971,11 @@ networks:
     }
 
     /**
-     * Execute docker compose up -d (start all NFs)
+     * Execute docker compose up -d (start all NFs and apply docker-compose.yml)
      * @param {HTMLElement} output - Output element
+     * @param {Object} options - { removeOrphans } (--remove-orphans)
      */
-    async dockerComposeUp(output) {
+    async dockerComposeUp(output, { removeOrphans = false } = {}) {
         // Check if dataStore is available
         if (!window.dataStore) {
             this.addTerminalLine(output, 'Error: DataStore not initialized. Please refresh the page.', 'error');
@@ -1306,10 +990,28 @@ networks:
             return;
         }
 
+        // Load docker-compose.yml as written in vi; like compose, nothing starts if it does not load
+        const project = window.composeFile.load();
+        const composeErrors = project.errors.length > 0
+            ? window.composeFile.formatErrors(project.errors)
+            : window.composeFile.checkAddresses(project).slice(0, 1).map(error => error.message);
+        if (composeErrors.length > 0) {
+            composeErrors.forEach(line => this.addTerminalLine(output, this.escapeHtml(line), 'error'));
+            return;
+        }
+
         // Get existing NFs from data store (exclude gNB and UE for core network deployment)
         let existingNFs = window.dataStore.getAllNFs() || [];
         existingNFs = existingNFs.filter(nf => nf.type !== 'gNB' && nf.type !== 'UE');
 
+        // NFs of services removed from the file are orphans; the others are recreated if their service changed
+        const orphans = existingNFs.filter(nf => window.composeFile.isRemoved(project, nf.type));
+        const recreateChanges = new Map();
+        existingNFs.filter(nf => !orphans.includes(nf)).forEach(nf => {
+            const changes = window.composeFile.getChanges(project, nf);
+            if (changes) recreateChanges.set(nf.id, changes);
+        });
+
         // Load topology from one-click.json to get expected NFs
         let topology = null;
         try {
@@ -1332,9 +1034,9 @@ networks:
         const filteredTopology = topology ? this.filterTopology(topology) : null;
         const expectedNFs = filteredTopology?.nfs || [];
 
-        // Find which NFs are missing (need to be created)
+        // Find which NFs are missing (need to be created), skipping services removed from the file
         const existingNFTypes = new Set(existingNFs.map(nf => nf.type));
-        const missingNFs = expectedNFs.filter(nf => !existingNFTypes.has(nf.type));
+        const missingNFs = expectedNFs.filter(nf => !existingNFTypes.has(nf.type) && !window.composeFile.isRemoved(project, nf.type));
 
         // Create buses from one-click.json if they don't exist
         if (filteredTopology && filteredTopology.buses && window.busManager) {
@@ -1405,6 +1107,12 @@ networks:
                     if (window.logEngine) {
                         window.logEngine.onNFAdded(nf);
                     }
+
+                    // Service address / environment from docker-compose.yml
+                    const changes = window.composeFile.getChanges(project, nf);
+                    if (changes) {
+                        window.composeFile.apply(nf, changes);
+                    }
                     
                     nfsToStart.push(nf);
                 }
@@ -1420,7 +1128,13 @@ networks:
         const alreadyRunning = existingNFs.length;
         const newlyCreated = nfsToStart.length;
         const networkCount = this.oaiWorkshopNetworkExists ? 0 : 1;
-        const totalOperations = networkCount + newlyCreated;
+        const orphansRemoved = removeOrphans ? orphans.length : 0;
+        const totalOperations = networkCount + newlyCreated + recreateChanges.size + orphansRemoved;
+
+        if (orphans.length > 0 && !removeOrphans) {
+            const names = orphans.map(nf => ComposeFile.CONTAINER_NAMES[nf.type]).join(' ');
+            this.addTerminalLine(output, `WARN[0000] Found orphan containers ([${names}]) for this project. If you removed or renamed this service in your compose file, you can run this command with the --remove-orphans flag to clean it up.`, 'warning');
+        }
 
         // Show Docker Compose style output
         if (totalOperations > 0) {
@@ -1440,8 +1154,23 @@ networks:
             await this.delay(200);
         }
 
-        // Start only newly created NFs (skip already running ones)
-        for (const nf of nfsToStart) {
+        // --remove-orphans: stop and remove the NFs of removed services
+        if (removeOrphans) {
+            for (const orphan of orphans) {
+                if (!window.dataStore.getNFById(orphan.id)) continue;
+                const randomDelay = (Math.random() * 1.5 + 0.8).toFixed(1);
+                this.addTerminalLine(output, ` ✔ Container ${ComposeFile.CONTAINER_NAMES[orphan.type].padEnd(16)} Removed${' '.repeat(20)}${randomDelay}s`, 'success');
+                await this.delay(parseFloat(randomDelay) * 1000);
+                window.nfManager.deleteNetworkFunction(orphan.id);
+                window.dataStore.getAllBusConnections()
+                    .filter(bc => bc.nfId === orphan.id)
+                    .forEach(bc => window.dataStore.removeBusConnection(bc.id));
+            }
+        }
+
+        // Recreate changed services, start newly created NFs (skip unchanged running ones)
+        const recreated = existingNFs.filter(nf => recreateChanges.has(nf.id));
+        for (const nf of [...recreated, ...nfsToStart]) {
             // Skip gNB and UE - they have separate compose files
             if (nf.type === 'gNB' || nf.type === 'UE') {
                 continue;
@@ -1466,9 +1195,15 @@ networks:
             };
             const serviceName = serviceNameMap[freshNF.type] || freshNF.type.toLowerCase();
 
+            // A changed service gets a new container with the new address / environment
+            const action = recreateChanges.has(freshNF.id) ? 'Recreated' : 'Started';
+            if (action === 'Recreated') {
+                window.composeFile.apply(freshNF, recreateChanges.get(freshNF.id));
+            }
+
             // Show container creation with timing (random between 0.8s and 2.3s)
             const randomDelay = (Math.random() * 1.5 + 0.8).toFixed(1); // 0.8s to 2.3s
-            this.addTerminalLine(output, ` ✔ Container ${serviceName.padEnd(16)} Started${' '.repeat(20)}${randomDelay}s`, 'success');
+            this.addTerminalLine(output, ` ✔ Container ${serviceName.padEnd(16)} ${action}${' '.repeat(20)}${randomDelay}s`, 'success');
             await this.delay(parseFloat(randomDelay) * 1000); // Convert to milliseconds
 
             // Set status to starting (preserve createdAt)
@@ -2174,13 +1909,30 @@ networks:
             'oai-nssf': 'NSSF', 'mysql': 'MySQL', 'oai-ext-dn': 'ext-dn', 'oai-gnb': 'gNB', 'oai-ue': 'UE'
         };
 
-        const nfType = serviceNameMap[serviceName.toLowerCase()];
+        // The service as written in docker-compose.yml (vi); compose refuses a file that does not load
+        const project = window.composeFile.load();
+        const nfType = serviceNameMap[serviceName.toLowerCase()] ||
+            window.composeFile.getNfType(project, serviceName) || window.composeFile.getNfType(window.composeFile.defaults, serviceName);
+        const service = nfType ? window.composeFile.getService(project, nfType) : null;
+        const composeErrors = project.errors.length > 0
+            ? window.composeFile.formatErrors(project.errors)
+            : window.composeFile.checkAddresses(project).filter(error => error.service === service?.name).slice(0, 1).map(error => error.message);
+        if (composeErrors.length > 0) {
+            composeErrors.forEach(line => this.addTerminalLine(output, this.escapeHtml(line), 'error'));
+            return;
+        }
+        if (nfType && window.composeFile.isRemoved(project, nfType)) {
+            this.addTerminalLine(output, `no such service: ${this.escapeHtml(serviceName)}`, 'error');
+            return;
+        }
+
         const allNFs = window.dataStore?.getAllNFs() || [];
 
         let nf = null;
         if (nfType) {
             nf = allNFs.find(n => n.type === nfType);
         }
+        const existed = !!nf;
 
         // If not found, try to find by exact service name stored as name
         if (!nf) {
@@ -2217,11 +1969,17 @@ networks:
             return;
         }
 
+        // Service address / environment from docker-compose.yml (a changed running service is recreated)
+        const changes = window.composeFile.getChanges(project, nf);
+        if (changes) {
+            window.composeFile.apply(nf, changes);
+        }
+
         this.addTerminalLine(output, 'WARN[0000] No services to build', 'warning');
         this.addTerminalLine(output, '[+] up 1/1', 'info');
 
         const randomDelay = (Math.random() * 0.3 + 0.1).toFixed(1);
-        this.addTerminalLine(output, `✔ Container ${serviceName} Created${' '.repeat(20)}${randomDelay}s`, 'success');
+        this.addTerminalLine(output, `✔ Container ${serviceName} ${existed && changes ? 'Recreated' : 'Created'}${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
         // Mark starting and schedule stable status
@@ -3129,6 +2887,302 @@ networks:
         this.addTerminalLine(output, '  Version:          0.19.0', 'info');
         this.addTerminalLine(output, '  GitCommit:        de40ad0', 'info');
     }
+
+    // ==========================================
+    // MYSQL CLIENT (docker exec)
+    // ==========================================
+
+    /**
+     * docker exec [-it] <container> <command...>
+     * Only the mysql client inside the mysql container is available.
+     * @param {string} command - Full command line
+     * @param {HTMLElement} output - Output element
+     */
+    dockerExec(command, output) {
+        const parts = command.trim().split(/\s+/).slice(2);
+        while (parts.length && parts[0].startsWith('-')) parts.shift();
+
+        const containerName = parts.shift();
+        if (!containerName) {
+            this.addTerminalLine(output, '"docker exec" requires at least 2 arguments.', 'error');
+            this.addTerminalLine(output, 'Usage:  docker exec [OPTIONS] CONTAINER COMMAND [ARG...]', 'info');
+            return;
+        }
+
+        const mysqlNF = (window.dataStore?.getAllNFs() || []).find(nf => nf.type === 'MySQL');
+        if (containerName !== 'mysql' || !mysqlNF) {
+            this.addTerminalLine(output, this.escapeHtml(`Error response from daemon: No such container: ${containerName}`), 'error');
+            return;
+        }
+
+        if (mysqlNF.status !== 'stable') {
+            this.addTerminalLine(output, `Error response from daemon: container ${mysqlNF.id} is not running`, 'error');
+            return;
+        }
+
+        const program = parts.shift();
+        if (!program) {
+            this.addTerminalLine(output, '"docker exec" requires at least 2 arguments.', 'error');
+            return;
+        }
+        if (program !== 'mysql') {
+            this.addTerminalLine(output, this.escapeHtml(`OCI runtime exec failed: exec failed: unable to start container process: exec: "${program}": executable file not found in $PATH: unknown`), 'error');
+            return;
+        }
+
+        // Parse mysql client options
+        const session = { user: 'root', password: null, askPassword: false, database: null, stage: 'query', buffer: '' };
+        for (let i = 0; i < parts.length; i++) {
+            const arg = parts[i];
+            if (arg === '-u' || arg === '--user') {
+                session.user = parts[++i] || '';
+            } else if (arg.startsWith('--user=')) {
+                session.user = arg.slice(7);
+            } else if (arg.startsWith('-u')) {
+                session.user = arg.slice(2);
+            } else if (arg === '-p' || arg === '--password') {
+                session.askPassword = true;
+            } else if (arg.startsWith('--password=')) {
+                session.password = arg.slice(11);
+            } else if (arg.startsWith('-p')) {
+                session.password = arg.slice(2);
+            } else if (arg === '-D' || arg === '--database') {
+                session.database = parts[++i] || null;
+            } else if (arg.startsWith('-')) {
+                this.addTerminalLine(output, this.escapeHtml(`mysql: [ERROR] unknown option '${arg}'.`), 'error');
+                return;
+            } else {
+                session.database = arg;
+            }
+        }
+
+        this.sqlSession = session;
+        if (session.askPassword) {
+            session.stage = 'password';
+            this.updatePrompt();
+            return;
+        }
+
+        if (session.password !== null) {
+            this.addTerminalLine(output, 'mysql: [Warning] Using a password on the command line interface can be insecure.', 'warning');
+        }
+        this.connectSqlSession(output);
+    }
+
+    /**
+     * Authenticate the pending mysql session and print the client banner
+     * @param {HTMLElement} output - Output element
+     */
+    connectSqlSession(output) {
+        const session = this.sqlSession;
+        // Credentials from the environment the mysql container was started with (docker-compose.yml)
+        const mysql = window.dataStore?.getAllNFs().find(nf => nf.type === 'MySQL');
+        const environment = window.composeFile.getEnvironment('MySQL', mysql);
+        const accounts = { root: environment.MYSQL_ROOT_PASSWORD ?? '' };
+        if (environment.MYSQL_USER) {
+            accounts[environment.MYSQL_USER] = environment.MYSQL_PASSWORD ?? '';
+        }
+
+        if (accounts[session.user] === undefined || accounts[session.user] !== (session.password || '')) {
+            const usingPassword = session.password ? 'YES' : 'NO';
+            this.addTerminalLine(output, this.escapeHtml(`ERROR 1045 (28000): Access denied for user '${session.user}'@'localhost' (using password: ${usingPassword})`), 'error');
+            this.endSqlSession(output, false);
+            return;
+        }
+
+        if (session.database && session.database !== window.sqlEngine.database) {
+            this.addTerminalLine(output, this.escapeHtml(`ERROR 1049 (42000): Unknown database '${session.database}'`), 'error');
+            this.endSqlSession(output, false);
+            return;
+        }
+
+        session.stage = 'query';
+        session.connectionId = Math.floor(Math.random() * 40) + 8;
+
+        [
+            'Welcome to the MySQL monitor.  Commands end with ; or \\g.',
+            `Your MySQL connection id is ${session.connectionId}`,
+            'Server version: 8.0.36 MySQL Community Server - GPL',
+            '',
+            'Copyright (c) 2000, 2024, Oracle and/or its affiliates.',
+            '',
+            'Oracle is a registered trademark of Oracle Corporation and/or its',
+            'affiliates. Other names may be trademarks of their respective',
+            'owners.',
+            '',
+            "Type 'help;' or '\\h' for help. Type '\\c' to clear the current input statement.",
+            ''
+        ].forEach(line => this.addTerminalLine(output, this.escapeHtml(line), line ? 'info' : 'blank'));
+
+        const mysqlNF = window.dataStore.getAllNFs().find(nf => nf.type === 'MySQL');
+        if (window.logEngine && mysqlNF) {
+            window.logEngine.addLog(mysqlNF.id, 'INFO', `mysql client connected as '${session.user}'@'localhost'`, {
+                connectionId: session.connectionId,
+                database: session.database || '(none)'
+            });
+        }
+
+        this.updatePrompt();
+    }
+
+    /**
+     * Handle one line typed in the mysql client
+     * @param {string} line - Raw input line
+     * @param {HTMLElement} output - Output element
+     */
+    processSqlInput(line, output) {
+        const session = this.sqlSession;
+        if (!session) return;
+
+        if (session.stage === 'password') {
+            session.password = line;
+            this.connectSqlSession(output);
+            return;
+        }
+
+        const trimmed = line.trim();
+        const clientCommand = trimmed.replace(/;$/, '').toLowerCase();
+
+        // Client commands are only recognised at the start of a statement
+        if (!session.buffer.trim()) {
+            if (['exit', 'quit', '\\q'].includes(clientCommand)) {
+                this.addTerminalLine(output, 'Bye', 'info');
+                this.endSqlSession(output);
+                return;
+            }
+            if (['help', '\\h', '?', '\\?'].includes(clientCommand)) {
+                this.showSqlHelp(output);
+                return;
+            }
+        }
+        if (trimmed.endsWith('\\c')) {
+            session.buffer = '';
+            this.updatePrompt();
+            return;
+        }
+
+        session.buffer += (session.buffer ? '\n' : '') + line;
+        const { statements, rest } = window.sqlEngine.splitStatements(session.buffer);
+        session.buffer = rest.trim() ? rest : '';
+
+        statements.forEach(({ sql, vertical }) => {
+            if (!session.database && !/^(use|show\s+databases)\b/i.test(sql)) {
+                this.addTerminalLine(output, 'ERROR 1046 (3D000): No database selected', 'error');
+                return;
+            }
+            this.runSqlStatement(sql, vertical, output);
+        });
+
+        this.updatePrompt();
+    }
+
+    /**
+     * Execute one statement and print the result like the mysql client
+     * @param {string} sql - Statement
+     * @param {boolean} vertical - \G output
+     * @param {HTMLElement} output - Output element
+     */
+    runSqlStatement(sql, vertical, output) {
+        const started = performance.now();
+        let result;
+        try {
+            result = window.sqlEngine.execute(sql);
+        } catch (error) {
+            this.addTerminalLine(output, this.escapeHtml(window.sqlEngine.formatError(error)), 'error');
+            return;
+        }
+        const elapsed = `(${((performance.now() - started) / 1000 + 0.001).toFixed(2)} sec)`;
+
+        if (result.type === 'message') {
+            if (/^use\b/i.test(sql)) this.sqlSession.database = window.sqlEngine.database;
+            this.addTerminalLine(output, result.text, 'info');
+        } else if (result.type === 'rows') {
+            if (result.rows.length === 0) {
+                this.addTerminalLine(output, `Empty set ${elapsed}`, 'info');
+            } else {
+                const lines = vertical
+                    ? window.sqlEngine.formatVertical(result.columns, result.rows)
+                    : window.sqlEngine.formatTable(result.columns, result.rows);
+                lines.forEach(l => this.addTerminalLine(output, this.escapeHtml(l), 'info'));
+                this.addTerminalLine(output, `${result.rows.length} ${result.rows.length === 1 ? 'row' : 'rows'} in set ${elapsed}`, 'info');
+            }
+        } else {
+            this.addTerminalLine(output, `Query OK, ${result.affected} ${result.affected === 1 ? 'row' : 'rows'} affected ${elapsed}`, 'success');
+            if (result.info) this.addTerminalLine(output, result.info, 'info');
+        }
+        this.addTerminalLine(output, '', 'blank');
+    }
+
+    /**
+     * Show mysql client help
+     * @param {HTMLElement} output - Output element
+     */
+    showSqlHelp(output) {
+        [
+            'List of all MySQL commands:',
+            "Note that all text commands must be first on line and end with ';'",
+            'exit      (\\q) Exit mysql. Same as quit.',
+            'help      (\\h) Display this help.',
+            'clear     (\\c) Clear the current input statement.',
+            'ego       (\\G) Send command to mysql server, display result vertically.',
+            'go        (\\g) Send command to mysql server.',
+            '',
+            'Tables in oai_db: AuthenticationSubscription, AccessAndMobilitySubscriptionData, SessionManagementSubscriptionData',
+            "Example: SELECT ueid, encPermanentKey, encOpcKey FROM AuthenticationSubscription;",
+            ''
+        ].forEach(line => this.addTerminalLine(output, this.escapeHtml(line), line ? 'info' : 'blank'));
+    }
+
+    /**
+     * Current prompt text for the mysql client
+     * @returns {string} Prompt
+     */
+    getSqlPrompt() {
+        if (!this.sqlSession) return 'docker@main>';
+        if (this.sqlSession.stage === 'password') return 'Enter password:';
+        return this.sqlSession.buffer ? '    ->' : 'mysql>';
+    }
+
+    /**
+     * Update the prompt label (and hide typed passwords)
+     */
+    updatePrompt() {
+        const prompt = document.querySelector('#docker-terminal-input-line .docker-terminal-prompt');
+        if (prompt) prompt.textContent = this.getSqlPrompt();
+
+        const input = document.getElementById('docker-terminal-input');
+        if (input) input.style.color = this.sqlSession?.stage === 'password' ? 'transparent' : '';
+    }
+
+    /**
+     * Leave the mysql client and return to the docker prompt
+     * @param {HTMLElement} output - Output element
+     * @param {boolean} wasConnected - Log the disconnect
+     */
+    endSqlSession(output, wasConnected = true) {
+        const session = this.sqlSession;
+        this.sqlSession = null;
+        this.updatePrompt();
+
+        const mysqlNF = (window.dataStore?.getAllNFs() || []).find(nf => nf.type === 'MySQL');
+        if (wasConnected && session?.connectionId && window.logEngine && mysqlNF) {
+            window.logEngine.addLog(mysqlNF.id, 'INFO', `mysql client disconnected`, {
+                connectionId: session.connectionId
+            });
+        }
+    }
+
+    /**
+     * Escape text before it is written with innerHTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
 }
 
 // Initialize global instance
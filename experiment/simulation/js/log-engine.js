@@ -152,8 +152,8 @@ class LogEngine {
             'AUSF': '/nausf-auth/v1',
             'UDM': '/nudm-sdm/v1',
             'PCF': '/npcf-am-policy/v1',
-            'NSSF': '/nnssf-nsselection/v1',
-            'UDR': '/nudr-dr/v1',
+            'NSSF': '/nnssf-nsselection/v2',
+            'UDR': '/nudr-dr/v2',
             'gNB': '/gnb-mgmt/v1',
             'UE': '/ue-mgmt/v1',
             'MySQL': '', // MySQL uses different format
@@ -537,7 +537,8 @@ class LogEngine {
                 `Received NGAP Setup Request from ${gnb.name}`, {
                 messageType: 'NGSetupRequest',
                 sourceIP: gnb.config.ipAddress, sourcePort: gnb.config.port,
-                supportedTAList: ['1']
+                supportedTAList: [String(gnb.config.tac ?? 1)],
+                broadcastPlmn: `${gnb.config.mcc || '001'}${gnb.config.mnc || '01'}`
             });
         }, 400);
 
@@ -554,7 +555,8 @@ class LogEngine {
             this.addLog(amf.id, 'SUCCESS',
                 `Sending NGAP Setup Response to ${gnb.name}`, {
                 messageType: 'NGSetupResponse',
-                result: 'SUCCESS'
+                result: 'SUCCESS',
+                servedGUAMIList: window.dataStore.getNetworkSettings().plmns.map(plmn => window.nssfEngine?.formatGuami(amf, plmn))
             });
         }, 1000);
 
@@ -743,7 +745,7 @@ class LogEngine {
     }
 
     /**
-     * Simulate NAS Registration over N1 (UE <-> AMF) including SUCI exchange
+     * Simulate NAS Registration over N1 (UE <-> AMF) including SUCI exchange and 5G-AKA
      * @param {Object} ue - UE NF object
      * @param {Object} amf - AMF NF object
      * @param {Object} params - { imsi, dnn, nssai_sst }
@@ -751,10 +753,16 @@ class LogEngine {
     simulateNASRegistration(ue, amf, params = {}) {
         if (!ue || !amf) return;
 
-        const imsi = params.imsi || '001010000000101';
-        const suci = `suci-0-001-01-${imsi.slice(-6)}`;
+        const imsi = params.imsi || window.dataStore.getDefaultImsi(101);
         const dnn = params.dnn || '5G-Lab';
         const sst = params.nssai_sst ?? 1;
+        const nfs = window.dataStore?.getAllNFs() || [];
+        const ausf = nfs.find(nf => nf.type === 'AUSF');
+        const udm = nfs.find(nf => nf.type === 'UDM');
+
+        // The UE conceals its SUPI with its protection scheme / key ID, the SIDF in the UDM de-conceals it
+        const identity = window.suciEngine?.identifyUe({ ...ue, config: { ...ue.config, subscriberImsi: imsi } });
+        const suci = identity?.concealed?.suci || `suci-0-${imsi.substring(0, 3)}-${imsi.substring(3, 5)}-0-0-0-${imsi.substring(5)}`;
 
         // Preconditions
         this.addLog(ue.id, 'INFO', 'Starting NAS Registration over N1', {
@@ -762,11 +770,36 @@ class LogEngine {
             registrationType: 'Initial Registration'
         });
 
+        const rejectRegistration = (delay, cause = '#9 UE identity cannot be derived by the network', details = {}) => {
+            setTimeout(() => {
+                this.addLog(amf.id, 'ERROR', 'NAS: Registration Reject', {
+                    interface: 'N1',
+                    cause,
+                    ...details
+                });
+                this.addLog(ue.id, 'ERROR', 'NAS: Registration Reject received', {
+                    cause,
+                    status: 'DEREGISTERED'
+                });
+            }, delay);
+        };
+
+        if (identity && !identity.concealed) {
+            this.addLog(ue.id, 'ERROR', 'SUCI calculation failed - Registration Request not sent', {
+                protectionScheme: ue.config.suciScheme,
+                homeNetworkKeyId: ue.config.suciKeyId,
+                reason: identity.error
+            });
+            return;
+        }
+
         // 1) Registration Request (UE -> AMF) with SUCI
         setTimeout(() => {
             this.addLog(ue.id, 'INFO', 'NAS: Registration Request sent', {
                 interface: 'N1',
                 suci: suci,
+                protectionScheme: identity ? `${identity.concealed.schemeId} (${identity.concealed.scheme === 'null' ? 'null-scheme' : `ECIES Profile ${identity.concealed.scheme}`})` : undefined,
+                homeNetworkKeyId: identity?.concealed.keyId,
                 dnn: dnn,
                 requestedSST: sst
             });
@@ -778,26 +811,112 @@ class LogEngine {
             });
         }, 200);
 
-        // 2) Authentication Request (AMF -> UE)
-        setTimeout(() => {
-            this.addLog(amf.id, 'INFO', 'NAS: Authentication Request', {
-                method: '5G-AKA',
-                rand: `0x${Math.random().toString(16).substr(2, 8)}`
-            });
-            this.addLog(ue.id, 'INFO', 'NAS: Authentication Request received', {
-                method: '5G-AKA'
-            });
-        }, 600);
+        // 1b) SIDF de-concealment (AMF -> AUSF -> UDM)
+        if (identity) {
+            setTimeout(() => {
+                if (identity.success) {
+                    this.addLog(udm?.id || amf.id, 'SUCCESS', 'SIDF: SUCI de-concealed', {
+                        suci: suci,
+                        protectionScheme: identity.revealed.scheme === 'null' ? 'null-scheme' : `ECIES Profile ${identity.revealed.scheme}`,
+                        homeNetworkKeyId: identity.revealed.keyId,
+                        supi: identity.revealed.supi
+                    });
+                } else {
+                    this.addLog(udm?.id || amf.id, 'ERROR', 'SIDF: SUCI de-concealment failed', {
+                        suci: suci,
+                        reason: identity.error,
+                        macTag: identity.revealed?.macTag,
+                        expectedMacTag: identity.revealed?.expectedMacTag
+                    });
+                }
+            }, 400);
 
-        // 3) Authentication Response (UE -> AMF)
-        setTimeout(() => {
-            this.addLog(ue.id, 'SUCCESS', 'NAS: Authentication Response (RES*)', {
-                resStar: `0x${Math.random().toString(16).substr(2, 8)}`
-            });
-            this.addLog(amf.id, 'SUCCESS', 'NAS: Authentication verified', {
-                result: 'SUCCESS'
-            });
-        }, 1000);
+            if (!identity.success) {
+                rejectRegistration(600);
+                return;
+            }
+        }
+
+        // 2) 5G-AKA: UDM fetches the authentication subscription from the UDR (Nudr),
+        //    generates the vector and the UE checks AUTN with its USIM
+        const supiImsi = identity?.revealed.imsi || imsi;
+        const subscriber = this.fetchAuthenticationSubscription(supiImsi);
+
+        if (!subscriber.profile || !window.authEngine) {
+            setTimeout(() => {
+                this.addLog(udm?.id || amf.id, 'ERROR', 'Authentication vector generation failed', {
+                    supi: `imsi-${supiImsi}`,
+                    nudrStatus: subscriber.response?.status,
+                    cause: subscriber.response?.body?.cause,
+                    reason: subscriber.response?.body?.detail || 'No authentication subscription in UDR'
+                });
+            }, 600);
+            // No subscription for a SUPI the SIDF could derive: the UE is not allowed on the network
+            if (subscriber.response?.body?.cause === 'USER_NOT_FOUND') {
+                rejectRegistration(600, `#${NFManager.CAUSE_ILLEGAL_UE.code} ${NFManager.CAUSE_ILLEGAL_UE.name}`);
+            } else {
+                rejectRegistration(600);
+            }
+            return;
+        }
+
+        if (subscriber.response) {
+            setTimeout(() => {
+                this.addLog(udm?.id || amf.id, 'INFO', `UDM: Nudr GET authentication-subscription - ${subscriber.response.status}`, {
+                    supi: `imsi-${supiImsi}`,
+                    authenticationMethod: subscriber.response.body.authenticationMethod,
+                    algorithmId: subscriber.response.body.algorithmId,
+                    sqn: subscriber.response.body.sequenceNumber?.sqn
+                });
+            }, 600);
+        }
+
+        // Runs the whole exchange now (SQN_HE / SQN_MS advance, resync on Synch Failure); logs follow below
+        const auth = window.authEngine.authenticate(ue, subscriber.profile);
+        const nodes = { ue, amf, ausf, udm, imsi };
+        let delay = this.logAuthenticationAttempt(nodes, auth.attempts[0], 600);
+
+        if (auth.resync) {
+            delay = this.logResynchronization(nodes, auth.attempts[0], auth.resync, delay);
+            if (auth.resync.success) {
+                delay = this.logAuthenticationAttempt(nodes, auth.attempts[1], delay);
+            }
+        }
+
+        if (!auth.success) {
+            const cause = `#${auth.cause.code} ${auth.cause.name}`;
+            setTimeout(() => {
+                this.addLog(amf.id, 'ERROR', 'NAS: Authentication Reject', {
+                    interface: 'N1',
+                    cause,
+                    supi: `imsi-${imsi}`
+                });
+                this.addLog(ue.id, 'ERROR', 'NAS: Authentication Reject received - registration aborted', {
+                    cause,
+                    status: 'DEREGISTERED'
+                });
+            }, delay);
+            return;
+        }
+
+        const vector = auth.attempts[auth.attempts.length - 1].vector;
+        ue.config.securityContext = { ngKsi: 0, kseaf: vector.kseaf, sqn: vector.sqn, establishedAt: Date.now() };
+        window.dataStore?.updateNF(ue.id, ue);
+
+        // Access and mobility subscription data for the Registration Accept (UDM -> UDR)
+        const servingPlmn = window.authEngine.getServingPlmn(ue);
+        const amData = window.nudrRouter?.request('GET',
+            `/subscription-data/imsi-${supiImsi}/${servingPlmn.mcc}${servingPlmn.mnc}/provisioned-data/am-data`, { consumer: 'UDM' });
+        if (amData) {
+            setTimeout(() => {
+                this.addLog(udm?.id || amf.id, amData.status === 200 ? 'INFO' : 'ERROR', `UDM: Nudr GET am-data - ${amData.status}`, {
+                    supi: `imsi-${supiImsi}`,
+                    subscribedUeAmbr: amData.body?.subscribedUeAmbr,
+                    nssai: amData.body?.nssai,
+                    cause: amData.body?.cause
+                });
+            }, delay);
+        }
 
         // 4) Security Mode Command/Complete
         setTimeout(() => {
@@ -808,28 +927,287 @@ class LogEngine {
             this.addLog(ue.id, 'SUCCESS', 'NAS: Security Mode Complete', {
                 selectedAlgorithms: { ciphering: 'NEA2', integrity: 'NIA2' }
             });
-        }, 1400);
+        }, delay);
+
+        // The AMF checks the access restrictions of the AM data against the serving cell
+        const restriction = window.nfManager?.evaluateAccessRestrictions(ue, supiImsi,
+            amData?.status === 200 ? amData.body : window.dataStore?.getSubscriberByImsi(supiImsi)?.amData);
+        if (restriction) {
+            ue.config.registrationState = 'DEREGISTERED';
+            delete ue.config.securityContext;
+            window.dataStore?.updateNF(ue.id, ue);
+            rejectRegistration(delay + 400, `#${restriction.cause.code} ${restriction.cause.name}`, {
+                reason: restriction.reason,
+                ...restriction.details
+            });
+            return;
+        }
+
+        // Network slice selection (AMF -> NSSF) for the Allowed / Rejected NSSAI
+        const selection = window.nfManager?.selectNetworkSlices(ue, amData?.status === 200
+            ? { imsi: supiImsi, amData: amData.body }
+            : window.dataStore?.getSubscriberByImsi(supiImsi));
+        if (selection) {
+            setTimeout(() => this.logSliceSelection(ue, selection), delay + 200);
+
+            if (selection.allowedNssai.length === 0) {
+                ue.config.registrationState = 'DEREGISTERED';
+                delete ue.config.securityContext;
+                window.dataStore?.updateNF(ue.id, ue);
+                rejectRegistration(delay + 400, `#${NFManager.CAUSE_NO_NETWORK_SLICES_AVAILABLE.code} ${NFManager.CAUSE_NO_NETWORK_SLICES_AVAILABLE.name}`, {
+                    requestedNSSAI: selection.requestedNssai.map(s => window.dataStore.formatSnssai(s)),
+                    rejectedNSSAI: selection.rejectedNssai.map(entry => window.nssfEngine.formatRejectedSnssai(entry))
+                });
+                return;
+            }
+
+            ue.config.registrationState = 'REGISTERED';
+            window.dataStore?.updateNF(ue.id, ue);
+        }
+
+        // The AMF registers itself as the serving AMF of the SUPI (Nudm_UECM) with the PEI of
+        // the UE; the UDM reads the GPSI of the SUPI from the UDR identity data
+        const identityData = window.nudrRouter?.request('GET', `/subscription-data/imsi-${supiImsi}/identity-data`, { consumer: 'UDM' });
+        const identityProfile = window.dataStore?.getSubscriberByImsi(supiImsi);
+        const gpsi = identityData?.status === 200 ? identityData.body.gpsiList?.[0] : identityProfile?.gpsi;
+        setTimeout(() => {
+            const servingGnb = window.nfManager?.getServingGnb(ue);
+            const servingPlmn = servingGnb
+                ? { mcc: servingGnb.config.mcc, mnc: servingGnb.config.mnc }
+                : window.dataStore.getNetworkSettings().plmns[0];
+            this.addLog(amf.id, 'INFO', 'Nudm_UECM_Registration (amf-3gpp-access) to UDM', {
+                uri: `/nudm-uecm/v1/imsi-${supiImsi}/registrations/amf-3gpp-access`,
+                amfInstanceId: amf.id,
+                guami: window.nssfEngine?.formatGuami(amf, servingPlmn),
+                ratType: 'NR',
+                pei: identityProfile?.pei || 'not provided'
+            });
+            this.addLog(udm?.id || amf.id, 'SUCCESS', 'UDM: Nudm_UECM_Registration - 201 Created', {
+                supi: `imsi-${supiImsi}`,
+                gpsi: gpsi || 'none',
+                pei: identityProfile?.pei || 'not provided',
+                servingAmf: amf.name
+            });
+        }, delay + 300);
 
         // 5) Registration Accept / Complete
         setTimeout(() => {
             const guti = `5g-guti-${Math.random().toString(36).substr(2, 6)}`;
             this.addLog(amf.id, 'SUCCESS', 'NAS: Registration Accept', {
                 guti: guti,
-                allowedNSSAI: [{ sst }],
+                guami: window.nssfEngine?.formatGuami(amf, servingPlmn),
+                allowedNSSAI: selection ? selection.allowedNssai.map(s => window.dataStore.formatSnssai(s)) : [{ sst }],
+                rejectedNSSAI: selection?.rejectedNssai.map(entry => window.nssfEngine.formatRejectedSnssai(entry)),
                 dnn: dnn
             });
             this.addLog(ue.id, 'SUCCESS', 'NAS: Registration Complete', {
                 guti: guti,
                 status: 'REGISTERED'
             });
-        }, 1800);
+        }, delay + 400);
 
         // 6) Trigger PDU Session Establishment path (delegated to NFManager)
         setTimeout(() => {
             if (window.nfManager) {
                 window.nfManager.registerUEAndEstablishPDU(ue.id);
             }
-        }, 2200);
+        }, delay + 800);
+    }
+
+    /**
+     * Fetch the authentication subscription the UDM needs for a SUPI from the UDR
+     * (Nudr GET when the router is loaded, the subscriber store otherwise)
+     * @param {string} imsi - SUPI digits
+     * @returns {Object} { profile, response } profile is null when the UDR has no data
+     */
+    fetchAuthenticationSubscription(imsi) {
+        if (!window.nudrRouter) {
+            return { profile: window.dataStore?.getSubscriberByImsi(imsi) || null, response: null };
+        }
+
+        const response = window.nudrRouter.request('GET',
+            `/subscription-data/imsi-${imsi}/authentication-data/authentication-subscription`, { consumer: 'UDM' });
+        if (response.status !== 200) {
+            return { profile: null, response };
+        }
+
+        const resource = response.body;
+        return {
+            profile: {
+                imsi,
+                key: resource.encPermanentKey,
+                opc: resource.encOpcKey,
+                amf: resource.authenticationManagementField,
+                sqn: resource.sequenceNumber?.sqn
+            },
+            response
+        };
+    }
+
+    /**
+     * Log the network slice selection of a registration: Nnssf_NSSelection_Get from the AMF
+     * and the NSSF's authorized network slice info (the AMF decides alone without an NSSF)
+     * @param {Object} ue - UE NF object
+     * @param {Object} selection - NFManager.selectNetworkSlices result
+     */
+    logSliceSelection(ue, selection) {
+        const nssf = window.dataStore?.getAllNFs().find(nf => nf.type === 'NSSF');
+        const amfId = selection.amf?.id || ue.id;
+        const result = {
+            allowedNssai: selection.allowedNssai.map(s => window.dataStore.formatSnssai(s)),
+            rejectedNssaiInPlmn: selection.rejectedNssai.filter(entry => entry.cause === NssfEngine.REJECT_NOT_AVAILABLE_IN_PLMN)
+                .map(entry => window.dataStore.formatSnssai(entry.snssai)),
+            rejectedNssaiInTa: selection.rejectedNssai.filter(entry => entry.cause === NssfEngine.REJECT_NOT_AVAILABLE_IN_RA)
+                .map(entry => window.dataStore.formatSnssai(entry.snssai)),
+            defaultNssaiUsed: selection.defaultNssaiUsed,
+            targetAmfSet: selection.targetAmfSet,
+            candidateAmfList: selection.candidateAmfs
+        };
+
+        if (!nssf) {
+            this.addLog(amfId, 'INFO', 'AMF: Network slice selection from local configuration (no NSSF)', {
+                requestedNssai: selection.requestedNssai.map(s => window.dataStore.formatSnssai(s)),
+                tac: selection.tac,
+                ...result
+            });
+            return;
+        }
+
+        this.addLog(amfId, 'INFO', 'Nnssf_NSSelection_Get to NSSF', {
+            endpoint: `${this.generateDynamicEndpoint(nssf)}/network-slice-information`,
+            nfType: 'AMF',
+            requestedNssai: selection.requestedNssai.map(s => window.dataStore.formatSnssai(s)),
+            tai: selection.tac
+        });
+        this.addLog(nssf.id, selection.allowedNssai.length > 0 ? 'SUCCESS' : 'ERROR',
+            'Nnssf_NSSelection_Get - 200 AuthorizedNetworkSliceInfo', result);
+    }
+
+    /**
+     * Log one 5G-AKA challenge: vector generation, Authentication Request and the UE's answer
+     * @param {Object} nodes - { ue, amf, ausf, udm, imsi } (AUSF/UDM fall back to the AMF if not deployed)
+     * @param {Object} aka - AuthEngine.run5GAka result
+     * @param {number} delay - Start delay in ms
+     * @returns {number} Delay after the last log of this attempt
+     */
+    logAuthenticationAttempt(nodes, aka, delay) {
+        const { ue, amf, ausf, udm, imsi } = nodes;
+        const { vector, ueResult } = aka;
+
+        setTimeout(() => {
+            this.addLog(udm?.id || amf.id, 'INFO', 'UDM: 5G HE AV generated (MILENAGE)', {
+                supi: `imsi-${imsi}`,
+                sqn: vector.sqn,
+                rand: vector.rand,
+                autn: vector.autn,
+                xresStar: vector.xresStar
+            });
+            this.addLog(ausf?.id || amf.id, 'INFO', 'AUSF: 5G SE AV sent to SEAF', {
+                servingNetworkName: vector.snName,
+                hxresStar: vector.hxresStar
+            });
+            this.addLog(amf.id, 'INFO', 'NAS: Authentication Request', {
+                method: '5G-AKA',
+                ngKSI: 0,
+                rand: vector.rand,
+                autn: vector.autn
+            });
+            this.addLog(ue.id, 'INFO', 'NAS: Authentication Request received', {
+                method: '5G-AKA',
+                rand: vector.rand,
+                autn: vector.autn
+            });
+        }, delay);
+
+        setTimeout(() => {
+            if (aka.success) {
+                this.addLog(ue.id, 'SUCCESS', 'NAS: Authentication Response (RES*)', {
+                    resStar: ueResult.resStar,
+                    sqn: ueResult.sqn
+                });
+                this.addLog(amf.id, 'SUCCESS', 'NAS: HRES* matches HXRES*', {
+                    hresStar: aka.hresStar
+                });
+                this.addLog(ausf?.id || amf.id, 'SUCCESS', 'AUSF: RES* verified - 5G-AKA successful', {
+                    supi: `imsi-${imsi}`,
+                    kausf: vector.kausf,
+                    kseaf: vector.kseaf
+                });
+                return;
+            }
+
+            const cause = `#${aka.cause.code} ${aka.cause.name}`;
+            if (ueResult.success) {
+                this.addLog(ue.id, 'INFO', 'NAS: Authentication Response (RES*)', {
+                    resStar: ueResult.resStar
+                });
+                this.addLog(ausf?.id || amf.id, 'ERROR', 'AUSF: RES* verification failed', {
+                    resStar: ueResult.resStar,
+                    xresStar: vector.xresStar
+                });
+            } else if (aka.cause === AuthEngine.CAUSE_SYNCH_FAILURE) {
+                this.addLog(ue.id, 'WARNING', 'NAS: Authentication Failure (Synch failure)', {
+                    cause,
+                    sqn: ueResult.sqn,
+                    sqnMs: ueResult.sqnMs,
+                    auts: ueResult.auts,
+                    reason: 'SQN in AUTN is not fresh (not ahead of SQN_MS or outside the window)'
+                });
+                this.addLog(amf.id, 'WARNING', 'NAS: Authentication Failure received', { cause, auts: ueResult.auts });
+            } else {
+                this.addLog(ue.id, 'ERROR', `NAS: Authentication Failure (${aka.cause.name})`, {
+                    cause,
+                    mac: ueResult.mac,
+                    xmac: ueResult.xmac,
+                    reason: aka.cause === AuthEngine.CAUSE_MAC_FAILURE
+                        ? 'AUTN MAC does not match the XMAC computed with the USIM K/OPc'
+                        : 'AMF separation bit is not set for 5G AKA'
+                });
+                this.addLog(amf.id, 'ERROR', 'NAS: Authentication Failure received', { cause });
+            }
+        }, delay + 400);
+
+        return delay + 800;
+    }
+
+    /**
+     * Log the SQN resynchronisation after a Synch Failure (AMF -> AUSF -> UDM)
+     * @param {Object} nodes - { ue, amf, ausf, udm, imsi }
+     * @param {Object} aka - The failed run5GAka result carrying AUTS
+     * @param {Object} resync - AuthEngine.resynchronize result
+     * @param {number} delay - Start delay in ms
+     * @returns {number} Delay after the last log
+     */
+    logResynchronization(nodes, aka, resync, delay) {
+        const { amf, ausf, udm, imsi } = nodes;
+
+        setTimeout(() => {
+            this.addLog(amf.id, 'INFO', 'Nausf_UEAuthentication: re-authentication with resynchronizationInfo', {
+                rand: aka.vector.rand,
+                auts: aka.ueResult.auts
+            });
+            this.addLog(ausf?.id || amf.id, 'INFO', 'Nudm_UEAuthentication_Get with resynchronizationInfo', {
+                supi: `imsi-${imsi}`,
+                auts: aka.ueResult.auts
+            });
+
+            if (resync.success) {
+                this.addLog(udm?.id || amf.id, 'SUCCESS', 'UDM: AUTS verified - SQN resynchronised in UDR', {
+                    supi: `imsi-${imsi}`,
+                    previousSqn: aka.vector.sqn,
+                    sqnMs: resync.sqnMs,
+                    macS: resync.macS
+                });
+            } else {
+                this.addLog(udm?.id || amf.id, 'ERROR', 'UDM: AUTS verification failed (MAC-S mismatch)', {
+                    supi: `imsi-${imsi}`,
+                    macS: resync.macS,
+                    xmacS: resync.xmacS
+                });
+            }
+        }, delay);
+
+        return delay + 400;
     }
 
     /**
@@ -115,6 +115,7 @@ class NFManager {
                 interfaceName: 'tun0',
                 network: '10.0.0.0/28',
                 gatewayIP: '10.0.0.1',
+                ipv6Network: 'fd00:10::/64', // Prefix of static IPv6 UE addresses
                 assignedIPs: [], // Track IPs assigned to UEs
                 nextAvailableIP: 2 // Next IP to assign (10.0.0.2)
             };
@@ -122,28 +123,53 @@ class NFManager {
             console.log(`🌐 UPF ${nf.name} created with tun0 interface: ${nf.config.tun0Interface.gatewayIP} (${nf.config.tun0Interface.network})`);
         }
 
+        // SPECIAL CASE: UDM holds the home network keys its SIDF uses to de-conceal SUCIs
+        if (type === 'UDM') {
+            nf.config.suciKeys = window.suciEngine?.getDefaultHomeNetworkKeys() || [];
+        }
+
+        // SPECIAL CASE: SMF serves a list of DNNs (the DNN catalogue of the network settings)
+        if (type === 'SMF') {
+            nf.config.dnns = [...window.dataStore.getNetworkSettings().dnns];
+        }
+
+        // SPECIAL CASE: PCF holds the policy profiles of its SM policy decisions
+        if (type === 'PCF') {
+            nf.config.policyProfiles = window.pcfEngine?.getDefaultPolicyProfiles() || [];
+        }
+
+        // SPECIAL CASE: AMF supports a set of S-NSSAIs per tracking area and belongs to an AMF set
+        if (type === 'AMF') {
+            const settings = window.dataStore.getNetworkSettings();
+            nf.config.taiSliceSupport = window.nssfEngine?.getDefaultTaiSliceSupport() || [];
+            nf.config.amfRegionId = settings.amfRegionId;
+            nf.config.amfSetId = settings.amfSetId;
+        }
+
+        // SPECIAL CASE: gNB broadcasts the PLMN and tracking area of its cell (primary PLMN / first TAC)
+        if (type === 'gNB') {
+            const settings = window.dataStore.getNetworkSettings();
+            nf.config.mcc = settings.plmns[0].mcc;
+            nf.config.mnc = settings.plmns[0].mnc;
+            nf.config.tac = settings.tacs[0];
+        }
+
         // SPECIAL CASE: UE gets empty subscriber configuration (user must configure manually)
         if (type === 'UE') {
             // Initialize default subscribers in UDR if not already present (for reference only)
-            const subscribers = window.dataStore?.getSubscribers() || [];
-            if (subscribers.length === 0) {
-                // Set default subscribers in UDR store (for user reference)
-                if (window.dataStore?.setSubscribers) {
-                    window.dataStore.setSubscribers([
-                        { imsi: '001010000000101', key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 },
-                        { imsi: '001010000000102', key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 }
-                    ]);
-                    console.log('📋 Default subscribers initialized in UDR store (for reference)');
-                }
-            }
+            window.dataStore?.ensureDefaultSubscribers();
 
             // DO NOT auto-assign subscriber info - user must configure manually
             // Set placeholder values that indicate configuration is needed
             nf.config.subscriberImsi = '';
             nf.config.subscriberKey = '';
             nf.config.subscriberOpc = '';
+            nf.config.subscriberSqn = '';
             nf.config.subscriberDnn = '';
             nf.config.subscriberSst = 1;
+            nf.config.suciScheme = 'A';
+            nf.config.suciKeyId = 1;
+            nf.config.requestedNssai = [{ sst: 1, sd: '' }];
             
             console.log(`📱 UE ${nf.name} created with empty subscriber configuration - user must configure manually`);
         }
@@ -799,6 +825,11 @@ class NFManager {
             this.autoDeleteExtDNForUPF(nf);
         }
 
+        // SPECIAL CASE: A deleted UE no longer needs SDM notifications
+        if (nf.type === 'UE') {
+            window.sdmManager?.unsubscribeUe(nf.id);
+        }
+
         // Trigger log engine before deletion
         if (window.logEngine) {
             window.logEngine.onNFRemoved(nf);
@@ -1542,6 +1573,7 @@ class NFManager {
             if (window.logEngine) {
                 window.logEngine.addLog(ue.id, 'ERROR',
                     `UE initialization blocked: Subscriber info mismatch`, {
+                    cause: `#${NFManager.CAUSE_ILLEGAL_UE.code} ${NFManager.CAUSE_ILLEGAL_UE.name}`,
                     reason: `No matching IMSI (${ue.config.subscriberImsi}) in UDR/MySQL store`,
                     requiredField: 'subscriberImsi',
                     attempts: retryCount + 1
@@ -1550,129 +1582,629 @@ class NFManager {
             return false;
         }
 
-        // Validate that UE configuration matches subscriber profile
-        if (subscriber.dnn && ue.config.subscriberDnn && subscriber.dnn !== ue.config.subscriberDnn) {
-            console.error(`❌ UE configuration mismatch: DNN ${ue.config.subscriberDnn} does not match subscriber profile DNN ${subscriber.dnn}`);
+        // Authenticate with 5G-AKA unless NAS registration already set up a security context
+        if (!ue.config.securityContext && window.suciEngine) {
+            const identity = window.suciEngine.identifyUe(ue);
+            if (!identity.success) {
+                console.error(`❌ SUCI de-concealment failed: ${identity.error}`);
+                if (window.logEngine) {
+                    window.logEngine.addLog(ue.id, 'ERROR',
+                        `UE initialization blocked: UE identity cannot be derived by the network`, {
+                        suci: identity.concealed?.suci,
+                        protectionScheme: ue.config.suciScheme,
+                        homeNetworkKeyId: ue.config.suciKeyId,
+                        reason: identity.error
+                    });
+                }
+                return false;
+            }
+        }
+
+        if (!ue.config.securityContext && window.authEngine) {
+            const auth = window.authEngine.authenticate(ue, subscriber);
+            const lastAttempt = auth.attempts[auth.attempts.length - 1];
+
+            if (auth.resync && window.logEngine) {
+                window.logEngine.addLog(ue.id, 'WARNING',
+                    `Synch failure - SQN resynchronised by UDM`, {
+                    sqnMs: auth.resync.sqnMs,
+                    resynchronised: auth.resync.success
+                });
+            }
+
+            if (!auth.success) {
+                console.error(`❌ UE authentication failed: ${auth.cause.name}`);
+                if (window.logEngine) {
+                    window.logEngine.addLog(ue.id, 'ERROR',
+                        `UE initialization blocked: Authentication Reject`, {
+                        cause: `#${auth.cause.code} ${auth.cause.name}`,
+                        mac: lastAttempt.ueResult.mac,
+                        xmac: lastAttempt.ueResult.xmac,
+                        rand: lastAttempt.vector.rand
+                    });
+                }
+                return false;
+            }
+
+            ue.config.securityContext = { ngKsi: 0, kseaf: lastAttempt.vector.kseaf, sqn: lastAttempt.vector.sqn, establishedAt: Date.now() };
+        }
+
+        // Access restrictions of the subscription (PLMN, core network type, RAT, areas, barring)
+        const restriction = this.evaluateAccessRestrictions(ue, subscriber.imsi, subscriber.amData);
+        if (restriction) {
+            const cause = restriction.cause;
+            console.error(`❌ UE registration rejected: ${restriction.reason}`);
+            ue.config.registrationState = 'DEREGISTERED';
+            delete ue.config.securityContext;
+            window.dataStore.updateNF(ue.id, ue);
             if (window.logEngine) {
                 window.logEngine.addLog(ue.id, 'ERROR',
-                    `UE initialization blocked: Configuration mismatch`, {
-                    reason: `DNN mismatch: UE has ${ue.config.subscriberDnn}, subscriber profile has ${subscriber.dnn}`,
-                    field: 'DNN'
+                    `UE initialization blocked: Registration Reject`, {
+                    cause: `#${cause.code} ${cause.name}`,
+                    reason: restriction.reason,
+                    ...restriction.details
                 });
             }
             return false;
         }
 
-        if (subscriber.nssai_sst && ue.config.subscriberSst && subscriber.nssai_sst !== ue.config.subscriberSst) {
-            console.error(`❌ UE configuration mismatch: SST ${ue.config.subscriberSst} does not match subscriber profile SST ${subscriber.nssai_sst}`);
+        // Network slice selection, unless the NAS registration already produced the Allowed NSSAI
+        if (ue.config.registrationState !== 'REGISTERED' || !ue.config.allowedNssai) {
+            const selection = this.selectNetworkSlices(ue, subscriber);
+            if (selection) {
+                window.logEngine?.logSliceSelection(ue, selection);
+
+                if (selection.allowedNssai.length === 0) {
+                    const cause = NFManager.CAUSE_NO_NETWORK_SLICES_AVAILABLE;
+                    console.error(`❌ UE registration rejected: no S-NSSAI can be allowed for ${ue.name}`);
+                    ue.config.registrationState = 'DEREGISTERED';
+                    delete ue.config.securityContext;
+                    window.dataStore.updateNF(ue.id, ue);
+                    if (window.logEngine) {
+                        window.logEngine.addLog(ue.id, 'ERROR',
+                            `UE initialization blocked: Registration Reject`, {
+                            cause: `#${cause.code} ${cause.name}`,
+                            requestedNSSAI: selection.requestedNssai.map(s => window.dataStore.formatSnssai(s)),
+                            rejectedNSSAI: selection.rejectedNssai.map(entry => window.nssfEngine.formatRejectedSnssai(entry))
+                        });
+                    }
+                    return false;
+                }
+
+                if (window.logEngine && selection.amf) {
+                    window.logEngine.addLog(selection.amf.id, 'SUCCESS',
+                        `NAS: Registration Accept`, {
+                        ue: ue.name,
+                        allowedNSSAI: selection.allowedNssai.map(s => window.dataStore.formatSnssai(s)),
+                        rejectedNSSAI: selection.rejectedNssai.map(entry => window.nssfEngine.formatRejectedSnssai(entry)),
+                        targetAmfSet: selection.targetAmfSet
+                    });
+                }
+            }
+        }
+
+        // One PDU session per requested DNN/S-NSSAI; the configured one is mandatory
+        let newSessions = 0;
+        for (const request of this.getRequestedPduSessions(ue)) {
+            const existing = this.getPduSessions(ue).find(session => session.pduSessionId === request.pduSessionId);
+            if (existing) {
+                console.log(`ℹ️ UE ${ue.name} already has PDU session ${existing.pduSessionId} with IP: ${existing.assignedIP}`);
+                continue;
+            }
+
+            const session = this.establishPduSession(ue, subscriber, request, upfId);
+            if (session) {
+                newSessions++;
+            } else if (request.pduSessionId === 1) {
+                return false;
+            }
+        }
+
+        if (newSessions > 0) {
+            // AMF and SMF follow subscription changes of this UE from now on
+            window.sdmManager?.subscribeUe(ue);
+        }
+
+        return true;
+    }
+
+    /**
+     * PDU sessions a UE requests: the configured DNN/SST as session 1, then the additional sessions
+     * @param {Object} ue - UE network function
+     * @returns {Array} [{ pduSessionId, dnn, sst }]
+     */
+    getRequestedPduSessions(ue) {
+        return [
+            { dnn: ue.config.subscriberDnn, sst: ue.config.subscriberSst },
+            ...(ue.config.additionalPduSessions || [])
+        ].map((request, index) => ({ pduSessionId: index + 1, dnn: request.dnn, sst: request.sst }));
+    }
+
+    /**
+     * Get the established PDU sessions of a UE
+     * @param {Object} ue - UE network function
+     * @returns {Array} PDU sessions (ordered by PDU session ID)
+     */
+    getPduSessions(ue) {
+        return ue?.config.pduSessions || [];
+    }
+
+    /**
+     * Find the PDU session behind a UE interface (name like oaitun_ue2, or its IP)
+     * @param {Object} ue - UE network function
+     * @param {string} interfaceName - Interface name or tun IP
+     * @returns {Object|null} PDU session
+     */
+    findPduSession(ue, interfaceName) {
+        if (!interfaceName) return null;
+        return this.getPduSessions(ue).find(session =>
+            session.tunInterface.name === interfaceName || session.assignedIP === interfaceName) || null;
+    }
+
+    /**
+     * Establish one PDU session: check it against the subscription and the Allowed NSSAI,
+     * anchor it on a UPF, assign the UE IP and create its oaitun_ue interface
+     * @param {Object} ue - UE network function
+     * @param {Object} subscriber - Subscriber profile
+     * @param {Object} request - { pduSessionId, dnn, sst }
+     * @param {string} upfId - UPF ID (optional, will find automatically)
+     * @returns {Object|null} The PDU session, null if it was refused
+     */
+    establishPduSession(ue, subscriber, request, upfId = null) {
+        const { pduSessionId } = request;
+        const blocked = pduSessionId === 1 ? 'UE initialization blocked' : `PDU session ${pduSessionId} refused`;
+
+        // Validate the requested DNN/S-NSSAI against the SM and AM subscription data
+        const sessionProfile = window.dataStore.resolveSessionProfile(subscriber, request.dnn, request.sst);
+        if (!sessionProfile.allowed) {
+            console.error(`❌ UE configuration mismatch: ${sessionProfile.reason}`);
             if (window.logEngine) {
                 window.logEngine.addLog(ue.id, 'ERROR',
-                    `UE initialization blocked: Configuration mismatch`, {
-                    reason: `NSSAI SST mismatch: UE has ${ue.config.subscriberSst}, subscriber profile has ${subscriber.nssai_sst}`,
-                    field: 'NSSAI_SST'
+                    `${blocked}: Configuration mismatch`, {
+                    pduSessionId,
+                    reason: sessionProfile.reason,
+                    field: sessionProfile.field,
+                    subscribedDnns: subscriber.smData.map(entry => `${entry.dnn} (SST ${window.dataStore.formatSnssai(entry)})`),
+                    subscribedNssai: window.dataStore.getSubscribedSnssais(subscriber).map(s => window.dataStore.formatSnssai(s))
                 });
             }
-            return false;
+            return null;
         }
+        const smData = sessionProfile.smData;
 
-        // Find UPF if not provided
+        // PDU sessions are only established on S-NSSAIs of the Allowed NSSAI
+        const allowedNssai = ue.config.allowedNssai;
+        if (allowedNssai && !allowedNssai.some(s => s.sst === smData.sst &&
+            window.dataStore.normalizeSd(s.sd) === window.dataStore.normalizeSd(smData.sd))) {
+            console.error(`❌ PDU session refused: S-NSSAI ${window.dataStore.formatSnssai(smData)} is not allowed for ${ue.name}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ue.id, 'ERROR',
+                    `PDU session refused: S-NSSAI not in the Allowed NSSAI`, {
+                    pduSessionId,
+                    dnn: smData.dnn,
+                    sNssai: window.dataStore.formatSnssai(smData),
+                    allowedNSSAI: allowedNssai.map(s => window.dataStore.formatSnssai(s)),
+                    rejectedNSSAI: (ue.config.rejectedNssai || []).map(entry => window.nssfEngine?.formatRejectedSnssai(entry))
+                });
+            }
+            return null;
+        }
+
+        // Find UPF if not provided: a UPF in the UE's subnet, spreading the UE's sessions over the UPFs
         let upf = null;
         if (upfId) {
             upf = window.dataStore?.getNFById(upfId);
         } else {
-            // Find UPF in same subnet as UE
             const allNFs = window.dataStore?.getAllNFs() || [];
             const ueNetwork = this.getNetworkFromIP(ue.config.ipAddress);
-            upf = allNFs.find(nf => 
-                nf.type === 'UPF' && 
-                nf.status === 'stable' &&
-                this.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
-            );
+            const sessionsOn = (candidate) => this.getPduSessions(ue).filter(session => session.upfId === candidate.id).length;
+            upf = allNFs
+                .filter(nf => nf.type === 'UPF' && nf.status === 'stable' && this.getNetworkFromIP(nf.config.ipAddress) === ueNetwork)
+                .reduce((best, candidate) => (!best || sessionsOn(candidate) < sessionsOn(best) ? candidate : best), null);
         }
 
-       
-
-        // Check if UE already has PDU session
-        if (ue.config.pduSession) {
-            console.log(`ℹ️ UE ${ue.name} already has PDU session with IP: ${ue.config.pduSession.assignedIP}`);
-            return true;
+        if (!upf) {
+            console.error(`❌ No UPF available for PDU session ${pduSessionId} of ${ue.name}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ue.id, 'ERROR',
+                    `${blocked}: No UPF available`, {
+                    pduSessionId,
+                    dnn: smData.dnn,
+                    reason: `No stable UPF in subnet ${this.getNetworkFromIP(ue.config.ipAddress)}.0/24`
+                });
+            }
+            return null;
         }
 
-        // Assign IP from tun0 network
-        const assignedIP = this.assigntun0IPToUE(upf, ue);
+        // Assign IP: the static address of the subscription, else the next one from the tun0 network
+        let assignedIP = null;
+        let assignedIPv6 = null;
+        if (smData.staticIpAddress) {
+            const staticAssignment = this.assignStaticIPToUE(upf, ue, pduSessionId, smData.staticIpAddress);
+            if (staticAssignment.conflict) {
+                const smf = window.dataStore.getAllNFs().find(nf => nf.type === 'SMF');
+                const details = {
+                    pduSessionId,
+                    dnn: smData.dnn,
+                    supi: `imsi-${subscriber.imsi}`,
+                    ...staticAssignment.conflict
+                };
+                console.error(`❌ Static IP ${staticAssignment.conflict.staticIp} of ${ue.name} rejected: ${staticAssignment.conflict.reason}`);
+                if (window.logEngine) {
+                    if (smf) {
+                        window.logEngine.addLog(smf.id, 'ERROR', `Static UE IP address conflict - PDU session rejected`, details);
+                    }
+                    window.logEngine.addLog(ue.id, 'ERROR', `${blocked}: Static IP address conflict`, details);
+                }
+                return null;
+            }
+            assignedIP = staticAssignment.ipv4;
+            assignedIPv6 = staticAssignment.ipv6;
+        }
+        if (!assignedIP) {
+            assignedIP = this.assigntun0IPToUE(upf, ue, pduSessionId);
+        }
         if (!assignedIP) {
             console.error('❌ Failed to assign tun0 IP to UE:', ue.name);
-            return false;
+            return null;
         }
 
-        // Create PDU session
-        ue.config.pduSession = {
+        // SM policy of the session (Npcf_SMPolicyControl_Create), enforced by the UPF
+        const smPolicy = window.pcfEngine?.createSmPolicy({ ue, subscriber, smData, pduSessionId }) || null;
+
+        // Create oaitun_ue interface for the session (oaitun_ue1, oaitun_ue2, ... by PDU session ID)
+        const ueInterfaceName = `oaitun_ue${pduSessionId}`;
+        const gatewayIP = upf.config.tun0Interface?.gatewayIP || '10.0.0.1';
+        const session = {
+            pduSessionId,
             sessionId: this.generateUniqueId('pdu'),
             upfId: upf.id,
             assignedIP: assignedIP,
+            dnn: smData.dnn,
+            snssai: { sst: smData.sst, sd: smData.sd },
+            pduSessionType: smData.pduSessionType,
+            sessionAmbr: { ...smData.sessionAmbr },
+            fiveQi: smData.default5qi,
+            arpPriorityLevel: smData.arpPriorityLevel,
+            ueAmbr: { ...subscriber.amData.subscribedUeAmbr },
+            ...(smData.staticIpAddress ? { staticIpAddress: { ...smData.staticIpAddress } } : {}),
+            ...(assignedIPv6 ? { assignedIPv6 } : {}),
+            smPolicy,
             status: 'established',
-            establishedAt: Date.now()
+            establishedAt: Date.now(),
+            tunInterface: {
+                name: ueInterfaceName,
+                ipAddress: assignedIP,
+                netmask: '255.255.255.0',
+                destination: assignedIP,
+                gateway: gatewayIP,
+                mtu: 1500,
+                flags: 'UP,POINTOPOINT,RUNNING,NOARP,MULTICAST',
+                ipv6: `fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}`,
+                ...(assignedIPv6 ? { ipv6Global: assignedIPv6 } : {}),
+                createdAt: Date.now()
+            }
         };
 
-        // Create tun_ue interface for UE (e.g., tun_ue1, tun_ue2)
-        const ueNum = ue.name.match(/\d+/)?.[0] || '1';
-        const ueInterfaceName = `tun_ue${ueNum}`;
-        const gatewayIP = upf.config.tun0Interface?.gatewayIP || '10.0.0.1';
-        ue.config.tunInterface = {
-            name: ueInterfaceName,
-            ipAddress: assignedIP,
-            netmask: '255.255.255.0',
-            destination: assignedIP,
-            gateway: gatewayIP,
-            mtu: 1500,
-            flags: 'UP,POINTOPOINT,RUNNING,NOARP,MULTICAST',
-            ipv6: `fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}`,
-            createdAt: Date.now()
-        };
+        ue.config.registrationState = 'REGISTERED';
+        ue.config.pduSessions = [...this.getPduSessions(ue), session].sort((a, b) => a.pduSessionId - b.pduSessionId);
 
         // Update UE in data store
-        window.dataStore.updateNF(ueId, ue);
+        window.dataStore.updateNF(ue.id, ue);
 
-        console.log(`✅ PDU session established for ${ue.name}: IP ${assignedIP} via ${upf.name}`);
+        console.log(`✅ PDU session ${pduSessionId} established for ${ue.name}: IP ${assignedIP} via ${upf.name}`);
         console.log(`✅ TUN interface ${ueInterfaceName} created with IP ${assignedIP}`);
 
         // Log PDU session establishment
         if (window.logEngine) {
-            window.logEngine.addLog(ueId, 'SUCCESS',
+            window.logEngine.addLog(ue.id, 'SUCCESS',
                 `PDU session established`, {
-                sessionId: ue.config.pduSession.sessionId,
+                pduSessionId,
+                sessionId: session.sessionId,
                 upfName: upf.name,
                 upfId: upf.id,
                 assignedIP: assignedIP,
+                ...(assignedIPv6 ? { assignedIPv6 } : {}),
+                ipAllocation: smData.staticIpAddress ? 'static (subscription data)' : 'dynamic (tun0 pool)',
+                dnn: smData.dnn,
+                sNssai: window.dataStore.formatSnssai(smData),
+                pduSessionType: smData.pduSessionType,
+                sessionAmbr: `UL ${smData.sessionAmbr.uplink} / DL ${smData.sessionAmbr.downlink}`,
+                ...(smPolicy ? {
+                    authorizedSessionAmbr: `UL ${smPolicy.sessAmbr.uplink} / DL ${smPolicy.sessAmbr.downlink}`,
+                    policyProfile: smPolicy.policyProfile || 'none (subscribed values)'
+                } : {}),
+                default5qi: smData.default5qi,
+                ueAmbr: `UL ${subscriber.amData.subscribedUeAmbr.uplink} / DL ${subscriber.amData.subscribedUeAmbr.downlink}`,
                 tun0Network: upf.config.tun0Interface.network,
-                upfGateway: upf.config.tun0Interface.gatewayIP,
+                upfGateway: gatewayIP,
                 sessionStatus: 'established'
             });
 
+            // Charging data of the session (Nchf_ConvergedCharging_Create), identified by SUPI and GPSI
+            const smf = window.dataStore.getAllNFs().find(nf => nf.type === 'SMF');
+            if (smf) {
+                window.logEngine.addLog(smf.id, 'INFO',
+                    `Nchf_ConvergedCharging_Create - Charging Data Request (PDU session ${pduSessionId})`, {
+                    subscriberIdentifier: `imsi-${subscriber.imsi}`,
+                    gpsi: subscriber.gpsi || 'not provisioned',
+                    ...(subscriber.pei ? { pei: subscriber.pei } : {}),
+                    chargingSessionId: session.sessionId,
+                    pduSessionId,
+                    dnn: smData.dnn,
+                    sNssai: window.dataStore.formatSnssai(smData),
+                    ueIpv4Address: assignedIP,
+                    upf: upf.name,
+                    ratType: 'NR'
+                });
+            }
+
             // Log TUN interface creation
-            window.logEngine.addLog(ueId, 'SUCCESS',
+            window.logEngine.addLog(ue.id, 'SUCCESS',
                 `Network interface ${ueInterfaceName} created`, {
                 interface: ueInterfaceName,
+                pduSessionId,
                 ipAddress: assignedIP,
                 netmask: '255.255.255.0',
-                gateway: upf.config.tun0Interface.gatewayIP,
+                gateway: gatewayIP,
                 network: '10.0.0.0/24',
                 mtu: 1500,
-                purpose: 'User plane data connection to UPF',
-                note: `Can ping gateway ${upf.config.tun0Interface.gatewayIP} and access internet via UPF`
+                purpose: `User plane data connection to UPF for DNN ${smData.dnn}`,
+                note: `Can ping gateway ${gatewayIP} and access internet via UPF (ping -I ${ueInterfaceName} ...)`
             });
         }
 
+        return session;
+    }
+
+    /**
+     * Get the gNB whose cell the UE camps on (the connected gNB, else the first one deployed)
+     * @param {Object} ue - UE network function
+     * @returns {Object|null} gNB network function
+     */
+    getServingGnb(ue) {
+        const connected = (window.dataStore?.getConnectionsForNF(ue.id) || [])
+            .map(conn => window.dataStore.getNFById(conn.sourceId === ue.id ? conn.targetId : conn.sourceId))
+            .find(nf => nf?.type === 'gNB');
+        return connected || window.dataStore?.getAllNFs().find(nf => nf.type === 'gNB') || null;
+    }
+
+    /**
+     * Check the access restrictions of the AM subscription data against the serving cell,
+     * in the order the AMF applies them. The first violated restriction rejects the registration.
+     * The PLMNs come first: the gNB must broadcast a PLMN of the network settings and the
+     * IMSI must belong to a network PLMN or a roaming partner.
+     * @param {Object} ue - UE network function
+     * @param {string} imsi - SUPI digits (the home PLMN is the IMSI prefix)
+     * @param {Object} amData - Access & Mobility subscription data (profile or Nudr am-data)
+     * @returns {Object|null} { cause, reason, details } or null when access is allowed
+     */
+    evaluateAccessRestrictions(ue, imsi, amData = {}) {
+        const settings = window.dataStore.getNetworkSettings();
+        const gnb = this.getServingGnb(ue);
+        const mcc = gnb?.config.mcc || settings.plmns[0].mcc;
+        const mnc = gnb?.config.mnc || settings.plmns[0].mnc;
+        const servingPlmn = `${mcc}${mnc}`;
+        const imsiPlmn = window.dataStore.getImsiPlmn(imsi);
+        const homePlmn = imsiPlmn ? `${imsiPlmn.mcc}${imsiPlmn.mnc}` : imsi.substring(0, servingPlmn.length);
+        const roaming = !imsiPlmn || imsiPlmn.roaming;
+        const tac = window.dataStore.normalizeTac(gnb?.config.tac ?? settings.tacs[0]);
+
+        const reject = (cause, reason, details = {}) => ({
+            cause,
+            reason,
+            details: { servingPlmn, homePlmn, tac, ratType: 'NR', ...details }
+        });
+        const inAreas = (areas) => (areas || []).some(area =>
+            (area.tacs || []).some(areaTac => window.dataStore.normalizeTac(areaTac) === tac));
+
+        // #11 - the cell broadcasts a PLMN the AMF does not serve
+        const networkPlmns = settings.plmns.map(plmn => `${plmn.mcc}${plmn.mnc}`);
+        if (!networkPlmns.includes(servingPlmn)) {
+            return reject(NFManager.CAUSE_PLMN_NOT_ALLOWED,
+                `gNB broadcasts PLMN ${mcc}-${mnc}, which the AMF does not serve (network PLMNs: ${settings.plmns.map(plmn => window.dataStore.formatPlmn(plmn)).join(', ')})`,
+                { networkPlmns });
+        }
+
+        // #11 - the home PLMN of the IMSI is neither a network PLMN nor a roaming partner
+        if (!imsiPlmn) {
+            return reject(NFManager.CAUSE_PLMN_NOT_ALLOWED,
+                `Home PLMN of IMSI ${imsi} is not a network PLMN and has no roaming agreement`, { networkPlmns });
+        }
+
+        // #11 - packet services barred while roaming
+        const odb = amData.odbPacketServices;
+        if (roaming && (odb === 'ROAMER_ACCESS_HPLMN_AP' || odb === 'ROAMER_ACCESS_VPLMN_AP')) {
+            return reject(NFManager.CAUSE_PLMN_NOT_ALLOWED,
+                `Subscriber of PLMN ${homePlmn} is barred from roaming into PLMN ${servingPlmn}`, { odbPacketServices: odb });
+        }
+
+        // #27 - no access to the 5G core at all
+        if ((amData.coreNetworkTypeRestrictions || []).includes('5GC')) {
+            return reject(NFManager.CAUSE_N1_MODE_NOT_ALLOWED,
+                'Core network type restriction: 5GC', { coreNetworkTypeRestrictions: amData.coreNetworkTypeRestrictions });
+        }
+
+        // #15 - the cell's RAT is restricted
+        if ((amData.ratRestrictions || []).includes('NR')) {
+            return reject(NFManager.CAUSE_NO_SUITABLE_CELLS_IN_TA,
+                'RAT restriction: NR access is not allowed', { ratRestrictions: amData.ratRestrictions });
+        }
+
+        // #12 / #13 - tracking area not allowed (#13 when the UE is roaming)
+        const taCause = roaming ? NFManager.CAUSE_ROAMING_NOT_ALLOWED_IN_TA : NFManager.CAUSE_TA_NOT_ALLOWED;
+        if (inAreas(amData.forbiddenAreas)) {
+            return reject(taCause, `Tracking area ${tac} is a forbidden area`, { forbiddenAreas: amData.forbiddenAreas });
+        }
+
+        const serviceArea = amData.serviceAreaRestriction;
+        if ((serviceArea?.restrictionType === 'ALLOWED_AREAS' && !inAreas(serviceArea.areas)) ||
+            (serviceArea?.restrictionType === 'NOT_ALLOWED_AREAS' && inAreas(serviceArea.areas))) {
+            return reject(taCause, `Tracking area ${tac} is outside the service area of the subscriber`, { serviceAreaRestriction: serviceArea });
+        }
+
+        // #7 - operator-determined barring of all packet services
+        if (odb === 'ALL_PACKET_SERVICES') {
+            return reject(NFManager.CAUSE_5GS_SERVICES_NOT_ALLOWED,
+                'Operator-determined barring of all packet services', { odbPacketServices: odb });
+        }
+
+        return null;
+    }
+
+    /**
+     * Network slice selection for a registering UE (AMF → NSSF).
+     * Stores the Allowed / Rejected NSSAI on the UE.
+     * @param {Object} ue - UE network function
+     * @param {Object} subscriber - Subscriber profile or { imsi, amData } from Nudr (subscribed NSSAI)
+     * @returns {Object|null} NssfEngine.selectSlices result with { requestedNssai, tac, amf }, null without NssfEngine
+     */
+    selectNetworkSlices(ue, subscriber) {
+        if (!window.nssfEngine) return null;
+
+        const settings = window.dataStore.getNetworkSettings();
+        const gnb = this.getServingGnb(ue);
+        const amf = window.dataStore.getAllNFs().find(nf => nf.type === 'AMF') || null;
+        const requestedNssai = ue.config.requestedNssai || [];
+        const tac = window.dataStore.normalizeTac(gnb?.config.tac ?? settings.tacs[0]);
+
+        const selection = window.nssfEngine.selectSlices({
+            requestedNssai,
+            subscribedSnssais: window.dataStore.getSubscribedSnssais(subscriber),
+            tac,
+            plmn: {
+                mcc: gnb?.config.mcc || settings.plmns[0].mcc,
+                mnc: gnb?.config.mnc || settings.plmns[0].mnc
+            },
+            servingAmf: amf
+        });
+
+        ue.config.allowedNssai = selection.allowedNssai;
+        ue.config.rejectedNssai = selection.rejectedNssai;
+        window.dataStore.updateNF(ue.id, ue);
+
+        return { ...selection, requestedNssai, tac, amf };
+    }
+
+    /**
+     * Release PDU sessions of a UE: drop the session and its TUN interface and free its tun0 IP
+     * @param {string} ueId - UE ID
+     * @param {string} reason - Why the session is released (for the log)
+     * @param {number} pduSessionId - Session to release (all sessions when omitted)
+     * @returns {boolean} True if a session was released
+     */
+    releasePduSession(ueId, reason = 'Released by network', pduSessionId = null) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const released = this.getPduSessions(ue).filter(session => pduSessionId === null || session.pduSessionId === pduSessionId);
+        if (released.length === 0) return false;
+
+        released.forEach(session => {
+            const upf = window.dataStore.getNFById(session.upfId);
+            const tun0 = upf?.config.tun0Interface;
+            if (tun0) {
+                tun0.assignedIPs = tun0.assignedIPs.filter(assignment =>
+                    assignment.ueId !== ue.id || (assignment.pduSessionId ?? 1) !== session.pduSessionId);
+                window.dataStore.updateNF(upf.id, upf);
+            }
+        });
+
+        ue.config.pduSessions = this.getPduSessions(ue).filter(session => !released.includes(session));
+        window.dataStore.updateNF(ueId, ue);
+
+        released.forEach(session => {
+            console.log(`🔻 PDU session ${session.pduSessionId} (${session.sessionId}) of ${ue.name} released: ${reason}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'WARNING',
+                    `PDU session released`, {
+                    pduSessionId: session.pduSessionId,
+                    sessionId: session.sessionId,
+                    dnn: session.dnn,
+                    releasedIP: session.assignedIP,
+                    removedInterface: session.tunInterface.name,
+                    reason
+                });
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Network-initiated deregistration (TS 24.501 5.5.2.3): the AMF sends a
+     * Deregistration Request, the SMF releases the PDU session at the UPF
+     * and the UE ends up DEREGISTERED without a security context
+     * @param {string} ueId - UE ID
+     * @param {Object} cause - 5GMM cause { code, name }
+     * @param {string} reason - Why the network deregisters the UE (for the log)
+     * @returns {boolean} True if the UE was deregistered
+     */
+    deregisterUE(ueId, cause, reason) {
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue || ue.type !== 'UE' || ue.config.registrationState === 'DEREGISTERED') return false;
+
+        const nfs = window.dataStore.getAllNFs();
+        const amf = nfs.find(nf => nf.type === 'AMF');
+        const smf = nfs.find(nf => nf.type === 'SMF');
+        const sessions = this.getPduSessions(ue);
+        const causeText = `#${cause.code} ${cause.name}`;
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf?.id || ue.id, 'WARNING',
+                `NAS: Deregistration Request (UE terminated)`, {
+                interface: 'N1',
+                supi: `imsi-${ue.config.subscriberImsi}`,
+                cause: causeText,
+                reRegistrationRequired: false,
+                reason
+            });
+
+            sessions.forEach(session => {
+                const upf = window.dataStore.getNFById(session.upfId);
+                window.logEngine.addLog(smf?.id || ue.id, 'INFO',
+                    `Nsmf_PDUSession_ReleaseSMContext - PFCP Session Deletion`, {
+                    pduSessionId: session.pduSessionId,
+                    sessionId: session.sessionId,
+                    dnn: session.dnn,
+                    upf: upf?.name,
+                    releasedIP: session.assignedIP
+                });
+            });
+        }
+
+        if (sessions.length > 0) {
+            this.releasePduSession(ue.id, `Network-initiated deregistration (${causeText})`);
+        }
+        window.sdmManager?.unsubscribeUe(ue.id);
+
+        ue.config.registrationState = 'DEREGISTERED';
+        delete ue.config.securityContext;
+        delete ue.config.allowedNssai;
+        delete ue.config.rejectedNssai;
+        window.dataStore.updateNF(ue.id, ue);
+
+        console.log(`🔻 ${ue.name} deregistered by the network: ${causeText}`);
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'ERROR',
+                `NAS: Deregistration Accept (UE terminated) - UE deregistered`, {
+                cause: causeText,
+                status: 'DEREGISTERED'
+            });
+        }
+
+        if (window.canvasRenderer) {
+            window.canvasRenderer.render();
+        }
         return true;
     }
 
     /**
-     * Assign tun0 IP to UE from UPF's tun0 interface
+     * Assign tun0 IP to a PDU session of a UE from UPF's tun0 interface
      * @param {Object} upf - UPF network function
      * @param {Object} ue - UE network function
+     * @param {number} pduSessionId - PDU session ID (each session gets its own IP)
      * @returns {string|null} Assigned IP or null if failed
      */
-    assigntun0IPToUE(upf, ue) {
+    assigntun0IPToUE(upf, ue, pduSessionId = 1) {
         if (!upf.config.tun0Interface) {
             console.error('❌ UPF does not have tun0 interface:', upf.name);
             return null;
@@ -1680,26 +2212,33 @@ class NFManager {
 
         const tun0 = upf.config.tun0Interface;
         
-        // Check if UE already has an IP assigned
-        const existingAssignment = tun0.assignedIPs.find(assignment => assignment.ueId === ue.id);
+        // Check if the UE's session already has an IP assigned
+        const existingAssignment = tun0.assignedIPs.find(assignment =>
+            assignment.ueId === ue.id && (assignment.pduSessionId ?? 1) === pduSessionId);
         if (existingAssignment) {
-            console.log(`ℹ️ UE ${ue.name} already has tun0 IP: ${existingAssignment.ip}`);
+            console.log(`ℹ️ UE ${ue.name} already has tun0 IP for PDU session ${pduSessionId}: ${existingAssignment.ip}`);
             return existingAssignment.ip;
         }
 
+        const staticReservations = this.getStaticIPv4Reservations();
+
         // Generate next available IP (10.0.0.2, 10.0.0.3, etc.)
         // Network 10.0.0.0/28 has IPs 10.0.0.1-10.0.0.14 (10.0.0.1 is gateway)
         while (tun0.nextAvailableIP <= 14) {
             const candidateIP = `10.0.0.${tun0.nextAvailableIP}`;
             
-            // Check if IP is already assigned
-            const isAssigned = tun0.assignedIPs.some(assignment => assignment.ip === candidateIP);
+            // Check if IP is already assigned (or held by another PDU session of the UE on another UPF,
+            // or reserved as a static address in the subscription data)
+            const isAssigned = tun0.assignedIPs.some(assignment => assignment.ip === candidateIP) ||
+                this.getPduSessions(ue).some(session => session.assignedIP === candidateIP) ||
+                staticReservations.has(candidateIP);
             
             if (!isAssigned) {
                 // Assign IP to UE
                 tun0.assignedIPs.push({
                     ueId: ue.id,
                     ueName: ue.name,
+                    pduSessionId,
                     ip: candidateIP,
                     assignedAt: Date.now()
                 });
@@ -1720,6 +2259,154 @@ class NFManager {
         return null;
     }
 
+    /**
+     * Assign the static address of the subscription data to a PDU session of a UE.
+     * The IPv4 address must lie in the UPF tun0 network (not the network, gateway or
+     * broadcast address), the IPv6 address in the tun0 IPv6 prefix, and neither may be
+     * held by another UE or another PDU session of the same UE.
+     * @param {Object} upf - UPF network function
+     * @param {Object} ue - UE network function
+     * @param {number} pduSessionId - PDU session ID
+     * @param {Object} staticIpAddress - { ipv4Addr, ipv6Addr }
+     * @returns {Object} { ipv4, ipv6 } or { conflict: { staticIp, reason, pool, inUseBy } }
+     */
+    assignStaticIPToUE(upf, ue, pduSessionId, staticIpAddress) {
+        const tun0 = upf.config.tun0Interface;
+        if (!tun0) {
+            console.error('❌ UPF does not have tun0 interface:', upf.name);
+            return { conflict: { staticIp: staticIpAddress.ipv4Addr || staticIpAddress.ipv6Addr, reason: `UPF ${upf.name} has no tun0 interface` } };
+        }
+
+        const { ipv4Addr, ipv6Addr } = staticIpAddress;
+        const allNFs = window.dataStore.getAllNFs();
+        const sessionLabel = (owner, session) => owner.id === ue.id
+            ? `${owner.name} (PDU session ${session.pduSessionId})`
+            : owner.name;
+
+        if (ipv4Addr) {
+            const pool = tun0.network || '10.0.0.0/24';
+            const [network, bits] = pool.split('/');
+            const mask = bits === '0' ? 0 : (~0 << (32 - parseInt(bits))) >>> 0;
+            const base = (this.ipv4ToInt(network) & mask) >>> 0;
+            const address = this.ipv4ToInt(ipv4Addr);
+            const broadcast = (base | (~mask >>> 0)) >>> 0;
+            if (address === null || ((address & mask) >>> 0) !== base || address === base || address === broadcast ||
+                ipv4Addr === tun0.gatewayIP) {
+                return { conflict: { staticIp: ipv4Addr, reason: `Static IPv4 address is outside the DNN pool of ${upf.name}`, pool: `${pool} (gateway ${tun0.gatewayIP})` } };
+            }
+
+            // Held by another UE on any UPF, or by another PDU session of this UE
+            const holder = allNFs
+                .filter(nf => nf.type === 'UPF')
+                .flatMap(nf => nf.config.tun0Interface?.assignedIPs || [])
+                .find(assignment => assignment.ip === ipv4Addr &&
+                    (assignment.ueId !== ue.id || (assignment.pduSessionId ?? 1) !== pduSessionId));
+            if (holder) {
+                const owner = window.dataStore.getNFById(holder.ueId);
+                return {
+                    conflict: {
+                        staticIp: ipv4Addr,
+                        reason: 'Static IPv4 address is already in use',
+                        pool,
+                        inUseBy: owner ? sessionLabel(owner, { pduSessionId: holder.pduSessionId ?? 1 }) : holder.ueName
+                    }
+                };
+            }
+        }
+
+        if (ipv6Addr) {
+            const prefix = tun0.ipv6Network || 'fd00:10::/64';
+            if (!this.isIPv6InPrefix(ipv6Addr, prefix)) {
+                return { conflict: { staticIp: ipv6Addr, reason: `Static IPv6 address is outside the DNN prefix of ${upf.name}`, pool: prefix } };
+            }
+
+            const address = this.expandIPv6(ipv6Addr).join(':');
+            for (const owner of allNFs.filter(nf => nf.type === 'UE')) {
+                const session = this.getPduSessions(owner).find(candidate => candidate.assignedIPv6 &&
+                    (owner.id !== ue.id || candidate.pduSessionId !== pduSessionId) &&
+                    this.expandIPv6(candidate.assignedIPv6)?.join(':') === address);
+                if (session) {
+                    return { conflict: { staticIp: ipv6Addr, reason: 'Static IPv6 address is already in use', pool: prefix, inUseBy: sessionLabel(owner, session) } };
+                }
+            }
+        }
+
+        if (ipv4Addr && !tun0.assignedIPs.some(assignment => assignment.ueId === ue.id && (assignment.pduSessionId ?? 1) === pduSessionId)) {
+            tun0.assignedIPs.push({
+                ueId: ue.id,
+                ueName: ue.name,
+                pduSessionId,
+                ip: ipv4Addr,
+                static: true,
+                assignedAt: Date.now()
+            });
+            window.dataStore.updateNF(upf.id, upf);
+        }
+
+        console.log(`🌐 Assigned static IP ${[ipv4Addr, ipv6Addr].filter(Boolean).join(' / ')} to UE ${ue.name} via UPF ${upf.name}`);
+        return { ipv4: ipv4Addr || null, ipv6: ipv6Addr || null };
+    }
+
+    /**
+     * Get the static IPv4 addresses provisioned in the subscription data
+     * (kept out of the dynamic tun0 pool)
+     * @returns {Set} IPv4 addresses
+     */
+    getStaticIPv4Reservations() {
+        return new Set((window.dataStore?.getSubscribers() || [])
+            .flatMap(sub => sub.smData || [])
+            .map(entry => entry.staticIpAddress?.ipv4Addr)
+            .filter(Boolean));
+    }
+
+    /**
+     * Convert a dotted IPv4 address to an unsigned integer
+     * @param {string} ip - IPv4 address
+     * @returns {number|null} Address value, null if not a valid IPv4 address
+     */
+    ipv4ToInt(ip) {
+        const octets = String(ip).split('.');
+        if (octets.length !== 4 || octets.some(octet => !/^\d{1,3}$/.test(octet) || parseInt(octet) > 255)) return null;
+        return octets.reduce((value, octet) => ((value << 8) | parseInt(octet)) >>> 0, 0);
+    }
+
+    /**
+     * Expand an IPv6 address to its eight 16-bit groups ("fd00:10::5" → ['fd00', '0010', '0000', ...])
+     * @param {string} ip - IPv6 address
+     * @returns {Array|null} Groups, null if not a valid IPv6 address
+     */
+    expandIPv6(ip) {
+        const value = String(ip).trim().toLowerCase();
+        if (!/^[0-9a-f:]+$/.test(value) || (value.match(/::/g) || []).length > 1) return null;
+
+        const [head, tail] = value.includes('::') ? value.split('::') : [value, null];
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const missing = 8 - headGroups.length - tailGroups.length;
+        if ((tail === null && missing !== 0) || (tail !== null && missing < 1)) return null;
+
+        const groups = [...headGroups, ...Array(tail === null ? 0 : missing).fill('0'), ...tailGroups];
+        if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+        return groups.map(group => group.padStart(4, '0'));
+    }
+
+    /**
+     * Check whether an IPv6 address lies in a prefix
+     * @param {string} ip - IPv6 address
+     * @param {string} prefix - Prefix in CIDR notation ("fd00:10::/64")
+     * @returns {boolean} True if the address is in the prefix
+     */
+    isIPv6InPrefix(ip, prefix) {
+        const [network, length] = prefix.split('/');
+        const address = this.expandIPv6(ip);
+        const base = this.expandIPv6(network);
+        if (!address || !base) return false;
+
+        const toBits = (groups) => groups.map(group => parseInt(group, 16).toString(2).padStart(16, '0')).join('');
+        const bits = parseInt(length);
+        return toBits(address).substring(0, bits) === toBits(base).substring(0, bits);
+    }
+
     /**
      * Simulate UE registration process (called automatically after UE becomes stable)
      * @param {Object} ue - UE network function
@@ -1768,4 +2455,14 @@ class NFManager {
             }
         }, registrationDelay);
     }
-}
\ No newline at end of file
+}
+
+// 5GMM causes used for registration reject / network-initiated deregistration (TS 24.501 9.11.3.2)
+NFManager.CAUSE_ILLEGAL_UE = { code: 3, name: 'Illegal UE' };
+NFManager.CAUSE_5GS_SERVICES_NOT_ALLOWED = { code: 7, name: '5GS services not allowed' };
+NFManager.CAUSE_PLMN_NOT_ALLOWED = { code: 11, name: 'PLMN not allowed' };
+NFManager.CAUSE_TA_NOT_ALLOWED = { code: 12, name: 'Tracking area not allowed' };
+NFManager.CAUSE_ROAMING_NOT_ALLOWED_IN_TA = { code: 13, name: 'Roaming not allowed in this tracking area' };
+NFManager.CAUSE_NO_SUITABLE_CELLS_IN_TA = { code: 15, name: 'No suitable cells in tracking area' };
+NFManager.CAUSE_N1_MODE_NOT_ALLOWED = { code: 27, name: 'N1 mode not allowed' };
+NFManager.CAUSE_NO_NETWORK_SLICES_AVAILABLE = { code: 62, name: 'No network slices available' };
@@ -0,0 +1,142 @@
+/**
+ * ============================================
+ * NSSF ENGINE (Nnssf_NSSelection)
+ * ============================================
+ * Network slice selection the AMF asks the NSSF for during registration
+ * (TS 23.501 5.15.5.2, TS 29.531)
+ *
+ * Responsibilities:
+ * - Hold the S-NSSAIs each AMF supports per tracking area
+ * - Compute the Allowed NSSAI from the requested, subscribed and
+ *   TA-supported S-NSSAIs (default subscribed S-NSSAIs when none fit)
+ * - Compute the Rejected NSSAI with its cause (PLMN or registration area)
+ * - Select the target AMF set and candidate AMFs for the Allowed NSSAI
+ */
+
+class NssfEngine {
+    constructor() {
+        console.log('✅ NssfEngine initialized');
+    }
+
+    // ==========================================
+    // AMF SLICE SUPPORT
+    // ==========================================
+
+    /**
+     * Slice support of a new AMF: the slice catalogue of the network settings in every TAC
+     * @returns {Array} [{ tac, snssais: [{ sst, sd }] }]
+     */
+    getDefaultTaiSliceSupport() {
+        const settings = window.dataStore.getNetworkSettings();
+        return settings.tacs.map(tac => ({ tac, snssais: settings.snssais.map(snssai => ({ ...snssai })) }));
+    }
+
+    /**
+     * S-NSSAIs an AMF supports in a tracking area
+     * @param {Object} amf - AMF network function
+     * @param {string} tac - Normalized TAC ("000001")
+     * @returns {Array} Array of { sst, sd }
+     */
+    getSupportedSnssais(amf, tac) {
+        const support = amf.config.taiSliceSupport || this.getDefaultTaiSliceSupport();
+        return support
+            .filter(entry => window.dataStore.normalizeTac(entry.tac) === tac)
+            .flatMap(entry => entry.snssais || []);
+    }
+
+    /**
+     * Compare two S-NSSAIs (SD '' and missing are the same)
+     * @param {Object} a - { sst, sd }
+     * @param {Object} b - { sst, sd }
+     * @returns {boolean} True if both are the same slice
+     */
+    sameSnssai(a, b) {
+        return parseInt(a.sst) === parseInt(b.sst) &&
+            window.dataStore.normalizeSd(a.sd) === window.dataStore.normalizeSd(b.sd);
+    }
+
+    /**
+     * Format the AMF set of an AMF as in TS 29.531 (mcc-mnc-regionId-setId)
+     * @param {Object} amf - AMF network function
+     * @param {Object} plmn - { mcc, mnc }
+     * @returns {string} e.g. "001-01-80-001"
+     */
+    formatAmfSet(amf, plmn) {
+        const regionId = (amf.config.amfRegionId ?? 128).toString(16).toUpperCase().padStart(2, '0');
+        const setId = (amf.config.amfSetId ?? 1).toString(16).toUpperCase().padStart(3, '0');
+        return `${plmn.mcc}-${plmn.mnc}-${regionId}-${setId}`;
+    }
+
+    /**
+     * Format the GUAMI of an AMF (PLMN, AMF Region ID, AMF Set ID, AMF Pointer)
+     * @param {Object} amf - AMF network function
+     * @param {Object} plmn - { mcc, mnc }
+     * @returns {string} e.g. "001-01-80-001-00"
+     */
+    formatGuami(amf, plmn) {
+        const pointer = (amf.config.amfPointer ?? 0).toString(16).toUpperCase().padStart(2, '0');
+        return `${this.formatAmfSet(amf, plmn)}-${pointer}`;
+    }
+
+    /**
+     * Format a Rejected NSSAI entry for the logs
+     * @param {Object} entry - { snssai, cause }
+     * @returns {string} e.g. "2 (#0 S-NSSAI not available in the current PLMN)"
+     */
+    formatRejectedSnssai(entry) {
+        return `${window.dataStore.formatSnssai(entry.snssai)} (#${entry.cause.code} ${entry.cause.name})`;
+    }
+
+    // ==========================================
+    // NETWORK SLICE SELECTION
+    // ==========================================
+
+    /**
+     * Nnssf_NSSelection_Get for a registering UE
+     * @param {Object} params - { requestedNssai, subscribedSnssais (DataStore.getSubscribedSnssais), tac, plmn: { mcc, mnc }, servingAmf }
+     * @returns {Object} { allowedNssai, rejectedNssai: [{ snssai, cause }], defaultNssaiUsed, targetAmfSet, candidateAmfs }
+     */
+    selectSlices(params) {
+        const { requestedNssai = [], subscribedSnssais = [], tac, plmn, servingAmf = null } = params;
+        const amfs = window.dataStore.getAllNFs().filter(nf => nf.type === 'AMF');
+        const taSupported = amfs.flatMap(amf => this.getSupportedSnssais(amf, tac));
+
+        const allowedNssai = [];
+        const rejectedNssai = [];
+        requestedNssai.forEach(snssai => {
+            if (!subscribedSnssais.some(s => this.sameSnssai(s, snssai))) {
+                rejectedNssai.push({ snssai, cause: NssfEngine.REJECT_NOT_AVAILABLE_IN_PLMN });
+            } else if (!taSupported.some(s => this.sameSnssai(s, snssai))) {
+                rejectedNssai.push({ snssai, cause: NssfEngine.REJECT_NOT_AVAILABLE_IN_RA });
+            } else if (!allowedNssai.some(s => this.sameSnssai(s, snssai))) {
+                allowedNssai.push({ sst: parseInt(snssai.sst), sd: window.dataStore.normalizeSd(snssai.sd) });
+            }
+        });
+
+        // No requested S-NSSAI can be used: the default subscribed S-NSSAIs the TA supports
+        let defaultNssaiUsed = false;
+        if (allowedNssai.length === 0) {
+            subscribedSnssais
+                .filter(s => s.isDefault && taSupported.some(supported => this.sameSnssai(supported, s)))
+                .forEach(s => allowedNssai.push({ sst: s.sst, sd: s.sd || '' }));
+            defaultNssaiUsed = allowedNssai.length > 0;
+        }
+
+        // AMFs serving every allowed S-NSSAI in the TA, the serving AMF first
+        const candidates = amfs
+            .filter(amf => allowedNssai.length > 0 && allowedNssai.every(s => this.getSupportedSnssais(amf, tac).some(supported => this.sameSnssai(supported, s))))
+            .sort((a, b) => (b === servingAmf) - (a === servingAmf));
+
+        return {
+            allowedNssai,
+            rejectedNssai,
+            defaultNssaiUsed,
+            targetAmfSet: candidates[0] ? this.formatAmfSet(candidates[0], plmn) : null,
+            candidateAmfs: candidates.map(amf => amf.name)
+        };
+    }
+}
+
+// Rejected S-NSSAI causes (TS 24.501 9.11.3.46)
+NssfEngine.REJECT_NOT_AVAILABLE_IN_PLMN = { code: 0, name: 'S-NSSAI not available in the current PLMN' };
+NssfEngine.REJECT_NOT_AVAILABLE_IN_RA = { code: 1, name: 'S-NSSAI not available in the current registration area' };
@@ -0,0 +1,341 @@
+/**
+ * ============================================
+ * NUDR ROUTER (Nudr_DataRepository)
+ * ============================================
+ * In-browser stand-in for the UDR's Nudr_DataRepository service
+ * (TS 29.505) answering from the subscriber store
+ *
+ * Responsibilities:
+ * - Route Nudr requests (method + URI) to the subscription-data resources
+ *   (authentication-subscription, provisioned-data, identity-data)
+ * - Resolve the ueId from a SUPI or a GPSI
+ * - Build resources from the oai_db row mapping of the SQL engine
+ * - Apply PATCH requests on the authentication SQN
+ * - Expose the access restrictions of the AM data (RAT, areas, ODB)
+ * - Answer errors as ProblemDetails (400 / 404 / 405)
+ * - Keep the exchanges for the request inspector
+ */
+
+class NudrRouter {
+    constructor() {
+        this.apiRoot = '/nudr-dr/v2';
+        this.exchanges = [];       // Recorded request/response pairs (oldest first)
+        this.maxExchanges = 200;   // Oldest exchanges are dropped beyond this
+        this.exchangeSeq = 0;
+        this.listeners = [];       // Inspector callbacks
+
+        // Resources below /subscription-data/{ueId}
+        this.routes = [
+            {
+                pattern: /^\/subscription-data\/([^/]+)\/identity-data$/,
+                methods: { GET: (params) => this.getIdentityData(params) }
+            },
+            {
+                pattern: /^\/subscription-data\/([^/]+)\/authentication-data\/authentication-subscription$/,
+                methods: {
+                    GET: (params) => this.getAuthenticationSubscription(params),
+                    PATCH: (params, body) => this.patchAuthenticationSubscription(params, body)
+                }
+            },
+            {
+                pattern: /^\/subscription-data\/([^/]+)\/([^/]+)\/provisioned-data$/,
+                methods: { GET: (params, body, query) => this.getProvisionedData(params, query) }
+            },
+            {
+                pattern: /^\/subscription-data\/([^/]+)\/([^/]+)\/provisioned-data\/am-data$/,
+                methods: { GET: (params) => this.getAmData(params) }
+            },
+            {
+                pattern: /^\/subscription-data\/([^/]+)\/([^/]+)\/provisioned-data\/sm-data$/,
+                methods: { GET: (params, body, query) => this.getSmData(params, query) }
+            },
+            {
+                pattern: /^\/subscription-data\/([^/]+)\/([^/]+)\/provisioned-data\/smf-selection-subscription-data$/,
+                methods: { GET: (params) => this.getSmfSelectionData(params) }
+            }
+        ];
+
+        console.log('✅ NudrRouter initialized');
+    }
+
+    // ==========================================
+    // REQUEST HANDLING
+    // ==========================================
+
+    /**
+     * Send a request to the UDR
+     * @param {string} method - HTTP method
+     * @param {string} uri - Path below the API root (or the full path), with optional query
+     * @param {Object} options - { body, consumer } consumer is the calling NF name (for the inspector)
+     * @returns {Object} { status, body } (body is a ProblemDetails object on errors)
+     */
+    request(method, uri, options = {}) {
+        const { body = null, consumer = 'unknown' } = options;
+        const [rawPath, queryString = ''] = uri.split('?');
+        const path = rawPath.startsWith(this.apiRoot) ? rawPath.substring(this.apiRoot.length) : rawPath;
+        const query = Object.fromEntries(new URLSearchParams(queryString));
+
+        let response;
+        try {
+            response = this.dispatch(method.toUpperCase(), path, body, query);
+        } catch (error) {
+            response = this.problem(500, 'SYSTEM_FAILURE', error.message);
+        }
+
+        this.recordExchange({
+            consumer,
+            method: method.toUpperCase(),
+            uri: `${this.apiRoot}${path}${queryString ? `?${queryString}` : ''}`,
+            requestBody: body,
+            status: response.status,
+            responseBody: response.body
+        });
+
+        return response;
+    }
+
+    /**
+     * Match a path against the routes and run its handler
+     */
+    dispatch(method, path, body, query) {
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (!match) continue;
+
+            const handler = route.methods[method];
+            if (!handler) {
+                return this.problem(405, null, `${method} is not allowed on this resource (allowed: ${Object.keys(route.methods).join(', ')})`);
+            }
+
+            const params = { ueId: decodeURIComponent(match[1]), servingPlmnId: match[2] };
+            const subscriber = this.findSubscriber(params.ueId);
+            if (subscriber.error) return subscriber.error;
+
+            return handler({ ...params, subscriber: subscriber.profile }, body, query);
+        }
+
+        return this.problem(404, 'RESOURCE_URI_STRUCTURE_NOT_FOUND', `No Nudr resource at ${this.apiRoot}${path}`);
+    }
+
+    /**
+     * Resolve a ueId (SUPI imsi-<digits> or GPSI msisdn-<digits>) to its subscriber profile
+     * @param {string} ueId - SUPI or GPSI
+     * @returns {Object} { profile } or { error } response
+     */
+    findSubscriber(ueId) {
+        const match = ueId.match(/^imsi-(\d{5,15})$/);
+        if (!match && !/^msisdn-\d{5,15}$/.test(ueId)) {
+            return { error: this.problem(400, 'MANDATORY_IE_INCORRECT', `ueId ${ueId} is not a SUPI (imsi-<digits>) or GPSI (msisdn-<digits>)`) };
+        }
+
+        const profile = match
+            ? window.dataStore?.getSubscriberByImsi(match[1])
+            : window.dataStore?.getSubscriberByIdentity(ueId);
+        if (!profile) {
+            return { error: this.problem(404, 'USER_NOT_FOUND', `No subscription data for ${ueId}`) };
+        }
+
+        return { profile };
+    }
+
+    /**
+     * Build an error response with a ProblemDetails body
+     * @param {number} status - HTTP status code
+     * @param {string|null} cause - Application error cause
+     * @param {string} detail - Human readable detail
+     */
+    problem(status, cause, detail) {
+        const titles = { 400: 'Bad Request', 404: 'Not Found', 405: 'Method Not Allowed', 500: 'Internal Server Error' };
+        return {
+            status,
+            body: { title: titles[status], status, detail, ...(cause ? { cause } : {}) }
+        };
+    }
+
+    // ==========================================
+    // SUBSCRIPTION-DATA RESOURCES
+    // ==========================================
+
+    /**
+     * GET .../authentication-data/authentication-subscription
+     */
+    getAuthenticationSubscription({ subscriber }) {
+        const row = window.sqlEngine.authRowFromSubscriber(subscriber);
+        const resource = {};
+        Object.entries(row).forEach(([column, value]) => {
+            if (column === 'ueid' || value === null || value === undefined) return;
+            resource[column] = column === 'sequenceNumber' ? JSON.parse(value) : value;
+        });
+
+        return { status: 200, body: resource };
+    }
+
+    /**
+     * PATCH .../authentication-data/authentication-subscription
+     * Body: PatchItem list, e.g. [{ op: 'replace', path: '/sequenceNumber/sqn', value: '000000000041' }]
+     */
+    patchAuthenticationSubscription({ subscriber }, body) {
+        if (!Array.isArray(body) || body.length === 0) {
+            return this.problem(400, 'INVALID_MSG_FORMAT', 'PATCH body must be a non-empty array of PatchItems');
+        }
+
+        let sqn = subscriber.sqn;
+        for (const item of body) {
+            if (item?.op !== 'replace') {
+                return this.problem(400, 'INVALID_MSG_FORMAT', `Unsupported PatchItem op ${item?.op}`);
+            }
+
+            if (item.path === '/sequenceNumber/sqn') {
+                sqn = item.value;
+            } else if (item.path === '/sequenceNumber') {
+                sqn = item.value?.sqn;
+            } else {
+                return this.problem(400, 'INVALID_MSG_FORMAT', `Path ${item.path} cannot be patched (only /sequenceNumber)`);
+            }
+
+            if (!/^[0-9a-fA-F]{12}$/.test(sqn || '')) {
+                return this.problem(400, 'MANDATORY_IE_INCORRECT', `SQN ${sqn} is not 12 hexadecimal characters`);
+            }
+        }
+
+        window.dataStore.upsertSubscriber(subscriber.imsi, { sqn: sqn.toUpperCase() }, { source: 'nudr' });
+        return { status: 204, body: null };
+    }
+
+    /**
+     * GET .../identity-data (the SUPI and GPSI of a SUPI or GPSI)
+     */
+    getIdentityData({ subscriber }) {
+        return {
+            status: 200,
+            body: {
+                supiList: [`imsi-${subscriber.imsi}`],
+                ...(subscriber.gpsi ? { gpsiList: [subscriber.gpsi] } : {})
+            }
+        };
+    }
+
+    /**
+     * GET .../{servingPlmnId}/provisioned-data (all data sets)
+     */
+    getProvisionedData(params, query) {
+        return {
+            status: 200,
+            body: {
+                amData: this.getAmData(params).body,
+                smfSelData: this.getSmfSelectionData(params).body,
+                smData: this.getSmData(params, query).body
+            }
+        };
+    }
+
+    /**
+     * GET .../{servingPlmnId}/provisioned-data/am-data
+     */
+    getAmData({ subscriber }) {
+        const row = window.sqlEngine.amRowFromSubscriber(subscriber);
+        const body = {
+            subscribedUeAmbr: JSON.parse(row.subscribedUeAmbr),
+            nssai: JSON.parse(row.nssai)
+        };
+        if (row.gpsis !== null) {
+            body.gpsis = JSON.parse(row.gpsis);
+        }
+
+        // Access restrictions are only present when provisioned
+        SQLEngine.AM_RESTRICTION_COLUMNS.filter(column => row[column] !== null).forEach(column => {
+            body[column] = JSON.parse(row[column]);
+        });
+
+        return { status: 200, body };
+    }
+
+    /**
+     * GET .../{servingPlmnId}/provisioned-data/sm-data (query: single-nssai, dnn)
+     */
+    getSmData({ subscriber }, query = {}) {
+        let sliceFilter = null;
+        if (query['single-nssai']) {
+            try {
+                const snssai = JSON.parse(query['single-nssai']);
+                sliceFilter = { sst: parseInt(snssai.sst), sd: window.dataStore.normalizeSd(snssai.sd) };
+            } catch (error) {
+                return this.problem(400, 'INVALID_QUERY_PARAM', `single-nssai is not a valid Snssai: ${query['single-nssai']}`);
+            }
+        }
+
+        const body = window.sqlEngine.smRowsFromSubscriber(subscriber)
+            .map(row => ({ singleNssai: JSON.parse(row.singleNssai), dnnConfigurations: JSON.parse(row.dnnConfigurations) }))
+            .filter(data => !sliceFilter || (data.singleNssai.sst === sliceFilter.sst &&
+                window.dataStore.normalizeSd(data.singleNssai.sd) === sliceFilter.sd))
+            .map(data => {
+                if (!query.dnn) return data;
+                const dnnConfigurations = data.dnnConfigurations[query.dnn] ? { [query.dnn]: data.dnnConfigurations[query.dnn] } : {};
+                return { ...data, dnnConfigurations };
+            })
+            .filter(data => !query.dnn || Object.keys(data.dnnConfigurations).length > 0);
+
+        return { status: 200, body };
+    }
+
+    /**
+     * GET .../{servingPlmnId}/provisioned-data/smf-selection-subscription-data
+     */
+    getSmfSelectionData({ subscriber }) {
+        const subscribedSnssaiInfos = {};
+        subscriber.smData.forEach(entry => {
+            const key = window.dataStore.formatSnssai(entry);
+            if (!subscribedSnssaiInfos[key]) subscribedSnssaiInfos[key] = { dnnInfos: [] };
+            subscribedSnssaiInfos[key].dnnInfos.push({ dnn: entry.dnn, defaultDnnIndicator: entry.isDefault });
+        });
+
+        return { status: 200, body: { subscribedSnssaiInfos } };
+    }
+
+    // ==========================================
+    // INSPECTOR
+    // ==========================================
+
+    /**
+     * Store an exchange and notify the inspector
+     * @param {Object} exchange - { consumer, method, uri, requestBody, status, responseBody }
+     */
+    recordExchange(exchange) {
+        this.exchanges.push({ id: ++this.exchangeSeq, timestamp: new Date().toISOString(), ...exchange });
+        if (this.exchanges.length > this.maxExchanges) {
+            this.exchanges.splice(0, this.exchanges.length - this.maxExchanges);
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Get recorded exchanges, newest first
+     * @returns {Array} Exchanges
+     */
+    getExchanges() {
+        return [...this.exchanges].reverse();
+    }
+
+    clearExchanges() {
+        this.exchanges = [];
+        this.notifyListeners();
+    }
+
+    /**
+     * Subscribe to new exchanges
+     * @param {Function} callback - Called with the exchange list
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this.exchanges);
+            } catch (error) {
+                console.error('Error in Nudr listener:', error);
+            }
+        });
+    }
+}
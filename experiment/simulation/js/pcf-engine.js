@@ -0,0 +1,434 @@
+/**
+ * ============================================
+ * PCF ENGINE (Npcf_SMPolicyControl)
+ * ============================================
+ * SM policy decisions the SMF asks the PCF for when it establishes a
+ * PDU session (TS 23.503 6.3, TS 29.512) and the QER / gate the UPF
+ * derives from them on its simulated data path
+ *
+ * Responsibilities:
+ * - Hold the policy profiles of a PCF (session AMBR, QoS flows with
+ *   5QI / GBR / MBR, per-application gating rules) attached to
+ *   subscribers and/or DNNs, or named in a subscriber's policy data
+ * - Decide the SM policy of a PDU session (subscribed values when no
+ *   profile matches, or without a PCF)
+ * - Push updated decisions to the established sessions
+ * - Give the UPF the bit rate limits and gate of an application flow
+ */
+
+class PcfEngine {
+    constructor() {
+        // Policy data (subscriber policy profile) changes arrive as UDR store updates
+        window.dataStore?.subscribe((event) => {
+            if (event === 'subscribers-updated') {
+                this.updateSmPolicies({ trigger: 'Policy data changed in the UDR' });
+            }
+        });
+
+        console.log('✅ PcfEngine initialized');
+    }
+
+    // ==========================================
+    // POLICY PROFILES
+    // ==========================================
+
+    /**
+     * Policy profiles of a new PCF: none, sessions get the subscribed values
+     * @returns {Array} Policy profiles
+     */
+    getDefaultPolicyProfiles() {
+        return [];
+    }
+
+    /**
+     * Get the PCF of the topology
+     * @returns {Object|null} PCF network function
+     */
+    getPcf() {
+        return window.dataStore?.getAllNFs().find(nf => nf.type === 'PCF') || null;
+    }
+
+    /**
+     * Find the policy profile of a session. A profile applies when each of its
+     * non-empty IMSI / DNN lists contains the session's value; the most specific
+     * one wins (IMSI and DNN, then IMSI, then DNN, then a catch-all profile).
+     * @param {Array} profiles - Policy profiles
+     * @param {string} imsi - Subscriber IMSI
+     * @param {string} dnn - DNN of the session
+     * @returns {Object|null} Policy profile
+     */
+    findPolicyProfile(profiles, imsi, dnn) {
+        let best = null;
+        let bestScore = -1;
+        profiles.forEach(profile => {
+            const imsis = profile.imsis || [];
+            const dnns = profile.dnns || [];
+            if ((imsis.length > 0 && !imsis.includes(imsi)) || (dnns.length > 0 && !dnns.includes(dnn))) return;
+
+            const score = (imsis.length > 0 ? 2 : 0) + (dnns.length > 0 ? 1 : 0);
+            if (score > bestScore) {
+                best = profile;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Find the policy profile of a session, preferring the profile named in the
+     * subscriber's policy data when it covers the session's DNN
+     * @param {Array} profiles - Policy profiles
+     * @param {Object} subscriber - Subscriber profile
+     * @param {string} dnn - DNN of the session
+     * @returns {Object|null} Policy profile
+     */
+    findSubscriberPolicyProfile(profiles, subscriber, dnn) {
+        const assigned = profiles.find(profile => profile.name === subscriber.policyProfile);
+        if (assigned && ((assigned.dnns || []).length === 0 || assigned.dnns.includes(dnn))) {
+            return assigned;
+        }
+        return this.findPolicyProfile(profiles, subscriber.imsi, dnn);
+    }
+
+    /**
+     * Check whether a 5QI is of GBR resource type (TS 23.501 Table 5.7.4-1)
+     * @param {number} fiveQi - 5QI
+     * @returns {boolean} True for GBR and delay-critical GBR 5QIs
+     */
+    isGbr5qi(fiveQi) {
+        return PcfEngine.GBR_5QIS.includes(fiveQi);
+    }
+
+    /**
+     * Parse a QoS flow line of the policy panel: "qfi=2 5qi=1 gbr=10Mbps/10Mbps mbr=20Mbps/20Mbps"
+     * @param {string} line - QoS flow description
+     * @returns {Object} { qfi, fiveQi, gbr: { uplink, downlink }, mbr: { uplink, downlink } }
+     */
+    parseQosFlowLine(line) {
+        const flow = {};
+        line.trim().split(/\s+/).forEach(token => {
+            const [key, value = ''] = token.split('=');
+            const rates = () => {
+                const [uplink, downlink] = value.split('/');
+                return {
+                    uplink: window.dataStore.normalizeBitRate(uplink),
+                    downlink: window.dataStore.normalizeBitRate(downlink ?? uplink)
+                };
+            };
+            if (key.toLowerCase() === 'qfi') flow.qfi = Number(value);
+            else if (key.toLowerCase() === '5qi') flow.fiveQi = Number(value);
+            else if (key.toLowerCase() === 'gbr') flow.gbr = rates();
+            else if (key.toLowerCase() === 'mbr') flow.mbr = rates();
+            else flow.unknown = token;
+        });
+        return flow;
+    }
+
+    /**
+     * Parse an application rule line of the policy panel: "iperf3 OPEN qfi=2", "icmp CLOSED"
+     * @param {string} line - Application rule description
+     * @returns {Object} { appId, gateStatus, qfi }
+     */
+    parseAppRuleLine(line) {
+        const [appId = '', gateStatus = 'OPEN', ...rest] = line.trim().split(/\s+/);
+        const qfiToken = rest.find(token => token.toLowerCase().startsWith('qfi='));
+        return {
+            appId: appId.toLowerCase(),
+            gateStatus: gateStatus.toUpperCase(),
+            ...(qfiToken ? { qfi: Number(qfiToken.split('=')[1]) } : {})
+        };
+    }
+
+    /**
+     * Format a QoS flow the way the policy panel reads it back
+     * @param {Object} flow - QoS flow
+     * @returns {string} e.g. "qfi=2 5qi=1 gbr=10 Mbps/10 Mbps mbr=20 Mbps/20 Mbps"
+     */
+    formatQosFlow(flow) {
+        return [
+            `qfi=${flow.qfi}`,
+            `5qi=${flow.fiveQi}`,
+            ...(flow.gbr ? [`gbr=${flow.gbr.uplink}/${flow.gbr.downlink}`] : []),
+            ...(flow.mbr ? [`mbr=${flow.mbr.uplink}/${flow.mbr.downlink}`] : [])
+        ].join(' ');
+    }
+
+    /**
+     * Format an application rule the way the policy panel reads it back
+     * @param {Object} rule - Application rule
+     * @returns {string} e.g. "iperf3 OPEN qfi=2"
+     */
+    formatAppRule(rule) {
+        return `${rule.appId} ${rule.gateStatus}${rule.qfi ? ` qfi=${rule.qfi}` : ''}`;
+    }
+
+    /**
+     * Validate a policy profile
+     * @param {Object} profile - Policy profile
+     * @param {Array} profiles - Profiles already provisioned on the PCF
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    getPolicyProfileErrors(profile, profiles = []) {
+        const errors = [];
+        const toBps = (value) => window.dataStore.parseBitRate(value);
+
+        if (!profile.name) {
+            errors.push('Profile name is required');
+        } else if (profiles.some(existing => existing.name === profile.name)) {
+            errors.push(`A policy profile named "${profile.name}" already exists`);
+        }
+
+        if (profile.imsis.some(imsi => !/^\d{15}$/.test(imsi))) {
+            errors.push('Invalid IMSI: Must be exactly 15 digits');
+        }
+
+        if (profile.sessionAmbr && (toBps(profile.sessionAmbr.uplink) === null || toBps(profile.sessionAmbr.downlink) === null)) {
+            errors.push('Invalid session AMBR: Use a bit rate such as "50 Mbps" for uplink and downlink');
+        }
+
+        const qfis = new Set([1]);
+        profile.qosFlows.forEach(flow => {
+            const label = `QoS flow ${flow.qfi ?? '?'}`;
+            if (flow.unknown) {
+                errors.push(`${label}: Unknown field "${flow.unknown}" (use qfi=, 5qi=, gbr=, mbr=)`);
+            }
+            if (!Number.isInteger(flow.qfi) || flow.qfi < 2 || flow.qfi > 63) {
+                errors.push(`${label}: QFI must be between 2 and 63 (QFI 1 is the default QoS flow)`);
+            } else if (qfis.has(flow.qfi)) {
+                errors.push(`${label}: QFI is used twice`);
+            }
+            qfis.add(flow.qfi);
+
+            if (!Number.isInteger(flow.fiveQi) || flow.fiveQi < 1 || flow.fiveQi > 255) {
+                errors.push(`${label}: 5QI must be between 1 and 255`);
+                return;
+            }
+
+            const rates = [flow.gbr?.uplink, flow.gbr?.downlink, flow.mbr?.uplink, flow.mbr?.downlink].filter(rate => rate !== undefined);
+            if (rates.some(rate => toBps(rate) === null)) {
+                errors.push(`${label}: Invalid bit rate (e.g. gbr=10Mbps/20Mbps)`);
+            } else if (this.isGbr5qi(flow.fiveQi)) {
+                if (!flow.gbr || !flow.mbr) {
+                    errors.push(`${label}: 5QI ${flow.fiveQi} is a GBR 5QI and needs gbr= and mbr=`);
+                } else if (toBps(flow.mbr.uplink) < toBps(flow.gbr.uplink) || toBps(flow.mbr.downlink) < toBps(flow.gbr.downlink)) {
+                    errors.push(`${label}: MBR must not be lower than GBR`);
+                }
+            } else if (flow.gbr) {
+                errors.push(`${label}: 5QI ${flow.fiveQi} is a non-GBR 5QI and cannot have a GBR`);
+            }
+        });
+
+        profile.appRules.forEach(rule => {
+            if (!PcfEngine.APPLICATIONS[rule.appId]) {
+                errors.push(`Unknown application "${rule.appId}" (known: ${Object.keys(PcfEngine.APPLICATIONS).join(', ')})`);
+            }
+            if (!['OPEN', 'CLOSED'].includes(rule.gateStatus)) {
+                errors.push(`Gate of ${rule.appId} must be OPEN or CLOSED`);
+            }
+            if (rule.qfi !== undefined && !qfis.has(rule.qfi)) {
+                errors.push(`Rule of ${rule.appId} binds to QFI ${rule.qfi}, which is not a QoS flow of the profile`);
+            }
+        });
+        if (new Set(profile.appRules.map(rule => rule.appId)).size !== profile.appRules.length) {
+            errors.push('Each application can only have one rule');
+        }
+
+        return errors;
+    }
+
+    // ==========================================
+    // SM POLICY DECISION
+    // ==========================================
+
+    /**
+     * Decide the SM policy of a PDU session
+     * @param {Object} params - { pcf, subscriber, smData } (smData as from DataStore.resolveSessionProfile)
+     * @returns {Object} { policyProfile, sessAmbr, qosFlows, appRules }
+     */
+    decideSmPolicy(params) {
+        const { pcf, subscriber, smData } = params;
+        const profile = this.findSubscriberPolicyProfile(pcf?.config.policyProfiles || [], subscriber, smData.dnn);
+
+        return {
+            policyProfile: profile?.name || null,
+            sessAmbr: { ...(profile?.sessionAmbr || smData.sessionAmbr) },
+            qosFlows: [
+                { qfi: 1, fiveQi: smData.default5qi, arpPriorityLevel: smData.arpPriorityLevel, isDefault: true },
+                ...(profile?.qosFlows || []).map(flow => ({ ...flow, arpPriorityLevel: smData.arpPriorityLevel }))
+            ],
+            appRules: (profile?.appRules || []).map(rule => ({ ...rule }))
+        };
+    }
+
+    /**
+     * Npcf_SMPolicyControl_Create: the SMF asks the PCF for the policy of a new PDU session
+     * @param {Object} params - { ue, subscriber, smData, pduSessionId }
+     * @returns {Object} SM policy decision
+     */
+    createSmPolicy(params) {
+        const { ue, subscriber, smData, pduSessionId } = params;
+        const nfs = window.dataStore.getAllNFs();
+        const smf = nfs.find(nf => nf.type === 'SMF');
+        const pcf = this.getPcf();
+        const decision = this.decideSmPolicy({ pcf, subscriber, smData });
+
+        if (window.logEngine) {
+            if (!pcf) {
+                window.logEngine.addLog(smf?.id || ue.id, 'WARNING', 'No PCF available - local SM policy (subscribed values)', {
+                    pduSessionId,
+                    dnn: smData.dnn,
+                    sessAmbr: this.formatAmbr(decision.sessAmbr)
+                });
+                return decision;
+            }
+
+            window.logEngine.addLog(smf?.id || ue.id, 'INFO', 'Npcf_SMPolicyControl_Create', {
+                interface: 'N7',
+                supi: `imsi-${subscriber.imsi}`,
+                pduSessionId,
+                dnn: smData.dnn,
+                sNssai: window.dataStore.formatSnssai(smData),
+                subsSessAmbr: this.formatAmbr(smData.sessionAmbr),
+                subsDefQos: `5QI ${smData.default5qi}, ARP ${smData.arpPriorityLevel}`
+            });
+            window.logEngine.addLog(pcf.id, 'SUCCESS', 'SM policy decision', this.describeDecision(decision, {
+                supi: `imsi-${subscriber.imsi}`,
+                pduSessionId,
+                dnn: smData.dnn
+            }));
+        }
+
+        return decision;
+    }
+
+    /**
+     * Npcf_SMPolicyControl_UpdateNotify: decide the policy of every established
+     * session again and apply the changed decisions (PFCP session modification)
+     * @param {Object} options - { ueId (only the sessions of this UE), trigger (for the log) }
+     * @returns {number} Number of sessions whose policy changed
+     */
+    updateSmPolicies(options = {}) {
+        const { ueId = null, trigger = 'Policy profiles changed' } = options;
+        const nfs = window.dataStore?.getAllNFs() || [];
+        const smf = nfs.find(nf => nf.type === 'SMF');
+        const pcf = this.getPcf();
+        let changed = 0;
+
+        nfs.filter(nf => nf.type === 'UE' && (!ueId || nf.id === ueId)).forEach(ue => {
+            const subscriber = window.dataStore.getSubscriberByImsi(ue.config.subscriberImsi);
+            if (!subscriber) return;
+            const before = changed;
+
+            (ue.config.pduSessions || []).forEach(session => {
+                const smData = subscriber.smData.find(entry => entry.dnn === session.dnn && entry.sst === session.snssai.sst &&
+                    window.dataStore.normalizeSd(entry.sd) === window.dataStore.normalizeSd(session.snssai.sd));
+                if (!smData) return;
+
+                const decision = this.decideSmPolicy({ pcf, subscriber, smData });
+                if (JSON.stringify(decision) === JSON.stringify(session.smPolicy)) return;
+
+                session.smPolicy = decision;
+                changed++;
+
+                const upf = window.dataStore.getNFById(session.upfId);
+                window.logEngine?.addLog(pcf?.id || smf?.id || ue.id, 'INFO', 'Npcf_SMPolicyControl_UpdateNotify', this.describeDecision(decision, {
+                    interface: 'N7',
+                    supi: `imsi-${subscriber.imsi}`,
+                    pduSessionId: session.pduSessionId,
+                    dnn: session.dnn,
+                    trigger
+                }));
+                window.logEngine?.addLog(smf?.id || ue.id, 'INFO', 'PFCP: Session Modification Request (QER updated)', {
+                    interface: 'N4',
+                    upf: upf?.name,
+                    ue: ue.name,
+                    pduSessionId: session.pduSessionId,
+                    sessAmbr: this.formatAmbr(decision.sessAmbr),
+                    qosFlows: decision.qosFlows.map(flow => this.formatQosFlow(flow))
+                });
+            });
+
+            if (changed > before) window.dataStore.updateNF(ue.id, ue);
+        });
+
+        return changed;
+    }
+
+    /**
+     * Log details of a decision
+     * @param {Object} decision - SM policy decision
+     * @param {Object} extra - Fields to put first
+     * @returns {Object} Log details
+     */
+    describeDecision(decision, extra = {}) {
+        return {
+            ...extra,
+            policyProfile: decision.policyProfile || 'none (subscribed values)',
+            sessAmbr: this.formatAmbr(decision.sessAmbr),
+            qosFlows: decision.qosFlows.map(flow => this.formatQosFlow(flow)),
+            appRules: decision.appRules.length > 0 ? decision.appRules.map(rule => this.formatAppRule(rule)) : 'none'
+        };
+    }
+
+    /**
+     * Format an AMBR for the logs
+     * @param {Object} ambr - { uplink, downlink }
+     * @returns {string} e.g. "UL 100 Mbps / DL 200 Mbps"
+     */
+    formatAmbr(ambr) {
+        return `UL ${ambr.uplink} / DL ${ambr.downlink}`;
+    }
+
+    // ==========================================
+    // UPF ENFORCEMENT
+    // ==========================================
+
+    /**
+     * Limits the UPF applies to an application flow of a PDU session: the gate of
+     * the application rule, and the MBR / AMBR of the QoS flow it is bound to.
+     * Session-AMBR and UE-AMBR only apply to non-GBR QoS flows (TS 23.501 5.7.2.6).
+     * @param {Object} session - PDU session
+     * @param {string} appId - Application (key of PcfEngine.APPLICATIONS)
+     * @param {string} direction - 'uplink' or 'downlink'
+     * @returns {Object} { gateStatus, qfi, fiveQi, maxBps, limitedBy, guaranteedBps }
+     */
+    getUserPlaneLimits(session, appId, direction) {
+        const policy = session.smPolicy || {
+            sessAmbr: session.sessionAmbr,
+            qosFlows: [{ qfi: 1, fiveQi: session.fiveQi, isDefault: true }],
+            appRules: []
+        };
+        const rule = policy.appRules.find(candidate => candidate.appId === appId);
+        const flow = policy.qosFlows.find(candidate => candidate.qfi === (rule?.qfi ?? 1)) || policy.qosFlows[0];
+        const gbr = this.isGbr5qi(flow.fiveQi);
+
+        const limits = [
+            ...(gbr ? [] : [
+                [policy.sessAmbr?.[direction], 'Session-AMBR'],
+                [session.ueAmbr?.[direction], 'UE-AMBR']
+            ]),
+            [flow.mbr?.[direction], `MBR of QoS flow ${flow.qfi}`]
+        ]
+            .map(([rate, name]) => ({ bps: window.dataStore.parseBitRate(rate), name }))
+            .filter(limit => limit.bps !== null);
+        const tightest = limits.reduce((best, limit) => (!best || limit.bps < best.bps ? limit : best), null);
+
+        return {
+            gateStatus: rule?.gateStatus || 'OPEN',
+            qfi: flow.qfi,
+            fiveQi: flow.fiveQi,
+            maxBps: tightest?.bps ?? null,
+            limitedBy: tightest?.name || null,
+            guaranteedBps: gbr ? window.dataStore.parseBitRate(flow.gbr?.[direction]) : null
+        };
+    }
+}
+
+// Applications the per-application gating rules can match (PFD of the simulated data path)
+PcfEngine.APPLICATIONS = {
+    iperf3: 'iperf3 (TCP port 5201)',
+    icmp: 'ICMP echo (ping)'
+};
+
+// GBR and delay-critical GBR 5QIs (TS 23.501 Table 5.7.4-1)
+PcfEngine.GBR_5QIS = [1, 2, 3, 4, 65, 66, 67, 71, 72, 73, 74, 75, 76, 82, 83, 84, 85, 86, 87, 88, 89, 90];
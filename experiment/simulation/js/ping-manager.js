@@ -36,10 +36,11 @@ class PingManager {
 
         const pingId = `ping-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
         
-        // Determine source IP based on interface
+        // Determine source IP based on interface (a UE's oaitun_ue interface is one of its PDU sessions)
         let sourceIP = sourceNf.config.ipAddress;
-        if (interfaceName && sourceNf.config.tunInterface) {
-            sourceIP = sourceNf.config.tunInterface.ipAddress;
+        const session = window.nfManager?.findPduSession(sourceNf, interfaceName);
+        if (session) {
+            sourceIP = session.tunInterface.ipAddress;
         }
         
         // Check if target is reachable
@@ -235,30 +236,26 @@ class PingManager {
             return true;
         }
 
-        // SPECIAL CASE: Internet connectivity (8.8.8.8) via tun interface
-        if (sourceNf.type === 'UE' && interfaceName && sourceNf.config?.tunInterface) {
-            // UE can reach internet through tun interface if PDU session is established
-            if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4') {
-                return sourceNf.config.pduSession ? true : false;
-            }
-            // UE can reach gateway (10.0.0.1) through tun interface
-            if (targetIP === '10.0.0.1') {
-                return sourceNf.config.pduSession ? true : false;
+        // SPECIAL CASE: Internet connectivity (8.8.8.8) via the tun interface of a PDU session
+        const session = sourceNf.type === 'UE' ? window.nfManager?.findPduSession(sourceNf, interfaceName) : null;
+        if (session) {
+            // UE can reach internet and the gateway (10.0.0.1) through the session's tun interface
+            if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4' || targetIP === '10.0.0.1') {
+                return true;
             }
-            // UE can reach UPF IP through tun interface
-            if (sourceNf.config.pduSession) {
-                const upf = window.dataStore?.getNFById(sourceNf.config.pduSession.upfId);
-                if (upf && targetIP === upf.config.ipAddress) {
-                    return true;
-                }
+            // UE can reach the IP of the session's UPF through tun interface
+            const upf = window.dataStore?.getNFById(session.upfId);
+            if (upf && targetIP === upf.config.ipAddress) {
+                return true;
             }
         }
 
-        // SPECIAL CASE: tun0 network reachability (UE ↔ UPF user-plane)
-        if (sourceNf.type === 'UE' && sourceNf.config?.pduSession?.assignedIP) {
-            const uetun0IP = sourceNf.config.pduSession.assignedIP;
+        // SPECIAL CASE: tun0 network reachability (UE ↔ UPF user-plane), default session without -I
+        const userPlane = session || sourceNf.config?.pduSessions?.[0];
+        if (sourceNf.type === 'UE' && userPlane) {
+            const uetun0IP = userPlane.assignedIP;
             // Find UPF associated with this PDU session
-            const upf = window.dataStore?.getNFById(sourceNf.config.pduSession.upfId);
+            const upf = window.dataStore?.getNFById(userPlane.upfId);
             const upfGw = upf?.config?.tun0Interface?.gatewayIP;
             if ((targetIP === uetun0IP) || (upfGw && targetIP === upfGw)) {
                 // Consider this path reachable with very high probability
@@ -0,0 +1,358 @@
+/**
+ * ============================================
+ * SDM MANAGER (Nudm_SDM subscriptions)
+ * ============================================
+ * UDM Subscriber Data Management subscriptions of the AMF and SMF
+ * and the network's reaction to subscription changes
+ *
+ * Responsibilities:
+ * - Keep one am-data (AMF) and one sm-data (SMF) subscription per
+ *   UE with PDU sessions
+ * - Watch the UDR store and send ModificationNotifications with the
+ *   changed fields when subscribed data changes
+ * - React like the core: PDU session modification for AMBR / QoS
+ *   changes, UE configuration update for the allowed NSSAI, PDU
+ *   session release when the DNN or slice is gone and deregistration
+ *   when the subscriber is deleted, barred or otherwise restricted
+ * - Log every step through LogEngine
+ */
+
+class SdmManager {
+    constructor() {
+        this.apiRoot = '/nudm-sdm/v2';
+        this.subscriptions = new Map(); // subscriptionId -> subscription
+        this.subscriptionSeq = 0;
+
+        // Subscribed data changes arrive as UDR store updates
+        window.dataStore?.subscribe((event) => {
+            if (event === 'subscribers-updated') {
+                this.checkForChanges();
+            }
+        });
+
+        console.log('✅ SdmManager initialized');
+    }
+
+    // ==========================================
+    // SUBSCRIPTIONS
+    // ==========================================
+
+    /**
+     * Create the AMF (am-data) and SMF (sm-data) subscriptions of a UE
+     * @param {Object} ue - UE network function with a PDU session
+     */
+    subscribeUe(ue) {
+        const imsi = ue.config.subscriberImsi;
+        const subscriber = window.dataStore?.getSubscriberByImsi(imsi);
+        if (!subscriber) return;
+
+        this.unsubscribeUe(ue.id);
+
+        const nfs = window.dataStore.getAllNFs();
+        const udm = nfs.find(nf => nf.type === 'UDM');
+        const consumers = [
+            { nf: nfs.find(nf => nf.type === 'AMF'), dataSet: 'am-data' },
+            { nf: nfs.find(nf => nf.type === 'SMF'), dataSet: 'sm-data' }
+        ];
+
+        consumers.filter(consumer => consumer.nf).forEach(({ nf, dataSet }) => {
+            const subscription = {
+                id: `sdm-${++this.subscriptionSeq}`,
+                consumerId: nf.id,
+                consumerType: nf.type,
+                ueId: ue.id,
+                supi: `imsi-${imsi}`,
+                dataSet,
+                monitoredResourceUris: [`${this.apiRoot}/imsi-${imsi}/${dataSet}`],
+                callbackReference: `${window.logEngine?.generateDynamicEndpoint(nf) || nf.config.ipAddress}/sdm-notify`,
+                snapshot: this.takeSnapshot(subscriber, dataSet),
+                createdAt: Date.now()
+            };
+            this.subscriptions.set(subscription.id, subscription);
+
+            window.logEngine?.addLog(udm?.id || nf.id, 'INFO', `Nudm_SDM_Subscribe from ${nf.type} (${dataSet})`, {
+                subscriptionId: subscription.id,
+                supi: subscription.supi,
+                monitoredResourceUris: subscription.monitoredResourceUris,
+                callbackReference: subscription.callbackReference
+            });
+        });
+    }
+
+    /**
+     * Remove every subscription of a UE (session released or UE deleted)
+     * @param {string} ueId - UE ID
+     */
+    unsubscribeUe(ueId) {
+        const udm = window.dataStore?.getAllNFs().find(nf => nf.type === 'UDM');
+
+        [...this.subscriptions.values()].filter(sub => sub.ueId === ueId).forEach(sub => {
+            this.subscriptions.delete(sub.id);
+            window.logEngine?.addLog(udm?.id || sub.consumerId, 'INFO', `Nudm_SDM_Unsubscribe from ${sub.consumerType} (${sub.dataSet})`, {
+                subscriptionId: sub.id,
+                supi: sub.supi
+            });
+        });
+    }
+
+    /**
+     * Get the subscriptions of a UE
+     * @param {string} ueId - UE ID
+     * @returns {Array} Subscriptions
+     */
+    getSubscriptions(ueId) {
+        return [...this.subscriptions.values()].filter(sub => sub.ueId === ueId);
+    }
+
+    /**
+     * The part of a profile a data set covers
+     * @param {Object} subscriber - Subscriber profile
+     * @param {string} dataSet - 'am-data' or 'sm-data'
+     * @returns {Object} Snapshot (plain data)
+     */
+    takeSnapshot(subscriber, dataSet) {
+        const data = dataSet === 'am-data'
+            ? { ...subscriber.amData }
+            : { smData: subscriber.smData };
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    // ==========================================
+    // NOTIFICATIONS
+    // ==========================================
+
+    /**
+     * Compare every subscription with the UDR store and notify the changed ones
+     */
+    checkForChanges() {
+        this.subscriptions.forEach(subscription => {
+            const subscriber = window.dataStore.getSubscriberByImsi(subscription.supi.substring(5));
+            if (!subscriber) {
+                this.notifySubscriptionWithdrawn(subscription);
+                return;
+            }
+
+            const snapshot = this.takeSnapshot(subscriber, subscription.dataSet);
+            const changes = window.dataStore.diffSubscriberVersions(subscription.snapshot, snapshot);
+            if (changes.length === 0) return;
+
+            const previous = subscription.snapshot;
+            subscription.snapshot = snapshot;
+            this.notify(subscription, subscriber, changes, previous);
+        });
+    }
+
+    /**
+     * Send a ModificationNotification to the consumer and let it react
+     * @param {Object} subscription - SDM subscription
+     * @param {Object} subscriber - New subscriber profile
+     * @param {Array} changes - Field diff ({ field, before, after })
+     * @param {Object} previous - Previous snapshot
+     */
+    notify(subscription, subscriber, changes, previous) {
+        const udm = window.dataStore.getAllNFs().find(nf => nf.type === 'UDM');
+
+        // TS 29.503 ModificationNotification - one NotifyItem with the ChangeItems
+        const notification = {
+            notifyItems: [{
+                resourceId: subscription.monitoredResourceUris[0],
+                changes: changes.map(change => ({
+                    op: change.before === undefined ? 'ADD' : (change.after === undefined ? 'REMOVE' : 'REPLACE'),
+                    path: '/' + change.field.replace(/\[(\d+)\]/g, '/$1').replace(/\./g, '/'),
+                    origValue: change.before,
+                    newValue: change.after
+                }))
+            }]
+        };
+
+        window.logEngine?.addLog(udm?.id || subscription.consumerId, 'INFO', `Nudm_SDM_Notification to ${subscription.consumerType} (${subscription.dataSet} changed)`, {
+            subscriptionId: subscription.id,
+            callbackReference: subscription.callbackReference,
+            supi: subscription.supi,
+            changes: notification.notifyItems[0].changes.map(change => `${change.op} ${change.path}: ${change.origValue ?? '-'} → ${change.newValue ?? '-'}`)
+        });
+
+        const ue = window.dataStore.getNFById(subscription.ueId);
+        if (!ue?.config.pduSessions?.length) return;
+
+        if (subscription.dataSet === 'am-data') {
+            this.handleAmDataChange(ue, subscription, subscriber, previous);
+        } else {
+            this.handleSmDataChange(ue, subscription, subscriber);
+        }
+    }
+
+    /**
+     * The subscriber is gone from the UDR: the UDM tells the serving AMF
+     * (Nudm_UECM_DeregistrationNotification) and the AMF deregisters the UE
+     * @param {Object} subscription - Any subscription of the UE
+     */
+    notifySubscriptionWithdrawn(subscription) {
+        const nfs = window.dataStore.getAllNFs();
+        const udm = nfs.find(nf => nf.type === 'UDM');
+        const amf = nfs.find(nf => nf.type === 'AMF');
+
+        window.logEngine?.addLog(udm?.id || subscription.consumerId, 'WARNING', 'Nudm_UECM_DeregistrationNotification to AMF', {
+            supi: subscription.supi,
+            deregReason: 'SUBSCRIPTION_WITHDRAWN',
+            amf: amf?.name
+        });
+
+        // Deregistration also removes the UE's other subscriptions
+        window.nfManager?.deregisterUE(subscription.ueId, NFManager.CAUSE_ILLEGAL_UE,
+            `Subscriber ${subscription.supi.substring(5)} deleted from the UDR`);
+        this.unsubscribeUe(subscription.ueId);
+    }
+
+    // ==========================================
+    // NETWORK REACTIONS
+    // ==========================================
+
+    /**
+     * AMF: UE-AMBR / subscribed NSSAI changed
+     */
+    handleAmDataChange(ue, subscription, subscriber, previous) {
+        const amfId = subscription.consumerId;
+
+        // A new access restriction (barring, forbidden area, ...) deregisters the UE
+        const restriction = window.nfManager?.evaluateAccessRestrictions(ue, subscriber.imsi, subscriber.amData);
+        if (restriction) {
+            window.nfManager.deregisterUE(ue.id, restriction.cause, restriction.reason);
+            return;
+        }
+
+        const sessions = ue.config.pduSessions;
+        const newAmbr = subscriber.amData.subscribedUeAmbr;
+        const nssaiChanged = JSON.stringify(previous.nssai) !== JSON.stringify(subscription.snapshot.nssai);
+        const ambrChanged = JSON.stringify(previous.subscribedUeAmbr) !== JSON.stringify(newAmbr);
+
+        if (ambrChanged) {
+            sessions.forEach(session => { session.ueAmbr = { ...newAmbr }; });
+            window.logEngine?.addLog(amfId, 'INFO', 'NGAP: UE Context Modification Request (UE-AMBR)', {
+                supi: subscription.supi,
+                ueAmbr: `UL ${newAmbr.uplink} / DL ${newAmbr.downlink}`
+            });
+        }
+
+        if (nssaiChanged) {
+            // The AMF asks the NSSF again with the UE's requested NSSAI
+            const selection = window.nfManager?.selectNetworkSlices(ue, subscriber);
+            const allowedNssai = selection
+                ? selection.allowedNssai
+                : window.dataStore.getSubscribedSnssais(subscriber).map(s => ({ sst: s.sst, sd: s.sd }));
+            ue.config.allowedNssai = allowedNssai;
+            if (selection) {
+                window.logEngine?.logSliceSelection(ue, selection);
+            }
+
+            window.logEngine?.addLog(amfId, 'INFO', 'NAS: Configuration Update Command', {
+                interface: 'N1',
+                allowedNSSAI: allowedNssai.map(s => window.dataStore.formatSnssai(s)),
+                rejectedNSSAI: selection?.rejectedNssai.map(entry => window.nssfEngine.formatRejectedSnssai(entry)),
+                acknowledgementRequested: true
+            });
+            window.logEngine?.addLog(ue.id, 'SUCCESS', 'NAS: Configuration Update Complete', {
+                allowedNSSAI: allowedNssai.map(s => window.dataStore.formatSnssai(s))
+            });
+
+            // Sessions on a slice that is no longer allowed are released (TS 23.502 4.2.4.2)
+            const notAllowed = sessions.filter(session => !allowedNssai.some(s => s.sst === session.snssai.sst &&
+                window.dataStore.normalizeSd(s.sd) === window.dataStore.normalizeSd(session.snssai.sd)));
+            notAllowed.forEach(session => {
+                this.releaseSession(ue, session, `S-NSSAI ${window.dataStore.formatSnssai(session.snssai)} is no longer allowed`, '#36 Regular deactivation');
+            });
+            if (notAllowed.length > 0) return;
+        }
+
+        window.dataStore.updateNF(ue.id, ue);
+    }
+
+    /**
+     * SMF: SM subscription data of the sessions' DNN / slice changed
+     */
+    handleSmDataChange(ue, subscription, subscriber) {
+        [...ue.config.pduSessions].forEach(session => this.handleSessionSmDataChange(ue, session, subscription, subscriber));
+
+        // The PCF decides again on the new subscribed values (Npcf_SMPolicyControl_Update)
+        window.pcfEngine?.updateSmPolicies({ ueId: ue.id, trigger: 'SM subscription data changed' });
+    }
+
+    /**
+     * SMF: modify or release one PDU session after an sm-data change
+     */
+    handleSessionSmDataChange(ue, session, subscription, subscriber) {
+        const smfId = subscription.consumerId;
+        const entry = subscriber.smData.find(e => e.dnn === session.dnn && e.sst === session.snssai.sst &&
+            window.dataStore.normalizeSd(e.sd) === window.dataStore.normalizeSd(session.snssai.sd));
+
+        if (!entry) {
+            this.releaseSession(ue, session, `DNN ${session.dnn} on S-NSSAI ${window.dataStore.formatSnssai(session.snssai)} is no longer subscribed`, '#27 Missing or unknown DNN');
+            return;
+        }
+
+        // The UE address cannot be modified in place: a changed static IP needs a new session
+        if (JSON.stringify(entry.staticIpAddress || null) !== JSON.stringify(session.staticIpAddress || null)) {
+            this.releaseSession(ue, session, `Static IP address of DNN ${session.dnn} changed`, '#39 Reactivation requested');
+            return;
+        }
+
+        const modified = {};
+        if (JSON.stringify(entry.sessionAmbr) !== JSON.stringify(session.sessionAmbr)) {
+            modified.sessionAmbr = `UL ${entry.sessionAmbr.uplink} / DL ${entry.sessionAmbr.downlink}`;
+        }
+        if (entry.default5qi !== session.fiveQi) modified['5qi'] = entry.default5qi;
+        if (entry.arpPriorityLevel !== session.arpPriorityLevel) modified.arpPriorityLevel = entry.arpPriorityLevel;
+        if (Object.keys(modified).length === 0) return;
+
+        session.sessionAmbr = { ...entry.sessionAmbr };
+        session.fiveQi = entry.default5qi;
+        session.arpPriorityLevel = entry.arpPriorityLevel;
+        window.dataStore.updateNF(ue.id, ue);
+
+        const upf = window.dataStore.getNFById(session.upfId);
+        window.logEngine?.addLog(smfId, 'INFO', 'PFCP: Session Modification Request (QER updated)', {
+            interface: 'N4',
+            upf: upf?.name,
+            pduSessionId: session.pduSessionId,
+            sessionId: session.sessionId,
+            ...modified
+        });
+        window.logEngine?.addLog(smfId, 'INFO', 'NAS: PDU Session Modification Command', {
+            interface: 'N1 (via AMF)',
+            pduSessionId: session.pduSessionId,
+            sessionId: session.sessionId,
+            dnn: session.dnn,
+            ...modified
+        });
+        window.logEngine?.addLog(ue.id, 'SUCCESS', 'NAS: PDU Session Modification Complete', {
+            pduSessionId: session.pduSessionId,
+            sessionId: session.sessionId,
+            ...modified
+        });
+    }
+
+    /**
+     * SMF-initiated PDU session release. The subscriptions go with the UE's last session.
+     * @param {Object} ue - UE network function
+     * @param {Object} session - PDU session to release
+     * @param {string} reason - Why the session is released
+     * @param {string} cause - 5GSM cause
+     */
+    releaseSession(ue, session, reason, cause) {
+        const smf = window.dataStore.getAllNFs().find(nf => nf.type === 'SMF');
+
+        window.logEngine?.addLog(smf?.id || ue.id, 'WARNING', 'NAS: PDU Session Release Command', {
+            interface: 'N1 (via AMF)',
+            pduSessionId: session.pduSessionId,
+            sessionId: session.sessionId,
+            dnn: session.dnn,
+            cause,
+            reason
+        });
+
+        window.nfManager?.releasePduSession(ue.id, reason, session.pduSessionId);
+        if (!ue.config.pduSessions?.length) {
+            this.unsubscribeUe(ue.id);
+        }
+    }
+}
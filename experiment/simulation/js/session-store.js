@@ -0,0 +1,282 @@
+/**
+ * ============================================
+ * SESSION STORE (IndexedDB persistence)
+ * ============================================
+ * Keeps the last session of the lab in the browser's IndexedDB so a page
+ * reload does not wipe the topology or the subscribers typed in
+ *
+ * Responsibilities:
+ * - Save NFs, connections, buses, bus connections and the UDR subscriber
+ *   store on DataStore changes (debounced)
+ * - Load the last snapshot and migrate it to the current schema version
+ * - Restore a snapshot into the DataStore and resume the NF lifecycles
+ * - Forget the saved session
+ */
+
+class SessionStore {
+    constructor() {
+        this.db = null;              // IDBDatabase, opened on first use
+        this.saveTimer = null;       // Pending debounced save
+        this.autoSave = false;       // Off until the restore prompt is answered, so the startup state does not overwrite the last session
+        this.lastSavedAt = null;
+
+        // Every DataStore change is persisted (a burst of changes is one write)
+        window.dataStore?.subscribe(() => {
+            if (this.autoSave) {
+                this.scheduleSave();
+            }
+        });
+
+        console.log('✅ SessionStore initialized');
+    }
+
+    // ==========================================
+    // INDEXEDDB
+    // ==========================================
+
+    /**
+     * Check whether the browser offers IndexedDB (not in some private modes / file:// setups)
+     * @returns {boolean} True if sessions can be persisted
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open (and on first use create) the session database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(SessionStore.DB_NAME, SessionStore.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SessionStore.STORE_NAME)) {
+                    db.createObjectStore(SessionStore.STORE_NAME);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Session database is blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run one request on the session object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - (objectStore) => IDBRequest
+     * @returns {Promise<*>} Result of the request
+     */
+    async runRequest(mode, action) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SessionStore.STORE_NAME, mode);
+            const request = action(transaction.objectStore(SessionStore.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // ==========================================
+    // SAVE
+    // ==========================================
+
+    /**
+     * Turn on automatic saving and write the current state right away
+     */
+    startAutoSave() {
+        if (!this.isAvailable()) {
+            console.warn('⚠️ IndexedDB not available - the session will not survive a reload');
+            return;
+        }
+        this.autoSave = true;
+        this.scheduleSave(0);
+        console.log('💾 Session auto-save enabled');
+    }
+
+    /**
+     * Save after the DataStore has been quiet for a moment (dragging an NF
+     * notifies on every mouse move)
+     * @param {number} delay - Debounce delay in ms
+     */
+    scheduleSave(delay = SessionStore.SAVE_DELAY_MS) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, delay);
+    }
+
+    /**
+     * Snapshot of the persisted DataStore state, tagged with the schema version
+     * @returns {Object} Snapshot (plain JSON data)
+     */
+    createSnapshot() {
+        const { version, timestamp, ...data } = window.dataStore.exportData();
+        return {
+            schemaVersion: SessionStore.SCHEMA_VERSION,
+            appVersion: version,
+            savedAt: timestamp,
+            // Round trip through JSON: NF objects may carry runtime values IndexedDB cannot clone
+            ...JSON.parse(JSON.stringify(data))
+        };
+    }
+
+    /**
+     * Write the current state as the last session
+     * @returns {Promise<boolean>} True if saved
+     */
+    async save() {
+        try {
+            const snapshot = this.createSnapshot();
+            await this.runRequest('readwrite', store => store.put(snapshot, SessionStore.SESSION_KEY));
+            this.lastSavedAt = snapshot.savedAt;
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save session:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Forget the saved session
+     * @returns {Promise<boolean>} True if cleared
+     */
+    async clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            await this.runRequest('readwrite', store => store.delete(SessionStore.SESSION_KEY));
+            this.lastSavedAt = null;
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to clear saved session:', error);
+            return false;
+        }
+    }
+
+    // ==========================================
+    // LOAD / RESTORE
+    // ==========================================
+
+    /**
+     * Load the last session, migrated to the current schema
+     * @returns {Promise<Object|null>} Snapshot or null if there is none (or it cannot be read)
+     */
+    async load() {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const snapshot = await this.runRequest('readonly', store => store.get(SessionStore.SESSION_KEY));
+            return snapshot ? this.migrate(snapshot) : null;
+        } catch (error) {
+            console.error('❌ Failed to load saved session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Bring a snapshot of an older schema up to SessionStore.SCHEMA_VERSION,
+     * one migration step at a time
+     * @param {Object} snapshot - Stored snapshot (no schemaVersion = version 0)
+     * @returns {Object} Snapshot of the current schema
+     */
+    migrate(snapshot) {
+        let migrated = snapshot;
+        let version = Number(snapshot.schemaVersion) || 0;
+
+        if (version > SessionStore.SCHEMA_VERSION) {
+            throw new Error(`Session schema ${version} is newer than this dashboard (${SessionStore.SCHEMA_VERSION})`);
+        }
+        while (version < SessionStore.SCHEMA_VERSION) {
+            const step = SessionStore.MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`No migration from session schema ${version}`);
+            }
+            migrated = { ...step(migrated), schemaVersion: version + 1 };
+            console.log(`💾 Session migrated from schema ${version} to ${version + 1}`);
+            version++;
+        }
+        return migrated;
+    }
+
+    /**
+     * One-line summary of a snapshot for the restore prompt
+     * @param {Object} snapshot - Snapshot
+     * @returns {string} Summary
+     */
+    describeSnapshot(snapshot) {
+        const savedAt = snapshot.savedAt ? new Date(snapshot.savedAt).toLocaleString() : 'unknown time';
+        return `${snapshot.nfs.length} NF(s), ${snapshot.connections.length} connection(s), ` +
+            `${snapshot.buses.length} bus line(s), ${snapshot.subscribers.length} subscriber(s) - saved ${savedAt}`;
+    }
+
+    /**
+     * Load a snapshot into the DataStore and pick up where the NFs were
+     * @param {Object} snapshot - Snapshot of the current schema
+     */
+    restore(snapshot) {
+        window.dataStore.importData(snapshot, { source: 'restore' });
+
+        const nfs = window.dataStore.getAllNFs();
+
+        // Continue the naming (AMF-3 stays AMF-3, the next AMF is AMF-4)
+        if (window.nfManager) {
+            nfs.forEach(nf => {
+                const number = parseInt(String(nf.name).match(/-(\d+)$/)?.[1], 10);
+                if (number > (window.nfManager.nfCounters[nf.type] || 0)) {
+                    window.nfManager.nfCounters[nf.type] = number;
+                }
+            });
+            // NFs saved while starting would never become stable otherwise
+            nfs.filter(nf => nf.status === 'starting').forEach(nf => window.nfManager.startServiceLifecycle(nf));
+        }
+        if (window.busManager) {
+            window.busManager.busCounter = Math.max(window.busManager.busCounter, window.dataStore.getAllBuses().length);
+        }
+
+        window.logEngine?.addLog('system', 'SUCCESS', 'Last session restored', {
+            nfs: nfs.length,
+            connections: window.dataStore.getAllConnections().length,
+            buses: window.dataStore.getAllBuses().length,
+            subscribers: window.dataStore.getSubscribers().length,
+            savedAt: snapshot.savedAt,
+            schemaVersion: snapshot.schemaVersion
+        });
+        console.log('💾 Session restored:', this.describeSnapshot(snapshot));
+    }
+}
+
+// IndexedDB location of the last session
+SessionStore.DB_NAME = '5g-sba-dashboard';
+SessionStore.DB_VERSION = 1;
+SessionStore.STORE_NAME = 'sessions';
+SessionStore.SESSION_KEY = 'last-session';
+
+// Quiet time before a change is written
+SessionStore.SAVE_DELAY_MS = 1000;
+
+// Schema of the stored snapshot; bump it and add a migration when the snapshot shape changes
+SessionStore.SCHEMA_VERSION = 1;
+
+// Migrations (schema version → function returning the snapshot of the next version)
+SessionStore.MIGRATIONS = {
+    // 0: DataStore.exportData() without a schema version (no UDR store, no settings)
+    0: (snapshot) => ({
+        ...snapshot,
+        nfs: snapshot.nfs || [],
+        connections: snapshot.connections || [],
+        buses: snapshot.buses || [],
+        busConnections: snapshot.busConnections || [],
+        networkSettings: snapshot.networkSettings || DataStore.DEFAULT_NETWORK_SETTINGS,
+        subscriberTemplates: snapshot.subscriberTemplates || [],
+        subscribers: snapshot.subscribers || [],
+        savedAt: snapshot.savedAt || snapshot.timestamp || null
+    })
+};
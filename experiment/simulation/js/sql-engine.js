@@ -0,0 +1,1413 @@
+/**
+ * ============================================
+ * SQL ENGINE (oai_db)
+ * ============================================
+ * Minimal MySQL dialect over the simulated oai_db database
+ *
+ * Responsibilities:
+ * - Expose DataStore subscribers as the OAI oai_db tables
+ *   (AuthenticationSubscription, AccessAndMobilitySubscriptionData,
+ *   SessionManagementSubscriptionData)
+ * - Parse and execute SELECT / INSERT / UPDATE / DELETE statements
+ * - Write changes straight back to the UDR subscriber store
+ * - Format results and errors the way the mysql client does
+ */
+
+class SQLEngine {
+    constructor() {
+        this.database = 'oai_db';
+
+        // Table schemas (subset of the OAI oai_db.sql columns)
+        this.tables = {
+            AuthenticationSubscription: {
+                columns: [
+                    { name: 'ueid', type: 'varchar(20)', nullable: false, key: 'PRI' },
+                    { name: 'authenticationMethod', type: 'varchar(25)', nullable: false },
+                    { name: 'encPermanentKey', type: 'varchar(50)', nullable: true },
+                    { name: 'protectionParameterId', type: 'varchar(50)', nullable: true },
+                    { name: 'sequenceNumber', type: 'json', nullable: true },
+                    { name: 'authenticationManagementField', type: 'varchar(50)', nullable: true },
+                    { name: 'algorithmId', type: 'varchar(50)', nullable: true },
+                    { name: 'encOpcKey', type: 'varchar(50)', nullable: true },
+                    { name: 'encTopcKey', type: 'varchar(50)', nullable: true },
+                    { name: 'vectorGenerationInHss', type: 'tinyint(1)', nullable: true },
+                    { name: 'n5gcAuthMethod', type: 'varchar(15)', nullable: true },
+                    { name: 'rgAuthenticationInd', type: 'tinyint(1)', nullable: true },
+                    { name: 'supi', type: 'varchar(20)', nullable: true }
+                ]
+            },
+            AccessAndMobilitySubscriptionData: {
+                columns: [
+                    { name: 'ueid', type: 'varchar(15)', nullable: false, key: 'PRI' },
+                    { name: 'servingPlmnid', type: 'varchar(15)', nullable: false },
+                    { name: 'gpsis', type: 'json', nullable: true },
+                    { name: 'subscribedUeAmbr', type: 'json', nullable: true },
+                    { name: 'nssai', type: 'json', nullable: true },
+                    { name: 'ratRestrictions', type: 'json', nullable: true },
+                    { name: 'forbiddenAreas', type: 'json', nullable: true },
+                    { name: 'serviceAreaRestriction', type: 'json', nullable: true },
+                    { name: 'coreNetworkTypeRestrictions', type: 'json', nullable: true },
+                    { name: 'odbPacketServices', type: 'json', nullable: true }
+                ]
+            },
+            SessionManagementSubscriptionData: {
+                columns: [
+                    { name: 'ueid', type: 'varchar(15)', nullable: false, key: 'MUL' },
+                    { name: 'servingPlmnid', type: 'varchar(15)', nullable: false },
+                    { name: 'singleNssai', type: 'json', nullable: false },
+                    { name: 'dnnConfigurations', type: 'json', nullable: true }
+                ]
+            }
+        };
+
+        console.log('✅ SQLEngine initialized');
+    }
+
+    // ==========================================
+    // TABLE MAPPING (DataStore <-> oai_db rows)
+    // ==========================================
+
+    /**
+     * Build the AuthenticationSubscription row of a subscriber
+     * @param {Object} sub - Subscriber profile
+     * @returns {Object} Row object
+     */
+    authRowFromSubscriber(sub) {
+        return {
+            authenticationMethod: '5G_AKA',
+            protectionParameterId: sub.key,
+            algorithmId: 'milenage',
+            encTopcKey: null,
+            vectorGenerationInHss: null,
+            n5gcAuthMethod: null,
+            rgAuthenticationInd: null,
+            supi: sub.imsi,
+            ...(sub.authenticationSubscription || {}),
+            ueid: sub.imsi,
+            encPermanentKey: sub.key,
+            encOpcKey: sub.opc,
+            authenticationManagementField: sub.amf,
+            sequenceNumber: JSON.stringify({
+                sqn: sub.sqn,
+                sqnScheme: 'NON_TIME_BASED',
+                lastIndexes: { ausf: 0 }
+            })
+        };
+    }
+
+    /**
+     * Apply an AuthenticationSubscription row to a subscriber profile
+     * @param {Object} row - Row object
+     * @param {Object} sub - Existing subscriber (optional)
+     * @returns {Object} Updated subscriber data
+     */
+    subscriberFromAuthRow(row, sub = null) {
+        let sqn = sub?.sqn;
+        if (row.sequenceNumber !== null && row.sequenceNumber !== undefined) {
+            const parsed = this.parseJsonValue(row.sequenceNumber, 'sequenceNumber', true);
+            sqn = typeof parsed === 'object' ? parsed?.sqn : String(parsed);
+        }
+
+        // Columns without a profile field are kept verbatim so they round-trip
+        const mapped = ['ueid', 'encPermanentKey', 'encOpcKey', 'authenticationManagementField', 'sequenceNumber'];
+        const extra = { ...(sub?.authenticationSubscription || {}) };
+        Object.keys(row).filter(col => !mapped.includes(col)).forEach(col => {
+            extra[col] = row[col];
+        });
+
+        return {
+            ...(sub || { smData: [] }),
+            imsi: row.ueid,
+            key: row.encPermanentKey,
+            opc: row.encOpcKey,
+            amf: row.authenticationManagementField,
+            sqn,
+            authenticationSubscription: extra
+        };
+    }
+
+    /**
+     * Build the AccessAndMobilitySubscriptionData row of a subscriber
+     * @param {Object} sub - Subscriber profile
+     * @returns {Object} Row object
+     */
+    amRowFromSubscriber(sub) {
+        const toJson = (snssai) => (snssai.sd ? { sst: snssai.sst, sd: snssai.sd } : { sst: snssai.sst });
+        const restriction = (field) => (sub.amData[field] === undefined ? null : JSON.stringify(sub.amData[field]));
+        return {
+            ueid: sub.imsi,
+            servingPlmnid: sub.servingPlmnId || sub.imsi.substring(0, 5),
+            gpsis: sub.gpsi ? JSON.stringify([sub.gpsi]) : null,
+            subscribedUeAmbr: JSON.stringify(sub.amData.subscribedUeAmbr),
+            nssai: JSON.stringify({
+                defaultSingleNssais: sub.amData.nssai.defaultSingleNssais.map(toJson),
+                singleNssais: sub.amData.nssai.singleNssais.map(toJson)
+            }),
+            ...Object.fromEntries(SQLEngine.AM_RESTRICTION_COLUMNS.map(column => [column, restriction(column)]))
+        };
+    }
+
+    /**
+     * Apply an AccessAndMobilitySubscriptionData row to a subscriber profile
+     * @param {Object} row - Row object
+     * @param {Object} sub - Existing subscriber
+     * @returns {Object} Updated subscriber data
+     */
+    subscriberFromAmRow(row, sub) {
+        const amData = { ...(sub.amData || {}) };
+
+        if (row.subscribedUeAmbr !== null && row.subscribedUeAmbr !== undefined) {
+            amData.subscribedUeAmbr = this.parseJsonValue(row.subscribedUeAmbr, 'subscribedUeAmbr');
+        }
+        if (row.nssai !== null && row.nssai !== undefined) {
+            const nssai = this.parseJsonValue(row.nssai, 'nssai') || {};
+            amData.nssai = {
+                defaultSingleNssais: nssai.defaultSingleNssais || [],
+                singleNssais: nssai.singleNssais || []
+            };
+        }
+
+        // GPSI list: the first entry is the subscriber's GPSI, NULL removes it
+        let gpsi = sub.gpsi;
+        if ('gpsis' in row) {
+            const gpsis = row.gpsis === null ? [] : this.parseJsonValue(row.gpsis, 'gpsis');
+            gpsi = (Array.isArray(gpsis) ? gpsis[0] : gpsis) || undefined;
+        }
+
+        // Access restrictions: NULL removes the restriction
+        SQLEngine.AM_RESTRICTION_COLUMNS.filter(column => column in row).forEach(column => {
+            if (row[column] === null) {
+                delete amData[column];
+            } else {
+                amData[column] = this.parseJsonValue(row[column], column, column === 'odbPacketServices');
+            }
+        });
+
+        return {
+            ...sub,
+            servingPlmnId: row.servingPlmnid ? String(row.servingPlmnid) : sub.servingPlmnId,
+            gpsi,
+            amData
+        };
+    }
+
+    /**
+     * Build SessionManagementSubscriptionData rows (one per S-NSSAI) of a subscriber
+     * @param {Object} sub - Subscriber profile
+     * @returns {Array} Row objects
+     */
+    smRowsFromSubscriber(sub) {
+        const bySlice = new Map();
+        (sub.smData || []).forEach(entry => {
+            const sliceKey = window.dataStore.formatSnssai(entry);
+            if (!bySlice.has(sliceKey)) {
+                bySlice.set(sliceKey, { snssai: { sst: entry.sst, sd: entry.sd }, dnns: {} });
+            }
+            bySlice.get(sliceKey).dnns[entry.dnn] = {
+                pduSessionTypes: { defaultSessionType: entry.pduSessionType },
+                sscModes: { defaultSscMode: 'SSC_MODE_1' },
+                '5gQosProfile': {
+                    '5qi': entry.default5qi,
+                    arp: { priorityLevel: entry.arpPriorityLevel, preemptCap: 'NOT_PREEMPT', preemptVuln: 'NOT_PREEMPTABLE' },
+                    priorityLevel: 1
+                },
+                sessionAmbr: { ...entry.sessionAmbr },
+                ...(entry.staticIpAddress ? {
+                    staticIpAddress: [
+                        ...(entry.staticIpAddress.ipv4Addr ? [{ ipv4Addr: entry.staticIpAddress.ipv4Addr }] : []),
+                        ...(entry.staticIpAddress.ipv6Addr ? [{ ipv6Addr: entry.staticIpAddress.ipv6Addr }] : [])
+                    ]
+                } : {})
+            };
+        });
+
+        return [...bySlice.values()].map(slice => ({
+            ueid: sub.imsi,
+            servingPlmnid: sub.servingPlmnId || sub.imsi.substring(0, 5),
+            singleNssai: JSON.stringify(slice.snssai.sd ? slice.snssai : { sst: slice.snssai.sst }),
+            dnnConfigurations: JSON.stringify(slice.dnns)
+        }));
+    }
+
+    /**
+     * Convert a SessionManagementSubscriptionData row into smData entries
+     * @param {Object} row - Row object
+     * @param {Array} previous - Previous smData entries (to keep the default DNN)
+     * @returns {Object} { snssai, entries }
+     */
+    smDataFromSmRow(row, previous = []) {
+        const snssai = this.parseJsonValue(row.singleNssai, 'singleNssai');
+        if (!snssai || typeof snssai !== 'object' || snssai.sst === undefined) {
+            throw this.sqlError(3140, '22032', 'Invalid JSON text: "singleNssai must be an object with an sst member" at position 0 in value for column \'SessionManagementSubscriptionData.singleNssai\'.');
+        }
+        const slice = { sst: parseInt(snssai.sst), sd: window.dataStore.normalizeSd(snssai.sd) };
+
+        const dnnConfigurations = row.dnnConfigurations === null || row.dnnConfigurations === undefined
+            ? {}
+            : this.parseJsonValue(row.dnnConfigurations, 'dnnConfigurations');
+
+        const entries = Object.entries(dnnConfigurations || {}).map(([dnn, cfg]) => ({
+            dnn,
+            sst: slice.sst,
+            sd: slice.sd,
+            pduSessionType: cfg?.pduSessionTypes?.defaultSessionType || 'IPV4',
+            sessionAmbr: {
+                uplink: cfg?.sessionAmbr?.uplink,
+                downlink: cfg?.sessionAmbr?.downlink
+            },
+            default5qi: cfg?.['5gQosProfile']?.['5qi'],
+            arpPriorityLevel: cfg?.['5gQosProfile']?.arp?.priorityLevel,
+            isDefault: previous.some(prev => prev.isDefault && prev.dnn === dnn),
+            ...(Array.isArray(cfg?.staticIpAddress) ? {
+                staticIpAddress: {
+                    ipv4Addr: cfg.staticIpAddress.find(ip => ip?.ipv4Addr)?.ipv4Addr,
+                    ipv6Addr: cfg.staticIpAddress.find(ip => ip?.ipv6Addr)?.ipv6Addr
+                }
+            } : {})
+        }));
+
+        return { snssai: slice, entries };
+    }
+
+    /**
+     * Get the current rows of a table
+     * @param {string} tableName - Canonical table name
+     * @returns {Array} Row objects
+     */
+    getTableRows(tableName) {
+        const subscribers = window.dataStore?.getSubscribers() || [];
+        if (tableName === 'AuthenticationSubscription') {
+            return subscribers.map(sub => this.authRowFromSubscriber(sub));
+        }
+        if (tableName === 'AccessAndMobilitySubscriptionData') {
+            return subscribers.map(sub => this.amRowFromSubscriber(sub));
+        }
+        return subscribers.flatMap(sub => this.smRowsFromSubscriber(sub));
+    }
+
+    // ==========================================
+    // EXECUTION
+    // ==========================================
+
+    /**
+     * Execute one SQL statement
+     * @param {string} sql - Statement without terminator
+     * @returns {Object} { type: 'rows', columns, rows } | { type: 'ok', affected, info } | { type: 'message', text }
+     */
+    execute(sql) {
+        const statement = this.parse(sql);
+
+        switch (statement.type) {
+            case 'use':
+                if (statement.database.toLowerCase() !== this.database) {
+                    throw this.sqlError(1049, '42000', `Unknown database '${statement.database}'`);
+                }
+                return { type: 'message', text: 'Database changed' };
+            case 'show-databases':
+                return { type: 'rows', columns: ['Database'], rows: [{ Database: 'information_schema' }, { Database: this.database }] };
+            case 'show-tables':
+                return {
+                    type: 'rows',
+                    columns: [`Tables_in_${this.database}`],
+                    rows: Object.keys(this.tables).map(name => ({ [`Tables_in_${this.database}`]: name }))
+                };
+            case 'describe':
+                return this.executeDescribe(statement);
+            case 'select':
+                return this.executeSelect(statement);
+            case 'insert':
+                return this.executeInsert(statement);
+            case 'update':
+                return this.executeUpdate(statement);
+            case 'delete':
+                return this.executeDelete(statement);
+            default:
+                throw this.syntaxError(sql, 0);
+        }
+    }
+
+    executeDescribe(statement) {
+        const table = this.tables[statement.table];
+        const columns = ['Field', 'Type', 'Null', 'Key', 'Default', 'Extra'];
+        const rows = table.columns.map(col => ({
+            Field: col.name,
+            Type: col.type,
+            Null: col.nullable ? 'YES' : 'NO',
+            Key: col.key || '',
+            Default: null,
+            Extra: ''
+        }));
+        return { type: 'rows', columns, rows };
+    }
+
+    executeSelect(statement) {
+        let rows = this.getTableRows(statement.table)
+            .filter(row => !statement.where || this.evaluate(statement.where, row, statement.table));
+
+        if (statement.orderBy) {
+            const column = this.resolveColumn(statement.table, statement.orderBy.column, 'order clause');
+            const direction = statement.orderBy.desc ? -1 : 1;
+            rows = [...rows].sort((a, b) => this.compareValues(a[column], b[column]) * direction);
+        }
+
+        if (statement.limit !== null) {
+            rows = rows.slice(statement.offset || 0, (statement.offset || 0) + statement.limit);
+        }
+
+        if (statement.count) {
+            return { type: 'rows', columns: ['COUNT(*)'], rows: [{ 'COUNT(*)': rows.length }] };
+        }
+
+        const columns = statement.columns === '*'
+            ? this.tables[statement.table].columns.map(col => col.name)
+            : statement.columns.map(name => this.resolveColumn(statement.table, name, 'field list'));
+
+        return {
+            type: 'rows',
+            columns,
+            rows: rows.map(row => Object.fromEntries(columns.map(col => [col, row[col] ?? null])))
+        };
+    }
+
+    executeInsert(statement) {
+        const subscribers = (window.dataStore?.getSubscribers() || []).map(sub => ({ ...sub }));
+        const changed = new Set();
+
+        this.statementRows(statement).forEach(row => {
+            this.applyInsertRow(subscribers, statement.table, row);
+            changed.add(row.ueid);
+        });
+
+        this.commit(subscribers, changed, statement);
+        return { type: 'ok', affected: statement.values.length, info: null };
+    }
+
+    /**
+     * Turn the VALUES lists of an INSERT into row objects (with NOT NULL checks)
+     * @param {Object} statement - Parsed INSERT statement
+     * @param {Object} options - { ignoredColumns } Set that collects columns outside the
+     *   simulated schema instead of rejecting them (dump import only)
+     * @returns {Array} Row objects
+     */
+    statementRows(statement, options = {}) {
+        const table = this.tables[statement.table];
+        const { ignoredColumns = null } = options;
+        const columns = statement.columns
+            ? statement.columns.map(name => {
+                if (ignoredColumns && !table.columns.some(col => col.name.toLowerCase() === name.toLowerCase())) {
+                    ignoredColumns.add(name);
+                    return null;
+                }
+                return this.resolveColumn(statement.table, name, 'field list');
+            })
+            : table.columns.map(col => col.name);
+
+        return statement.values.map((values, rowIndex) => {
+            if (values.length !== columns.length) {
+                throw this.sqlError(1136, '21S01', `Column count doesn't match value count at row ${rowIndex + 1}`);
+            }
+
+            const row = Object.fromEntries(columns.map((col, i) => [col, values[i]]).filter(([col]) => col !== null));
+            table.columns.filter(col => !col.nullable).forEach(col => {
+                if (row[col.name] === undefined) {
+                    throw this.sqlError(1364, 'HY000', `Field '${col.name}' doesn't have a default value`);
+                }
+                if (row[col.name] === null) {
+                    throw this.sqlError(1048, '23000', `Column '${col.name}' cannot be null`);
+                }
+            });
+            row.ueid = String(row.ueid);
+            return row;
+        });
+    }
+
+    /**
+     * Insert one row into a (copied) subscriber list
+     * @param {Array} subscribers - Subscriber list, modified in place
+     * @param {string} tableName - Canonical table name
+     * @param {Object} row - Row object
+     * @param {Object} options - { replaceAmData } AM rows replace the implicit default AM data
+     */
+    applyInsertRow(subscribers, tableName, row, options = {}) {
+        const index = subscribers.findIndex(sub => sub.imsi === row.ueid);
+
+        if (tableName === 'AuthenticationSubscription') {
+            if (index >= 0) {
+                throw this.sqlError(1062, '23000', `Duplicate entry '${row.ueid}' for key 'AuthenticationSubscription.PRIMARY'`);
+            }
+            subscribers.push(this.subscriberFromAuthRow(row));
+            return;
+        }
+
+        if (index < 0) {
+            throw this.foreignKeyError(tableName);
+        }
+        const sub = subscribers[index];
+
+        if (tableName === 'AccessAndMobilitySubscriptionData') {
+            // Every subscriber has AM data (defaults until provisioned) - use UPDATE to change it
+            if (!options.replaceAmData) {
+                throw this.sqlError(1062, '23000', `Duplicate entry '${row.ueid}' for key 'AccessAndMobilitySubscriptionData.PRIMARY'`);
+            }
+            subscribers[index] = this.subscriberFromAmRow(row, sub);
+            return;
+        }
+
+        const { snssai, entries } = this.smDataFromSmRow(row, sub.smData);
+        const sliceTaken = (sub.smData || []).some(entry => entry.sst === snssai.sst && (entry.sd || '') === snssai.sd);
+        if (sliceTaken) {
+            throw this.sqlError(1062, '23000', `Duplicate entry '${row.ueid}-${row.singleNssai}' for key 'SessionManagementSubscriptionData.ueid_slice'`);
+        }
+        subscribers[index] = this.withSmEntries(sub, snssai, entries, row.servingPlmnid);
+    }
+
+    executeUpdate(statement) {
+        const assignments = statement.assignments.map(assign => ({
+            column: this.resolveColumn(statement.table, assign.column, 'field list'),
+            value: assign.value
+        }));
+
+        const subscribers = (window.dataStore?.getSubscribers() || []).map(sub => ({ ...sub }));
+        const changed = new Set();
+        let matched = 0;
+        let changedRows = 0;
+
+        if (statement.table === 'AuthenticationSubscription') {
+            subscribers.forEach((sub, index) => {
+                const row = this.authRowFromSubscriber(sub);
+                if (statement.where && !this.evaluate(statement.where, row, statement.table)) return;
+                matched++;
+
+                const newRow = { ...row };
+                assignments.forEach(assign => { newRow[assign.column] = assign.value; });
+                if (JSON.stringify(newRow) === JSON.stringify(row)) return;
+
+                if (newRow.ueid === null) {
+                    throw this.sqlError(1048, '23000', "Column 'ueid' cannot be null");
+                }
+                newRow.ueid = String(newRow.ueid);
+                if (newRow.ueid !== sub.imsi && subscribers.some(other => other.imsi === newRow.ueid)) {
+                    throw this.sqlError(1062, '23000', `Duplicate entry '${newRow.ueid}' for key 'AuthenticationSubscription.PRIMARY'`);
+                }
+
+                subscribers[index] = this.subscriberFromAuthRow(newRow, sub);
+                changed.add(newRow.ueid);
+                changedRows++;
+            });
+        } else if (statement.table === 'AccessAndMobilitySubscriptionData') {
+            subscribers.forEach((sub, index) => {
+                const row = this.amRowFromSubscriber(sub);
+                if (statement.where && !this.evaluate(statement.where, row, statement.table)) return;
+                matched++;
+
+                const newRow = { ...row };
+                assignments.forEach(assign => { newRow[assign.column] = assign.value; });
+                if (JSON.stringify(newRow) === JSON.stringify(row)) return;
+
+                if (String(newRow.ueid) !== sub.imsi) {
+                    throw this.sqlError(1451, '23000', 'Cannot delete or update a parent row: the ueid of AccessAndMobilitySubscriptionData rows is managed through AuthenticationSubscription');
+                }
+
+                subscribers[index] = this.subscriberFromAmRow(newRow, sub);
+                changed.add(sub.imsi);
+                changedRows++;
+            });
+        } else {
+            subscribers.forEach((sub, index) => {
+                this.smRowsFromSubscriber(sub).forEach(row => {
+                    if (statement.where && !this.evaluate(statement.where, row, statement.table)) return;
+                    matched++;
+
+                    const newRow = { ...row };
+                    assignments.forEach(assign => { newRow[assign.column] = assign.value; });
+                    if (JSON.stringify(newRow) === JSON.stringify(row)) return;
+
+                    if (String(newRow.ueid) !== sub.imsi) {
+                        throw this.sqlError(1451, '23000', 'Cannot delete or update a parent row: the ueid of SessionManagementSubscriptionData rows is managed through AuthenticationSubscription');
+                    }
+
+                    const current = subscribers[index];
+                    const oldSlice = this.parseJsonValue(row.singleNssai, 'singleNssai');
+                    const withoutOld = this.withSmEntries(current, { sst: oldSlice.sst, sd: window.dataStore.normalizeSd(oldSlice.sd) }, [], null);
+                    const { snssai, entries } = this.smDataFromSmRow(newRow, current.smData);
+                    subscribers[index] = this.withSmEntries(withoutOld, snssai, entries, newRow.servingPlmnid);
+                    changed.add(sub.imsi);
+                    changedRows++;
+                });
+            });
+        }
+
+        this.commit(subscribers, changed, statement);
+        return {
+            type: 'ok',
+            affected: changedRows,
+            info: `Rows matched: ${matched}  Changed: ${changedRows}  Warnings: 0`
+        };
+    }
+
+    executeDelete(statement) {
+        let subscribers = (window.dataStore?.getSubscribers() || []).map(sub => ({ ...sub }));
+        const changed = new Set();
+        let affected = 0;
+
+        if (statement.table === 'AccessAndMobilitySubscriptionData') {
+            throw this.sqlError(1451, '23000', 'Cannot delete or update a parent row: AccessAndMobilitySubscriptionData rows are removed together with AuthenticationSubscription');
+        }
+
+        if (statement.table === 'AuthenticationSubscription') {
+            // AM and SM data rows reference AuthenticationSubscription (ON DELETE CASCADE)
+            subscribers = subscribers.filter(sub => {
+                const match = !statement.where || this.evaluate(statement.where, this.authRowFromSubscriber(sub), statement.table);
+                if (match) {
+                    affected++;
+                    changed.add(sub.imsi);
+                }
+                return !match;
+            });
+        } else {
+            subscribers = subscribers.map(sub => {
+                let current = sub;
+                this.smRowsFromSubscriber(sub).forEach(row => {
+                    if (statement.where && !this.evaluate(statement.where, row, statement.table)) return;
+                    const slice = this.parseJsonValue(row.singleNssai, 'singleNssai');
+                    current = this.withSmEntries(current, { sst: slice.sst, sd: window.dataStore.normalizeSd(slice.sd) }, [], null);
+                    changed.add(sub.imsi);
+                    affected++;
+                });
+                return current;
+            });
+        }
+
+        this.commit(subscribers, changed, statement);
+        return { type: 'ok', affected, info: null };
+    }
+
+    /**
+     * Replace the smData entries of one S-NSSAI
+     * @param {Object} sub - Subscriber profile
+     * @param {Object} snssai - { sst, sd }
+     * @param {Array} entries - New smData entries for that slice
+     * @param {string|null} servingPlmnId - Serving PLMN of the row
+     * @returns {Object} Updated subscriber data
+     */
+    withSmEntries(sub, snssai, entries, servingPlmnId) {
+        const smData = (sub.smData || [])
+            .filter(entry => !(entry.sst === snssai.sst && (entry.sd || '') === (snssai.sd || '')))
+            .concat(entries);
+
+        // A slice with SM data must also be part of the subscribed NSSAI.
+        // Without an AM row (or with an empty default list) the first SM slice becomes the default.
+        const subscribed = window.dataStore.getSubscribedSnssais(sub);
+        const nssai = {
+            defaultSingleNssais: [...(sub.amData?.nssai?.defaultSingleNssais || [])],
+            singleNssais: [...(sub.amData?.nssai?.singleNssais || [])]
+        };
+        if (entries.length > 0 && !subscribed.some(s => parseInt(s.sst) === snssai.sst && window.dataStore.normalizeSd(s.sd) === (snssai.sd || ''))) {
+            const target = nssai.defaultSingleNssais.length === 0 ? nssai.defaultSingleNssais : nssai.singleNssais;
+            target.push({ sst: snssai.sst, sd: snssai.sd });
+        }
+
+        return {
+            ...sub,
+            servingPlmnId: servingPlmnId ? String(servingPlmnId) : sub.servingPlmnId,
+            amData: { ...(sub.amData || {}), nssai },
+            smData
+        };
+    }
+
+    /**
+     * Validate the changed subscribers and write them back to the DataStore
+     * @param {Array} subscribers - Complete new subscriber list
+     * @param {Set} changed - IMSIs of inserted/updated subscribers
+     * @param {Object} statement - Parsed statement (for logging)
+     */
+    commit(subscribers, changed, statement) {
+        if (changed.size === 0) return;
+
+        // Rows the statement did not touch keep their stored profile (large stores)
+        const stored = new Map(window.dataStore.getSubscribers().map(sub => [sub.imsi, sub]));
+        const normalized = subscribers.map(sub =>
+            (!changed.has(sub.imsi) && stored.get(sub.imsi)) || window.dataStore.normalizeSubscriber(sub));
+        normalized.filter(sub => changed.has(sub.imsi)).forEach(sub => {
+            const errors = window.dataStore.getSubscriberValidationErrors(sub, { requireSmData: false });
+            if (errors.length > 0) {
+                throw this.sqlError(3819, 'HY000', `Check constraint '${statement.table}_chk' is violated (ueid ${sub.imsi}: ${errors[0]})`);
+            }
+        });
+
+        // GPSIs and PEIs are unique across the store
+        const conflict = window.dataStore.getIdentityConflicts(normalized)[0];
+        if (conflict) {
+            throw this.sqlError(1062, '23000', `Duplicate entry '${conflict.value}' for key 'AccessAndMobilitySubscriptionData.${conflict.type === 'GPSI' ? 'gpsis' : 'pei'}'`);
+        }
+
+        window.dataStore.setSubscribers(normalized, { source: 'sql' });
+
+        const mysql = window.dataStore.getAllNFs().find(nf => nf.type === 'MySQL');
+        if (window.logEngine && mysql) {
+            window.logEngine.addLog(mysql.id, 'INFO',
+                `SQL ${statement.type.toUpperCase()} on ${this.database}.${statement.table}`, {
+                table: statement.table,
+                subscribers: [...changed],
+                source: 'mysql client'
+            });
+        }
+    }
+
+    // ==========================================
+    // EXPRESSIONS
+    // ==========================================
+
+    /**
+     * Evaluate a WHERE expression against a row
+     * @param {Object} node - Expression node
+     * @param {Object} row - Row object
+     * @param {string} table - Table name (for column resolution)
+     * @returns {*} Value (truthy/falsy for conditions)
+     */
+    evaluate(node, row, table) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'column':
+                return row[this.resolveColumn(table, node.name, 'where clause')] ?? null;
+            case 'and':
+                return this.evaluate(node.left, row, table) && this.evaluate(node.right, row, table);
+            case 'or':
+                return this.evaluate(node.left, row, table) || this.evaluate(node.right, row, table);
+            case 'not':
+                return !this.evaluate(node.operand, row, table);
+            case 'is-null': {
+                const isNull = this.evaluate(node.operand, row, table) === null;
+                return node.negate ? !isNull : isNull;
+            }
+            case 'in': {
+                const value = this.evaluate(node.operand, row, table);
+                const found = node.list.some(item => this.compareValues(value, this.evaluate(item, row, table)) === 0);
+                return node.negate ? !found : found;
+            }
+            case 'like': {
+                const value = this.evaluate(node.operand, row, table);
+                const pattern = String(this.evaluate(node.pattern, row, table));
+                const regex = new RegExp('^' + pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$', 'i');
+                const match = value !== null && regex.test(String(value));
+                return node.negate ? !match : match;
+            }
+            case 'compare': {
+                const left = this.evaluate(node.left, row, table);
+                const right = this.evaluate(node.right, row, table);
+                if (left === null || right === null) return false;
+                const cmp = this.compareValues(left, right);
+                switch (node.op) {
+                    case '=': return cmp === 0;
+                    case '!=':
+                    case '<>': return cmp !== 0;
+                    case '<': return cmp < 0;
+                    case '>': return cmp > 0;
+                    case '<=': return cmp <= 0;
+                    case '>=': return cmp >= 0;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Compare two values the way MySQL does for mixed number/string operands
+     * @returns {number} -1, 0 or 1
+     */
+    compareValues(a, b) {
+        if (a === null || b === null) return a === b ? 0 : (a === null ? -1 : 1);
+        if (typeof a === 'number' || typeof b === 'number') {
+            const na = Number(a);
+            const nb = Number(b);
+            if (!isNaN(na) && !isNaN(nb)) return na === nb ? 0 : (na < nb ? -1 : 1);
+        }
+        const sa = String(a).toLowerCase();
+        const sb = String(b).toLowerCase();
+        return sa === sb ? 0 : (sa < sb ? -1 : 1);
+    }
+
+    /**
+     * Resolve a column name case-insensitively
+     * @param {string} table - Table name
+     * @param {string} name - Column name as written
+     * @param {string} clause - Clause name for the error message
+     * @returns {string} Canonical column name
+     */
+    resolveColumn(table, name, clause) {
+        const column = this.tables[table].columns.find(col => col.name.toLowerCase() === name.toLowerCase());
+        if (!column) {
+            throw this.sqlError(1054, '42S22', `Unknown column '${name}' in '${clause}'`);
+        }
+        return column.name;
+    }
+
+    /**
+     * Resolve a table name (optionally qualified with oai_db.)
+     * @param {string} name - Table name as written
+     * @returns {string} Canonical table name
+     */
+    resolveTable(name) {
+        let tableName = name;
+        if (name.includes('.')) {
+            const [db, table] = name.split('.');
+            if (db.toLowerCase() !== this.database) {
+                throw this.sqlError(1049, '42000', `Unknown database '${db}'`);
+            }
+            tableName = table;
+        }
+        // Table names are case-sensitive on Linux MySQL servers
+        if (!this.tables[tableName]) {
+            throw this.sqlError(1146, '42S02', `Table '${this.database}.${tableName}' doesn't exist`);
+        }
+        return tableName;
+    }
+
+    parseJsonValue(value, column, allowScalar = false) {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            if (allowScalar) return value;
+            throw this.sqlError(3140, '22032', `Invalid JSON text: "Invalid value." at position 0 in value for column '${column}'.`);
+        }
+    }
+
+    // ==========================================
+    // PARSER
+    // ==========================================
+
+    /**
+     * Tokenize a SQL statement
+     * @param {string} sql - SQL text
+     * @returns {Array} Tokens { type, value, upper, start }
+     */
+    tokenize(sql) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < sql.length) {
+            const ch = sql[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '-' && sql[i + 1] === '-') {
+                while (i < sql.length && sql[i] !== '\n') i++;
+            } else if (ch === '#') {
+                while (i < sql.length && sql[i] !== '\n') i++;
+            } else if (ch === "'" || ch === '"') {
+                const start = i;
+                let value = '';
+                i++;
+                while (i < sql.length) {
+                    if (sql[i] === '\\' && i + 1 < sql.length) {
+                        const escaped = sql[i + 1];
+                        value += { n: '\n', t: '\t', r: '\r', '0': '\0' }[escaped] ?? escaped;
+                        i += 2;
+                    } else if (sql[i] === ch && sql[i + 1] === ch) {
+                        value += ch;
+                        i += 2;
+                    } else if (sql[i] === ch) {
+                        break;
+                    } else {
+                        value += sql[i++];
+                    }
+                }
+                if (i >= sql.length) throw this.syntaxError(sql, start);
+                i++;
+                tokens.push({ type: 'string', value, start });
+            } else if (ch === '`') {
+                const start = i;
+                const end = sql.indexOf('`', i + 1);
+                if (end === -1) throw this.syntaxError(sql, start);
+                tokens.push({ type: 'word', value: sql.slice(i + 1, end), upper: null, start });
+                i = end + 1;
+            } else if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(sql[i + 1] || '') && this.expectsOperand(tokens))) {
+                const start = i;
+                i++;
+                while (i < sql.length && /[0-9.]/.test(sql[i])) i++;
+                tokens.push({ type: 'number', value: Number(sql.slice(start, i)), raw: sql.slice(start, i), start });
+            } else if (/[A-Za-z_]/.test(ch)) {
+                const start = i;
+                while (i < sql.length && /[A-Za-z0-9_$]/.test(sql[i])) i++;
+                const value = sql.slice(start, i);
+                tokens.push({ type: 'word', value, upper: value.toUpperCase(), start });
+            } else if (['<=', '>=', '<>', '!='].includes(sql.slice(i, i + 2))) {
+                tokens.push({ type: 'op', value: sql.slice(i, i + 2), start: i });
+                i += 2;
+            } else if ('=<>(),*.'.includes(ch)) {
+                tokens.push({ type: ch === '=' || ch === '<' || ch === '>' ? 'op' : 'punct', value: ch, start: i });
+                i++;
+            } else {
+                throw this.syntaxError(sql, i);
+            }
+        }
+
+        return tokens;
+    }
+
+    expectsOperand(tokens) {
+        const last = tokens[tokens.length - 1];
+        return !last || last.type === 'op' || (last.type === 'punct' && (last.value === '(' || last.value === ','));
+    }
+
+    /**
+     * Parse a SQL statement into a statement object
+     * @param {string} sql - SQL text without terminator
+     * @returns {Object} Statement
+     */
+    parse(sql) {
+        const tokens = this.tokenize(sql);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const fail = () => { throw this.syntaxError(sql, tokens[pos] ? tokens[pos].start : sql.length); };
+        const isKeyword = (kw) => peek()?.type === 'word' && peek().upper === kw;
+        const acceptKeyword = (kw) => {
+            if (isKeyword(kw)) { pos++; return true; }
+            return false;
+        };
+        const expectKeyword = (kw) => { if (!acceptKeyword(kw)) fail(); };
+        const isPunct = (p) => peek()?.type === 'punct' && peek().value === p;
+        const acceptPunct = (p) => {
+            if (isPunct(p)) { pos++; return true; }
+            return false;
+        };
+        const expectPunct = (p) => { if (!acceptPunct(p)) fail(); };
+
+        const identifier = () => {
+            const token = peek();
+            if (!token || token.type !== 'word') fail();
+            pos++;
+            let name = token.value;
+            if (acceptPunct('.')) {
+                const part = peek();
+                if (!part || part.type !== 'word') fail();
+                pos++;
+                name += '.' + part.value;
+            }
+            return name;
+        };
+
+        const literal = () => {
+            const token = peek();
+            if (!token) fail();
+            if (token.type === 'string' || token.type === 'number') {
+                pos++;
+                return token.value;
+            }
+            if (token.type === 'word' && token.upper === 'NULL') { pos++; return null; }
+            if (token.type === 'word' && token.upper === 'TRUE') { pos++; return 1; }
+            if (token.type === 'word' && token.upper === 'FALSE') { pos++; return 0; }
+            fail();
+        };
+
+        const operand = () => {
+            const token = peek();
+            if (!token) fail();
+            if (token.type === 'word' && !['NULL', 'TRUE', 'FALSE'].includes(token.upper)) {
+                return { type: 'column', name: identifier().split('.').pop() };
+            }
+            return { type: 'literal', value: literal() };
+        };
+
+        const predicate = () => {
+            if (acceptPunct('(')) {
+                const inner = orExpr();
+                expectPunct(')');
+                return inner;
+            }
+            const left = operand();
+
+            if (acceptKeyword('IS')) {
+                const negate = acceptKeyword('NOT');
+                expectKeyword('NULL');
+                return { type: 'is-null', operand: left, negate };
+            }
+
+            const negate = acceptKeyword('NOT');
+            if (acceptKeyword('LIKE')) {
+                return { type: 'like', operand: left, pattern: operand(), negate };
+            }
+            if (acceptKeyword('IN')) {
+                expectPunct('(');
+                const list = [operand()];
+                while (acceptPunct(',')) list.push(operand());
+                expectPunct(')');
+                return { type: 'in', operand: left, list, negate };
+            }
+            if (negate) fail();
+
+            const token = peek();
+            if (token?.type === 'op') {
+                pos++;
+                return { type: 'compare', op: token.value, left, right: operand() };
+            }
+            return left;
+        };
+
+        const notExpr = () => (acceptKeyword('NOT') ? { type: 'not', operand: notExpr() } : predicate());
+        const andExpr = () => {
+            let left = notExpr();
+            while (acceptKeyword('AND')) left = { type: 'and', left, right: notExpr() };
+            return left;
+        };
+        const orExpr = () => {
+            let left = andExpr();
+            while (acceptKeyword('OR')) left = { type: 'or', left, right: andExpr() };
+            return left;
+        };
+
+        const whereClause = () => (acceptKeyword('WHERE') ? orExpr() : null);
+
+        let statement;
+        if (acceptKeyword('USE')) {
+            statement = { type: 'use', database: identifier() };
+        } else if (acceptKeyword('SHOW')) {
+            if (acceptKeyword('TABLES')) {
+                statement = { type: 'show-tables' };
+            } else if (acceptKeyword('DATABASES')) {
+                statement = { type: 'show-databases' };
+            } else if (acceptKeyword('COLUMNS') || acceptKeyword('FIELDS')) {
+                if (!acceptKeyword('FROM')) expectKeyword('IN');
+                statement = { type: 'describe', table: this.resolveTable(identifier()) };
+            } else {
+                fail();
+            }
+        } else if (acceptKeyword('DESCRIBE') || acceptKeyword('DESC') || acceptKeyword('EXPLAIN')) {
+            statement = { type: 'describe', table: this.resolveTable(identifier()) };
+        } else if (acceptKeyword('SELECT')) {
+            let columns;
+            let count = false;
+            if (acceptPunct('*')) {
+                columns = '*';
+            } else if (isKeyword('COUNT')) {
+                pos++;
+                expectPunct('(');
+                expectPunct('*');
+                expectPunct(')');
+                count = true;
+                columns = '*';
+            } else {
+                columns = [identifier().split('.').pop()];
+                while (acceptPunct(',')) columns.push(identifier().split('.').pop());
+            }
+            expectKeyword('FROM');
+            const table = this.resolveTable(identifier());
+            const where = whereClause();
+            let orderBy = null;
+            if (acceptKeyword('ORDER')) {
+                expectKeyword('BY');
+                const column = identifier();
+                const desc = acceptKeyword('DESC');
+                if (!desc) acceptKeyword('ASC');
+                orderBy = { column, desc };
+            }
+            let limit = null;
+            let offset = 0;
+            if (acceptKeyword('LIMIT')) {
+                const first = literal();
+                if (acceptPunct(',')) {
+                    offset = Number(first);
+                    limit = Number(literal());
+                } else {
+                    limit = Number(first);
+                    if (acceptKeyword('OFFSET')) offset = Number(literal());
+                }
+            }
+            statement = { type: 'select', columns, count, table, where, orderBy, limit, offset };
+        } else if (acceptKeyword('INSERT')) {
+            expectKeyword('INTO');
+            const table = this.resolveTable(identifier());
+            let columns = null;
+            if (acceptPunct('(')) {
+                columns = [identifier()];
+                while (acceptPunct(',')) columns.push(identifier());
+                expectPunct(')');
+            }
+            if (!acceptKeyword('VALUES')) expectKeyword('VALUE');
+            const values = [];
+            do {
+                expectPunct('(');
+                const row = [literal()];
+                while (acceptPunct(',')) row.push(literal());
+                expectPunct(')');
+                values.push(row);
+            } while (acceptPunct(','));
+            statement = { type: 'insert', table, columns, values };
+        } else if (acceptKeyword('UPDATE')) {
+            const table = this.resolveTable(identifier());
+            expectKeyword('SET');
+            const assignments = [];
+            do {
+                const column = identifier().split('.').pop();
+                const op = peek();
+                if (!op || op.type !== 'op' || op.value !== '=') fail();
+                pos++;
+                assignments.push({ column, value: literal() });
+            } while (acceptPunct(','));
+            statement = { type: 'update', table, assignments, where: whereClause() };
+        } else if (acceptKeyword('DELETE')) {
+            expectKeyword('FROM');
+            const table = this.resolveTable(identifier());
+            statement = { type: 'delete', table, where: whereClause() };
+        } else {
+            fail();
+        }
+
+        if (pos < tokens.length) fail();
+        return statement;
+    }
+
+    /**
+     * Split input into complete statements (quote-aware)
+     * @param {string} text - Buffered client input
+     * @returns {Object} { statements: [{ sql, vertical }], rest }
+     */
+    splitStatements(text) {
+        const statements = [];
+        let current = '';
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quote) {
+                current += ch;
+                if (ch === '\\' && i + 1 < text.length) {
+                    current += text[++i];
+                } else if (ch === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+
+            if (ch === "'" || ch === '"' || ch === '`') {
+                quote = ch;
+                current += ch;
+            } else if (ch === ';') {
+                if (current.trim()) statements.push({ sql: current.trim(), vertical: false });
+                current = '';
+            } else if (ch === '\\' && /[gG]/.test(text[i + 1] || '')) {
+                if (current.trim()) statements.push({ sql: current.trim(), vertical: text[i + 1] === 'G' });
+                current = '';
+                i++;
+            } else {
+                current += ch;
+            }
+        }
+
+        return { statements, rest: current };
+    }
+
+    // ==========================================
+    // DUMP IMPORT / EXPORT (oai_db.sql)
+    // ==========================================
+
+    /**
+     * Split a mysqldump / phpMyAdmin file into statements.
+     * Comments (including MySQL conditional comment blocks) are dropped.
+     * @param {string} text - Dump file content
+     * @returns {Array} [{ sql, line }] with the 1-based start line
+     */
+    splitDumpStatements(text) {
+        const statements = [];
+        let current = '';
+        let startLine = null;
+        let line = 1;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\n') line++;
+
+            if (quote) {
+                current += ch;
+                if (ch === '\\' && i + 1 < text.length) {
+                    const escaped = text[++i];
+                    if (escaped === '\n') line++;
+                    current += escaped;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+                continue;
+            }
+
+            // Comments
+            if ((ch === '-' && text[i + 1] === '-' && /\s/.test(text[i + 2] || ' ')) || ch === '#') {
+                while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+                continue;
+            }
+            if (ch === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                const stop = end === -1 ? text.length : end + 2;
+                line += (text.slice(i, stop).match(/\n/g) || []).length;
+                i = stop - 1;
+                continue;
+            }
+
+            if (ch === ';') {
+                if (current.trim()) statements.push({ sql: current.trim(), line: startLine });
+                current = '';
+                startLine = null;
+                continue;
+            }
+
+            if (startLine === null && !/\s/.test(ch)) startLine = line;
+            if (ch === "'" || ch === '"' || ch === '`') quote = ch;
+            current += ch;
+        }
+
+        if (current.trim()) statements.push({ sql: current.trim(), line: startLine, unterminated: true });
+        return statements;
+    }
+
+    /**
+     * Parse an oai_db.sql dump into subscriber profiles.
+     * Only INSERTs into the subscriber tables are used; everything else is skipped.
+     * @param {string} text - Dump file content
+     * @returns {Object} { subscribers, errors: [{ line, message }], warnings, stats }
+     */
+    importDump(text) {
+        const errors = [];
+        const warnings = [];
+        const skipped = {};
+        const rowsByTable = {
+            AuthenticationSubscription: [],
+            AccessAndMobilitySubscriptionData: [],
+            SessionManagementSubscriptionData: []
+        };
+        const statements = this.splitDumpStatements(text);
+
+        statements.forEach(({ sql, line, unterminated }) => {
+            const insert = sql.match(/^INSERT\s+(?:IGNORE\s+)?INTO\s+`?(?:\w+`?\.`?)?(\w+)`?/i);
+            if (!insert) {
+                const keyword = (sql.match(/^\w+/) || ['?'])[0].toUpperCase();
+                if (['UPDATE', 'DELETE', 'REPLACE'].includes(keyword)) {
+                    errors.push({ line, message: `${keyword} statements are not supported in a dump - only INSERT rows are imported` });
+                } else {
+                    skipped[keyword] = (skipped[keyword] || 0) + 1;
+                }
+                return;
+            }
+
+            const tableName = insert[1];
+            if (!rowsByTable[tableName]) {
+                skipped[`INSERT ${tableName}`] = (skipped[`INSERT ${tableName}`] || 0) + 1;
+                return;
+            }
+            if (unterminated) {
+                errors.push({ line, message: `Statement for ${tableName} is missing its terminating ';'` });
+                return;
+            }
+
+            try {
+                const statement = this.parse(sql.replace(/^INSERT\s+IGNORE/i, 'INSERT'));
+                // Real dumps carry more columns than the simulated schema - drop them with a warning
+                const ignoredColumns = new Set();
+                this.statementRows(statement, { ignoredColumns }).forEach(row => rowsByTable[tableName].push({ row, line }));
+                if (ignoredColumns.size > 0) {
+                    warnings.push(`line ${line}: ${tableName} columns not in the simulated schema were ignored: ${[...ignoredColumns].join(', ')}`);
+                }
+            } catch (error) {
+                errors.push({ line, message: this.formatError(error) });
+            }
+        });
+
+        // Build profiles: authentication data first, then AM and SM rows that reference it
+        const subscribers = [];
+        const sourceLine = new Map();
+        const tryApply = (tableName, { row, line }, options) => {
+            try {
+                this.applyInsertRow(subscribers, tableName, row, options);
+                if (!sourceLine.has(row.ueid)) sourceLine.set(row.ueid, line);
+            } catch (error) {
+                errors.push({ line, message: `${this.formatError(error)} (ueid ${row.ueid})` });
+            }
+        };
+        rowsByTable.AuthenticationSubscription.forEach(entry => tryApply('AuthenticationSubscription', entry));
+        rowsByTable.AccessAndMobilitySubscriptionData.forEach(entry => tryApply('AccessAndMobilitySubscriptionData', entry, { replaceAmData: true }));
+        rowsByTable.SessionManagementSubscriptionData.forEach(entry => tryApply('SessionManagementSubscriptionData', entry));
+
+        // Validate every profile with the UDR panel rules
+        const valid = [];
+        subscribers.map(sub => window.dataStore.normalizeSubscriber(sub)).forEach(sub => {
+            const problems = window.dataStore.getSubscriberValidationErrors(sub, { requireSmData: false });
+            if (problems.length > 0) {
+                errors.push({ line: sourceLine.get(sub.imsi), message: `ueid ${sub.imsi}: ${problems.join('; ')}` });
+                return;
+            }
+            if (sub.smData.length === 0) {
+                warnings.push(`ueid ${sub.imsi}: no SessionManagementSubscriptionData - the UE cannot establish a PDU session`);
+            }
+            valid.push(sub);
+        });
+
+        errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+        return {
+            subscribers: valid,
+            errors,
+            warnings,
+            stats: {
+                statements: statements.length,
+                rows: Object.fromEntries(Object.entries(rowsByTable).map(([name, rows]) => [name, rows.length])),
+                skipped
+            }
+        };
+    }
+
+    /**
+     * Export subscribers as an oai_db.sql dump that importDump() reads back unchanged
+     * @param {Array} subscribers - Subscriber profiles (defaults to the UDR store)
+     * @returns {string} SQL dump
+     */
+    exportDump(subscribers = window.dataStore?.getSubscribers() || []) {
+        const lines = [
+            '-- 5G SBA Dashboard - oai_db subscriber dump',
+            `-- Generation Time: ${new Date().toISOString()}`,
+            '-- Server version: 8.0.36',
+            '',
+            'SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";',
+            'SET time_zone = "+00:00";',
+            '',
+            `CREATE DATABASE IF NOT EXISTS \`${this.database}\`;`,
+            `USE \`${this.database}\`;`
+        ];
+
+        const rowBuilders = {
+            AuthenticationSubscription: sub => [this.authRowFromSubscriber(sub)],
+            AccessAndMobilitySubscriptionData: sub => [this.amRowFromSubscriber(sub)],
+            SessionManagementSubscriptionData: sub => this.smRowsFromSubscriber(sub)
+        };
+
+        Object.entries(this.tables).forEach(([tableName, table]) => {
+            const columnDefs = table.columns.map(col => `  \`${col.name}\` ${col.type}${col.nullable ? '' : ' NOT NULL'}`);
+            const primary = table.columns.filter(col => col.key === 'PRI').map(col => `\`${col.name}\``);
+            if (primary.length) columnDefs.push(`  PRIMARY KEY (${primary.join(', ')})`);
+
+            lines.push(
+                '',
+                '-- --------------------------------------------------------',
+                `-- Table structure for table \`${tableName}\``,
+                '',
+                `CREATE TABLE IF NOT EXISTS \`${tableName}\` (`,
+                columnDefs.join(',\n'),
+                ') ENGINE=InnoDB DEFAULT CHARSET=utf8;',
+                '',
+                `-- Dumping data for table \`${tableName}\``,
+                ''
+            );
+
+            const columnList = table.columns.map(col => `\`${col.name}\``).join(', ');
+            subscribers.flatMap(rowBuilders[tableName]).forEach(row => {
+                const values = table.columns.map(col => this.sqlLiteral(row[col.name])).join(', ');
+                lines.push(`INSERT INTO \`${tableName}\` (${columnList}) VALUES (${values});`);
+            });
+        });
+
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    /**
+     * Quote a value as a SQL literal
+     * @param {*} value - Value
+     * @returns {string} SQL literal
+     */
+    sqlLiteral(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'number') return String(value);
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
+
+    // ==========================================
+    // OUTPUT FORMATTING
+    // ==========================================
+
+    formatValue(value) {
+        return value === null || value === undefined ? 'NULL' : String(value);
+    }
+
+    /**
+     * Format rows as a mysql client ASCII table
+     * @param {Array} columns - Column names
+     * @param {Array} rows - Row objects
+     * @returns {Array<string>} Output lines
+     */
+    formatTable(columns, rows) {
+        const widths = columns.map(col => Math.max(col.length, ...rows.map(row => this.formatValue(row[col]).length)));
+        const border = '+' + widths.map(w => '-'.repeat(w + 2)).join('+') + '+';
+        const line = (values) => '| ' + values.map((value, i) => value.padEnd(widths[i])).join(' | ') + ' |';
+
+        return [
+            border,
+            line(columns),
+            border,
+            ...rows.map(row => line(columns.map(col => this.formatValue(row[col])))),
+            border
+        ];
+    }
+
+    /**
+     * Format rows vertically (\G terminator)
+     * @param {Array} columns - Column names
+     * @param {Array} rows - Row objects
+     * @returns {Array<string>} Output lines
+     */
+    formatVertical(columns, rows) {
+        const width = Math.max(...columns.map(col => col.length));
+        const lines = [];
+        rows.forEach((row, index) => {
+            lines.push(`${'*'.repeat(27)} ${index + 1}. row ${'*'.repeat(27)}`);
+            columns.forEach(col => lines.push(`${col.padStart(width)}: ${this.formatValue(row[col])}`));
+        });
+        return lines;
+    }
+
+    // ==========================================
+    // ERRORS
+    // ==========================================
+
+    /**
+     * Create a MySQL-style error
+     * @param {number} code - MySQL error number
+     * @param {string} state - SQLSTATE
+     * @param {string} message - Error message
+     * @returns {Error} Error with mysqlCode / sqlState
+     */
+    sqlError(code, state, message) {
+        const error = new Error(message);
+        error.mysqlCode = code;
+        error.sqlState = state;
+        return error;
+    }
+
+    syntaxError(sql, position) {
+        const near = sql.slice(position, position + 80);
+        return this.sqlError(1064, '42000',
+            `You have an error in your SQL syntax; check the manual that corresponds to your MySQL server version for the right syntax to use near '${near}' at line 1`);
+    }
+
+    foreignKeyError(tableName) {
+        return this.sqlError(1452, '23000',
+            `Cannot add or update a child row: a foreign key constraint fails (\`${this.database}\`.\`${tableName}\`, CONSTRAINT \`fk_${tableName}_ueid\` FOREIGN KEY (\`ueid\`) REFERENCES \`AuthenticationSubscription\` (\`ueid\`) ON DELETE CASCADE)`);
+    }
+
+    /**
+     * Format an error as printed by the mysql client
+     * @param {Error} error - Error thrown by execute()
+     * @returns {string} Error line
+     */
+    formatError(error) {
+        if (error.mysqlCode) {
+            return `ERROR ${error.mysqlCode} (${error.sqlState}): ${error.message}`;
+        }
+        console.error('❌ SQLEngine internal error:', error);
+        return `ERROR 1105 (HY000): ${error.message}`;
+    }
+}
+
+// AccessAndMobilitySubscriptionData columns holding access restrictions (same names in amData)
+SQLEngine.AM_RESTRICTION_COLUMNS = ['ratRestrictions', 'forbiddenAreas', 'serviceAreaRestriction', 'coreNetworkTypeRestrictions', 'odbPacketServices'];
@@ -0,0 +1,611 @@
+/**
+ * ============================================
+ * SUCI ENGINE (ECIES Profile A / Profile B)
+ * ============================================
+ * Subscription identifier concealment as done by the USIM/UE and the
+ * SIDF in the UDM (TS 33.501 6.12 and Annex C)
+ *
+ * Responsibilities:
+ * - X25519 (Profile A) and secp256r1 (Profile B) key agreement in pure JS
+ * - ANSI X9.63 KDF, AES-128-CTR and HMAC-SHA-256 tags (AuthEngine primitives)
+ * - Conceal a SUPI into a SUCI string and de-conceal it with the UDM keys
+ * - UDM home network key pairs and the UE protection scheme / key ID
+ */
+
+class SuciEngine {
+    constructor() {
+        this.testVectorsPassed = this.verifyTestVectors();
+
+        console.log(this.testVectorsPassed
+            ? '✅ SuciEngine initialized (TS 33.501 Annex C vectors passed)'
+            : '❌ SuciEngine initialized but TS 33.501 Annex C vectors FAILED');
+    }
+
+    // ==========================================
+    // BIGINT HELPERS
+    // ==========================================
+
+    /**
+     * Modular reduction that always returns a non-negative value
+     */
+    mod(a, m) {
+        const r = a % m;
+        return r < 0n ? r + m : r;
+    }
+
+    /**
+     * Modular exponentiation
+     */
+    modPow(base, exponent, m) {
+        let result = 1n;
+        base = this.mod(base, m);
+        while (exponent > 0n) {
+            if (exponent & 1n) result = (result * base) % m;
+            base = (base * base) % m;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Modular inverse (extended Euclid)
+     */
+    modInverse(a, m) {
+        let [oldR, r] = [this.mod(a, m), m];
+        let [oldS, s] = [1n, 0n];
+        while (r !== 0n) {
+            const q = oldR / r;
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        return this.mod(oldS, m);
+    }
+
+    /**
+     * Big-endian bytes to BigInt
+     */
+    bytesToBigInt(bytes) {
+        return bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+    }
+
+    /**
+     * BigInt to big-endian bytes of a fixed length
+     */
+    bigIntToBytes(value, length) {
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = Number(value & 0xffn);
+            value >>= 8n;
+        }
+        return bytes;
+    }
+
+    // ==========================================
+    // X25519 (RFC 7748) - Profile A
+    // ==========================================
+
+    /**
+     * X25519 scalar multiplication
+     * @param {Uint8Array} scalar - 32-byte private key
+     * @param {Uint8Array} point - 32-byte u-coordinate
+     * @returns {Uint8Array} 32-byte u-coordinate
+     */
+    x25519(scalar, point) {
+        const p = SuciEngine.X25519_P;
+        const a24 = 121665n;
+
+        const k = Uint8Array.from(scalar);
+        k[0] &= 248;
+        k[31] &= 127;
+        k[31] |= 64;
+        const kn = this.bytesToBigInt(k.slice().reverse());
+
+        const u = Uint8Array.from(point);
+        u[31] &= 127;
+        const x1 = this.bytesToBigInt(u.slice().reverse());
+
+        let x2 = 1n, z2 = 0n, x3 = x1, z3 = 1n, swap = 0n;
+        for (let t = 254n; t >= 0n; t--) {
+            const bit = (kn >> t) & 1n;
+            swap ^= bit;
+            if (swap) [x2, x3, z2, z3] = [x3, x2, z3, z2];
+            swap = bit;
+
+            const a = this.mod(x2 + z2, p);
+            const aa = (a * a) % p;
+            const b = this.mod(x2 - z2, p);
+            const bb = (b * b) % p;
+            const e = this.mod(aa - bb, p);
+            const c = this.mod(x3 + z3, p);
+            const d = this.mod(x3 - z3, p);
+            const da = (d * a) % p;
+            const cb = (c * b) % p;
+            x3 = this.mod((da + cb) * (da + cb), p);
+            z3 = (x1 * this.mod((da - cb) * (da - cb), p)) % p;
+            x2 = (aa * bb) % p;
+            z2 = (e * (aa + a24 * e)) % p;
+        }
+        if (swap) [x2, z2] = [x3, z3];
+
+        const result = (x2 * this.modInverse(z2, p)) % p;
+        return this.bigIntToBytes(result, 32).reverse();
+    }
+
+    // ==========================================
+    // SECP256R1 - Profile B
+    // ==========================================
+
+    /**
+     * Add two affine points (null = point at infinity)
+     */
+    p256Add(P, Q) {
+        const p = SuciEngine.P256.p;
+        if (!P) return Q;
+        if (!Q) return P;
+
+        let lambda;
+        if (P.x === Q.x) {
+            if (this.mod(P.y + Q.y, p) === 0n) return null;
+            lambda = this.mod((3n * P.x * P.x + SuciEngine.P256.a) * this.modInverse(2n * P.y, p), p);
+        } else {
+            lambda = this.mod((Q.y - P.y) * this.modInverse(this.mod(Q.x - P.x, p), p), p);
+        }
+
+        const x = this.mod(lambda * lambda - P.x - Q.x, p);
+        return { x, y: this.mod(lambda * (P.x - x) - P.y, p) };
+    }
+
+    /**
+     * Scalar multiplication (double-and-add)
+     */
+    p256Multiply(k, P) {
+        let result = null;
+        let addend = P;
+        while (k > 0n) {
+            if (k & 1n) result = this.p256Add(result, addend);
+            addend = this.p256Add(addend, addend);
+            k >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Compress a point to 33 bytes (02/03 || X)
+     */
+    p256Compress(P) {
+        return new Uint8Array([P.y & 1n ? 0x03 : 0x02, ...this.bigIntToBytes(P.x, 32)]);
+    }
+
+    /**
+     * Decompress a 33-byte point (or accept an uncompressed 65-byte point)
+     */
+    p256Decompress(bytes) {
+        const { p, a, b } = SuciEngine.P256;
+        if (bytes.length === 65 && bytes[0] === 0x04) {
+            return { x: this.bytesToBigInt(bytes.subarray(1, 33)), y: this.bytesToBigInt(bytes.subarray(33, 65)) };
+        }
+        if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+            throw new Error('Invalid secp256r1 public key encoding');
+        }
+
+        const x = this.bytesToBigInt(bytes.subarray(1));
+        const ySquared = this.mod(x * x * x + a * x + b, p);
+        let y = this.modPow(ySquared, (p + 1n) / 4n, p);
+        if ((y * y) % p !== ySquared) throw new Error('Public key is not on secp256r1');
+        if ((y & 1n) !== BigInt(bytes[0] & 1)) y = p - y;
+        return { x, y };
+    }
+
+    // ==========================================
+    // KEYS
+    // ==========================================
+
+    /**
+     * Derive the public key of a home network / ephemeral private key
+     * @param {string} profile - 'A' or 'B'
+     * @param {string} privateKeyHex - 32-byte private key
+     * @returns {string} Public key hex (Profile B: compressed)
+     */
+    derivePublicKey(profile, privateKeyHex) {
+        const auth = window.authEngine;
+        const privateKey = auth.hexToBytes(privateKeyHex);
+
+        if (profile === 'A') {
+            const basePoint = new Uint8Array(32);
+            basePoint[0] = 9;
+            return auth.bytesToHex(this.x25519(privateKey, basePoint));
+        }
+
+        const { n, G } = SuciEngine.P256;
+        const k = this.bytesToBigInt(privateKey);
+        if (k <= 0n || k >= n) throw new Error('Private key is out of range for secp256r1');
+        return auth.bytesToHex(this.p256Compress(this.p256Multiply(k, G)));
+    }
+
+    /**
+     * Generate a new key pair for a protection scheme
+     * @param {string} profile - 'A' or 'B'
+     * @returns {Object} { privateKey, publicKey }
+     */
+    generateKeyPair(profile) {
+        const auth = window.authEngine;
+        let privateKey;
+        do {
+            privateKey = auth.bytesToHex(auth.randomBytes(32));
+        } while (profile === 'B' && (BigInt('0x' + privateKey) === 0n || BigInt('0x' + privateKey) >= SuciEngine.P256.n));
+
+        return { privateKey, publicKey: this.derivePublicKey(profile, privateKey) };
+    }
+
+    /**
+     * ECDH shared secret (Profile B: x-coordinate of the shared point)
+     * @param {string} profile - 'A' or 'B'
+     * @param {Uint8Array} privateKey - 32-byte private key
+     * @param {Uint8Array} publicKey - Peer public key
+     * @returns {Uint8Array} 32-byte shared secret
+     */
+    sharedSecret(profile, privateKey, publicKey) {
+        if (profile === 'A') return this.x25519(privateKey, publicKey);
+
+        const point = this.p256Multiply(this.bytesToBigInt(privateKey), this.p256Decompress(publicKey));
+        return this.bigIntToBytes(point.x, 32);
+    }
+
+    /**
+     * Default home network keys of a UDM: the TS 33.501 Annex C test keys,
+     * as shipped in the OAI UDM configuration
+     * @returns {Array<Object>} [{ keyId, profile, privateKey, publicKey }]
+     */
+    getDefaultHomeNetworkKeys() {
+        const { A, B } = SuciEngine.TEST_VECTORS;
+        return [
+            { keyId: 1, profile: 'A', privateKey: A.hnPrivateKey, publicKey: A.hnPublicKey },
+            { keyId: 2, profile: 'B', privateKey: B.hnPrivateKey, publicKey: B.hnPublicKey }
+        ];
+    }
+
+    // ==========================================
+    // ECIES (TS 33.501 C.3)
+    // ==========================================
+
+    /**
+     * ANSI X9.63 KDF with SHA-256
+     * @param {Uint8Array} z - Shared secret
+     * @param {Uint8Array} sharedInfo - Ephemeral public key
+     * @param {number} length - Output length in bytes
+     * @returns {Uint8Array} Keying material
+     */
+    x963Kdf(z, sharedInfo, length) {
+        const auth = window.authEngine;
+        const blocks = [];
+        for (let counter = 1; blocks.length * 32 < length; counter++) {
+            const counterBytes = new Uint8Array([counter >>> 24, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff]);
+            blocks.push(auth.sha256(auth.concat(z, counterBytes, sharedInfo)));
+        }
+        return auth.concat(...blocks).subarray(0, length);
+    }
+
+    /**
+     * AES-128-CTR with a 128-bit initial counter block
+     */
+    aesCtr(key, icb, data) {
+        const auth = window.authEngine;
+        const counter = Uint8Array.from(icb);
+        const output = new Uint8Array(data.length);
+
+        for (let offset = 0; offset < data.length; offset += 16) {
+            const keystream = auth.aesEncrypt(key, counter);
+            for (let i = 0; i < 16 && offset + i < data.length; i++) {
+                output[offset + i] = data[offset + i] ^ keystream[i];
+            }
+            for (let i = 15; i >= 0; i--) {
+                counter[i] = (counter[i] + 1) & 0xff;
+                if (counter[i] !== 0) break;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Derive encryption key, ICB and MAC key from the shared secret
+     */
+    deriveEciesKeys(sharedSecret, ephemeralPublicKey) {
+        const material = this.x963Kdf(sharedSecret, ephemeralPublicKey, 64);
+        return {
+            encKey: material.subarray(0, 16),
+            icb: material.subarray(16, 32),
+            macKey: material.subarray(32, 64)
+        };
+    }
+
+    /**
+     * ECIES encryption of the scheme input (UE side)
+     * @param {string} profile - 'A' or 'B'
+     * @param {string} hnPublicKeyHex - Home network public key
+     * @param {Uint8Array} plaintext - Scheme input (BCD MSIN)
+     * @param {string} ephemeralPrivateKeyHex - Fixed ephemeral key (test vectors); random if omitted
+     * @returns {Object} { schemeOutput, ephemeralPublicKey, ciphertext, macTag, sharedSecret } as hex
+     */
+    eciesEncrypt(profile, hnPublicKeyHex, plaintext, ephemeralPrivateKeyHex = null) {
+        const auth = window.authEngine;
+        const ephemeral = ephemeralPrivateKeyHex
+            ? { privateKey: ephemeralPrivateKeyHex, publicKey: this.derivePublicKey(profile, ephemeralPrivateKeyHex) }
+            : this.generateKeyPair(profile);
+
+        const ephemeralPublicKey = auth.hexToBytes(ephemeral.publicKey);
+        const shared = this.sharedSecret(profile, auth.hexToBytes(ephemeral.privateKey), auth.hexToBytes(hnPublicKeyHex));
+        const keys = this.deriveEciesKeys(shared, ephemeralPublicKey);
+        const ciphertext = this.aesCtr(keys.encKey, keys.icb, plaintext);
+        const macTag = auth.hmacSha256(keys.macKey, ciphertext).subarray(0, 8);
+
+        return {
+            schemeOutput: auth.bytesToHex(auth.concat(ephemeralPublicKey, ciphertext, macTag)),
+            ephemeralPublicKey: ephemeral.publicKey,
+            ciphertext: auth.bytesToHex(ciphertext),
+            macTag: auth.bytesToHex(macTag),
+            sharedSecret: auth.bytesToHex(shared)
+        };
+    }
+
+    /**
+     * ECIES decryption of a scheme output (SIDF side)
+     * @param {string} profile - 'A' or 'B'
+     * @param {string} hnPrivateKeyHex - Home network private key
+     * @param {string} schemeOutputHex - Ephemeral public key || ciphertext || MAC tag
+     * @returns {Object} { success, plaintext (Uint8Array), macTag, expectedMacTag, error }
+     */
+    eciesDecrypt(profile, hnPrivateKeyHex, schemeOutputHex) {
+        const auth = window.authEngine;
+        const output = auth.hexToBytes(schemeOutputHex);
+        const keyLength = profile === 'A' ? 32 : 33;
+
+        if (output.length < keyLength + 8 + 1) {
+            return { success: false, error: 'Scheme output is too short' };
+        }
+
+        const ephemeralPublicKey = output.subarray(0, keyLength);
+        const ciphertext = output.subarray(keyLength, output.length - 8);
+        const macTag = auth.bytesToHex(output.subarray(output.length - 8));
+
+        let shared;
+        try {
+            shared = this.sharedSecret(profile, auth.hexToBytes(hnPrivateKeyHex), ephemeralPublicKey);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const keys = this.deriveEciesKeys(shared, ephemeralPublicKey);
+        const expectedMacTag = auth.bytesToHex(auth.hmacSha256(keys.macKey, ciphertext).subarray(0, 8));
+        if (expectedMacTag !== macTag) {
+            return { success: false, macTag, expectedMacTag, error: 'MAC tag mismatch' };
+        }
+
+        return { success: true, plaintext: this.aesCtr(keys.encKey, keys.icb, ciphertext), macTag, expectedMacTag };
+    }
+
+    // ==========================================
+    // SUCI (TS 23.003 2.2B)
+    // ==========================================
+
+    /**
+     * Split an IMSI into MCC, MNC and MSIN
+     * @param {string} imsi - 15-digit IMSI
+     * @param {number} mncLength - 2 or 3
+     * @returns {Object} { mcc, mnc, msin }
+     */
+    splitImsi(imsi, mncLength = 2) {
+        return {
+            mcc: imsi.substring(0, 3),
+            mnc: imsi.substring(3, 3 + mncLength),
+            msin: imsi.substring(3 + mncLength)
+        };
+    }
+
+    /**
+     * Encode digits as swapped-nibble BCD with an F filler (TS 24.501 9.11.3.4)
+     */
+    encodeBcd(digits) {
+        const padded = digits.length % 2 ? digits + 'F' : digits;
+        const bytes = new Uint8Array(padded.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = (parseInt(padded[i * 2 + 1], 16) << 4) | parseInt(padded[i * 2], 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Decode swapped-nibble BCD, dropping the F filler
+     */
+    decodeBcd(bytes) {
+        return Array.from(bytes, byte => (byte & 0x0f).toString(16) + (byte >> 4).toString(16))
+            .join('')
+            .replace(/f$/i, '');
+    }
+
+    /**
+     * Conceal an IMSI-based SUPI (UE / USIM side)
+     * @param {string} imsi - 15-digit IMSI
+     * @param {Object} options - { scheme: 'null' | 'A' | 'B', keyId, hnPublicKey, mncLength, routingIndicator, ephemeralPrivateKey }
+     * @returns {Object} { suci, scheme, schemeId, keyId, schemeOutput, ephemeralPublicKey, ciphertext, macTag }
+     */
+    conceal(imsi, options = {}) {
+        const { scheme = 'null', keyId = 0, hnPublicKey, mncLength = 2, routingIndicator = '0', ephemeralPrivateKey } = options;
+        const { mcc, mnc, msin } = this.splitImsi(imsi, mncLength);
+        const schemeId = SuciEngine.SCHEME_IDS[scheme];
+        if (schemeId === undefined) throw new Error(`Unknown protection scheme ${scheme}`);
+
+        let result = { schemeOutput: msin };
+        if (scheme !== 'null') {
+            if (!hnPublicKey) throw new Error(`No home network public key for key ID ${keyId}`);
+            result = this.eciesEncrypt(scheme, hnPublicKey, this.encodeBcd(msin), ephemeralPrivateKey);
+        }
+
+        const usedKeyId = scheme === 'null' ? 0 : keyId;
+        return {
+            ...result,
+            suci: `suci-0-${mcc}-${mnc}-${routingIndicator}-${schemeId}-${usedKeyId}-${result.schemeOutput.toLowerCase()}`,
+            scheme,
+            schemeId,
+            keyId: usedKeyId
+        };
+    }
+
+    /**
+     * De-conceal a SUCI string (SIDF in the UDM)
+     * @param {string} suci - suci-0-<mcc>-<mnc>-<routing>-<scheme>-<keyId>-<output>
+     * @param {Array<Object>} homeNetworkKeys - UDM keys [{ keyId, profile, privateKey }]
+     * @returns {Object} { success, supi, imsi, scheme, keyId, error, macTag, expectedMacTag }
+     */
+    deconceal(suci, homeNetworkKeys = []) {
+        const parts = String(suci).split('-');
+        if (parts.length !== 8 || parts[0] !== 'suci' || parts[1] !== '0') {
+            return { success: false, error: 'Malformed SUCI (expected suci-0-mcc-mnc-routing-scheme-keyId-output)' };
+        }
+
+        const [, , mcc, mnc, , schemeId, keyIdText, schemeOutput] = parts;
+        const scheme = Object.keys(SuciEngine.SCHEME_IDS).find(name => String(SuciEngine.SCHEME_IDS[name]) === schemeId);
+        const keyId = parseInt(keyIdText);
+
+        if (!scheme) {
+            return { success: false, error: `Unsupported protection scheme ${schemeId}` };
+        }
+
+        let msin = schemeOutput;
+        if (scheme !== 'null') {
+            const hnKey = homeNetworkKeys.find(key => key.keyId === keyId && key.profile === scheme);
+            if (!hnKey) {
+                return { success: false, scheme, keyId, error: `No Profile ${scheme} home network key with ID ${keyId} on the UDM` };
+            }
+
+            const decrypted = this.eciesDecrypt(scheme, hnKey.privateKey, schemeOutput);
+            if (!decrypted.success) {
+                return { success: false, scheme, keyId, ...decrypted };
+            }
+            msin = this.decodeBcd(decrypted.plaintext);
+        }
+
+        const imsi = `${mcc}${mnc}${msin}`;
+        return { success: true, supi: `imsi-${imsi}`, imsi, scheme, keyId };
+    }
+
+    // ==========================================
+    // UE / UDM INTEGRATION
+    // ==========================================
+
+    /**
+     * Home network keys of the deployed UDM (the Annex C keys when no UDM is deployed)
+     * @returns {Array<Object>} [{ keyId, profile, privateKey, publicKey }]
+     */
+    getHomeNetworkKeys() {
+        const udm = window.dataStore?.getAllNFs().find(nf => nf.type === 'UDM');
+        return udm?.config.suciKeys || this.getDefaultHomeNetworkKeys();
+    }
+
+    /**
+     * MNC length for an IMSI, from its home PLMN in the network settings (2 digits if unknown)
+     * @param {string} imsi - IMSI
+     * @returns {number} 2 or 3
+     */
+    getMncLength(imsi) {
+        return window.dataStore?.getImsiPlmn(imsi)?.mnc.length === 3 ? 3 : 2;
+    }
+
+    /**
+     * Build the SUCI a UE sends in its Registration Request and let the SIDF resolve it
+     * @param {Object} ue - UE network function (config.suciScheme / config.suciKeyId)
+     * @returns {Object} { success, concealed, revealed, error }
+     */
+    identifyUe(ue) {
+        const imsi = ue.config.subscriberImsi;
+        const scheme = ue.config.suciScheme || 'null';
+        const keyId = parseInt(ue.config.suciKeyId) || 0;
+        const keys = this.getHomeNetworkKeys();
+
+        // The USIM is provisioned with the home network public key of its key ID
+        const hnKey = keys.find(key => key.keyId === keyId && key.profile === scheme);
+
+        let concealed;
+        try {
+            concealed = this.conceal(imsi, {
+                scheme,
+                keyId,
+                hnPublicKey: hnKey?.publicKey,
+                mncLength: this.getMncLength(imsi)
+            });
+        } catch (error) {
+            return { success: false, concealed: null, revealed: null, error: error.message };
+        }
+
+        const revealed = this.deconceal(concealed.suci, keys);
+        return { success: revealed.success, concealed, revealed, error: revealed.error || null };
+    }
+
+    /**
+     * Check both profiles against the TS 33.501 Annex C.4 test data (conceal and de-conceal)
+     * @returns {boolean} True if every value matches
+     */
+    verifyTestVectors() {
+        if (!window.authEngine) return false;
+
+        return Object.entries(SuciEngine.TEST_VECTORS).every(([profile, vector]) => {
+            const publicKey = this.derivePublicKey(profile, vector.hnPrivateKey);
+            const concealed = this.conceal(vector.imsi, {
+                scheme: profile,
+                keyId: 1,
+                hnPublicKey: vector.hnPublicKey,
+                mncLength: 3,
+                ephemeralPrivateKey: vector.ephemeralPrivateKey
+            });
+            const revealed = this.deconceal(concealed.suci, [{ keyId: 1, profile, privateKey: vector.hnPrivateKey }]);
+
+            return publicKey === vector.hnPublicKey &&
+                concealed.ephemeralPublicKey === vector.ephemeralPublicKey &&
+                concealed.sharedSecret === vector.sharedSecret &&
+                concealed.ciphertext === vector.ciphertext &&
+                concealed.macTag === vector.macTag &&
+                revealed.success && revealed.imsi === vector.imsi;
+        });
+    }
+}
+
+// Protection scheme identifiers (TS 33.501 Annex C.1)
+SuciEngine.SCHEME_IDS = { null: 0, A: 1, B: 2 };
+
+// Curve25519 field prime 2^255 - 19
+SuciEngine.X25519_P = 2n ** 255n - 19n;
+
+// secp256r1 domain parameters
+SuciEngine.P256 = {
+    p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+    a: 0xffffffff00000001000000000000000000000000fffffffffffffffffffffffcn,
+    b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+    n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+    G: {
+        x: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+        y: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+    }
+};
+
+// TS 33.501 Annex C.4.3 (Profile A) and C.4.4 (Profile B) - IMSI 274012001002086
+SuciEngine.TEST_VECTORS = {
+    A: {
+        imsi: '274012001002086',
+        hnPrivateKey: 'C53C22208B61860B06C62E5406A7B330C2B577AA5558981510D128247D38BD1D',
+        hnPublicKey: '5A8D38864820197C3394B92613B20B91633CBD897119273BF8E4A6F4EEC0A650',
+        ephemeralPrivateKey: 'C80949F13EBE61AF4EBDBD293EA4F942696B9E815D7E8F0096BBF6ED7DE62256',
+        ephemeralPublicKey: 'B2E92F836055A255837DEBF850B528997CE0201CB82ADFE4BE1F587D07D8457D',
+        sharedSecret: '028DDF890EC83CDF163947CE45F6EC1A0E3070EA5FE57E2B1F05139F3E82422A',
+        ciphertext: 'CB02352410',
+        macTag: 'CDDD9E730EF3FA87'
+    },
+    B: {
+        imsi: '274012001002086',
+        hnPrivateKey: 'F1AB1074477EBCC7F554EA1C5FC368B1616730155E0041AC447D6301975FECDA',
+        hnPublicKey: '0272DA71976234CE833A6907425867B82E074D44EF907DFB4B3E21C1C2256EBCD1',
+        ephemeralPrivateKey: '99798858A1DC6A2C68637149A4B1DBFD1FDFF5ADDD62A2142F06699ED7602529',
+        ephemeralPublicKey: '039AAB8376597021E855679A9778EA0B67396E68C66DF32C0F41E9ACCA2DA9B9D1',
+        sharedSecret: '6C7E6518980025B982FBB2FF746E3C2E85A196D252099A7AD23EA7B4C0959CAE',
+        ciphertext: '46A33FC271',
+        macTag: '6AC7DAE96AA30A4D'
+    }
+};
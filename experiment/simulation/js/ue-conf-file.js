@@ -0,0 +1,290 @@
+/**
+ * ============================================
+ * UE CONF FILE (SIM profile of the UE)
+ * ============================================
+ * The ue.conf of an OAI nr-uesoftmodem UE: the uicc0 group with the SIM
+ * profile, in libconfig syntax. The file lives in ue.config.ueConf once it
+ * has been written; until then it is rendered from ue.config.subscriber*
+ *
+ * Responsibilities:
+ * - Render ue.conf from the UE configuration
+ * - Parse ue.conf and report syntax errors with line numbers
+ * - Validate the SIM profile like the UE config panel does
+ * - Apply a saved file to ue.config.subscriber*
+ * - Keep a written file in sync when the config panel changes the UE
+ */
+
+class UeConfFile {
+    constructor() {
+        console.log('✅ UeConfFile initialized');
+    }
+
+    // ==========================================
+    // RENDER
+    // ==========================================
+
+    /**
+     * SIM profile values of a UE (panel defaults for unset fields)
+     * @param {Object} ue - UE network function
+     * @returns {Object} { imsi, key, opc, dnn, nssai_sst }
+     */
+    getValues(ue) {
+        return {
+            imsi: ue.config.subscriberImsi || window.dataStore.getDefaultImsi(101),
+            key: ue.config.subscriberKey || 'fec86ba6eb707ed08905757b1bb44b8f',
+            opc: ue.config.subscriberOpc || 'C42449363BBAD02B66D16BC975D77CC1',
+            dnn: ue.config.subscriberDnn || '5G-Lab',
+            nssai_sst: ue.config.subscriberSst || 1
+        };
+    }
+
+    /**
+     * Current ue.conf of a UE (the written file, else rendered from its configuration)
+     * @param {Object} ue - UE network function
+     * @returns {string} File content
+     */
+    getFile(ue) {
+        return ue.config.ueConf || this.render(ue);
+    }
+
+    /**
+     * Render a fresh ue.conf from the UE configuration
+     * @param {Object} ue - UE network function
+     * @returns {string} File content
+     */
+    render(ue) {
+        const values = this.getValues(ue);
+        return [
+            `# ${ue.name} SIM profile (nr-uesoftmodem -O ue.conf)`,
+            'uicc0 = {',
+            ...UeConfFile.SETTINGS.map(name => `    ${name} = ${this.formatValue(name, values[name])};`),
+            '};',
+            ''
+        ].join('\n');
+    }
+
+    formatValue(name, value) {
+        return name === 'nssai_sst' ? String(value) : `"${value}"`;
+    }
+
+    // ==========================================
+    // PARSE / VALIDATE
+    // ==========================================
+
+    /**
+     * Parse the libconfig subset ue.conf uses: one uicc0 group of name = value; settings,
+     * # and // comments
+     * @param {string} text - File content
+     * @returns {Object} { values: { name → { value, line } }, errors: [{ line, message }] }
+     */
+    parse(text) {
+        const values = {};
+        const errors = [];
+        const lines = text.split('\n');
+        let state = 'top'; // top → group → done
+        let groupLine = null;
+
+        // Like libconfig, parsing stops at the first syntax error
+        for (let index = 0; index < lines.length && errors.length === 0; index++) {
+            const raw = lines[index];
+            const lineNo = index + 1;
+            // Comments run to the end of the line, unless inside a string
+            const line = raw.replace(/("(?:[^"\\]|\\.)*")|(?:#|\/\/).*$/g, (match, string) => string || '').trim();
+            if (!line) continue;
+
+            if (state === 'top') {
+                if (/^uicc0\s*[=:]\s*\{$/.test(line)) {
+                    state = 'group';
+                    groupLine = lineNo;
+                } else {
+                    errors.push({ line: lineNo, message: /^uicc0\b/.test(line) ? 'syntax error (expected "uicc0 = {")' : `syntax error (unexpected "${line}" outside uicc0)` });
+                }
+                continue;
+            }
+
+            if (state === 'done') {
+                errors.push({ line: lineNo, message: `syntax error (unexpected "${line}" after the uicc0 group)` });
+                continue;
+            }
+
+            if (/^\}\s*;?$/.test(line)) {
+                state = 'done';
+                continue;
+            }
+
+            const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*[=:]\s*("(?:[^"\\]|\\.)*"|-?\d+|0x[0-9A-Fa-f]+)\s*;$/);
+            if (!match) {
+                const message = /;$/.test(line) ? 'syntax error (expected name = "string"; or name = number;)' : 'syntax error (missing ";")';
+                errors.push({ line: lineNo, message });
+                continue;
+            }
+
+            const [, name, literal] = match;
+            if (values[name]) {
+                errors.push({ line: lineNo, message: `duplicate setting "${name}" (first on line ${values[name].line})` });
+                continue;
+            }
+            const value = literal.startsWith('"') ? literal.slice(1, -1) : Number(literal);
+            values[name] = { value, line: lineNo };
+        }
+
+        if (errors.length > 0) {
+            return { values, errors, groupLine };
+        }
+        if (state === 'top') {
+            errors.push({ line: lines.length, message: 'uicc0 group not found' });
+        } else if (state === 'group') {
+            errors.push({ line: lines.length, message: `syntax error (uicc0 group opened on line ${groupLine} is not closed)` });
+        }
+
+        return { values, errors, groupLine };
+    }
+
+    /**
+     * Parse and validate a ue.conf for a UE, with the checks of the UE config panel
+     * @param {Object} ue - UE network function
+     * @param {string} text - File content
+     * @returns {Object} { values: { imsi, key, opc, dnn, nssai_sst }, subscriber, errors }
+     */
+    validate(ue, text) {
+        const parsed = this.parse(text);
+        if (parsed.errors.length > 0) return { errors: parsed.errors };
+
+        const errors = [];
+        const at = (name) => parsed.values[name]?.line ?? parsed.groupLine;
+        const values = {};
+
+        UeConfFile.SETTINGS.forEach(name => {
+            const entry = parsed.values[name];
+            if (!entry) {
+                errors.push({ line: parsed.groupLine, message: `missing setting "${name}" in uicc0` });
+                return;
+            }
+            const expectsNumber = name === 'nssai_sst';
+            if (expectsNumber !== (typeof entry.value === 'number')) {
+                errors.push({ line: entry.line, message: `"${name}" must be a ${expectsNumber ? 'number' : 'string'}` });
+                return;
+            }
+            values[name] = entry.value;
+        });
+        Object.keys(parsed.values).filter(name => !UeConfFile.SETTINGS.includes(name)).forEach(name => {
+            errors.push({ line: parsed.values[name].line, message: `unknown setting "${name}" (uicc0 takes ${UeConfFile.SETTINGS.join(', ')})` });
+        });
+        if (errors.length > 0) return { errors };
+
+        if (!/^\d{15}$/.test(values.imsi)) {
+            errors.push({ line: at('imsi'), message: 'invalid IMSI (must be exactly 15 digits)' });
+        }
+        if (!/^[0-9a-fA-F]{32}$/.test(values.key)) {
+            errors.push({ line: at('key'), message: 'invalid key (must be exactly 32 hexadecimal characters)' });
+        }
+        if (!/^[0-9a-fA-F]{32}$/.test(values.opc)) {
+            errors.push({ line: at('opc'), message: 'invalid opc (must be exactly 32 hexadecimal characters)' });
+        }
+        if (!values.dnn) {
+            errors.push({ line: at('dnn'), message: 'dnn must not be empty' });
+        }
+        if (!Number.isInteger(values.nssai_sst) || values.nssai_sst < 1 || values.nssai_sst > 255) {
+            errors.push({ line: at('nssai_sst'), message: 'invalid nssai_sst (must be 1-255)' });
+        }
+        if (errors.length > 0) return { errors };
+
+        // The checks against the topology and the UDR store of the config panel
+        const duplicateUE = window.dataStore.getAllNFs().find(nf => nf.type === 'UE' && nf.id !== ue.id && nf.config.subscriberImsi === values.imsi);
+        if (duplicateUE) {
+            return { errors: [{ line: at('imsi'), message: `IMSI ${values.imsi} is already assigned to ${duplicateUE.name}` }] };
+        }
+        const subscriber = window.dataStore.getSubscriberByImsi(values.imsi);
+        if (!subscriber) {
+            return { errors: [{ line: at('imsi'), message: `IMSI ${values.imsi} is not registered in the UDR subscriber database` }] };
+        }
+        const sessionProfile = window.dataStore.resolveSessionProfile(subscriber, values.dnn, values.nssai_sst);
+        if (!sessionProfile.allowed) {
+            return { errors: [{ line: at(sessionProfile.field === 'DNN' ? 'dnn' : 'nssai_sst'), message: sessionProfile.reason }] };
+        }
+
+        return { values, subscriber, errors: [] };
+    }
+
+    // ==========================================
+    // APPLY / SYNC
+    // ==========================================
+
+    /**
+     * Save a ue.conf: validate it, store it and apply it to ue.config.subscriber*
+     * @param {string} ueId - UE network function ID
+     * @param {string} text - File content
+     * @returns {Object} { ok, message, errors } (the ViEditor onSave result)
+     */
+    save(ueId, text) {
+        const ue = window.dataStore.getNFById(ueId);
+        if (!ue) return { ok: false, errors: [{ line: 1, message: 'UE no longer exists' }] };
+
+        const { values, subscriber, errors } = this.validate(ue, text);
+        if (errors.length > 0) return { ok: false, errors };
+
+        const previous = this.getValues(ue);
+        const changed = UeConfFile.SETTINGS.filter(name => previous[name] !== values[name]);
+
+        // A different SIM starts in sync with the UDR and has no security context yet
+        if (ue.config.subscriberImsi !== values.imsi || ue.config.subscriberKey !== values.key || ue.config.subscriberOpc !== values.opc) {
+            ue.config.subscriberSqn = subscriber.sqn;
+            delete ue.config.securityContext;
+        }
+
+        ue.config.subscriberImsi = values.imsi;
+        ue.config.subscriberKey = values.key;
+        ue.config.subscriberOpc = values.opc;
+        ue.config.subscriberDnn = values.dnn;
+        ue.config.subscriberSst = values.nssai_sst;
+        ue.config.ueConf = text;
+        window.dataStore.updateNF(ue.id, ue);
+
+        window.logEngine?.addLog(ue.id, 'SUCCESS', 'Subscriber information updated from ue.conf', {
+            IMSI: values.imsi,
+            DNN: values.dnn,
+            NSSAI_SST: values.nssai_sst,
+            changed: changed.length > 0 ? changed : 'none',
+            Key: values.key.substring(0, 8) + '...',
+            OPc: values.opc.substring(0, 8) + '...'
+        });
+
+        return { ok: true, message: changed.length > 0 ? `applied ${changed.join(', ')}` : 'no changes' };
+    }
+
+    /**
+     * Rewrite the values of a written ue.conf after the config panel changed the UE
+     * (comments and layout are kept, missing settings are added to uicc0)
+     * @param {Object} ue - UE network function
+     */
+    sync(ue) {
+        if (!ue.config.ueConf) return;
+
+        const parsed = this.parse(ue.config.ueConf);
+        if (parsed.errors.length > 0) {
+            ue.config.ueConf = this.render(ue);
+            return;
+        }
+
+        const values = this.getValues(ue);
+        const lines = ue.config.ueConf.split('\n');
+        const missing = [];
+        UeConfFile.SETTINGS.forEach(name => {
+            const entry = parsed.values[name];
+            if (!entry) {
+                missing.push(`    ${name} = ${this.formatValue(name, values[name])};`);
+                return;
+            }
+            lines[entry.line - 1] = lines[entry.line - 1].replace(
+                /^(\s*[A-Za-z_][A-Za-z0-9_]*\s*[=:]\s*)("(?:[^"\\]|\\.)*"|-?\d+|0x[0-9A-Fa-f]+)/,
+                (match, prefix) => prefix + this.formatValue(name, values[name]));
+        });
+        if (missing.length > 0) {
+            lines.splice(parsed.groupLine, 0, ...missing);
+        }
+        ue.config.ueConf = lines.join('\n');
+    }
+}
+
+// Settings of the uicc0 group, in file order
+UeConfFile.SETTINGS = ['imsi', 'key', 'opc', 'dnn', 'nssai_sst'];
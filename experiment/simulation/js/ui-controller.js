@@ -19,6 +19,13 @@ class UIController {
         this.selectedSourceNF = null;
         this.selectedDestinationNF = null;
         this.iperf3Servers = new Map(); // Track active iperf3 servers: nfId -> { server, output, intervalId }
+        this.subscriberPanelUdrId = null; // UDR whose subscriber list is shown in the config panel
+        this.subscriberListState = { query: '', sortKey: 'imsi', sortDir: 1, selectedImsi: null }; // Search / sort / selection of that list
+        this.subscriberListView = null; // Filtered and sorted rows of the list ({ sub, index })
+        this.subscriberSearchKeys = new WeakMap(); // Subscriber profile -> cached search keys
+        this.subscriberRowHeight = 40; // Fixed row height (px) of the virtualised subscriber list
+        this.maxProvisionRange = 50000; // Largest IMSI range the provisioning dialog creates at once
+        this.sqnDesyncStep = 1000; // How far the "Desync" button moves a USIM SQN ahead of the UDR
 
         console.log('✅ UIController initialized');
     }
@@ -35,6 +42,7 @@ class UIController {
         this.setupTerminalButton();
         this.setupClearButton();
         this.setupValidateButton();
+        this.setupNetworkSettingsButton();
         this.setupHelpButton();
         this.setupConnectionButtons();
         this.setupNFPalette();
@@ -334,9 +342,20 @@ class UIController {
                 if (event === 'nf-added') {
                     this.updateLogNFFilter();
                 }
+                if (event === 'subscribers-updated') {
+                    this.refreshSubscriberListPanel();
+                    this.refreshSubscriberHistoryPanel();
+                }
+                if (['nf-added', 'nf-updated', 'nf-removed'].includes(event) && data?.type === 'UE') {
+                    this.refreshSubscriberListStatus();
+                }
             });
         }
 
+        if (window.nudrRouter) {
+            window.nudrRouter.subscribe(() => this.refreshNudrInspector());
+        }
+
         const canvas = document.getElementById('main-canvas');
         if (canvas) {
             canvas.addEventListener('click', (e) => {
@@ -743,15 +762,7 @@ class UIController {
         // UE Configuration: Show subscriber information form
         if (nfType === 'UE') {
             // Initialize default subscribers in UDR if not present (for reference only)
-            const subscribers = window.dataStore?.getSubscribers() || [];
-            if (subscribers.length === 0) {
-                if (window.dataStore?.setSubscribers) {
-                    window.dataStore.setSubscribers([
-                        { imsi: '001010000000101', key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 },
-                        { imsi: '001010000000102', key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 }
-                    ]);
-                }
-            }
+            window.dataStore?.ensureDefaultSubscribers();
             
             // Show available subscribers from UDR for reference
             const updatedSubscribers = window.dataStore?.getSubscribers() || [];
@@ -913,14 +924,26 @@ class UIController {
     showNFConfigPanel(nf) {
         const configForm = document.getElementById('config-form');
         if (!configForm) return;
+        const settings = window.dataStore.getNetworkSettings();
 
         // UE Configuration: Show subscriber information instead of network details
         if (nf.type === 'UE') {
-            const imsi = nf.config.subscriberImsi || '001010000000101';
+            const imsi = nf.config.subscriberImsi || window.dataStore.getDefaultImsi(101);
             const key = nf.config.subscriberKey || 'fec86ba6eb707ed08905757b1bb44b8f';
             const opc = nf.config.subscriberOpc || 'C42449363BBAD02B66D16BC975D77CC1';
             const dnn = nf.config.subscriberDnn || '5G-Lab';
             const sst = nf.config.subscriberSst || 1;
+            const suciScheme = nf.config.suciScheme || 'null';
+            const suciKeyId = nf.config.suciKeyId ?? 1;
+            const requestedNssai = (nf.config.requestedNssai || []).map(s => window.dataStore.formatSnssai(s)).join(', ');
+            const allowedNssai = nf.config.allowedNssai;
+            const rejectedNssai = nf.config.rejectedNssai || [];
+            const additionalPduSessions = (nf.config.additionalPduSessions || []).map(request => `${request.dnn}: ${request.sst}`).join('\n');
+            const pduSessions = nf.config.pduSessions || [];
+            const subscriber = window.dataStore.getSubscriberByImsi(imsi);
+            const identities = subscriber
+                ? window.dataStore.getSubscriberIdentities(subscriber)
+                : [{ type: 'SUPI', value: `imsi-${imsi}` }];
             
             configForm.innerHTML = `
                 <h4>📱 ${nf.name} - Subscriber Configuration</h4>
@@ -938,6 +961,19 @@ class UIController {
                     </small>
                 </div>
                 
+                <div class="form-group">
+                    <label>🪪 Identities</label>
+                    <div style="font-size: 11px; line-height: 1.6; background: #1a252f; border: 1px solid #34495e; border-radius: 4px; padding: 6px; font-family: monospace;">
+                        ${['SUPI', 'GPSI', 'PEI'].map(type => {
+                            const identity = identities.find(entry => entry.type === type);
+                            return `<div><strong>${type}:</strong> ${identity ? this.escapeHtml(identity.value) : '<span style="color: #95a5a6;">not provisioned</span>'}</div>`;
+                        }).join('')}
+                    </div>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        ${subscriber ? 'From the UDR subscriber profile (edit GPSI / PEI there)' : 'IMSI is not in the UDR store'}
+                    </small>
+                </div>
+                
                 <div class="form-group">
                     <label>Key (K)</label>
                     <input type="text" id="config-key" value="${key}" placeholder="fec86ba6eb707ed08905757b1bb44b8f">
@@ -970,7 +1006,62 @@ class UIController {
                     </small>
                 </div>
                 
-                <button class="btn btn-primary btn-block" id="btn-save-config">Save Subscriber Info</button>
+                <div class="form-group">
+                    <label>Additional PDU Sessions</label>
+                    <textarea id="config-additional-pdu-sessions" rows="2" style="font-family: monospace;" placeholder="internet: 1">${additionalPduSessions}</textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        One "DNN: SST" per line. The DNN/SST above is PDU session 1 (oaitun_ue1), each line adds the next session and interface
+                    </small>
+                </div>
+                
+                ${pduSessions.length > 0 ? `
+                <div class="form-group">
+                    <label>Established PDU Sessions</label>
+                    <div style="font-size: 11px; line-height: 1.6; background: #1a252f; border: 1px solid #34495e; border-radius: 4px; padding: 6px;">
+                        ${pduSessions.map(session => `<div><strong style="color: #27ae60;">${session.tunInterface.name}</strong> #${session.pduSessionId} ${session.dnn} (S-NSSAI ${window.dataStore.formatSnssai(session.snssai)}) - ${session.assignedIP} via ${window.dataStore.getNFById(session.upfId)?.name || session.upfId}${session.smPolicy ? ` <span style="color: #95a5a6;">(AMBR ${session.smPolicy.sessAmbr.uplink}/${session.smPolicy.sessAmbr.downlink}${session.smPolicy.policyProfile ? `, policy ${session.smPolicy.policyProfile}` : ''})</span>` : ''}</div>`).join('')}
+                    </div>
+                </div>
+                ` : ''}
+                
+                <div class="form-group">
+                    <label>Requested NSSAI</label>
+                    <input type="text" id="config-requested-nssai" value="${requestedNssai}" placeholder="1, 2:000001">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        S-NSSAIs in the Registration Request (SST or SST:SD, comma separated; empty = default subscribed slices)
+                    </small>
+                </div>
+                
+                ${allowedNssai ? `
+                <div class="form-group">
+                    <label>Slices of the last registration</label>
+                    <div style="font-size: 11px; line-height: 1.6; background: #1a252f; border: 1px solid #34495e; border-radius: 4px; padding: 6px;">
+                        <div><strong style="color: #27ae60;">Allowed NSSAI:</strong> ${allowedNssai.map(s => window.dataStore.formatSnssai(s)).join(', ') || 'none'}</div>
+                        <div><strong style="color: #e74c3c;">Rejected NSSAI:</strong> ${rejectedNssai.map(entry => window.nssfEngine?.formatRejectedSnssai(entry)).join(', ') || 'none'}</div>
+                    </div>
+                </div>
+                ` : ''}
+                
+                <div class="form-group">
+                    <label>SUCI Protection Scheme</label>
+                    <select id="config-suci-scheme">
+                        <option value="null" ${suciScheme === 'null' ? 'selected' : ''}>null-scheme (SUPI in clear)</option>
+                        <option value="A" ${suciScheme === 'A' ? 'selected' : ''}>Profile A (ECIES X25519)</option>
+                        <option value="B" ${suciScheme === 'B' ? 'selected' : ''}>Profile B (ECIES secp256r1)</option>
+                    </select>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        How the USIM conceals the MSIN in the Registration Request
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Home Network Public Key ID</label>
+                    <input type="number" id="config-suci-key-id" value="${suciKeyId}" min="0" max="255">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Must match a key of the same profile on the UDM (ignored for null-scheme)
+                    </small>
+                </div>
+                
+                <button class="btn btn-primary btn-block" id="btn-save-config" data-nf-id="${nf.id}">Save Subscriber Info</button>
                 
                 <div class="form-group" style="margin-top: 15px;">
                     <h4>📋 Validation & Testing</h4>
@@ -1010,6 +1101,62 @@ class UIController {
                     <input type="number" id="config-port" value="${nf.config.port}">
                 </div>
                 
+                ${nf.type === 'AMF' ? `
+                <div class="form-group">
+                    <label>🍰 Supported S-NSSAIs per TA</label>
+                    <textarea id="config-amf-tai-slices" rows="3" style="font-family: monospace;">${(nf.config.taiSliceSupport || []).map(entry => `${entry.tac}: ${entry.snssais.map(s => window.dataStore.formatSnssai(s)).join(', ')}`).join('\n')}</textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        One line per TAC (decimal): "1: 1, 2, 3:000001". TACs and slices come from the network settings
+                        (TACs ${settings.tacs.join(', ')}, slices ${settings.snssais.map(s => window.dataStore.formatSnssai(s)).join(', ')})
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>🆔 GUAMI</label>
+                    <div style="font-family: monospace; font-size: 12px; color: #ecf0f1;">
+                        ${settings.plmns.map(plmn => window.nssfEngine?.formatGuami(nf, plmn) || window.dataStore.formatPlmn(plmn)).join('<br>')}
+                    </div>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        AMF Region ${nf.config.amfRegionId ?? settings.amfRegionId} / Set ${nf.config.amfSetId ?? settings.amfSetId}, set in 🌍 Network Settings
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'SMF' ? `
+                <div class="form-group">
+                    <label>🌐 Served DNNs</label>
+                    <div id="config-smf-dnns" style="display: flex; flex-wrap: wrap; gap: 4px 12px;">
+                        ${[...new Set([...settings.dnns, ...(nf.config.dnns || [])])].map(dnn => `
+                            <label style="display: flex; align-items: center; gap: 4px; font-weight: normal;">
+                                <input type="checkbox" class="config-smf-dnn" value="${this.escapeHtml(dnn)}" ${(nf.config.dnns || settings.dnns).includes(dnn) ? 'checked' : ''}>
+                                ${this.escapeHtml(dnn)}${settings.dnns.includes(dnn) ? '' : ' <span style="color: #e67e22;">(not in network settings)</span>'}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        From the DNN catalogue of the network settings. The UDR database linter flags subscribed DNNs no SMF serves
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'gNB' ? `
+                <div class="form-group">
+                    <label>📡 Broadcast PLMN (MCC / MNC)</label>
+                    <select id="config-gnb-plmn">
+                        ${this.renderSettingsOptions(settings.plmns.map(plmn => window.dataStore.formatPlmn(plmn)), `${nf.config.mcc || '001'}-${nf.config.mnc || '01'}`)}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label>Tracking Area Code (TAC)</label>
+                    <select id="config-gnb-tac">
+                        ${this.renderSettingsOptions(settings.tacs.map(String), String(nf.config.tac ?? 1))}
+                    </select>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Decimal, as in gnb.conf (UDR areas use the hex form, e.g. 1 = 000001). PLMNs and TACs come from 🌍 Network Settings
+                    </small>
+                </div>
+                ` : ''}
                 
                 <div class="form-group">
                     <label>🌐 HTTP Protocol (Global Setting)</label>
@@ -1030,6 +1177,21 @@ class UIController {
             <div class="form-group">
                 <h4>UDR Subscriber Management</h4>
                 <button class="btn btn-info btn-block" id="btn-show-subs">Show Subscriber Info</button>
+                <button class="btn btn-secondary btn-block" id="btn-nudr-inspector">🔎 Nudr Request Inspector</button>
+            </div>
+            ` : ''}
+            
+            ${nf.type === 'UDM' ? `
+            <div class="form-group">
+                <h4>SIDF (SUCI De-concealment)</h4>
+                <button class="btn btn-info btn-block" id="btn-show-suci-keys">🔐 SUCI Home Network Keys</button>
+            </div>
+            ` : ''}
+            
+            ${nf.type === 'PCF' ? `
+            <div class="form-group">
+                <h4>SM Policy Control</h4>
+                <button class="btn btn-info btn-block" id="btn-show-policies">📜 Policy Profiles</button>
             </div>
             ` : ''}
             
@@ -1137,6 +1299,33 @@ class UIController {
                     this.showUDRSubscriberPanel(nf);
                 };
             }
+
+            const btnInspector = document.getElementById('btn-nudr-inspector');
+            if (btnInspector) {
+                btnInspector.onclick = () => {
+                    this.showNudrInspectorPanel(nf);
+                };
+            }
+        }
+
+        // UDM: Show SUCI home network keys
+        if (nf.type === 'UDM') {
+            const btnSuciKeys = document.getElementById('btn-show-suci-keys');
+            if (btnSuciKeys) {
+                btnSuciKeys.onclick = () => {
+                    this.showUDMSuciKeysPanel(nf);
+                };
+            }
+        }
+
+        // PCF: Show policy profiles
+        if (nf.type === 'PCF') {
+            const btnPolicies = document.getElementById('btn-show-policies');
+            if (btnPolicies) {
+                btnPolicies.onclick = () => {
+                    this.showPCFPolicyPanel(nf);
+                };
+            }
         }
 
         // Student trigger button handlers (only available for gNB)
@@ -1229,14 +1418,11 @@ class UIController {
                 return;
             }
 
-            // Validate that UE configuration matches subscriber profile
-            if (subscriber.dnn && subscriber.dnn !== dnn) {
-                alert(`❌ DNN Mismatch!\n\nUE DNN (${dnn}) does not match subscriber profile DNN (${subscriber.dnn}).\n\nPlease update UE configuration to match the subscriber profile.`);
-                return;
-            }
-
-            if (subscriber.nssai_sst && subscriber.nssai_sst !== sst) {
-                alert(`❌ NSSAI SST Mismatch!\n\nUE SST (${sst}) does not match subscriber profile SST (${subscriber.nssai_sst}).\n\nPlease update UE configuration to match the subscriber profile.`);
+            // Validate that the UE's DNN/SST is part of the subscription
+            const sessionProfile = window.dataStore.resolveSessionProfile(subscriber, dnn, sst);
+            if (!sessionProfile.allowed) {
+                const title = sessionProfile.field === 'DNN' ? 'DNN Not Subscribed' : 'NSSAI SST Not Subscribed';
+                alert(`❌ ${title}!\n\n${sessionProfile.reason}.\n\nPlease update UE configuration to match the subscriber profile.`);
                 return;
             }
 
@@ -1254,8 +1440,10 @@ class UIController {
                     nf.config.subscriberImsi = imsi;
                     nf.config.subscriberKey = key;
                     nf.config.subscriberOpc = opc;
+                    nf.config.subscriberSqn = subscriber.sqn;
                     nf.config.subscriberDnn = dnn;
                     nf.config.subscriberSst = sst;
+                    nf.config.requestedNssai = [{ sst: sessionProfile.smData.sst, sd: sessionProfile.smData.sd }];
 
                     // Update in data store
                     window.dataStore.updateNF(nf.id, nf);
@@ -1462,6 +1650,7 @@ class UIController {
     saveNFConfig(nfId) {
         const nf = window.dataStore.getNFById(nfId);
         if (!nf) return;
+        const settings = window.dataStore.getNetworkSettings();
 
         // UE: Save subscriber information
         if (nf.type === 'UE') {
@@ -1470,6 +1659,11 @@ class UIController {
             const opc = document.getElementById('config-opc')?.value;
             const dnn = document.getElementById('config-dnn')?.value;
             const sst = parseInt(document.getElementById('config-sst')?.value);
+            const suciScheme = document.getElementById('config-suci-scheme')?.value || 'null';
+            const suciKeyId = parseInt(document.getElementById('config-suci-key-id')?.value);
+            const requestedNssai = this.parseSnssaiList(document.getElementById('config-requested-nssai')?.value);
+            const sessionLines = (document.getElementById('config-additional-pdu-sessions')?.value || '')
+                .split('\n').map(line => line.trim()).filter(Boolean);
 
             if (!imsi || !key || !opc || !dnn || !sst) {
                 alert('Please fill all subscriber fields');
@@ -1494,6 +1688,18 @@ class UIController {
                 return;
             }
 
+            // Validate Home Network Public Key ID (0-255)
+            if (suciScheme !== 'null' && (isNaN(suciKeyId) || suciKeyId < 0 || suciKeyId > 255)) {
+                alert('❌ Invalid Home Network Public Key ID!\n\nKey ID must be between 0 and 255.');
+                return;
+            }
+
+            // Validate Requested NSSAI (SST 1-255, optional 6 hex SD)
+            if (requestedNssai.some(s => !Number.isInteger(s.sst) || s.sst < 1 || s.sst > 255 || (s.sd && !/^[0-9A-F]{6}$/.test(s.sd)))) {
+                alert('❌ Invalid Requested NSSAI!\n\nUse SST or SST:SD entries separated by commas (SST 1-255, SD 6 hex), e.g. 1, 2:000001');
+                return;
+            }
+
             // Check for duplicate IMSI - ensure no other UE has the same IMSI
             const allUEs = window.dataStore?.getAllNFs().filter(n => n.type === 'UE' && n.id !== nfId) || [];
             const duplicateUE = allUEs.find(ue => ue.config.subscriberImsi === imsi);
@@ -1510,23 +1716,73 @@ class UIController {
                 return;
             }
 
-            // Validate that UE configuration matches subscriber profile
-            if (subscriber.dnn && subscriber.dnn !== dnn) {
-                alert(`❌ DNN Mismatch!\n\nUE DNN (${dnn}) does not match subscriber profile DNN (${subscriber.dnn}).\n\nPlease update UE configuration to match the subscriber profile.`);
+            // Validate that the UE's DNN/SST is part of the subscription
+            const sessionProfile = window.dataStore.resolveSessionProfile(subscriber, dnn, sst);
+            if (!sessionProfile.allowed) {
+                const title = sessionProfile.field === 'DNN' ? 'DNN Not Subscribed' : 'NSSAI SST Not Subscribed';
+                alert(`❌ ${title}!\n\n${sessionProfile.reason}.\n\nPlease update UE configuration to match the subscriber profile.`);
                 return;
             }
 
-            if (subscriber.nssai_sst && subscriber.nssai_sst !== sst) {
-                alert(`❌ NSSAI SST Mismatch!\n\nUE SST (${sst}) does not match subscriber profile SST (${subscriber.nssai_sst}).\n\nPlease update UE configuration to match the subscriber profile.`);
+            // Additional PDU sessions ("DNN: SST" per line): subscribed and distinct DNN/slice pairs, 15 sessions at most
+            const additionalPduSessions = [];
+            const sessionKeys = [`${sessionProfile.smData.dnn}|${window.dataStore.formatSnssai(sessionProfile.smData)}`];
+            for (const line of sessionLines) {
+                const match = line.match(/^([^:\s]+)\s*:\s*(\d+)$/);
+                if (!match) {
+                    alert(`❌ Invalid PDU session "${line}"!\n\nUse one "DNN: SST" per line, e.g. internet: 1`);
+                    return;
+                }
+
+                const request = { dnn: match[1], sst: parseInt(match[2]) };
+                const profile = window.dataStore.resolveSessionProfile(subscriber, request.dnn, request.sst);
+                if (!profile.allowed) {
+                    alert(`❌ PDU Session Not Subscribed!\n\n"${line}": ${profile.reason}.`);
+                    return;
+                }
+
+                const sessionKey = `${profile.smData.dnn}|${window.dataStore.formatSnssai(profile.smData)}`;
+                if (sessionKeys.includes(sessionKey)) {
+                    alert(`❌ Duplicate PDU Session!\n\nDNN ${request.dnn} on SST ${request.sst} is already requested by another session.`);
+                    return;
+                }
+                sessionKeys.push(sessionKey);
+                additionalPduSessions.push(request);
+            }
+            if (additionalPduSessions.length > 14) {
+                alert('❌ Too Many PDU Sessions!\n\nA UE can have at most 15 PDU sessions (PDU session IDs 1-15).');
                 return;
             }
 
+            // A different SIM starts in sync with the UDR and has no security context yet
+            if (nf.config.subscriberImsi !== imsi || nf.config.subscriberKey !== key || nf.config.subscriberOpc !== opc) {
+                nf.config.subscriberSqn = subscriber.sqn;
+                delete nf.config.securityContext;
+            }
+
+            // A new protection scheme means a new SUCI, so the UE has to register again
+            const newKeyId = suciScheme === 'null' ? 0 : suciKeyId;
+            if ((nf.config.suciScheme || 'null') !== suciScheme || nf.config.suciKeyId !== newKeyId) {
+                delete nf.config.securityContext;
+            }
+
+            // A new Requested NSSAI needs a new slice selection at the next registration
+            if (JSON.stringify(nf.config.requestedNssai || []) !== JSON.stringify(requestedNssai)) {
+                delete nf.config.allowedNssai;
+                delete nf.config.rejectedNssai;
+            }
+
             // Update subscriber configuration
             nf.config.subscriberImsi = imsi;
             nf.config.subscriberKey = key;
             nf.config.subscriberOpc = opc;
             nf.config.subscriberDnn = dnn;
             nf.config.subscriberSst = sst;
+            nf.config.suciScheme = suciScheme;
+            nf.config.suciKeyId = newKeyId;
+            nf.config.requestedNssai = requestedNssai;
+            nf.config.additionalPduSessions = additionalPduSessions;
+            window.ueConfFile?.sync(nf);
 
             window.dataStore.updateNF(nfId, nf);
 
@@ -1537,6 +1793,9 @@ class UIController {
                     IMSI: imsi,
                     DNN: dnn,
                     NSSAI_SST: sst,
+                    requestedNSSAI: requestedNssai.map(s => window.dataStore.formatSnssai(s)),
+                    additionalPduSessions: additionalPduSessions.map(request => `${request.dnn} (SST ${request.sst})`),
+                    SUCI: suciScheme === 'null' ? 'null-scheme' : `Profile ${suciScheme} (key ID ${newKeyId})`,
                     Key: key.substring(0, 8) + '...',
                     OPc: opc.substring(0, 8) + '...'
                 });
@@ -1589,13 +1848,90 @@ class UIController {
             }
         }
 
+        // gNB: broadcast PLMN and tracking area of the cell
+        let cell = null;
+        if (nf.type === 'gNB') {
+            const [mcc = '', mnc = ''] = (document.getElementById('config-gnb-plmn')?.value || '').split('-');
+            cell = {
+                mcc,
+                mnc,
+                tac: parseInt(document.getElementById('config-gnb-tac')?.value)
+            };
+
+            if (!/^\d{3}$/.test(cell.mcc) || !/^\d{2,3}$/.test(cell.mnc)) {
+                alert('❌ Invalid PLMN!\n\nMCC must be 3 digits and MNC 2 or 3 digits (e.g. 001 / 01).');
+                return;
+            }
+
+            if (!Number.isInteger(cell.tac) || cell.tac < 1 || cell.tac > 0xFFFFFF) {
+                alert('❌ Invalid TAC!\n\nThe tracking area code must be between 1 and 16777215.');
+                return;
+            }
+        }
+
+        // AMF: S-NSSAIs supported per tracking area ("TAC: S-NSSAI list" per line)
+        let taiSliceSupport = null;
+        if (nf.type === 'AMF') {
+            const lines = (document.getElementById('config-amf-tai-slices')?.value || '')
+                .split('\n').map(line => line.trim()).filter(Boolean);
+            taiSliceSupport = [];
+
+            for (const line of lines) {
+                const match = line.match(/^(\d+)\s*:(.*)$/);
+                const tac = match ? parseInt(match[1]) : NaN;
+                const snssais = this.parseSnssaiList(match?.[2]);
+
+                if (!match || tac < 1 || tac > 0xFFFFFF) {
+                    alert(`❌ Invalid TAC in "${line}"!\n\nStart each line with a decimal TAC between 1 and 16777215.`);
+                    return;
+                }
+                if (snssais.length === 0 || snssais.some(s => !Number.isInteger(s.sst) || s.sst < 1 || s.sst > 255 || (s.sd && !/^[0-9A-F]{6}$/.test(s.sd)))) {
+                    alert(`❌ Invalid S-NSSAI list in "${line}"!\n\nList SST or SST:SD entries after the TAC (SST 1-255, SD 6 hex), e.g. 1: 1, 2:000001`);
+                    return;
+                }
+                if (!settings.tacs.includes(tac)) {
+                    alert(`❌ TAC ${tac} is not a tracking area of the network!\n\nNetwork TACs: ${settings.tacs.join(', ')}. Add it in 🌍 Network Settings first.`);
+                    return;
+                }
+                const unknown = snssais.find(s => !settings.snssais.some(known => window.nssfEngine?.sameSnssai(known, s)));
+                if (unknown) {
+                    alert(`❌ S-NSSAI ${window.dataStore.formatSnssai(unknown)} is not in the slice catalogue!\n\nCatalogue: ${settings.snssais.map(s => window.dataStore.formatSnssai(s)).join(', ')}. Add it in 🌍 Network Settings first.`);
+                    return;
+                }
+                taiSliceSupport.push({ tac, snssais });
+            }
+        }
+
+        // SMF: served DNNs (ticked from the DNN catalogue)
+        let dnns = null;
+        if (nf.type === 'SMF') {
+            dnns = [...document.querySelectorAll('#config-smf-dnns .config-smf-dnn:checked')].map(input => input.value);
+
+            if (dnns.length === 0) {
+                alert('❌ No DNN selected!\n\nThe SMF must serve at least one DNN of the catalogue.');
+                return;
+            }
+        }
+
         // Update NF
         const oldIP = nf.config.ipAddress;
         const oldPort = nf.config.port;
+        const oldSlices = JSON.stringify(nf.config.taiSliceSupport || []);
+        const oldDnns = (nf.config.dnns || settings.dnns).join(', ');
+        const oldCell = cell ? `${nf.config.mcc}${nf.config.mnc} / TAC ${nf.config.tac}` : null;
 
         nf.config.ipAddress = ipAddress;
         nf.config.port = port;
         nf.config.httpProtocol = httpProtocol;
+        if (cell) {
+            Object.assign(nf.config, cell);
+        }
+        if (taiSliceSupport) {
+            nf.config.taiSliceSupport = taiSliceSupport;
+        }
+        if (dnns) {
+            nf.config.dnns = dnns;
+        }
 
         window.dataStore.updateNF(nfId, nf);
 
@@ -1604,6 +1940,15 @@ class UIController {
             const changes = [];
             if (oldIP !== ipAddress) changes.push(`IP: ${oldIP} → ${ipAddress}`);
             if (oldPort !== port) changes.push(`Port: ${oldPort} → ${port}`);
+            if (cell && oldCell !== `${cell.mcc}${cell.mnc} / TAC ${cell.tac}`) {
+                changes.push(`Cell: PLMN ${oldCell} → PLMN ${cell.mcc}${cell.mnc} / TAC ${cell.tac}`);
+            }
+            if (taiSliceSupport && oldSlices !== JSON.stringify(taiSliceSupport)) {
+                changes.push(`Slices per TA: ${taiSliceSupport.map(entry => `TAC ${entry.tac} → ${entry.snssais.map(s => window.dataStore.formatSnssai(s)).join(', ')}`).join('; ')}`);
+            }
+            if (dnns && oldDnns !== dnns.join(', ')) {
+                changes.push(`DNNs: ${oldDnns} → ${dnns.join(', ')}`);
+            }
             
             if (changes.length > 0) {
                 window.logEngine.addLog(nfId, 'INFO',
@@ -1648,6 +1993,192 @@ class UIController {
         this.hideNFConfigPanel();
     }
 
+    // ==========================================
+    // NETWORK SETTINGS
+    // ==========================================
+
+    /**
+     * Setup Network Settings button
+     */
+    setupNetworkSettingsButton() {
+        const settingsBtn = document.getElementById('btn-network-settings');
+        if (!settingsBtn) return;
+
+        settingsBtn.addEventListener('click', () => {
+            console.log('🌍 Network settings clicked');
+            this.showNetworkSettingsPanel();
+        });
+    }
+
+    /**
+     * Show the network-wide settings (PLMNs, TACs, GUAMI, DNN and slice catalogues)
+     * shared by the AMF, gNB, SMF and UDR
+     */
+    showNetworkSettingsPanel() {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        const sidebar = document.querySelector('.sidebar-right');
+        if (sidebar?.classList.contains('collapsed')) {
+            this.toggleConfigPanel();
+        }
+
+        const settings = window.dataStore.getNetworkSettings();
+        const nfs = window.dataStore.getAllNFs();
+        const plmnList = (plmns) => plmns.map(plmn => window.dataStore.formatPlmn(plmn)).join(', ');
+        const networkPlmns = settings.plmns.map(plmn => window.dataStore.formatPlmn(plmn));
+        const hint = 'color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;';
+        const amfs = nfs.filter(nf => nf.type === 'AMF');
+        const gnbs = nfs.filter(nf => nf.type === 'gNB');
+
+        configForm.innerHTML = `
+            <h4>🌍 Network Settings</h4>
+            <p class="hint" style="margin-bottom: 12px;">Shared by the AMF, gNB, SMF and UDR. New NFs and subscribers take their defaults from here</p>
+
+            <div class="form-group">
+                <label>📡 Network PLMNs (MCC-MNC)</label>
+                <input type="text" id="network-plmns" value="${plmnList(settings.plmns)}" placeholder="001-01">
+                <small style="${hint}">Comma separated, the first one is the primary PLMN (default IMSIs, new gNBs)</small>
+            </div>
+
+            <div class="form-group">
+                <label>🤝 Roaming Partner PLMNs</label>
+                <input type="text" id="network-roaming-plmns" value="${plmnList(settings.roamingPlmns)}" placeholder="999-70">
+                <small style="${hint}">Subscribers of other PLMNs are rejected with #11 PLMN not allowed</small>
+            </div>
+
+            <div class="form-group">
+                <label>🗺️ Tracking Area Codes</label>
+                <input type="text" id="network-tacs" value="${settings.tacs.join(', ')}" placeholder="1, 2">
+                <small style="${hint}">Decimal, comma separated</small>
+            </div>
+
+            <div class="form-group">
+                <label>🆔 AMF Region ID / AMF Set ID</label>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+                    <input type="number" id="network-amf-region" value="${settings.amfRegionId}" min="0" max="255">
+                    <input type="number" id="network-amf-set" value="${settings.amfSetId}" min="0" max="1023">
+                </div>
+                <small style="${hint}">GUAMI of every AMF (region 0-255, set 0-1023)</small>
+            </div>
+
+            <div class="form-group">
+                <label>🌐 DNN Catalogue</label>
+                <input type="text" id="network-dnns" value="${settings.dnns.join(', ')}" placeholder="5G-Lab, internet">
+                <small style="${hint}">DNNs offered to subscribers and SMFs</small>
+            </div>
+
+            <div class="form-group">
+                <label>🍰 Slice Catalogue</label>
+                <input type="text" id="network-snssais" value="${settings.snssais.map(s => window.dataStore.formatSnssai(s)).join(', ')}" placeholder="1, 2, 3, 1:000001">
+                <small style="${hint}">SST or SST:SD, comma separated. New AMFs support every slice in every TAC</small>
+            </div>
+
+            <div style="background: #2c3e50; border-radius: 6px; padding: 10px; margin-bottom: 15px; font-size: 12px;">
+                <strong style="color: #3498db;">GUAMIs</strong>
+                ${amfs.length === 0 ? '<div style="color: #95a5a6;">No AMF deployed</div>' : amfs.map(amf => `
+                    <div style="font-family: monospace;">${this.escapeHtml(amf.name)}: ${settings.plmns.map(plmn => window.nssfEngine?.formatGuami(amf, plmn)).join(', ')}</div>
+                `).join('')}
+                <strong style="color: #3498db; display: block; margin-top: 8px;">Cells</strong>
+                ${gnbs.length === 0 ? '<div style="color: #95a5a6;">No gNB deployed</div>' : gnbs.map(gnb => {
+                    const plmn = `${gnb.config.mcc}-${gnb.config.mnc}`;
+                    const known = networkPlmns.includes(plmn) && settings.tacs.includes(parseInt(gnb.config.tac));
+                    return `<div style="color: ${known ? '#ecf0f1' : '#e67e22'};">${known ? '' : '⚠️ '}${this.escapeHtml(gnb.name)}: PLMN ${plmn} / TAC ${gnb.config.tac}</div>`;
+                }).join('')}
+            </div>
+
+            <button class="btn btn-success btn-block" id="btn-save-network-settings">💾 Save Network Settings</button>
+        `;
+
+        document.getElementById('btn-save-network-settings').onclick = () => this.saveNetworkSettings();
+    }
+
+    /**
+     * Validate and save the network settings, and move every AMF to the new GUAMI
+     */
+    saveNetworkSettings() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const list = (id) => value(id).split(',').map(item => item.trim()).filter(Boolean);
+        const parsePlmns = (id) => list(id).map(item => {
+            const match = item.match(/^(\d{3})-(\d{2,3})$/);
+            return match ? { mcc: match[1], mnc: match[2] } : { invalid: item };
+        });
+
+        const plmns = parsePlmns('network-plmns');
+        const roamingPlmns = parsePlmns('network-roaming-plmns');
+        const invalidPlmn = [...plmns, ...roamingPlmns].find(plmn => plmn.invalid);
+        if (plmns.length === 0 || invalidPlmn) {
+            alert(`❌ Invalid PLMN list!\n\n${invalidPlmn ? `"${invalidPlmn.invalid}" is not a PLMN. ` : ''}Use MCC-MNC with a 3 digit MCC and a 2 or 3 digit MNC, e.g. 001-01`);
+            return;
+        }
+        const format = (plmn) => window.dataStore.formatPlmn(plmn);
+        const shared = roamingPlmns.find(plmn => plmns.some(home => format(home) === format(plmn)));
+        if (shared) {
+            alert(`❌ PLMN ${format(shared)} is both a network PLMN and a roaming partner!`);
+            return;
+        }
+
+        const tacs = list('network-tacs').map(Number);
+        if (tacs.length === 0 || tacs.some(tac => !Number.isInteger(tac) || tac < 1 || tac > 0xFFFFFF)) {
+            alert('❌ Invalid TAC list!\n\nList decimal tracking area codes between 1 and 16777215, e.g. 1, 2');
+            return;
+        }
+
+        const amfRegionId = parseInt(value('network-amf-region'));
+        const amfSetId = parseInt(value('network-amf-set'));
+        if (isNaN(amfRegionId) || amfRegionId < 0 || amfRegionId > 255 || isNaN(amfSetId) || amfSetId < 0 || amfSetId > 1023) {
+            alert('❌ Invalid GUAMI!\n\nThe AMF Region ID must be 0-255 and the AMF Set ID 0-1023.');
+            return;
+        }
+
+        const dnns = [...new Set(list('network-dnns'))];
+        const invalidDnn = dnns.find(dnn => !/^[A-Za-z0-9]([A-Za-z0-9.-]*[A-Za-z0-9])?$/.test(dnn));
+        if (dnns.length === 0 || invalidDnn) {
+            alert(`❌ Invalid DNN catalogue!\n\n${invalidDnn ? `"${invalidDnn}" is not a valid DNN. ` : ''}List at least one DNN (letters, digits, "-" and "."), e.g. 5G-Lab, internet`);
+            return;
+        }
+
+        const snssais = this.parseSnssaiList(value('network-snssais'));
+        if (snssais.length === 0 || snssais.some(s => !Number.isInteger(s.sst) || s.sst < 1 || s.sst > 255 || (s.sd && !/^[0-9A-F]{6}$/.test(s.sd)))) {
+            alert('❌ Invalid slice catalogue!\n\nList SST or SST:SD entries (SST 1-255, SD 6 hex), e.g. 1, 2, 1:000001');
+            return;
+        }
+
+        const previous = window.dataStore.getNetworkSettings();
+        const settings = window.dataStore.setNetworkSettings({ plmns, roamingPlmns, tacs, amfRegionId, amfSetId, dnns, snssais });
+
+        // Every AMF serves the network GUAMI
+        const plmnsChanged = previous.plmns.map(format).join(', ') !== settings.plmns.map(format).join(', ');
+        window.dataStore.getAllNFs().filter(nf => nf.type === 'AMF').forEach(amf => {
+            const changed = plmnsChanged || amf.config.amfRegionId !== amfRegionId || amf.config.amfSetId !== amfSetId;
+            amf.config.amfRegionId = amfRegionId;
+            amf.config.amfSetId = amfSetId;
+            window.dataStore.updateNF(amf.id, amf);
+
+            if (window.logEngine && changed) {
+                const guamis = settings.plmns.map(plmn => window.nssfEngine?.formatGuami(amf, plmn)).join(', ');
+                window.logEngine.addLog(amf.id, 'INFO', `Configuration updated: GUAMI ${guamis}`, {
+                    plmns: settings.plmns.map(format),
+                    roamingPlmns: settings.roamingPlmns.map(format),
+                    tacs: settings.tacs,
+                    amfRegionId,
+                    amfSetId
+                });
+            }
+        });
+
+        if (window.canvasRenderer) {
+            window.canvasRenderer.render();
+        }
+        this.showNetworkSettingsPanel();
+
+        alert('✅ Network settings saved!\n\n' +
+              `PLMNs: ${settings.plmns.map(format).join(', ')}\n` +
+              `TACs: ${settings.tacs.join(', ')}\n` +
+              `AMF Region / Set: ${amfRegionId} / ${amfSetId}`);
+        console.log('✅ Network settings saved');
+    }
+
     // ==========================================
     // LOG PANEL
     // ==========================================
@@ -1839,13 +2370,7 @@ class UIController {
             return;
         }
 
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        URL.revokeObjectURL(url);
+        this.downloadTextFile(content, filename, mimeType);
 
         console.log('✅ Logs exported as', format);
     }
@@ -2368,7 +2893,8 @@ class UIController {
             } else if (e.key === 'Tab') {
                 e.preventDefault();
                 const partial = input.value.toLowerCase();
-                const commands = ['help', 'clear', 'ping', 'ipconfig', 'status', 'exit', 'cls', 'systeminfo', 'netstat', 'ifconfig', 'ip addr'];
+                const commands = ['help', 'clear', 'ping', 'ipconfig', 'status', 'exit', 'cls', 'systeminfo', 'netstat', 'ifconfig', 'ip addr', 'ls',
+                    ...(nf.type === 'UE' ? ['cat ue.conf', 'vi ue.conf'] : [])];
                 const matches = commands.filter(cmd => cmd.startsWith(partial));
                 
                 if (matches.length === 1) {
@@ -2416,10 +2942,16 @@ class UIController {
             this.showSystemInfo(nf, output);
         } else if (cmd === 'netstat') {
             this.showNetstat(nf, output);
-        } else if (cmd === 'ifconfig' || cmd === 'ip addr') {
+        } else if (cmd === 'ifconfig') {
             this.showIfConfig(nf, output);
+        } else if (cmd === 'ip addr' || cmd === 'ip a' || cmd === 'ip address') {
+            this.showIpAddr(nf, output);
         } else if (cmd.startsWith('iperf3 ')) {
             await this.processIperf3Command(nf, command, output);
+        } else if (cmd === 'ls' || cmd.startsWith('ls ')) {
+            this.listNFFiles(nf, output);
+        } else if (args[0] === 'cat' || args[0] === 'vi' || args[0] === 'vim') {
+            await this.openNFFile(nf, args[0], args.slice(1).filter(Boolean), output);
         } else if (cmd === '') {
             // Empty command, just show prompt
         } else {
@@ -2430,6 +2962,74 @@ class UIController {
         this.addTerminalLine(output, '', 'blank');
     }
 
+    /**
+     * List the files of the NF's working directory
+     * @param {Object} nf - Network Function
+     * @param {HTMLElement} output - Output element
+     */
+    listNFFiles(nf, output) {
+        if (nf.type === 'UE') {
+            this.addTerminalLine(output, 'ue.conf', 'info');
+        }
+    }
+
+    /**
+     * cat / vi a file of the NF (the UE's ue.conf SIM profile)
+     * @param {Object} nf - Network Function
+     * @param {string} program - cat, vi or vim
+     * @param {Array<string>} files - File arguments
+     * @param {HTMLElement} output - Output element
+     * @returns {Promise} Resolves when the editor is closed
+     */
+    async openNFFile(nf, program, files, output) {
+        const fileName = files[0];
+        if (!fileName) {
+            this.addTerminalLine(output, program === 'cat' ? 'cat: missing file operand' : `${program}: missing file name (try: ${program} ue.conf)`, 'error');
+            return;
+        }
+        if (nf.type !== 'UE' || fileName.replace(/^\.\//, '') !== 'ue.conf') {
+            this.addTerminalLine(output, `${program}: ${this.escapeHtml(fileName)}: No such file or directory`, 'error');
+            return;
+        }
+
+        const current = window.dataStore.getNFById(nf.id) || nf;
+        const content = window.ueConfFile.getFile(current);
+        if (program === 'cat') {
+            content.replace(/\n$/, '').split('\n').forEach(line => {
+                this.addTerminalLine(output, this.escapeHtml(line).replace(/ /g, '&nbsp;'), 'info');
+            });
+            return;
+        }
+
+        // vi covers the terminal until :q / :wq
+        const terminalContent = output.parentElement;
+        const inputLine = terminalContent.querySelector('.terminal-input-line');
+        output.style.display = 'none';
+        if (inputLine) inputLine.style.display = 'none';
+
+        await new Promise(resolve => {
+            const editor = new ViEditor({
+                container: terminalContent,
+                fileName: 'ue.conf',
+                content,
+                onSave: (text) => {
+                    const result = window.ueConfFile.save(nf.id, text);
+                    // Show the new values if the config panel is open on this UE
+                    if (result.ok && document.querySelector(`#btn-save-config[data-nf-id="${nf.id}"]`)) {
+                        this.showNFConfigPanel(window.dataStore.getNFById(nf.id));
+                    }
+                    return result;
+                },
+                onClose: () => {
+                    output.style.display = '';
+                    if (inputLine) inputLine.style.display = '';
+                    resolve();
+                }
+            });
+            editor.open();
+        });
+    }
+
     /**
      * Add line to terminal output
      * @param {HTMLElement} output - Output element
@@ -2460,16 +3060,24 @@ class UIController {
             'HELP        - Display this help message',
             'IPCONFIG    - Display network configuration (Windows style)',
             'IFCONFIG    - Display network interfaces (Linux style)',
+            'IP ADDR     - Display interface addresses (iproute2 style)',
             'PING        - Test network connectivity',
             '  Format:   ping -I <interface> <target> [-c<count>]',
             '  Examples: ping -I oaitun_ue1 8.8.8.8 -c4',
             '            ping -I oaitun_ue1 10.0.0.1 -c8',
-            '            ping -I oaitun_ue1 12.45.0.39 -c4',
+            '            ping -I oaitun_ue2 12.45.0.39 -c4',
             '  Note:     -c4 = 4 replies, -c8 = 8 replies',
             '            No -c = continuous ping (not recommended)',
+            '            oaitun_ueN = interface of PDU session N',
             'IPERF3      - Network throughput testing',
             '  Server:   iperf3 -s (ext-dn only)',
             '  Client:   iperf3 -B <UE_IP> -c <EXT_DN_IP> [-R] (UE only)',
+            '            iperf3 -I <interface> -c <EXT_DN_IP> [-R]',
+            'LS          - List files (UE: ue.conf)',
+            'CAT         - Show a file: cat ue.conf (UE only)',
+            'VI          - Edit a file: vi ue.conf (UE only)',
+            '  Keys:     i/a/o insert, Esc normal mode, x dd u edit, gg G jump',
+            '  Save:     :w write and apply, :wq write and quit, :q! discard',
             'SYSTEMINFO  - Display system information',
             'NETSTAT     - Display network connections',
             'CLS         - Clear the screen',
@@ -2526,9 +3134,9 @@ class UIController {
             });
         }
 
-        // Show tun interface for UE
-        if (nf.type === 'UE' && nf.config.tunInterface) {
-            const tun = nf.config.tunInterface;
+        // Show the tun interface of every PDU session of a UE
+        (nf.type === 'UE' ? nf.config.pduSessions || [] : []).forEach(session => {
+            const tun = session.tunInterface;
             const tunLines = [
                 `Tunnel adapter ${tun.name}:`,
                 '',
@@ -2538,14 +3146,16 @@ class UIController {
                 `   Default Gateway . . . . . . . . . : ${tun.gateway}`,
                 `   MTU . . . . . . . . . . . . . . . : ${tun.mtu}`,
                 `   Flags . . . . . . . . . . . . . . : ${tun.flags}`,
-                `   IPv6 Address. . . . . . . . . . . : ${tun.ipv6}`,
+                ...(tun.ipv6Global ? [`   IPv6 Address. . . . . . . . . . . : ${tun.ipv6Global}`] : []),
+                `   Link-local IPv6 Address . . . . . : ${tun.ipv6}`,
                 `   Destination . . . . . . . . . . . : ${tun.destination}`,
+                `   PDU Session . . . . . . . . . . . : ${session.pduSessionId} (DNN ${session.dnn}, S-NSSAI ${window.dataStore.formatSnssai(session.snssai)})`,
                 ''
             ];
             tunLines.forEach(line => {
                 this.addTerminalLine(output, line, 'info');
             });
-        }
+        });
     }
 
     /**
@@ -2590,13 +3200,14 @@ class UIController {
             });
         }
 
-        // Show tun_ue interface for UE (when PDU session is established)
-        if (nf.type === 'UE' && nf.config.tunInterface && nf.config.pduSession) {
-            const tun = nf.config.tunInterface;
+        // Show the oaitun_ue interface of every PDU session of a UE
+        (nf.type === 'UE' ? nf.config.pduSessions || [] : []).forEach(session => {
+            const tun = session.tunInterface;
             const flagsValue = 4305; // UP,POINTOPOINT,RUNNING,NOARP,MULTICAST
             const tunLines = [
                 `${tun.name}: flags=${flagsValue}<UP,POINTOPOINT,RUNNING,NOARP,MULTICAST>  mtu ${tun.mtu}`,
                 `        inet ${tun.ipAddress}  netmask ${tun.netmask}  destination ${tun.destination}`,
+                ...(tun.ipv6Global ? [`        inet6 ${tun.ipv6Global}  prefixlen 64  scopeid 0x0<global>`] : []),
                 `        inet6 ${tun.ipv6}  prefixlen 64  scopeid 0x20<link>`,
                 `        unspec 00-00-00-00-00-00-00-00-00-00-00-00-00-00-00-00  txqueuelen 500  (UNSPEC)`,
                 `        RX packets ${Math.floor(Math.random() * 100)}  bytes ${Math.floor(Math.random() * 10000)} (${(Math.random() * 10).toFixed(1)} KB)`,
@@ -2608,12 +3219,69 @@ class UIController {
             tunLines.forEach(line => {
                 this.addTerminalLine(output, line, 'info');
             });
-        }
+        });
     }
 
     /**
-     * Generate MAC address
-     * @returns {string} MAC address
+     * Show iproute2-style "ip addr" output (lo, eth0, UPF tun0, UE oaitun_ue per PDU session)
+     * @param {Object} nf - Network Function
+     * @param {HTMLElement} output - Output element
+     */
+    showIpAddr(nf, output) {
+        const prefixLength = (netmask) => netmask.split('.')
+            .reduce((bits, octet) => bits + parseInt(octet).toString(2).split('').filter(bit => bit === '1').length, 0);
+
+        const interfaces = [
+            [
+                `lo: <LOOPBACK,UP,LOWER_UP> mtu 65536 qdisc noqueue state UNKNOWN group default qlen 1000`,
+                `    link/loopback 00:00:00:00:00:00 brd 00:00:00:00:00:00`,
+                `    inet 127.0.0.1/8 scope host lo`,
+                `       valid_lft forever preferred_lft forever`
+            ],
+            [
+                `eth0: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 qdisc noqueue state UP group default`,
+                `    link/ether ${this.generateMACAddress()} brd ff:ff:ff:ff:ff:ff`,
+                `    inet ${nf.config.ipAddress}/24 brd ${this.getBroadcastIP(nf.config.ipAddress)} scope global eth0`,
+                `       valid_lft forever preferred_lft forever`
+            ]
+        ];
+
+        if (nf.type === 'UPF' && nf.config.tun0Interface?.ipAddress) {
+            const tun0 = nf.config.tun0Interface;
+            interfaces.push([
+                `tun0: <POINTOPOINT,MULTICAST,NOARP,UP,LOWER_UP> mtu 1500 qdisc fq_codel state UNKNOWN group default qlen 500`,
+                `    link/none`,
+                `    inet ${tun0.ipAddress}/${prefixLength(tun0.netmask || '255.255.255.0')} scope global tun0`,
+                `       valid_lft forever preferred_lft forever`
+            ]);
+        }
+
+        (nf.type === 'UE' ? nf.config.pduSessions || [] : []).forEach(session => {
+            const tun = session.tunInterface;
+            interfaces.push([
+                `${tun.name}: <POINTOPOINT,MULTICAST,NOARP,UP,LOWER_UP> mtu ${tun.mtu} qdisc fq_codel state UNKNOWN group default qlen 500`,
+                `    link/none`,
+                `    inet ${tun.ipAddress}/${prefixLength(tun.netmask)} scope global ${tun.name}`,
+                `       valid_lft forever preferred_lft forever`,
+                ...(tun.ipv6Global ? [
+                    `    inet6 ${tun.ipv6Global}/64 scope global`,
+                    `       valid_lft forever preferred_lft forever`
+                ] : []),
+                `    inet6 ${tun.ipv6}/64 scope link stable-privacy`,
+                `       valid_lft forever preferred_lft forever`
+            ]);
+        });
+
+        interfaces.forEach((lines, index) => {
+            // Flags are in angle brackets, which the terminal would take for HTML
+            this.addTerminalLine(output, this.escapeHtml(`${index + 1}: ${lines[0]}`), 'info');
+            lines.slice(1).forEach(line => this.addTerminalLine(output, line, 'info'));
+        });
+    }
+
+    /**
+     * Generate MAC address
+     * @returns {string} MAC address
      */
     generateMACAddress() {
         const parts = [];
@@ -2672,6 +3340,15 @@ class UIController {
             return;
         }
         
+        // A UE binds to eth0 or to the oaitun_ue interface of one of its PDU sessions
+        if (nf.type === 'UE' && interfaceName && interfaceName !== 'eth0' && interfaceName !== nf.config.ipAddress &&
+            !window.nfManager?.findPduSession(nf, interfaceName)) {
+            this.addTerminalLine(output, `ping: SO_BINDTODEVICE ${interfaceName}: No such device`, 'error');
+            const names = (nf.config.pduSessions || []).map(s => `${s.tunInterface.name} (PDU session ${s.pduSessionId}, DNN ${s.dnn})`);
+            this.addTerminalLine(output, `Available interfaces: eth0${names.length ? ', ' + names.join(', ') : ''}`, 'info');
+            return;
+        }
+        
         // VALIDATE TARGET IP - Only allow specific IPs
         const validationResult = this.validatePingTarget(nf, targetIP, interfaceName);
         if (!validationResult.valid) {
@@ -2687,20 +3364,31 @@ class UIController {
         }
         
         // Check if UE has tun interface
-        if (nf.type === 'UE' && !nf.config.tunInterface) {
+        const sessions = nf.type === 'UE' ? nf.config.pduSessions || [] : [];
+        if (nf.type === 'UE' && sessions.length === 0) {
             this.addTerminalLine(output, `Error: No tun interface configured for ${nf.name}`, 'error');
             this.addTerminalLine(output, 'Please establish a PDU session first', 'info');
             return;
         }
         
-        // Get source IP based on interface
+        // Get source IP based on interface (-I picks the PDU session carrying the traffic)
         let sourceIP = nf.config.ipAddress;
-        if (interfaceName && nf.config.tunInterface) {
-            sourceIP = nf.config.tunInterface.ipAddress;
+        const session = window.nfManager?.findPduSession(nf, interfaceName);
+        if (session) {
+            sourceIP = session.tunInterface.ipAddress;
         }
         
-        // Determine if target is reachable
-        const isReachable = this.isLinuxPingReachable(nf, targetIP, interfaceName);
+        // Determine if target is reachable (the UPF drops ICMP of a session whose policy closes its gate)
+        let isReachable = this.isLinuxPingReachable(nf, targetIP, interfaceName);
+        if (isReachable && session && window.pcfEngine?.getUserPlaneLimits(session, 'icmp', 'uplink').gateStatus === 'CLOSED') {
+            isReachable = false;
+            window.logEngine?.addLog(session.upfId, 'WARNING', 'N6: Packets dropped - application gate CLOSED', {
+                ue: nf.name,
+                pduSessionId: session.pduSessionId,
+                application: PcfEngine.APPLICATIONS.icmp,
+                policyProfile: session.smPolicy?.policyProfile
+            });
+        }
         
         // Display initial message
         const iface = interfaceName || 'eth0';
@@ -2782,26 +3470,28 @@ class UIController {
         // Build list of allowed targets
         const allowedTargets = [];
         
+        // PDU session of the -I interface (UPF targets of every session without -I)
+        const session = window.nfManager?.findPduSession(nf, interfaceName);
+        const sessions = session ? [session] : (nf.config.pduSessions || []);
+        const sessionUpfs = sessions.map(s => window.dataStore?.getNFById(s.upfId)).filter(Boolean);
+        
         // 0. Allow NF to ping its own IP
         allowedTargets.push(`${nf.config.ipAddress} - ${nf.name} (self)`);
         
         // 1. Internet IP (8.8.8.8) - only via tun interface
-        if (interfaceName && nf.config.tunInterface) {
+        if (session) {
             allowedTargets.push('8.8.8.8 - Google DNS (Internet)');
         }
         
         // 2. Gateway IP (10.0.0.1) - only via tun interface
-        if (interfaceName && nf.config.tunInterface) {
+        if (session) {
             allowedTargets.push('10.0.0.1 - Data Network Gateway (ext-dn)');
         }
         
         // 3. UPF IP - only if PDU session established
-        if (nf.config.pduSession) {
-            const upf = window.dataStore?.getNFById(nf.config.pduSession.upfId);
-            if (upf) {
-                allowedTargets.push(`${upf.config.ipAddress} - UPF (User Plane Function)`);
-            }
-        }
+        sessionUpfs.forEach(upf => {
+            allowedTargets.push(`${upf.config.ipAddress} - ${upf.name} (User Plane Function)`);
+        });
         
         // 4. Other network function IPs in topology (same subnet only)
         const allNFs = window.dataStore?.getAllNFs() || [];
@@ -2823,12 +3513,9 @@ class UIController {
         ];
         
         // Add UPF IP if PDU session exists
-        if (nf.config.pduSession) {
-            const upf = window.dataStore?.getNFById(nf.config.pduSession.upfId);
-            if (upf) {
-                allowedIPs.push(upf.config.ipAddress);
-            }
-        }
+        sessionUpfs.forEach(upf => {
+            allowedIPs.push(upf.config.ipAddress);
+        });
         
         // Add all NF IPs in same subnet
         allNFs.forEach(otherNf => {
@@ -2851,16 +3538,17 @@ class UIController {
         }
         
         // Special validation for internet and gateway - require tun interface
-        if ((targetIP === '8.8.8.8' || targetIP === '10.0.0.1') && !interfaceName) {
+        if ((targetIP === '8.8.8.8' || targetIP === '10.0.0.1') && (!interfaceName || interfaceName === 'eth0')) {
+            const tunNames = sessions.length > 0 ? sessions.map(s => s.tunInterface.name) : ['oaitun_ue1'];
             return {
                 valid: false,
                 error: 'Internet and gateway IPs require -I <tun_interface> parameter',
-                allowedTargets: ['Use: ping -I oaitun_ue1 ' + targetIP + ' -c4']
+                allowedTargets: tunNames.map(name => `Use: ping -I ${name} ${targetIP} -c4`)
             };
         }
         
         // Check if PDU session is required
-        if ((targetIP === '8.8.8.8' || targetIP === '10.0.0.1') && !nf.config.pduSession) {
+        if ((targetIP === '8.8.8.8' || targetIP === '10.0.0.1') && !session) {
             return {
                 valid: false,
                 error: 'PDU session not established. Cannot reach internet/gateway.',
@@ -2888,21 +3576,17 @@ class UIController {
             return true;
         }
 
-        // Internet connectivity (8.8.8.8) via tun interface
-        if (interfaceName && nf.config.tunInterface) {
-            if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4') {
-                return nf.config.pduSession ? true : false;
+        // Internet connectivity (8.8.8.8) via the tun interface of a PDU session
+        const session = window.nfManager?.findPduSession(nf, interfaceName);
+        if (session) {
+            // Internet and gateway (10.0.0.1)
+            if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4' || targetIP === '10.0.0.1') {
+                return true;
             }
-            // Gateway (10.0.0.1)
-            if (targetIP === '10.0.0.1') {
-                return nf.config.pduSession ? true : false;
-            }
-            // UPF IP
-            if (nf.config.pduSession) {
-                const upf = window.dataStore?.getNFById(nf.config.pduSession.upfId);
-                if (upf && targetIP === upf.config.ipAddress) {
-                    return true;
-                }
+            // UPF IP of the session
+            const upf = window.dataStore?.getNFById(session.upfId);
+            if (upf && targetIP === upf.config.ipAddress) {
+                return true;
             }
         }
         
@@ -3004,8 +3688,11 @@ class UIController {
             return;
         }
 
+        // Windows-style ping has no -I: a UE uses the tun interface of its first PDU session
+        const defaultTun = nf.type === 'UE' ? nf.config.pduSessions?.[0]?.tunInterface : null;
+
         // SPECIAL CASE: UE can ping its gateway (10.0.0.1) via tun interface
-        if (nf.type === 'UE' && nf.config.tunInterface && target === nf.config.tunInterface.gateway) {
+        if (defaultTun && target === defaultTun.gateway) {
             this.addTerminalLine(output, `Pinging ${target} (UPF Gateway) with 32 bytes of data:`, 'info');
             this.addTerminalLine(output, '', 'blank');
             
@@ -3025,13 +3712,13 @@ class UIController {
         }
 
         // SPECIAL CASE: UE can ping other IPs in 10.0.0.0/24 network via tun interface
-        if (nf.type === 'UE' && nf.config.tunInterface) {
-            const tunNetwork = this.getNetworkFromIP(nf.config.tunInterface.ipAddress);
+        if (defaultTun) {
+            const tunNetwork = this.getNetworkFromIP(defaultTun.ipAddress);
             const targetNetwork = this.getNetworkFromIP(target);
             
             if (tunNetwork === targetNetwork) {
                 // UE can ping within ogstun network
-                this.addTerminalLine(output, `Pinging ${target} via ${nf.config.tunInterface.name} with 32 bytes of data:`, 'info');
+                this.addTerminalLine(output, `Pinging ${target} via ${defaultTun.name} with 32 bytes of data:`, 'info');
                 this.addTerminalLine(output, '', 'blank');
                 
                 // Use ping manager for realistic ping
@@ -3423,7 +4110,7 @@ class UIController {
             return;
         }
         
-        // Client mode: iperf3 -B <UE_IP> -c <EXT_DN_IP> [-R]
+        // Client mode: iperf3 -B <UE_IP> | -I <interface> -c <EXT_DN_IP> [-R]
         if (args.includes('-c') || args.includes('--client')) {
             if (nf.type !== 'UE') {
                 this.addTerminalLine(output, 'Error: iperf3 client can only run on UE terminals', 'error');
@@ -3439,6 +4126,7 @@ class UIController {
         this.addTerminalLine(output, 'Usage:', 'info');
         this.addTerminalLine(output, '  Server: iperf3 -s', 'info');
         this.addTerminalLine(output, '  Client: iperf3 -B <UE_IP> -c <EXT_DN_IP> [-R]', 'info');
+        this.addTerminalLine(output, '          iperf3 -I <interface> -c <EXT_DN_IP> [-R]', 'info');
     }
 
     /**
@@ -3471,26 +4159,29 @@ class UIController {
      * @param {HTMLElement} output - Output element
      */
     async startIperf3Client(nf, args, output) {
-        // Parse arguments
+        // Parse arguments (-I picks the PDU session by interface, -B by its IP)
         const bindIndex = args.indexOf('-B');
+        const interfaceIndex = args.indexOf('-I');
         const clientIndex = args.indexOf('-c');
         const reverseFlag = args.includes('-R') || args.includes('--reverse');
         
-        if (bindIndex === -1 || clientIndex === -1) {
+        if ((bindIndex === -1 && interfaceIndex === -1) || clientIndex === -1) {
             this.addTerminalLine(output, 'Error: Missing required arguments', 'error');
             this.addTerminalLine(output, 'Usage: iperf3 -B <UE_IP> -c <EXT_DN_IP> [-R]', 'error');
+            this.addTerminalLine(output, '       iperf3 -I <interface> -c <EXT_DN_IP> [-R]', 'error');
             return;
         }
         
-        const ueIP = args[bindIndex + 1];
+        const ueIP = bindIndex !== -1 ? args[bindIndex + 1] : null;
+        const interfaceName = interfaceIndex !== -1 ? args[interfaceIndex + 1] : null;
         const extDNIP = args[clientIndex + 1];
         
-        if (!ueIP || !extDNIP) {
+        if ((bindIndex !== -1 && !ueIP) || (interfaceIndex !== -1 && !interfaceName) || !extDNIP) {
             this.addTerminalLine(output, 'Error: Missing IP addresses', 'error');
             return;
         }
         
-        if (!this.isValidIP(ueIP) || !this.isValidIP(extDNIP)) {
+        if ((ueIP && !this.isValidIP(ueIP)) || !this.isValidIP(extDNIP)) {
             this.addTerminalLine(output, 'Error: Invalid IP address format', 'error');
             return;
         }
@@ -3511,44 +4202,62 @@ class UIController {
             return;
         }
         
-        // Get UE's tun interface IP if PDU session is established
-        const ueTunIP = nf.config.tunInterface?.ipAddress;
-        if (!ueTunIP) {
+        // The UE needs a PDU session to carry the traffic
+        const sessions = nf.config.pduSessions || [];
+        if (sessions.length === 0) {
             this.addTerminalLine(output, 'Error: UE does not have PDU session established', 'error');
             this.addTerminalLine(output, 'Please register UE and establish PDU session first', 'error');
             return;
         }
         
-        // STRICT VALIDATION: Provided UE IP MUST match tun interface IP
-        if (ueIP !== ueTunIP) {
+        // Session behind -I <interface>
+        let session = null;
+        if (interfaceName) {
+            session = window.nfManager?.findPduSession(nf, interfaceName);
+            if (!session) {
+                this.addTerminalLine(output, `iperf3: error - unable to bind to device ${interfaceName}: No such device`, 'error');
+                this.addTerminalLine(output, `Available interfaces: ${sessions.map(s => `${s.tunInterface.name} (${s.assignedIP}, DNN ${s.dnn})`).join(', ')}`, 'info');
+                return;
+            }
+        }
+        
+        // STRICT VALIDATION: Provided UE IP MUST match the tun interface IP of a session (of the -I session if given)
+        if (ueIP && (session ? session.assignedIP !== ueIP : !window.nfManager?.findPduSession(nf, ueIP))) {
+            const expected = session ? [session] : sessions;
             this.addTerminalLine(output, '❌ Error: Invalid UE IP address', 'error');
             this.addTerminalLine(output, '', 'blank');
             this.addTerminalLine(output, `Provided IP:  ${ueIP}`, 'error');
-            this.addTerminalLine(output, `Expected IP:  ${ueTunIP} (${nf.config.tunInterface.name})`, 'error');
+            expected.forEach(s => {
+                this.addTerminalLine(output, `Expected IP:  ${s.assignedIP} (${s.tunInterface.name})`, 'error');
+            });
             this.addTerminalLine(output, '', 'blank');
-            this.addTerminalLine(output, `You must use THIS UE's tun interface IP: ${ueTunIP}`, 'error');
+            this.addTerminalLine(output, `You must use the tun interface IP of one of THIS UE's PDU sessions`, 'error');
             this.addTerminalLine(output, '', 'blank');
             this.addTerminalLine(output, `Correct command:`, 'info');
-            this.addTerminalLine(output, `  iperf3 -B ${ueTunIP} -c ${extDNIP}`, 'info');
+            this.addTerminalLine(output, `  iperf3 -B ${expected[0].assignedIP} -c ${extDNIP}`, 'info');
             this.addTerminalLine(output, '', 'blank');
-            this.addTerminalLine(output, `Tip: Use 'ifconfig' to see your tun interface IP`, 'info');
+            this.addTerminalLine(output, `Tip: Use 'ifconfig' to see your tun interface IPs`, 'info');
             return; // FAIL the command
         }
+        session = session || window.nfManager.findPduSession(nf, ueIP);
         
         // Start the test
-        await this.executeIperf3Test(nf, extDN, ueTunIP, extDNIP, reverseFlag, output);
+        await this.executeIperf3Test(nf, extDN, session, extDNIP, reverseFlag, output);
     }
 
     /**
      * Execute iperf3 test between UE and ext-dn
+     * The UPF shapes the traffic with the QER of the session's SM policy
+     * (gate, MBR / AMBR, GBR) for the iperf3 application flow.
      * @param {Object} ue - UE Network Function
      * @param {Object} extDN - ext-dn Network Function
-     * @param {string} ueIP - UE IP address (from tun interface)
+     * @param {Object} session - PDU session carrying the traffic
      * @param {string} extDNIP - ext-dn IP address
      * @param {boolean} reverse - True for downlink test
      * @param {HTMLElement} output - UE terminal output
      */
-    async executeIperf3Test(ue, extDN, ueIP, extDNIP, reverse, output) {
+    async executeIperf3Test(ue, extDN, session, extDNIP, reverse, output) {
+        const ueIP = session.assignedIP;
         // Get ext-dn terminal output
         const extDNModal = document.getElementById(`windows-terminal-modal-${extDN.id}`);
         const extDNOutput = extDNModal?.querySelector('#terminal-output');
@@ -3569,8 +4278,41 @@ class UIController {
         // Client output
         this.addTerminalLine(output, `Connecting to host ${extDNIP}, port ${serverPort}`, 'info');
         
+        // QER the UPF applies to the iperf3 flow of the session
+        const direction = reverse ? 'downlink' : 'uplink';
+        const limits = window.pcfEngine?.getUserPlaneLimits(session, 'iperf3', direction) ||
+            { gateStatus: 'OPEN', qfi: 1, maxBps: null, limitedBy: null, guaranteedBps: null };
+        const upf = window.dataStore?.getNFById(session.upfId);
+        
+        if (limits.gateStatus === 'CLOSED') {
+            if (window.logEngine && upf) {
+                window.logEngine.addLog(upf.id, 'WARNING', 'N6: Packets dropped - application gate CLOSED', {
+                    ue: ue.name,
+                    pduSessionId: session.pduSessionId,
+                    application: PcfEngine.APPLICATIONS.iperf3,
+                    policyProfile: session.smPolicy?.policyProfile
+                });
+            }
+            await this.delay(3000);
+            this.addTerminalLine(output, 'iperf3: error - unable to connect to server: Connection timed out', 'error');
+            serverState.currentTest = null;
+            return;
+        }
+        
+        if (window.logEngine && upf) {
+            window.logEngine.addLog(upf.id, 'INFO', 'N6: QER applied to iperf3 flow', {
+                ue: ue.name,
+                pduSessionId: session.pduSessionId,
+                direction,
+                qfi: limits.qfi,
+                '5qi': limits.fiveQi,
+                maxBitrate: limits.maxBps !== null ? `${(limits.maxBps / 1e6).toFixed(1)} Mbits/sec (${limits.limitedBy})` : 'unlimited',
+                ...(limits.guaranteedBps !== null ? { guaranteedBitrate: `${(limits.guaranteedBps / 1e6).toFixed(1)} Mbits/sec` } : {})
+            });
+        }
+        
         // Server output
-        this.addTerminalLine(extDNOutput, `Accepted connection from ${ue.config.ipAddress}, port ${clientPort}`, 'info');
+        this.addTerminalLine(extDNOutput, `Accepted connection from ${ueIP}, port ${clientPort}`, 'info');
         
         // Simulate connection delay
         await this.delay(300);
@@ -3583,7 +4325,7 @@ class UIController {
         }
         
         // Server connection established
-        this.addTerminalLine(extDNOutput, `[  5] local ${extDNIP} port ${serverPort} connected to ${ue.config.ipAddress} port ${clientPort}`, 'info');
+        this.addTerminalLine(extDNOutput, `[  5] local ${extDNIP} port ${serverPort} connected to ${ueIP} port ${clientPort}`, 'info');
         
         this.addTerminalLine(output, '', 'blank');
         this.addTerminalLine(extDNOutput, '', 'blank');
@@ -3610,7 +4352,15 @@ class UIController {
             // Generate realistic throughput values
             const baseBitrate = reverse ? 45 : 20; // Downlink typically higher
             const variance = Math.random() * 10 - 5; // ±5 Mbits/sec variance
-            const bitrate = Math.max(5, baseBitrate + variance); // Minimum 5 Mbits/sec
+            let bitrate = Math.max(5, baseBitrate + variance); // Minimum 5 Mbits/sec
+            
+            // GBR flows get at least their GBR; the UPF polices at the MBR / AMBR
+            if (limits.guaranteedBps !== null) {
+                bitrate = Math.max(bitrate, limits.guaranteedBps / 1e6);
+            }
+            if (limits.maxBps !== null && bitrate > limits.maxBps / 1e6 * 0.97) {
+                bitrate = limits.maxBps / 1e6 * (0.92 + Math.random() * 0.05);
+            }
             
             const transfer = (bitrate * 1.0) / 8; // MBytes for 1 second
             totalTransfer += transfer;
@@ -3752,24 +4502,47 @@ class UIController {
             return;
         }
 
-        // Validate all parameters
-        const mismatches = [];
-        
-        if (ue.config.subscriberKey && ue.config.subscriberKey !== subscriber.key) {
-            mismatches.push('Key');
-        }
-        
-        if (ue.config.subscriberOpc && ue.config.subscriberOpc !== subscriber.opc) {
-            mismatches.push('OPc');
-        }
-        
-        if (ue.config.subscriberDnn && ue.config.subscriberDnn !== subscriber.dnn) {
-            mismatches.push('DNN');
+        // Dry-run 5G-AKA with the UE's USIM credentials against the UDR authentication data
+        const auth = window.authEngine?.authenticate(ue, subscriber, { persist: false });
+        const aka = auth?.attempts[auth.attempts.length - 1];
+        if (auth && !auth.success) {
+            alert('❌ Authentication Reject!\n\n' +
+                  `UE IMSI: ${ueImsi}\n` +
+                  `5GMM cause: #${aka.cause.code} ${aka.cause.name}\n\n` +
+                  `MAC (from AUTN): ${aka.ueResult.mac}\n` +
+                  `XMAC (computed by UE): ${aka.ueResult.xmac}\n\n` +
+                  'The UE key (K) or OPc does not produce the MAC generated from the UDR subscription.');
+
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR',
+                    `UE validation failed: Authentication Reject (${aka.cause.name})`, {
+                    ueImsi: ueImsi,
+                    cause: `#${aka.cause.code} ${aka.cause.name}`,
+                    rand: aka.vector.rand,
+                    autn: aka.vector.autn,
+                    mac: aka.ueResult.mac,
+                    xmac: aka.ueResult.xmac
+                });
+            }
+            return;
         }
-        
-        if (ue.config.subscriberSst && ue.config.subscriberSst !== subscriber.nssai_sst) {
-            mismatches.push('NSSAI SST');
+
+        // Validate the requested session parameters
+        const mismatches = [];
+
+        const sessionProfile = window.dataStore.resolveSessionProfile(subscriber, ue.config.subscriberDnn, ue.config.subscriberSst);
+        if (!sessionProfile.allowed) {
+            mismatches.push(sessionProfile.field === 'DNN' ? 'DNN' : 'NSSAI SST');
         }
+        const smData = sessionProfile.smData;
+
+        const additionalProfiles = window.nfManager.getRequestedPduSessions(ue).slice(1).map(request => ({
+            request,
+            profile: window.dataStore.resolveSessionProfile(subscriber, request.dnn, request.sst)
+        }));
+        additionalProfiles.filter(({ profile }) => !profile.allowed).forEach(({ request }) => {
+            mismatches.push(`PDU session ${request.pduSessionId} (${request.dnn} / SST ${request.sst})`);
+        });
 
         if (mismatches.length > 0) {
             alert('⚠️ Validation Warning!\n\n' +
@@ -3783,11 +4556,12 @@ class UIController {
                     'UE validation warning: Parameter mismatches detected', {
                     ueImsi: ueImsi,
                     mismatches: mismatches,
+                    reason: sessionProfile.reason || undefined,
                     udrSubscriber: {
                         key: subscriber.key.substring(0, 8) + '...',
                         opc: subscriber.opc.substring(0, 8) + '...',
-                        dnn: subscriber.dnn,
-                        nssai_sst: subscriber.nssai_sst
+                        dnns: subscriber.smData.map(entry => entry.dnn),
+                        nssai: window.dataStore.getSubscribedSnssais(subscriber).map(snssai => window.dataStore.formatSnssai(snssai))
                     }
                 });
             }
@@ -3798,16 +4572,25 @@ class UIController {
         alert('✅ Validation Successful!\n\n' +
               `UE IMSI: ${ueImsi}\n` +
               `Status: All parameters match UDR subscriber data\n\n` +
-              `DNN: ${subscriber.dnn}\n` +
-              `NSSAI SST: ${subscriber.nssai_sst}\n\n` +
-              'UE is ready for network registration and testing.');
+              `5G-AKA: RES* = XRES* (${aka?.ueResult.resStar || 'n/a'})\n` +
+              (auth?.resync ? `SQN: Synch failure on first attempt, resynchronised to ${auth.resync.sqnMs}\n` : '') +
+              `DNN: ${smData.dnn}\n` +
+              `S-NSSAI: ${window.dataStore.formatSnssai(smData)}\n` +
+              `Session AMBR: UL ${smData.sessionAmbr.uplink} / DL ${smData.sessionAmbr.downlink}\n` +
+              `Default 5QI: ${smData.default5qi}\n` +
+              additionalProfiles.map(({ request, profile }) => `PDU session ${request.pduSessionId}: ${profile.smData.dnn} (S-NSSAI ${window.dataStore.formatSnssai(profile.smData)})\n`).join('') +
+              '\nUE is ready for network registration and testing.');
         
         if (window.logEngine) {
             window.logEngine.addLog(ueId, 'SUCCESS',
                 'UE validation successful: All parameters match UDR', {
                 ueImsi: ueImsi,
-                dnn: subscriber.dnn,
-                nssai_sst: subscriber.nssai_sst,
+                dnn: smData.dnn,
+                sNssai: window.dataStore.formatSnssai(smData),
+                sessionAmbr: smData.sessionAmbr,
+                default5qi: smData.default5qi,
+                authentication: '5G-AKA',
+                resStar: aka?.ueResult.resStar,
                 validationStatus: 'PASSED'
             });
         }
@@ -3825,7 +4608,7 @@ class UIController {
         }
 
         // Check if UE is registered and has PDU session
-        if (!ue.config.pduSession) {
+        if (!ue.config.pduSessions?.length) {
             alert('⚠️ Log Collection Unavailable!\n\n' +
                   'UE must be registered and have an active PDU session to collect logs.\n\n' +
                   'Please:\n' +
@@ -3842,7 +4625,7 @@ class UIController {
         // Find related NFs
         const gNB = allNFs.find(n => n.type === 'gNB');
         const amf = allNFs.find(n => n.type === 'AMF');
-        const upf = allNFs.find(n => n.type === 'UPF' && n.id === ue.config.pduSession?.upfId);
+        const upfs = allNFs.filter(n => n.type === 'UPF' && ue.config.pduSessions.some(session => session.upfId === n.id));
         const smf = allNFs.find(n => n.type === 'SMF');
 
         // Collect NGAP logs (gNB <-> AMF)
@@ -3883,10 +4666,9 @@ class UIController {
             });
         }
 
-        // Collect GTP-U logs (gNB <-> UPF)
-        if (gNB && upf && window.logEngine) {
+        // Collect GTP-U logs (gNB <-> UPF of each PDU session)
+        if (gNB && upfs.length > 0 && window.logEngine) {
             const gnbLogs = window.logEngine.logs.get(gNB.id) || [];
-            const upfLogs = window.logEngine.logs.get(upf.id) || [];
             
             gnbLogs.forEach(log => {
                 if (log.message.includes('GTP-U') || log.message.includes('GTP') || 
@@ -3895,11 +4677,13 @@ class UIController {
                 }
             });
             
-            upfLogs.forEach(log => {
-                if (log.message.includes('GTP-U') || log.message.includes('GTP') || 
-                    log.message.includes('tunnel') || log.message.includes('N3')) {
-                    allLogs.push({ ...log, category: 'GTP-U', source: upf.name });
-                }
+            upfs.forEach(upf => {
+                (window.logEngine.logs.get(upf.id) || []).forEach(log => {
+                    if (log.message.includes('GTP-U') || log.message.includes('GTP') || 
+                        log.message.includes('tunnel') || log.message.includes('N3')) {
+                        allLogs.push({ ...log, category: 'GTP-U', source: upf.name });
+                    }
+                });
             });
         }
 
@@ -3907,7 +4691,6 @@ class UIController {
         if (window.logEngine) {
             const ueLogs = window.logEngine.logs.get(ueId) || [];
             const smfLogs = smf ? (window.logEngine.logs.get(smf.id) || []) : [];
-            const upfLogs = upf ? (window.logEngine.logs.get(upf.id) || []) : [];
             
             ueLogs.forEach(log => {
                 if (log.message.includes('PDU') || log.message.includes('session') || 
@@ -3922,11 +4705,13 @@ class UIController {
                 }
             });
             
-            upfLogs.forEach(log => {
-                if (log.message.includes('PDU') || log.message.includes('session') || 
-                    log.message.includes('tun0') || log.message.includes('ogstun')) {
-                    allLogs.push({ ...log, category: 'PDU Session', source: upf.name });
-                }
+            upfs.forEach(upf => {
+                (window.logEngine.logs.get(upf.id) || []).forEach(log => {
+                    if (log.message.includes('PDU') || log.message.includes('session') || 
+                        log.message.includes('tun0') || log.message.includes('ogstun')) {
+                        allLogs.push({ ...log, category: 'PDU Session', source: upf.name });
+                    }
+                });
             });
         }
 
@@ -4027,204 +4812,2236 @@ class UIController {
     }
 
     // ==========================================
-    // UDR UE PROFILE EDITOR
+    // UDM SUCI HOME NETWORK KEYS
     // ==========================================
 
     /**
-     * Show UDR Subscriber Panel in config panel
-     * @param {Object} udr - UDR network function
+     * Show the home network key pairs the UDM's SIDF uses to de-conceal SUCIs
+     * @param {Object} udm - UDM network function
      */
-    showUDRSubscriberPanel(udr) {
+    showUDMSuciKeysPanel(udm) {
         const configForm = document.getElementById('config-form');
         if (!configForm) return;
 
-        // Get current subscribers from data store
-        const subscribers = window.dataStore?.getSubscribers() || [];
-
-        // Initialize with default subscribers if empty
-        if (subscribers.length === 0) {
-            window.dataStore?.setSubscribers([
-                { imsi: '001010000000101', key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 },
-                { imsi: '001010000000102', key: 'fec86ba6eb707ed08905757b1bb44b8f', opc: 'C42449363BBAD02B66D16BC975D77CC1', dnn: '5G-Lab', nssai_sst: 1 }
-            ]);
-        }
-
-        // Refresh subscribers list
-        const updatedSubscribers = window.dataStore?.getSubscribers() || [];
+        const keys = udm.config.suciKeys || [];
+        const profileNames = { A: 'Profile A (X25519)', B: 'Profile B (secp256r1)' };
 
-        // Build config panel content
         configForm.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
-                <h4>📋 ${udr.name} - Subscriber Profiles</h4>
+                <h4>🔐 ${udm.name} - SUCI Home Network Keys</h4>
                 <button class="btn btn-secondary btn-small" id="btn-back-to-config">← Back</button>
             </div>
             
             <p style="color: #95a5a6; margin-bottom: 15px; font-size: 13px;">
-                Manage UE subscriber profiles stored in UDR database
+                UEs conceal their SUPI with the public key of their key ID; the SIDF needs the matching private key
             </p>
 
-            <div id="subscriber-list-panel" style="max-height: 400px; overflow-y: auto; margin-bottom: 20px;">
-                ${this.renderSubscriberListPanel(updatedSubscribers)}
+            <div style="max-height: 300px; overflow-y: auto; margin-bottom: 15px;">
+                ${keys.length === 0 ? '<p class="hint">No home network keys - only null-scheme SUCIs can be resolved</p>' : keys.map((key, index) => `
+                    <div style="background: #2c3e50; border-radius: 6px; padding: 10px; margin-bottom: 8px; font-size: 12px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+                            <strong style="color: #ecf0f1;">Key ID ${key.keyId} - ${profileNames[key.profile] || key.profile}</strong>
+                            <button class="btn btn-danger btn-small delete-suci-key-btn" data-index="${index}">🗑️</button>
+                        </div>
+                        <div style="color: #95a5a6; word-break: break-all;">Public: <code>${key.publicKey}</code></div>
+                        <div style="color: #95a5a6; word-break: break-all; margin-top: 4px;">Private: <code>${key.privateKey}</code></div>
+                    </div>
+                `).join('')}
             </div>
 
-            <div style="border-top: 2px solid #34495e; padding-top: 15px; margin-top: 15px;">
-                <button class="btn btn-success btn-block" id="btn-add-new-subscriber">
-                    ➕ Add New Subscriber
-                </button>
+            <div style="border-top: 2px solid #34495e; padding-top: 15px;">
+                <div class="form-group">
+                    <label>Key ID</label>
+                    <input type="number" id="suci-key-id" value="${Math.max(0, ...keys.map(key => key.keyId)) + 1}" min="0" max="255">
+                </div>
+                <div class="form-group">
+                    <label>Profile</label>
+                    <select id="suci-key-profile">
+                        <option value="A">${profileNames.A}</option>
+                        <option value="B">${profileNames.B}</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Private Key (hex)</label>
+                    <input type="text" id="suci-key-private" placeholder="Leave blank to generate">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        32 bytes (64 hex characters); the public key is derived from it
+                    </small>
+                </div>
+                <button class="btn btn-success btn-block" id="btn-add-suci-key">➕ Add Key</button>
             </div>
         `;
 
-        // Setup event listeners
-        this.setupUDRSubscriberPanelListeners(udr);
+        document.getElementById('btn-back-to-config').onclick = () => {
+            this.showNFConfigPanel(udm);
+        };
+
+        configForm.querySelectorAll('.delete-suci-key-btn').forEach(btn => {
+            btn.onclick = () => {
+                const removed = keys[parseInt(btn.dataset.index)];
+                if (!confirm(`Delete home network key ID ${removed.keyId} (Profile ${removed.profile})?\n\nUEs using this key ID will fail SUCI de-concealment.`)) return;
+                this.saveUDMSuciKeys(udm, keys.filter(key => key !== removed), `Home network key ${removed.keyId} (Profile ${removed.profile}) deleted`);
+            };
+        });
+
+        document.getElementById('btn-add-suci-key').onclick = () => {
+            this.addUDMSuciKey(udm, keys);
+        };
     }
 
     /**
-     * Render subscriber list for config panel
-     * @param {Array} subscribers - Array of subscriber profiles
-     * @returns {string} HTML string
+     * Validate and add a home network key pair from the SUCI keys panel
+     * @param {Object} udm - UDM network function
+     * @param {Array<Object>} keys - Current key list
      */
-    renderSubscriberListPanel(subscribers) {
-        if (subscribers.length === 0) {
-            return `
-                <div style="text-align: center; padding: 30px; color: #95a5a6;">
-                    <p style="font-size: 16px;">📭 No subscribers found</p>
-                    <p style="font-size: 13px;">Click "Add New Subscriber" below</p>
-                </div>
-            `;
+    addUDMSuciKey(udm, keys) {
+        if (!window.suciEngine) return;
+
+        const keyId = parseInt(document.getElementById('suci-key-id')?.value);
+        const profile = document.getElementById('suci-key-profile')?.value;
+        const privateKeyInput = document.getElementById('suci-key-private')?.value.trim();
+
+        if (isNaN(keyId) || keyId < 0 || keyId > 255) {
+            alert('❌ Invalid Key ID!\n\nKey ID must be between 0 and 255.');
+            return;
         }
 
-        let html = '<div style="display: grid; gap: 12px;">';
-        
-        subscribers.forEach((sub, index) => {
-            // Check if this subscriber is assigned to a UE
-            const allUEs = window.dataStore?.getAllNFs().filter(nf => nf.type === 'UE') || [];
-            const assignedUE = allUEs.find(ue => ue.config.subscriberImsi === sub.imsi);
-            
-            html += `
-                <div class="subscriber-card-panel" data-index="${index}" style="
-                    background: #1a252f;
-                    border: 1px solid #34495e;
-                    border-radius: 6px;
-                    padding: 12px;
-                ">
-                    <div style="display: flex; justify-content: space-between; align-items: start;">
-                        <div style="flex: 1;">
-                            <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
-                                <span style="font-size: 16px;">📱</span>
-                                <strong style="font-size: 14px;">IMSI: ${sub.imsi}</strong>
-                                ${assignedUE ? `<span style="background: #27ae60; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">→ ${assignedUE.name}</span>` : ''}
-                            </div>
-                            <div style="font-size: 11px; color: #bdc3c7; line-height: 1.6;">
-                                <div><strong>Key:</strong> ${sub.key.substring(0, 16)}...</div>
-                                <div><strong>OPc:</strong> ${sub.opc.substring(0, 16)}...</div>
-                                <div><strong>DNN:</strong> ${sub.dnn} | <strong>SST:</strong> ${sub.nssai_sst}</div>
-                            </div>
-                        </div>
-                        <div style="display: flex; flex-direction: column; gap: 4px;">
-                            <button class="btn btn-small edit-sub-btn" data-index="${index}" style="background: #3498db; padding: 4px 8px; font-size: 11px;">
-                                ✏️ Edit
-                            </button>
-                            <button class="btn btn-small delete-sub-btn" data-index="${index}" style="background: #e74c3c; padding: 4px 8px; font-size: 11px;">
-                                🗑️
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
-        });
+        if (keys.some(key => key.keyId === keyId)) {
+            alert(`❌ Duplicate Key ID!\n\nKey ID ${keyId} is already provisioned on ${udm.name}.`);
+            return;
+        }
+
+        if (privateKeyInput && !/^[0-9a-fA-F]{64}$/.test(privateKeyInput)) {
+            alert('❌ Invalid Private Key!\n\nPrivate key must be exactly 64 hexadecimal characters.');
+            return;
+        }
+
+        let keyPair;
+        try {
+            keyPair = privateKeyInput
+                ? { privateKey: privateKeyInput.toUpperCase(), publicKey: window.suciEngine.derivePublicKey(profile, privateKeyInput) }
+                : window.suciEngine.generateKeyPair(profile);
+        } catch (error) {
+            alert(`❌ Invalid Private Key!\n\n${error.message}`);
+            return;
+        }
 
-        html += '</div>';
-        return html;
+        this.saveUDMSuciKeys(udm, [...keys, { keyId, profile, ...keyPair }], `Home network key ${keyId} (Profile ${profile}) added`);
     }
 
     /**
-     * Setup event listeners for UDR subscriber panel
-     * @param {Object} udr - UDR network function
+     * Store the UDM key list, log the change and re-render the panel
+     * @param {Object} udm - UDM network function
+     * @param {Array<Object>} keys - New key list
+     * @param {string} message - Log message
      */
-    setupUDRSubscriberPanelListeners(udr) {
-        // Back button
-        const backBtn = document.getElementById('btn-back-to-config');
-        if (backBtn) {
-            backBtn.onclick = () => {
-                this.showNFConfigPanel(udr);
-            };
-        }
+    saveUDMSuciKeys(udm, keys, message) {
+        window.dataStore.updateNF(udm.id, { config: { ...udm.config, suciKeys: keys } });
 
-        // Add new subscriber button
-        const addBtn = document.getElementById('btn-add-new-subscriber');
-        if (addBtn) {
-            addBtn.onclick = () => {
-                this.showAddSubscriberForm(udr);
-            };
+        if (window.logEngine) {
+            window.logEngine.addLog(udm.id, 'SUCCESS', message, {
+                keys: keys.map(key => `${key.keyId}: Profile ${key.profile}`)
+            });
         }
 
-        // Edit subscriber buttons
-        const editBtns = document.querySelectorAll('.edit-sub-btn');
-        editBtns.forEach(btn => {
-            btn.onclick = () => {
-                const index = parseInt(btn.dataset.index);
-                this.showEditSubscriberForm(udr, index);
-            };
-        });
-
-        // Delete subscriber buttons
-        const deleteBtns = document.querySelectorAll('.delete-sub-btn');
-        deleteBtns.forEach(btn => {
-            btn.onclick = () => {
-                const index = parseInt(btn.dataset.index);
-                this.deleteSubscriberFromPanel(udr, index);
-            };
-        });
+        this.showUDMSuciKeysPanel(window.dataStore.getNFById(udm.id) || udm);
     }
 
+    // ==========================================
+    // PCF POLICY PROFILES
+    // ==========================================
+
     /**
-     * Show add subscriber form in config panel
-     * @param {Object} udr - UDR network function
+     * Show the policy profiles the PCF bases its SM policy decisions on
+     * @param {Object} pcf - PCF network function
      */
-    showAddSubscriberForm(udr) {
+    showPCFPolicyPanel(pcf) {
         const configForm = document.getElementById('config-form');
-        if (!configForm) return;
+        if (!configForm || !window.pcfEngine) return;
+
+        const profiles = pcf.config.policyProfiles || [];
+        const appliesTo = (profile) => [
+            profile.imsis.length > 0 ? `IMSI ${profile.imsis.join(', ')}` : 'any subscriber',
+            profile.dnns.length > 0 ? `DNN ${profile.dnns.join(', ')}` : 'any DNN'
+        ].join(' / ');
 
         configForm.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
-                <h4>➕ Add New Subscriber</h4>
-                <button class="btn btn-secondary btn-small" id="btn-cancel-add">Cancel</button>
+                <h4>📜 ${pcf.name} - Policy Profiles</h4>
+                <button class="btn btn-secondary btn-small" id="btn-back-to-config">← Back</button>
             </div>
+            
+            <p style="color: #95a5a6; margin-bottom: 15px; font-size: 13px;">
+                The most specific profile of a PDU session sets its SM policy; sessions without one get the subscribed values
+            </p>
 
-            ${this.renderSubscriberFormPanel()}
+            <div style="max-height: 300px; overflow-y: auto; margin-bottom: 15px;">
+                ${profiles.length === 0 ? '<p class="hint">No policy profiles - sessions use the subscribed session AMBR and default 5QI</p>' : profiles.map((profile, index) => `
+                    <div style="background: #2c3e50; border-radius: 6px; padding: 10px; margin-bottom: 8px; font-size: 12px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+                            <strong style="color: #ecf0f1;">${this.escapeHtml(profile.name)}</strong>
+                            <button class="btn btn-danger btn-small delete-policy-btn" data-index="${index}">🗑️</button>
+                        </div>
+                        <div style="color: #95a5a6;">Applies to: ${this.escapeHtml(appliesTo(profile))}</div>
+                        <div style="color: #95a5a6;">Session AMBR: ${profile.sessionAmbr ? `${profile.sessionAmbr.uplink} / ${profile.sessionAmbr.downlink}` : 'subscribed'}</div>
+                        ${profile.qosFlows.map(flow => `<div style="color: #95a5a6;">QoS flow: <code>${window.pcfEngine.formatQosFlow(flow)}</code></div>`).join('')}
+                        ${profile.appRules.map(rule => `<div style="color: #95a5a6;">Rule: <code>${window.pcfEngine.formatAppRule(rule)}</code></div>`).join('')}
+                    </div>
+                `).join('')}
+            </div>
 
-            <div style="display: flex; gap: 8px; margin-top: 15px;">
-                <button class="btn btn-success btn-block" id="btn-save-new-subscriber">
-                    💾 Save Subscriber
-                </button>
+            <div style="border-top: 2px solid #34495e; padding-top: 15px;">
+                <div class="form-group">
+                    <label>Profile Name</label>
+                    <input type="text" id="policy-name" placeholder="gold">
+                </div>
+                <div class="form-group">
+                    <label>Subscribers (IMSI)</label>
+                    <input type="text" id="policy-imsis" placeholder="001010000000101, 001010000000102">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Comma separated; empty = any subscriber
+                    </small>
+                </div>
+                <div class="form-group">
+                    <label>DNNs</label>
+                    <input type="text" id="policy-dnns" placeholder="5G-Lab">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Comma separated; empty = any DNN
+                    </small>
+                </div>
+                <div class="form-group">
+                    <label>Session AMBR (UL / DL)</label>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px;">
+                        <input type="text" id="policy-ambr-ul" placeholder="subscribed">
+                        <input type="text" id="policy-ambr-dl" placeholder="subscribed">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>QoS Flows</label>
+                    <textarea id="policy-qos-flows" rows="2" placeholder="qfi=2 5qi=1 gbr=5Mbps/5Mbps mbr=10Mbps/10Mbps"></textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        One per line; QFI 1 is the default flow with the subscribed 5QI. GBR 5QIs (1-4, 65-67, 71-76, 82-90) need gbr= and mbr=
+                    </small>
+                </div>
+                <div class="form-group">
+                    <label>Application Rules</label>
+                    <textarea id="policy-app-rules" rows="2" placeholder="iperf3 OPEN qfi=2"></textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        One per line: &lt;app&gt; OPEN|CLOSED [qfi=N]; apps: ${Object.entries(PcfEngine.APPLICATIONS).map(([appId, name]) => `${appId} = ${name}`).join(', ')}
+                    </small>
+                </div>
+                <button class="btn btn-success btn-block" id="btn-add-policy">➕ Add Profile</button>
             </div>
         `;
 
-        // Setup listeners
-        const cancelBtn = document.getElementById('btn-cancel-add');
-        if (cancelBtn) {
-            cancelBtn.onclick = () => this.showUDRSubscriberPanel(udr);
-        }
+        document.getElementById('btn-back-to-config').onclick = () => {
+            this.showNFConfigPanel(pcf);
+        };
 
-        const saveBtn = document.getElementById('btn-save-new-subscriber');
-        if (saveBtn) {
-            saveBtn.onclick = () => this.saveNewSubscriber(udr);
+        configForm.querySelectorAll('.delete-policy-btn').forEach(btn => {
+            btn.onclick = () => {
+                const removed = profiles[parseInt(btn.dataset.index)];
+                if (!confirm(`Delete policy profile "${removed.name}"?\n\nSessions using it fall back to the next matching profile or the subscribed values.`)) return;
+                this.savePCFPolicyProfiles(pcf, profiles.filter(profile => profile !== removed), `Policy profile "${removed.name}" deleted`);
+            };
+        });
+
+        document.getElementById('btn-add-policy').onclick = () => {
+            this.addPCFPolicyProfile(pcf, profiles);
+        };
+    }
+
+    /**
+     * Validate and add a policy profile from the policy panel
+     * @param {Object} pcf - PCF network function
+     * @param {Array<Object>} profiles - Current profile list
+     */
+    addPCFPolicyProfile(pcf, profiles) {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const list = (id) => value(id).split(',').map(item => item.trim()).filter(Boolean);
+        const lines = (id) => value(id).split('\n').map(line => line.trim()).filter(Boolean);
+
+        const ambrUl = value('policy-ambr-ul');
+        const ambrDl = value('policy-ambr-dl');
+        const profile = {
+            name: value('policy-name'),
+            imsis: list('policy-imsis'),
+            dnns: list('policy-dnns'),
+            sessionAmbr: ambrUl || ambrDl
+                ? { uplink: window.dataStore.normalizeBitRate(ambrUl), downlink: window.dataStore.normalizeBitRate(ambrDl) }
+                : null,
+            qosFlows: lines('policy-qos-flows').map(line => window.pcfEngine.parseQosFlowLine(line)),
+            appRules: lines('policy-app-rules').map(line => window.pcfEngine.parseAppRuleLine(line))
+        };
+
+        const errors = window.pcfEngine.getPolicyProfileErrors(profile, profiles);
+        if (errors.length > 0) {
+            alert(`❌ Invalid policy profile!\n\n${errors.join('\n')}`);
+            return;
         }
+
+        this.savePCFPolicyProfiles(pcf, [...profiles, profile], `Policy profile "${profile.name}" added`);
     }
 
     /**
-     * Show edit subscriber form in config panel
-     * @param {Object} udr - UDR network function
-     * @param {number} index - Subscriber index
+     * Store the PCF profile list, log the change, push the new decisions to the
+     * established sessions and re-render the panel
+     * @param {Object} pcf - PCF network function
+     * @param {Array<Object>} profiles - New profile list
+     * @param {string} message - Log message
      */
-    showEditSubscriberForm(udr, index) {
-        const subscribers = window.dataStore?.getSubscribers() || [];
-        const subscriber = subscribers[index];
+    savePCFPolicyProfiles(pcf, profiles, message) {
+        window.dataStore.updateNF(pcf.id, { config: { ...pcf.config, policyProfiles: profiles } });
 
-        if (!subscriber) return;
+        if (window.logEngine) {
+            window.logEngine.addLog(pcf.id, 'SUCCESS', message, {
+                profiles: profiles.map(profile => profile.name)
+            });
+        }
 
-        const configForm = document.getElementById('config-form');
-        if (!configForm) return;
+        const updated = window.pcfEngine.updateSmPolicies({ trigger: message });
+        console.log(`📜 ${message}: ${updated} PDU session(s) got a new SM policy`);
+
+        this.showPCFPolicyPanel(window.dataStore.getNFById(pcf.id) || pcf);
+    }
+
+    // ==========================================
+    // NUDR REQUEST INSPECTOR
+    // ==========================================
+
+    /**
+     * Show the Nudr_DataRepository exchanges of the UDR, with a form to send requests by hand
+     * @param {Object} udr - UDR network function
+     */
+    showNudrInspectorPanel(udr) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm || !window.nudrRouter) return;
+
+        const sampleImsi = window.dataStore.getSubscribers()[0]?.imsi || window.dataStore.getDefaultImsi(101);
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>🔎 ${udr.name} - Nudr Inspector</h4>
+                <button class="btn btn-secondary btn-small" id="btn-back-to-config">← Back</button>
+            </div>
+
+            <div style="background: #1a252f; border: 1px solid #34495e; border-radius: 6px; padding: 10px; margin-bottom: 15px;">
+                <div style="display: flex; gap: 6px;">
+                    <select id="nudr-method" style="width: 90px;">
+                        <option value="GET">GET</option>
+                        <option value="PATCH">PATCH</option>
+                    </select>
+                    <input type="text" id="nudr-uri" style="flex: 1; font-family: monospace; font-size: 11px;"
+                        value="${window.nudrRouter.apiRoot}/subscription-data/imsi-${sampleImsi}/authentication-data/authentication-subscription">
+                </div>
+                <textarea id="nudr-body" rows="2" placeholder='PATCH body, e.g. [{"op":"replace","path":"/sequenceNumber/sqn","value":"000000000041"}]'
+                    style="width: 100%; margin-top: 6px; font-family: monospace; font-size: 11px;"></textarea>
+                <div style="display: flex; gap: 6px; margin-top: 6px;">
+                    <button class="btn btn-primary btn-small" id="btn-nudr-send" style="flex: 1;">▶ Send</button>
+                    <button class="btn btn-secondary btn-small" id="btn-nudr-clear">Clear</button>
+                </div>
+            </div>
+
+            <div id="nudr-exchange-list" style="max-height: 420px; overflow-y: auto;">
+                ${this.renderNudrExchanges()}
+            </div>
+        `;
+
+        document.getElementById('btn-back-to-config').onclick = () => {
+            this.showNFConfigPanel(udr);
+        };
+
+        document.getElementById('btn-nudr-clear').onclick = () => {
+            window.nudrRouter.clearExchanges();
+        };
+
+        document.getElementById('btn-nudr-send').onclick = () => {
+            const method = document.getElementById('nudr-method').value;
+            const uri = document.getElementById('nudr-uri').value.trim();
+            const bodyText = document.getElementById('nudr-body').value.trim();
+
+            let body = null;
+            if (bodyText) {
+                try {
+                    body = JSON.parse(bodyText);
+                } catch (error) {
+                    alert(`❌ Invalid JSON body!\n\n${error.message}`);
+                    return;
+                }
+            }
+
+            window.nudrRouter.request(method, uri, { body, consumer: 'inspector' });
+        };
+    }
+
+    /**
+     * Re-render the open exchange list after a new request
+     */
+    refreshNudrInspector() {
+        const list = document.getElementById('nudr-exchange-list');
+        if (list) list.innerHTML = this.renderNudrExchanges();
+    }
+
+    /**
+     * Render the recorded exchanges (newest first)
+     * @returns {string} HTML string
+     */
+    renderNudrExchanges() {
+        const exchanges = window.nudrRouter.getExchanges();
+        if (exchanges.length === 0) {
+            return '<p class="hint">No Nudr requests yet - register a UE or send one above</p>';
+        }
+
+        const statusColor = (status) => status < 300 ? '#27ae60' : (status < 500 ? '#e67e22' : '#e74c3c');
+        const formatJson = (value) => JSON.stringify(value, null, 2)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        return exchanges.map(exchange => `
+            <details style="background: #1a252f; border: 1px solid #34495e; border-left: 3px solid ${statusColor(exchange.status)}; border-radius: 6px; padding: 8px; margin-bottom: 6px; font-size: 11px;">
+                <summary style="cursor: pointer; word-break: break-all;">
+                    <strong style="color: ${statusColor(exchange.status)};">${exchange.status}</strong>
+                    <strong>${exchange.method}</strong>
+                    <code>${exchange.uri.replace(window.nudrRouter.apiRoot, '')}</code>
+                    <span style="color: #95a5a6;">· ${exchange.consumer} · ${new Date(exchange.timestamp).toLocaleTimeString()}</span>
+                </summary>
+                ${exchange.requestBody !== null ? `
+                    <div style="color: #95a5a6; margin-top: 6px;">Request body</div>
+                    <pre style="margin: 2px 0; white-space: pre-wrap; color: #ecf0f1;">${formatJson(exchange.requestBody)}</pre>
+                ` : ''}
+                <div style="color: #95a5a6; margin-top: 6px;">Response ${exchange.status}${exchange.status >= 400 ? ' (application/problem+json)' : ''}</div>
+                <pre style="margin: 2px 0; white-space: pre-wrap; color: #ecf0f1;">${exchange.responseBody === null ? '(no content)' : formatJson(exchange.responseBody)}</pre>
+            </details>
+        `).join('');
+    }
+
+    // ==========================================
+    // UDR UE PROFILE EDITOR
+    // ==========================================
+
+    /**
+     * Show UDR Subscriber Panel in config panel
+     * @param {Object} udr - UDR network function
+     */
+    showUDRSubscriberPanel(udr) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        // Initialize with default subscribers if empty
+        window.dataStore?.ensureDefaultSubscribers();
+        this.subscriberPanelUdrId = udr.id;
+
+        const state = this.subscriberListState;
+        const inputStyle = 'width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;';
+        const columns = [['imsi', 'IMSI'], ['dnn', 'DNN'], ['slice', 'Slice'], ['template', 'Template'], ['ueAmbr', 'AMBR'], ['status', 'Status']];
+
+        // Build config panel content
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>📋 ${udr.name} - Subscriber Profiles</h4>
+                <button class="btn btn-secondary btn-small" id="btn-back-to-config">← Back</button>
+            </div>
+            
+            <p style="color: #95a5a6; margin-bottom: 15px; font-size: 13px;">
+                Manage UE subscriber profiles stored in UDR database
+            </p>
+
+            <div>
+                <input type="text" id="subscriber-search" value="${this.escapeHtml(state.query)}" placeholder="🔍 IMSI / MSISDN / IMEI prefix, DNN, slice (1:000001), template" style="${inputStyle}">
+                <small style="color: #95a5a6; font-size: 10px;">Terms are combined; narrow one with imsi:, gpsi:, pei:, dnn:, slice: or template:</small>
+            </div>
+
+            <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px;">
+                ${columns.map(([key, label]) => `
+                    <button class="btn btn-small subscriber-sort-btn" data-sort="${key}" style="background: ${state.sortKey === key ? '#2980b9' : '#34495e'}; padding: 2px 6px; font-size: 10px;">
+                        ${label}${state.sortKey === key ? (state.sortDir > 0 ? ' ▲' : ' ▼') : ''}
+                    </button>
+                `).join('')}
+            </div>
+
+            <div id="subscriber-list-summary" style="font-size: 11px; color: #95a5a6; margin: 6px 0;"></div>
+
+            <div id="subscriber-list-panel" style="height: 360px; overflow-y: auto; position: relative; border: 1px solid #34495e; border-radius: 6px; background: #1a252f;"></div>
+
+            <div id="subscriber-detail-panel" style="margin: 10px 0 20px;"></div>
+
+            <div style="border-top: 2px solid #34495e; padding-top: 15px; margin-top: 15px;">
+                <button class="btn btn-success btn-block" id="btn-add-new-subscriber">
+                    ➕ Add New Subscriber
+                </button>
+                <button class="btn btn-secondary btn-block" id="btn-provision-range" style="margin-top: 8px;">
+                    🔢 Provision IMSI Range
+                </button>
+                <button class="btn btn-secondary btn-block" id="btn-subscriber-history" style="margin-top: 8px;">
+                    🕘 Change History
+                </button>
+                <button class="btn btn-secondary btn-block" id="btn-subscriber-templates" style="margin-top: 8px;">
+                    📦 Profile Templates
+                </button>
+                <button class="btn btn-secondary btn-block" id="btn-subscriber-lint" style="margin-top: 8px;">
+                    🧹 Lint Database
+                </button>
+                <div style="display: flex; gap: 8px; margin-top: 8px;">
+                    <button class="btn btn-secondary btn-small" id="btn-import-csv" style="flex: 1;">📥 Import CSV</button>
+                    <button class="btn btn-secondary btn-small" id="btn-export-csv" style="flex: 1;">📤 Export CSV</button>
+                </div>
+                <div style="display: flex; gap: 8px; margin-top: 8px;">
+                    <button class="btn btn-secondary btn-small" id="btn-import-sql-dump" style="flex: 1;">📥 Import oai_db.sql</button>
+                    <button class="btn btn-secondary btn-small" id="btn-export-sql-dump" style="flex: 1;">📤 Export oai_db.sql</button>
+                </div>
+                <input type="file" id="input-import-csv" accept=".csv,text/csv" style="display: none;">
+                <input type="file" id="input-import-sql-dump" accept=".sql,text/plain" style="display: none;">
+            </div>
+        `;
+
+        this.refreshSubscriberListPanel();
+
+        // Search (debounced: every keystroke filters the whole store) and column sort
+        const search = document.getElementById('subscriber-search');
+        let searchTimer = null;
+        search.oninput = () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                state.query = search.value;
+                document.getElementById('subscriber-list-panel').scrollTop = 0;
+                this.refreshSubscriberListPanel();
+            }, 150);
+        };
+
+        configForm.querySelectorAll('.subscriber-sort-btn').forEach(btn => {
+            btn.onclick = () => {
+                state.sortDir = state.sortKey === btn.dataset.sort ? -state.sortDir : 1;
+                state.sortKey = btn.dataset.sort;
+                this.showUDRSubscriberPanel(udr);
+            };
+        });
+
+        // Rows are re-created while scrolling, so clicks are delegated to the list
+        const listPanel = document.getElementById('subscriber-list-panel');
+        listPanel.onscroll = () => this.renderSubscriberListRows();
+        listPanel.onclick = (e) => {
+            const row = e.target.closest('.subscriber-row');
+            if (!row) return;
+            state.selectedImsi = row.dataset.imsi;
+            this.renderSubscriberListRows();
+            this.renderSubscriberDetailPanel(udr);
+        };
+    }
+
+    /**
+     * Filter, sort and render the open subscriber list after the UDR store changed
+     * (panel actions, a SQL statement in the mysql client, an import)
+     */
+    refreshSubscriberListPanel() {
+        const listPanel = document.getElementById('subscriber-list-panel');
+        if (!listPanel || !this.subscriberPanelUdrId) return;
+
+        const udr = window.dataStore?.getNFById(this.subscriberPanelUdrId);
+        if (!udr) return;
+
+        const subscribers = window.dataStore.getSubscribers();
+        const statuses = this.getSubscriberRegistrationStatuses();
+        this.subscriberListView = this.getSubscriberListView(subscribers, statuses);
+
+        this.renderSubscriberListSummary(statuses);
+        this.renderSubscriberListRows(statuses);
+        this.renderSubscriberDetailPanel(udr);
+    }
+
+    /**
+     * Update the status column of the open subscriber list after a UE registered,
+     * deregistered or changed its PDU sessions (the rows keep their order)
+     */
+    refreshSubscriberListStatus() {
+        if (!document.getElementById('subscriber-list-panel') || !this.subscriberListView) return;
+
+        const statuses = this.getSubscriberRegistrationStatuses();
+        this.renderSubscriberListSummary(statuses);
+        this.renderSubscriberListRows(statuses);
+    }
+
+    /**
+     * Render the match / registration count line above the subscriber list
+     * @param {Map} statuses - Registration statuses
+     */
+    renderSubscriberListSummary(statuses) {
+        const summary = document.getElementById('subscriber-list-summary');
+        if (!summary) return;
+
+        const registered = [...statuses.values()].filter(status => status.registered).length;
+        summary.textContent = `Showing ${this.subscriberListView.length.toLocaleString()} of ` +
+            `${window.dataStore.getSubscribers().length.toLocaleString()} subscriber(s) · ${registered} registered`;
+    }
+
+    /**
+     * Filter and sort the subscriber store for the list panel
+     * @param {Array} subscribers - Subscriber profiles
+     * @param {Map} statuses - IMSI → registration status (see getSubscriberRegistrationStatuses)
+     * @returns {Array} Array of { sub, index } (index into the store, used by the row actions)
+     */
+    getSubscriberListView(subscribers, statuses) {
+        const { query, sortKey, sortDir } = this.subscriberListState;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean).map(term => {
+            const [field, ...rest] = term.split(':');
+            return ['imsi', 'gpsi', 'pei', 'dnn', 'slice', 'template'].includes(field) && rest.length > 0
+                ? { field, text: rest.join(':') }
+                : { field: null, text: term };
+        });
+        // Identities are matched on their digits ("msisdn-4917…", "+4917…" and "4917…" are the same)
+        const identityDigits = (text) => text.replace(/^(imsi|msisdn|imeisv|imei)-/, '').replace(/^\+/, '');
+
+        const view = [];
+        subscribers.forEach((sub, index) => {
+            const keys = this.getSubscriberSearchKeys(sub);
+            const matches = terms.every(({ field, text }) => {
+                const digits = identityDigits(text);
+                const imsi = keys.imsi.startsWith(digits);
+                const gpsi = !!keys.gpsi && keys.gpsi.startsWith(digits);
+                const pei = !!keys.pei && keys.pei.startsWith(digits);
+                const dnn = keys.dnns.some(dnn => dnn.includes(text));
+                const slice = keys.slices.includes(text);
+                const template = keys.template.includes(text);
+                switch (field) {
+                    case 'imsi': return imsi;
+                    case 'gpsi': return gpsi;
+                    case 'pei': return pei;
+                    case 'dnn': return dnn;
+                    case 'slice': return slice;
+                    case 'template': return template;
+                    default: return imsi || gpsi || pei || dnn || slice || template;
+                }
+            });
+            if (matches) view.push({ sub, index });
+        });
+
+        const statusRank = (sub) => {
+            const status = statuses.get(sub.imsi);
+            return status ? (status.registered ? 0 : 1) : 2;
+        };
+        const sortValue = {
+            imsi: ({ sub }) => sub.imsi,
+            dnn: ({ sub }) => this.getSubscriberSearchKeys(sub).dnns[0] || '',
+            slice: ({ sub }) => this.getSubscriberSearchKeys(sub).slices[0] || '',
+            template: ({ sub }) => this.getSubscriberSearchKeys(sub).template || '￿',
+            ueAmbr: ({ sub }) => window.dataStore.parseBitRate(sub.amData.subscribedUeAmbr.downlink) || 0,
+            status: ({ sub }) => statusRank(sub)
+        }[sortKey];
+
+        return view
+            .map(item => ({ item, value: sortValue(item) }))
+            .sort((a, b) => (a.value < b.value ? -sortDir : a.value > b.value ? sortDir : a.item.sub.imsi < b.item.sub.imsi ? -1 : 1))
+            .map(({ item }) => item);
+    }
+
+    /**
+     * Lower-case search keys of a subscriber, cached per profile object (the store
+     * replaces a profile when it changes, so a cached entry never goes stale)
+     * @param {Object} sub - Subscriber profile
+     * @returns {Object} { imsi, gpsi / pei (digits), dnns (default first), slices (default first), template }
+     */
+    getSubscriberSearchKeys(sub) {
+        let keys = this.subscriberSearchKeys.get(sub);
+        if (!keys) {
+            const smData = [...sub.smData].sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0));
+            keys = {
+                imsi: sub.imsi,
+                gpsi: (sub.gpsi || '').replace(/^msisdn-/, '').toLowerCase(),
+                pei: (sub.pei || '').replace(/^imei(sv)?-/, ''),
+                dnns: smData.map(entry => entry.dnn.toLowerCase()),
+                slices: window.dataStore.getSubscribedSnssais(sub)
+                    .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0))
+                    .map(snssai => window.dataStore.formatSnssai(snssai).toLowerCase()),
+                template: (sub.template?.name || '').toLowerCase()
+            };
+            this.subscriberSearchKeys.set(sub, keys);
+        }
+        return keys;
+    }
+
+    /**
+     * Registration status of every IMSI provisioned on a UE
+     * @returns {Map} IMSI → { ue, registered, sessions }
+     */
+    getSubscriberRegistrationStatuses() {
+        const statuses = new Map();
+        (window.dataStore?.getAllNFs() || []).filter(nf => nf.type === 'UE' && nf.config.subscriberImsi).forEach(ue => {
+            const registered = ue.config.registrationState === 'REGISTERED';
+            const current = statuses.get(ue.config.subscriberImsi);
+            if (current?.registered) return;
+            statuses.set(ue.config.subscriberImsi, { ue, registered, sessions: (ue.config.pduSessions || []).length });
+        });
+        return statuses;
+    }
+
+    /**
+     * Render the rows of the subscriber list that are scrolled into view; the list
+     * itself only holds a spacer as tall as all rows
+     * @param {Map} statuses - Registration statuses (read from the UEs when omitted)
+     */
+    renderSubscriberListRows(statuses = this.getSubscriberRegistrationStatuses()) {
+        const listPanel = document.getElementById('subscriber-list-panel');
+        const view = this.subscriberListView;
+        if (!listPanel || !view) return;
+
+        const rowHeight = this.subscriberRowHeight;
+        const first = Math.max(0, Math.floor(listPanel.scrollTop / rowHeight) - 5);
+        const last = Math.min(view.length, Math.ceil((listPanel.scrollTop + (listPanel.clientHeight || 360)) / rowHeight) + 5);
+
+        listPanel.innerHTML = `
+            <div style="height: ${view.length * rowHeight}px; position: relative;">
+                ${this.renderSubscriberListPanel(view.slice(first, last), first, statuses)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render subscriber rows for config panel
+     * @param {Array} rows - Array of { sub, index } to render
+     * @param {number} offset - Position of the first row in the filtered list
+     * @param {Map} statuses - Registration statuses
+     * @returns {string} HTML string
+     */
+    renderSubscriberListPanel(rows, offset, statuses) {
+        if (this.subscriberListView.length === 0) {
+            const empty = window.dataStore.getSubscribers().length === 0;
+            return `
+                <div style="text-align: center; padding: 30px; color: #95a5a6;">
+                    <p style="font-size: 16px;">📭 ${empty ? 'No subscribers found' : 'No subscriber matches the search'}</p>
+                    <p style="font-size: 13px;">${empty ? 'Click "Add New Subscriber" below' : 'Change or clear the search'}</p>
+                </div>
+            `;
+        }
+
+        const rowHeight = this.subscriberRowHeight;
+        return rows.map(({ sub, index }, i) => {
+            const status = statuses.get(sub.imsi);
+            const defaultEntry = sub.smData.find(entry => entry.isDefault) || sub.smData[0];
+            const barred = sub.amData.odbPacketServices === 'ALL_PACKET_SERVICES';
+            const statusIcon = !status ? '⚫' : status.registered ? '🟢' : '⚪';
+            const statusText = !status ? 'Not provisioned on a UE'
+                : status.registered ? `Registered (${status.ue.name}, ${status.sessions} PDU session(s))` : `Deregistered (${status.ue.name})`;
+
+            return `
+                <div class="subscriber-row" data-imsi="${sub.imsi}" data-index="${index}" style="
+                    position: absolute; top: ${(offset + i) * rowHeight}px; left: 0; right: 0; height: ${rowHeight}px;
+                    box-sizing: border-box; padding: 4px 8px; cursor: pointer; font-size: 11px;
+                    border-bottom: 1px solid #2c3e50; background: ${this.subscriberListState.selectedImsi === sub.imsi ? '#2c3e50' : 'transparent'};
+                ">
+                    <div style="display: flex; align-items: center; gap: 6px; white-space: nowrap; overflow: hidden;">
+                        <span title="${statusText}">${statusIcon}</span>
+                        <strong style="font-family: monospace; font-size: 12px;">${sub.imsi}</strong>
+                        ${sub.gpsi ? `<span style="color: #95a5a6; font-family: monospace;" title="GPSI">${this.escapeHtml(sub.gpsi)}</span>` : ''}
+                        ${barred ? '<span style="color: #e74c3c;" title="Barred">🚫</span>' : ''}
+                        ${sub.template ? `<span style="margin-left: auto; background: #8e44ad; color: white; padding: 0 4px; border-radius: 3px; font-size: 10px; overflow: hidden; text-overflow: ellipsis;">📦 ${this.escapeHtml(sub.template.name)}</span>` : ''}
+                    </div>
+                    <div style="color: #95a5a6; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                        ${defaultEntry ? `${this.escapeHtml(defaultEntry.dnn)} · ${window.dataStore.formatSnssai(defaultEntry)}` : 'no DNN'}${sub.smData.length > 1 ? ` +${sub.smData.length - 1}` : ''}
+                        · DL ${sub.amData.subscribedUeAmbr.downlink}
+                        · ${status ? (status.registered ? 'REGISTERED' : 'DEREGISTERED') : '—'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the full profile and the actions of the selected subscriber below the list
+     * @param {Object} udr - UDR network function
+     */
+    renderSubscriberDetailPanel(udr) {
+        const detailPanel = document.getElementById('subscriber-detail-panel');
+        if (!detailPanel) return;
+
+        const subscribers = window.dataStore.getSubscribers();
+        const index = subscribers.findIndex(sub => sub.imsi === this.subscriberListState.selectedImsi);
+        detailPanel.innerHTML = index >= 0
+            ? this.renderSubscriberCard(subscribers[index], index)
+            : '<p style="font-size: 11px; color: #95a5a6; text-align: center;">Select a subscriber to see its profile and actions</p>';
+
+        this.setupUDRSubscriberPanelListeners(udr);
+    }
+
+    /**
+     * Render the profile card of one subscriber
+     * @param {Object} sub - Subscriber profile
+     * @param {number} index - Index in the subscriber store
+     * @returns {string} HTML string
+     */
+    renderSubscriberCard(sub, index) {
+        // Check if this subscriber is assigned to a UE
+        const assignedUE = this.getSubscriberRegistrationStatuses().get(sub.imsi)?.ue;
+        const barred = sub.amData.odbPacketServices === 'ALL_PACKET_SERVICES';
+        const restrictions = SQLEngine.AM_RESTRICTION_COLUMNS.filter(field => sub.amData[field] !== undefined && !(barred && field === 'odbPacketServices'));
+        const overrides = (sub.template?.overrides || []).map(section => DataStore.TEMPLATE_SECTIONS[section]);
+
+        return `
+            <div class="subscriber-card-panel" data-index="${index}" style="
+                background: #1a252f;
+                border: 1px solid #34495e;
+                border-radius: 6px;
+                padding: 12px;
+            ">
+                <div style="display: flex; justify-content: space-between; align-items: start;">
+                    <div style="flex: 1;">
+                        <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                            <span style="font-size: 16px;">📱</span>
+                            <strong style="font-size: 14px;">IMSI: ${sub.imsi}</strong>
+                            ${assignedUE ? `<span style="background: #27ae60; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">→ ${assignedUE.name}</span>` : ''}
+                            ${barred ? `<span style="background: #c0392b; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">🚫 BARRED</span>` : ''}
+                            ${restrictions.length > 0 ? `<span title="${restrictions.join(', ')}" style="background: #d35400; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">🚧 RESTRICTED</span>` : ''}
+                            ${sub.template ? `<span title="Profile template" style="background: #8e44ad; color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px;">📦 ${this.escapeHtml(sub.template.name)}</span>` : ''}
+                        </div>
+                        <div style="font-size: 11px; color: #bdc3c7; line-height: 1.6;">
+                            ${sub.gpsi || sub.pei ? `<div><strong>GPSI:</strong> ${this.escapeHtml(sub.gpsi || '—')} | <strong>PEI:</strong> ${this.escapeHtml(sub.pei || '—')}</div>` : ''}
+                            <div><strong>Key:</strong> ${sub.key.substring(0, 16)}...</div>
+                            <div><strong>OPc:</strong> ${sub.opc.substring(0, 16)}...</div>
+                            <div><strong>SQN (UDR):</strong> ${sub.sqn} | <strong>AMF:</strong> ${sub.amf}</div>
+                            ${assignedUE ? `
+                                <div>
+                                    <strong>SQN (USIM ${assignedUE.name}):</strong> ${window.authEngine?.getUsimSqn(assignedUE, sub) || sub.sqn}
+                                    <button class="btn btn-small desync-sqn-btn" data-ue-id="${assignedUE.id}" title="Move the USIM SQN ahead of the UDR to force a Synch Failure" style="background: #e67e22; padding: 1px 6px; font-size: 10px; margin-left: 6px;">
+                                        ⚠️ Desync
+                                    </button>
+                                </div>
+                            ` : ''}
+                            <div><strong>UE-AMBR:</strong> UL ${sub.amData.subscribedUeAmbr.uplink} / DL ${sub.amData.subscribedUeAmbr.downlink}</div>
+                            <div><strong>S-NSSAI:</strong> ${window.dataStore.getSubscribedSnssais(sub).map(s => window.dataStore.formatSnssai(s) + (s.isDefault ? ' (default)' : '')).join(', ')}</div>
+                            ${sub.smData.map(entry => `
+                                <div><strong>DNN:</strong> ${entry.dnn}${entry.isDefault ? ' ★' : ''} | <strong>SST:</strong> ${window.dataStore.formatSnssai(entry)} | <strong>5QI:</strong> ${entry.default5qi} | <strong>AMBR:</strong> ${entry.sessionAmbr.uplink}/${entry.sessionAmbr.downlink}${entry.staticIpAddress ? ` | <strong>Static IP:</strong> ${[entry.staticIpAddress.ipv4Addr, entry.staticIpAddress.ipv6Addr].filter(Boolean).join(', ')}` : ''}</div>
+                            `).join('')}
+                            ${sub.policyProfile ? `<div><strong>Policy Profile:</strong> ${this.escapeHtml(sub.policyProfile)}</div>` : ''}
+                            ${overrides.length > 0 ? `<div style="color: #e67e22;"><strong>Overrides:</strong> ${overrides.join(', ')}</div>` : ''}
+                        </div>
+                    </div>
+                    <div style="display: flex; flex-direction: column; gap: 4px;">
+                        <button class="btn btn-small edit-sub-btn" data-index="${index}" style="background: #3498db; padding: 4px 8px; font-size: 11px;">
+                            ✏️ Edit
+                        </button>
+                        <button class="btn btn-small delete-sub-btn" data-index="${index}" style="background: #e74c3c; padding: 4px 8px; font-size: 11px;">
+                            🗑️
+                        </button>
+                        <button class="btn btn-small history-sub-btn" data-imsi="${sub.imsi}" title="Change history" style="background: #7f8c8d; padding: 4px 8px; font-size: 11px;">
+                            🕘
+                        </button>
+                        <button class="btn btn-small bar-sub-btn" data-index="${index}" title="${barred ? 'Lift barring' : 'Bar all packet services'}" style="background: ${barred ? '#27ae60' : '#c0392b'}; padding: 4px 8px; font-size: 11px;">
+                            ${barred ? '✅' : '🚫'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup event listeners for UDR subscriber panel
+     * @param {Object} udr - UDR network function
+     */
+    setupUDRSubscriberPanelListeners(udr) {
+        // Back button
+        const backBtn = document.getElementById('btn-back-to-config');
+        if (backBtn) {
+            backBtn.onclick = () => {
+                this.showNFConfigPanel(udr);
+            };
+        }
+
+        // Add new subscriber button
+        const addBtn = document.getElementById('btn-add-new-subscriber');
+        if (addBtn) {
+            addBtn.onclick = () => {
+                this.showAddSubscriberForm(udr);
+            };
+        }
+
+        // IMSI range provisioning button
+        const rangeBtn = document.getElementById('btn-provision-range');
+        if (rangeBtn) {
+            rangeBtn.onclick = () => {
+                this.showProvisionRangeForm(udr);
+            };
+        }
+
+        // Change history (whole UDR or a single subscriber)
+        const historyBtn = document.getElementById('btn-subscriber-history');
+        if (historyBtn) {
+            historyBtn.onclick = () => {
+                this.showSubscriberHistoryPanel(udr);
+            };
+        }
+
+        // Profile templates / groups
+        const templatesBtn = document.getElementById('btn-subscriber-templates');
+        if (templatesBtn) {
+            templatesBtn.onclick = () => {
+                this.showSubscriberTemplatesPanel(udr);
+            };
+        }
+
+        // Database linter
+        const lintBtn = document.getElementById('btn-subscriber-lint');
+        if (lintBtn) {
+            lintBtn.onclick = () => {
+                this.showSubscriberLintPanel(udr);
+            };
+        }
+
+        document.querySelectorAll('.history-sub-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.showSubscriberHistoryPanel(udr, btn.dataset.imsi);
+            };
+        });
+
+        // Edit subscriber buttons
+        const editBtns = document.querySelectorAll('.edit-sub-btn');
+        editBtns.forEach(btn => {
+            btn.onclick = () => {
+                const index = parseInt(btn.dataset.index);
+                this.showEditSubscriberForm(udr, index);
+            };
+        });
+
+        // Delete subscriber buttons
+        const deleteBtns = document.querySelectorAll('.delete-sub-btn');
+        deleteBtns.forEach(btn => {
+            btn.onclick = () => {
+                const index = parseInt(btn.dataset.index);
+                this.deleteSubscriberFromPanel(udr, index);
+            };
+        });
+
+        // Barring toggle buttons
+        document.querySelectorAll('.bar-sub-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.toggleSubscriberBarring(udr, parseInt(btn.dataset.index));
+            };
+        });
+
+        // SQN desync buttons (exercise: force a Synch Failure on the next authentication)
+        const desyncBtns = document.querySelectorAll('.desync-sqn-btn');
+        desyncBtns.forEach(btn => {
+            btn.onclick = () => {
+                this.desyncUsimSqn(udr, btn.dataset.ueId);
+            };
+        });
+
+        // CSV and oai_db.sql dump import / export
+        const bindImport = (buttonId, inputId, handler) => {
+            const button = document.getElementById(buttonId);
+            const input = document.getElementById(inputId);
+            if (!button || !input) return;
+
+            button.onclick = () => input.click();
+            input.onchange = () => {
+                const file = input.files?.[0];
+                input.value = '';
+                if (file) handler(file);
+            };
+        };
+        bindImport('btn-import-csv', 'input-import-csv', (file) => this.importSubscriberCsv(udr, file));
+        bindImport('btn-import-sql-dump', 'input-import-sql-dump', (file) => this.importSubscriberSqlDump(udr, file));
+
+        const exportCsvBtn = document.getElementById('btn-export-csv');
+        if (exportCsvBtn) {
+            exportCsvBtn.onclick = () => this.exportSubscriberCsv(udr);
+        }
+
+        const exportSqlBtn = document.getElementById('btn-export-sql-dump');
+        if (exportSqlBtn) {
+            exportSqlBtn.onclick = () => this.exportSubscriberSqlDump(udr);
+        }
+    }
+
+    /**
+     * Move a UE's USIM SQN ahead of the UDR so the next 5G-AKA ends in a Synch Failure
+     * @param {Object} udr - UDR network function
+     * @param {string} ueId - UE whose USIM is desynchronised
+     */
+    desyncUsimSqn(udr, ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const subscriber = window.dataStore?.getSubscriberByImsi(ue?.config.subscriberImsi);
+        if (!ue || !subscriber || !window.authEngine) return;
+
+        const previousSqn = window.authEngine.getUsimSqn(ue, subscriber);
+        ue.config.subscriberSqn = window.authEngine.incrementSqn(subscriber.sqn, this.sqnDesyncStep);
+        delete ue.config.securityContext;
+        window.dataStore.updateNF(ue.id, ue);
+
+        window.logEngine?.addLog(ue.id, 'WARNING', 'USIM SQN desynchronised from UDR', {
+            sqnUdr: subscriber.sqn,
+            previousSqnMs: previousSqn,
+            sqnMs: ue.config.subscriberSqn,
+            note: 'Next authentication will fail with #21 Synch failure and trigger resynchronisation'
+        });
+
+        this.showUDRSubscriberPanel(udr);
+    }
+
+    // ==========================================
+    // SUBSCRIBER DATABASE IMPORT / EXPORT
+    // ==========================================
+
+    /**
+     * Read an oai_db.sql dump and show the import report
+     * @param {Object} udr - UDR network function
+     * @param {File} file - Selected dump file
+     */
+    async importSubscriberSqlDump(udr, file) {
+        if (!window.sqlEngine) return;
+
+        try {
+            const text = await file.text();
+            const result = window.sqlEngine.importDump(text);
+            const { rows, skipped } = result.stats;
+
+            this.showSubscriberImportReport(udr, {
+                title: `📥 Import ${file.name}`,
+                source: file.name,
+                subscribers: result.subscribers,
+                errors: result.errors.map(error => ({ location: `line ${error.line ?? '?'}`, message: error.message })),
+                warnings: result.warnings,
+                summary: [
+                    `${result.stats.statements} statement(s) read`,
+                    ...Object.entries(rows).map(([table, count]) => `${table}: ${count} row(s)`),
+                    ...Object.entries(skipped).map(([keyword, count]) => `Skipped ${keyword}: ${count}`)
+                ]
+            });
+        } catch (error) {
+            console.error('❌ SQL dump import failed:', error);
+            alert(`❌ Could not read ${file.name}\n\n${error.message}`);
+        }
+    }
+
+    /**
+     * Download the current subscriber database as an oai_db.sql dump
+     * @param {Object} udr - UDR network function
+     */
+    exportSubscriberSqlDump(udr) {
+        if (!window.sqlEngine) return;
+
+        const subscribers = window.dataStore?.getSubscribers() || [];
+        this.downloadTextFile(window.sqlEngine.exportDump(subscribers), 'oai_db.sql', 'application/sql');
+
+        window.logEngine?.addLog(udr.id, 'INFO', `Subscriber database exported to oai_db.sql`, {
+            subscribers: subscribers.length
+        });
+        console.log('✅ Subscriber database exported as oai_db.sql');
+    }
+
+    /**
+     * Column layout of the subscriber CSV. dnn_configurations holds one entry per
+     * DNN, separated by "|":  dnn;sst[:sd];pduSessionType;ambrUl;ambrDl;5qi;arp[;default[;staticIpv4[;staticIpv6]]]
+     * Trailing fields may be left out and take the profile defaults.
+     * Access restrictions use the same separators: rat_restrictions and
+     * core_network_type_restrictions list values ("NR|EUTRA"), forbidden_areas holds
+     * one TAC list per area ("000001;000002|000010"), service_area_restriction is the
+     * restriction type followed by its areas ("ALLOWED_AREAS|000001;000002").
+     * policy_profile names the PCF policy profile of the subscriber (empty = none), template
+     * the profile template it is linked to (overrides are derived again on import).
+     * @returns {Array<string>} Column names
+     */
+    getSubscriberCsvColumns() {
+        return ['imsi', 'key', 'opc', 'sqn', 'amf', 'ue_ambr_uplink', 'ue_ambr_downlink', 'default_nssai', 'nssai', 'dnn_configurations', 'gpsi', 'pei',
+            'rat_restrictions', 'forbidden_areas', 'service_area_restriction', 'core_network_type_restrictions', 'odb_packet_services', 'policy_profile', 'template'];
+    }
+
+    /**
+     * Serialize subscribers to CSV (reads back unchanged with importSubscriberCsv)
+     * @param {Array} subscribers - Subscriber profiles
+     * @returns {string} CSV content
+     */
+    subscribersToCsv(subscribers) {
+        const formatNssai = (list) => list.map(s => window.dataStore.formatSnssai(s)).join(',');
+        const csvField = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const formatAreas = (areas) => (areas || []).map(area => (area.tacs || []).join(';')).join('|');
+
+        const rows = subscribers.map(sub => [
+            sub.imsi,
+            sub.key,
+            sub.opc,
+            sub.sqn,
+            sub.amf,
+            sub.amData.subscribedUeAmbr.uplink,
+            sub.amData.subscribedUeAmbr.downlink,
+            formatNssai(sub.amData.nssai.defaultSingleNssais),
+            formatNssai(sub.amData.nssai.singleNssais),
+            sub.smData.map(entry => [
+                entry.dnn,
+                window.dataStore.formatSnssai(entry),
+                entry.pduSessionType,
+                entry.sessionAmbr.uplink,
+                entry.sessionAmbr.downlink,
+                entry.default5qi,
+                entry.arpPriorityLevel,
+                ...(entry.isDefault || entry.staticIpAddress ? [entry.isDefault ? 'default' : ''] : []),
+                ...(entry.staticIpAddress ? [entry.staticIpAddress.ipv4Addr || ''] : []),
+                ...(entry.staticIpAddress?.ipv6Addr ? [entry.staticIpAddress.ipv6Addr] : [])
+            ].join(';')).join('|'),
+            sub.gpsi,
+            sub.pei,
+            (sub.amData.ratRestrictions || []).join('|'),
+            formatAreas(sub.amData.forbiddenAreas),
+            sub.amData.serviceAreaRestriction
+                ? [sub.amData.serviceAreaRestriction.restrictionType, formatAreas(sub.amData.serviceAreaRestriction.areas)].filter(Boolean).join('|')
+                : '',
+            (sub.amData.coreNetworkTypeRestrictions || []).join('|'),
+            sub.amData.odbPacketServices,
+            sub.policyProfile,
+            sub.template?.name
+        ].map(csvField).join(','));
+
+        return [this.getSubscriberCsvColumns().join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Split CSV text into records (RFC 4180 quoting, CRLF or LF line endings)
+     * @param {string} text - CSV content
+     * @returns {Array<Object>} Records as { line, fields }, blank lines skipped
+     */
+    parseCsvRecords(text) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            fields.push(field);
+            if (fields.length > 1 || fields[0].trim() !== '') {
+                records.push({ line: recordLine, fields });
+            }
+            fields = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    if (ch === '\n') line++;
+                    field += ch;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                fields.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || fields.length > 0) endRecord();
+        return records;
+    }
+
+    /**
+     * Build a subscriber profile from one CSV record, in the same shape as the
+     * subscriber form so it goes through the same validation
+     * @param {Object} record - Column name → cell value
+     * @returns {Object} Subscriber profile (not yet validated)
+     */
+    subscriberFromCsvRecord(record) {
+        const cell = (name) => (record[name] ?? '').trim();
+        const optional = (name) => cell(name) || undefined;
+        const optionalNumber = (value) => (value === undefined || value === '') ? undefined : Number(value);
+        const list = (name) => cell(name).split('|').map(item => item.trim()).filter(Boolean);
+        const parseAreas = (items) => items.map(item => ({
+            tacs: item.split(';').map(tac => tac.trim()).filter(Boolean).map(tac => window.dataStore.normalizeTac(tac))
+        }));
+
+        let smData;
+        if ('dnn_configurations' in record) {
+            const entries = cell('dnn_configurations').split('|').map(item => item.trim()).filter(Boolean)
+                .map(item => item.split(';').map(part => part.trim()));
+            const hasDefaultFlag = entries.some(parts => parts[7]?.toLowerCase() === 'default');
+
+            smData = entries.map(([dnn, snssai, pduSessionType, uplink, downlink, fiveQi, arp, flag, staticIpv4, staticIpv6], index) => {
+                const slice = this.parseSnssaiList(snssai || '')[0] || { sst: NaN, sd: '' };
+                return {
+                    dnn: dnn || '',
+                    sst: slice.sst,
+                    sd: slice.sd,
+                    pduSessionType: pduSessionType || undefined,
+                    sessionAmbr: (uplink || downlink) ? { uplink: uplink || '', downlink: downlink || '' } : undefined,
+                    default5qi: optionalNumber(fiveQi),
+                    arpPriorityLevel: optionalNumber(arp),
+                    isDefault: hasDefaultFlag ? flag?.toLowerCase() === 'default' : index === 0,
+                    ...(staticIpv4 || staticIpv6 ? { staticIpAddress: { ipv4Addr: staticIpv4, ipv6Addr: staticIpv6 } } : {})
+                };
+            });
+        } else {
+            // Short form: a single DNN in dnn / nssai_sst columns (legacy profile fields)
+            smData = [{ dnn: cell('dnn'), sst: Number(cell('nssai_sst') || 1), sd: '', isDefault: true }];
+        }
+
+        const amData = {};
+        if (cell('ue_ambr_uplink') || cell('ue_ambr_downlink')) {
+            amData.subscribedUeAmbr = { uplink: cell('ue_ambr_uplink'), downlink: cell('ue_ambr_downlink') };
+        }
+        if (cell('default_nssai') || cell('nssai')) {
+            amData.nssai = {
+                defaultSingleNssais: this.parseSnssaiList(cell('default_nssai')),
+                singleNssais: this.parseSnssaiList(cell('nssai'))
+            };
+        }
+
+        // Access restrictions (an empty cell means no restriction)
+        if (list('rat_restrictions').length > 0) {
+            amData.ratRestrictions = list('rat_restrictions').map(rat => rat.toUpperCase());
+        }
+        if (list('forbidden_areas').length > 0) {
+            amData.forbiddenAreas = parseAreas(list('forbidden_areas'));
+        }
+        if (list('service_area_restriction').length > 0) {
+            const [restrictionType, ...areas] = list('service_area_restriction');
+            amData.serviceAreaRestriction = { restrictionType: restrictionType.toUpperCase(), areas: parseAreas(areas) };
+        }
+        if (list('core_network_type_restrictions').length > 0) {
+            amData.coreNetworkTypeRestrictions = list('core_network_type_restrictions').map(type => type.toUpperCase());
+        }
+        if (cell('odb_packet_services')) {
+            amData.odbPacketServices = cell('odb_packet_services');
+        }
+
+        return {
+            imsi: cell('imsi'),
+            key: cell('key'),
+            opc: cell('opc'),
+            sqn: optional('sqn'),
+            amf: optional('amf'),
+            gpsi: optional('gpsi'),
+            pei: optional('pei'),
+            policyProfile: optional('policy_profile'),
+            template: cell('template') ? { name: cell('template') } : undefined,
+            amData,
+            smData
+        };
+    }
+
+    /**
+     * Read a subscriber CSV, validate every row and show the import report
+     * @param {Object} udr - UDR network function
+     * @param {File} file - Selected CSV file
+     */
+    async importSubscriberCsv(udr, file) {
+        try {
+            const records = this.parseCsvRecords(await file.text());
+            if (records.length === 0) {
+                alert(`❌ ${file.name} is empty`);
+                return;
+            }
+
+            const header = records[0].fields.map(name => name.trim().toLowerCase());
+            const missing = ['imsi', 'key', 'opc'].filter(name => !header.includes(name));
+            if (!header.includes('dnn_configurations') && !header.includes('dnn')) missing.push('dnn_configurations');
+            if (missing.length > 0) {
+                alert(`❌ ${file.name} is missing column(s): ${missing.join(', ')}\n\nExpected header:\n${this.getSubscriberCsvColumns().join(',')}`);
+                return;
+            }
+
+            const knownColumns = [...this.getSubscriberCsvColumns(), 'dnn', 'nssai_sst'];
+            const warnings = header.filter(name => name && !knownColumns.includes(name))
+                .map(name => `Column "${name}" is not used`);
+            const errors = [];
+            const subscribers = [];
+            const firstLineByImsi = new Map();
+            const firstLineByIdentity = new Map();
+            const existingImsis = new Set((window.dataStore?.getSubscribers() || []).map(sub => sub.imsi));
+
+            records.slice(1).forEach(({ line, fields }) => {
+                const location = `line ${line}`;
+                if (fields.length !== header.length) {
+                    errors.push({ location, message: `Expected ${header.length} columns, found ${fields.length}` });
+                    return;
+                }
+
+                const record = Object.fromEntries(header.map((name, index) => [name, fields[index]]));
+                const data = this.subscriberFromCsvRecord(record);
+                const problems = this.getSubscriberValidationErrors(data);
+                if (data.template && !window.dataStore.getSubscriberTemplate(data.template.name)) {
+                    problems.push(`Unknown profile template "${data.template.name}"`);
+                }
+
+                if (firstLineByImsi.has(data.imsi)) {
+                    problems.push(`Duplicate IMSI ${data.imsi} (first used on line ${firstLineByImsi.get(data.imsi)})`);
+                }
+                const identities = [window.dataStore.normalizeGpsi(data.gpsi), window.dataStore.normalizePei(data.pei)].filter(Boolean);
+                identities.filter(identity => firstLineByIdentity.has(identity)).forEach(identity =>
+                    problems.push(`Duplicate ${identity} (first used on line ${firstLineByIdentity.get(identity)})`));
+                if (problems.length > 0) {
+                    errors.push({ location: `${location} (IMSI ${data.imsi || 'empty'})`, message: problems.join('; ') });
+                    return;
+                }
+
+                firstLineByImsi.set(data.imsi, line);
+                identities.forEach(identity => firstLineByIdentity.set(identity, line));
+                const conflict = window.dataStore.findIdentityConflict(data);
+                if (conflict) {
+                    warnings.push(`${location}: ${conflict.type} ${conflict.value} is already used by IMSI ${conflict.imsi} - merge is rejected unless that subscriber is replaced`);
+                }
+                if (existingImsis.has(data.imsi)) {
+                    warnings.push(`${location}: IMSI ${data.imsi} already exists - merge updates the imported columns`);
+                }
+                subscribers.push(window.dataStore.normalizeSubscriber(data));
+            });
+
+            this.showSubscriberImportReport(udr, {
+                title: `📥 Import ${file.name}`,
+                source: file.name,
+                subscribers,
+                errors,
+                warnings,
+                modes: ['merge', 'replace'],
+                columns: header,
+                summary: [`${records.length - 1} data row(s) read`]
+            });
+        } catch (error) {
+            console.error('❌ CSV import failed:', error);
+            alert(`❌ Could not read ${file.name}\n\n${error.message}`);
+        }
+    }
+
+    /**
+     * Download the current subscriber database as CSV
+     * @param {Object} udr - UDR network function
+     */
+    exportSubscriberCsv(udr) {
+        const subscribers = window.dataStore?.getSubscribers() || [];
+        this.downloadTextFile(this.subscribersToCsv(subscribers), `subscribers-${Date.now()}.csv`, 'text/csv');
+
+        window.logEngine?.addLog(udr.id, 'INFO', 'Subscriber database exported to CSV', {
+            subscribers: subscribers.length
+        });
+        console.log('✅ Subscriber database exported as CSV');
+    }
+
+    /**
+     * Show the result of a subscriber import and let the user apply it
+     * @param {Object} udr - UDR network function
+     * @param {Object} report - { title, source, subscribers, errors: [{ location, message }], warnings, summary,
+     *                            modes: 'merge' and/or 'replace' (default: replace only),
+     *                            columns: CSV header (merge only updates these fields) }
+     */
+    showSubscriberImportReport(udr, report) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        const subscribers = report.subscribers || [];
+        const errors = report.errors || [];
+        const warnings = [...(report.warnings || [])];
+        const modes = report.modes || ['replace'];
+
+        // UEs that point at an IMSI missing from the import lose their subscription on replace
+        if (modes.includes('replace')) {
+            const importedImsis = new Set(subscribers.map(sub => sub.imsi));
+            (window.dataStore?.getAllNFs() || [])
+                .filter(nf => nf.type === 'UE' && nf.config?.subscriberImsi && !importedImsis.has(nf.config.subscriberImsi))
+                .forEach(ue => warnings.push(`${ue.name} uses IMSI ${ue.config.subscriberImsi}, which is not in the import (lost on replace)`));
+        }
+
+        const listSection = (title, color, items) => items.length === 0 ? '' : `
+            <div style="margin-bottom: 12px;">
+                <div style="font-weight: bold; color: ${color}; margin-bottom: 6px;">${title} (${items.length})</div>
+                <div style="max-height: 160px; overflow-y: auto; background: #1a252f; border: 1px solid #34495e; border-radius: 4px; padding: 8px; font-family: monospace; font-size: 11px; line-height: 1.6;">
+                    ${items.map(item => `<div>${this.escapeHtml(item)}</div>`).join('')}
+                </div>
+            </div>
+        `;
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>${this.escapeHtml(report.title)}</h4>
+                <button class="btn btn-secondary btn-small" id="btn-cancel-import">Cancel</button>
+            </div>
+
+            <div style="background: #1a252f; border: 1px solid #34495e; border-radius: 6px; padding: 12px; margin-bottom: 12px; font-size: 12px; color: #bdc3c7; line-height: 1.6;">
+                ${(report.summary || []).map(line => `<div>${this.escapeHtml(line)}</div>`).join('')}
+                <div style="margin-top: 6px;">
+                    <strong style="color: #27ae60;">✅ ${subscribers.length} valid subscriber(s)</strong>
+                    ${errors.length > 0 ? ` | <strong style="color: #e74c3c;">❌ ${errors.length} error(s)</strong>` : ''}
+                </div>
+            </div>
+
+            ${listSection('❌ Errors', '#e74c3c', errors.map(error => `${error.location}: ${error.message}`))}
+            ${listSection('⚠️ Warnings', '#f39c12', warnings)}
+            ${listSection('📱 Subscribers to import', '#27ae60', subscribers.map(sub =>
+                `${sub.imsi}  ${sub.smData.map(entry => `${entry.dnn}/${window.dataStore.formatSnssai(entry)}`).join(', ') || '(no DNN)'}`))}
+
+            <div style="display: flex; gap: 10px; margin-top: 15px;">
+                ${modes.includes('merge') ? `
+                    <button class="btn btn-success" id="btn-apply-import-merge" style="flex: 1;" ${subscribers.length === 0 ? 'disabled' : ''}>
+                        ➕ Merge into database
+                    </button>
+                ` : ''}
+                ${modes.includes('replace') ? `
+                    <button class="btn ${modes.includes('merge') ? 'btn-secondary' : 'btn-success'}" id="btn-apply-import-replace" style="flex: 1;" ${subscribers.length === 0 ? 'disabled' : ''}>
+                        🔄 Replace subscriber database
+                    </button>
+                ` : ''}
+            </div>
+        `;
+
+        document.getElementById('btn-cancel-import').onclick = () => this.showUDRSubscriberPanel(udr);
+
+        const mergeBtn = document.getElementById('btn-apply-import-merge');
+        if (mergeBtn) {
+            mergeBtn.onclick = () => this.applySubscriberImport(udr, report, 'merge');
+        }
+
+        const replaceBtn = document.getElementById('btn-apply-import-replace');
+        if (replaceBtn) {
+            replaceBtn.onclick = () => this.applySubscriberImport(udr, report, 'replace');
+        }
+    }
+
+    /**
+     * Merge imported subscribers into the store: new IMSIs are added, existing
+     * ones only take the fields of the imported columns (restrictions, templates
+     * and other data the file does not carry are kept)
+     * @param {Array} previous - Current subscriber profiles
+     * @param {Array} imported - Imported (normalized) subscriber profiles
+     * @param {Array<string>} columns - CSV header of the import
+     * @returns {Object} { subscribers, updated }
+     */
+    mergeImportedSubscribers(previous, imported, columns) {
+        const fieldsByColumn = {
+            ue_ambr_uplink: ['amData.subscribedUeAmbr'],
+            ue_ambr_downlink: ['amData.subscribedUeAmbr'],
+            default_nssai: ['amData.nssai'],
+            nssai: ['amData.nssai'],
+            dnn_configurations: ['smData', 'dnn', 'nssai_sst'],
+            dnn: ['smData', 'dnn', 'nssai_sst'],
+            nssai_sst: ['smData', 'dnn', 'nssai_sst'],
+            rat_restrictions: ['amData.ratRestrictions'],
+            forbidden_areas: ['amData.forbiddenAreas'],
+            service_area_restriction: ['amData.serviceAreaRestriction'],
+            core_network_type_restrictions: ['amData.coreNetworkTypeRestrictions'],
+            odb_packet_services: ['amData.odbPacketServices'],
+            policy_profile: ['policyProfile']
+        };
+        const fields = [...new Set(columns.flatMap(column => fieldsByColumn[column] || [column]))]
+            .filter(field => field !== 'imsi');
+
+        const byImsi = new Map(imported.map(sub => [sub.imsi, sub]));
+        let updated = 0;
+        const subscribers = previous.map(sub => {
+            if (!byImsi.has(sub.imsi)) return sub;
+            const incoming = byImsi.get(sub.imsi);
+            byImsi.delete(sub.imsi);
+            updated++;
+
+            const merged = { ...sub, amData: { ...sub.amData } };
+            fields.forEach(field => {
+                const [target, source, name] = field.startsWith('amData.')
+                    ? [merged.amData, incoming.amData, field.slice('amData.'.length)]
+                    : [merged, incoming, field];
+                if (source[name] === undefined) {
+                    delete target[name];
+                } else {
+                    target[name] = source[name];
+                }
+            });
+            return merged;
+        });
+        subscribers.push(...byImsi.values());
+
+        return { subscribers, updated };
+    }
+
+    /**
+     * Write imported subscribers to the UDR store
+     * @param {Object} udr - UDR network function
+     * @param {Object} report - Import report (see showSubscriberImportReport)
+     * @param {string} mode - 'merge' (add new, update the imported columns of the same IMSI) or 'replace' (drop everything else)
+     */
+    applySubscriberImport(udr, report, mode) {
+        const imported = report.subscribers || [];
+        const errors = report.errors || [];
+        const previous = window.dataStore.getSubscribers();
+        let next = imported;
+        let updated = 0;
+
+        if (mode === 'merge') {
+            ({ subscribers: next, updated } = this.mergeImportedSubscribers(previous, imported, report.columns || []));
+        }
+
+        // One store update for the whole import (rejected when it would duplicate a GPSI / PEI)
+        try {
+            window.dataStore.setSubscribers(next, { source: 'import' });
+        } catch (error) {
+            alert(`❌ Import rejected: ${error.message}`);
+            return;
+        }
+
+        window.logEngine?.addLog(udr.id, 'SUCCESS', `Subscriber database ${mode === 'merge' ? 'merged' : 'replaced'} from ${report.source}`, {
+            imported: imported.length,
+            added: mode === 'merge' ? imported.length - updated : imported.length,
+            updated,
+            previous: previous.length,
+            total: next.length,
+            rejected: errors.length
+        });
+
+        alert(`✅ ${mode === 'merge' ? 'Merged' : 'Imported'} ${imported.length} subscriber(s) from ${report.source}` +
+            (mode === 'merge' ? ` (${imported.length - updated} added, ${updated} updated)` : '') +
+            (errors.length > 0 ? `\n\n${errors.length} error(s) were skipped.` : ''));
+        this.showUDRSubscriberPanel(udr);
+    }
+
+    /**
+     * Offer text content as a file download
+     * @param {string} content - File content
+     * @param {string} filename - Download file name
+     * @param {string} mimeType - MIME type of the content
+     */
+    downloadTextFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show add subscriber form in config panel
+     * @param {Object} udr - UDR network function
+     */
+    showAddSubscriberForm(udr) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>➕ Add New Subscriber</h4>
+                <button class="btn btn-secondary btn-small" id="btn-cancel-add">Cancel</button>
+            </div>
+
+            ${this.renderSubscriberFormPanel()}
+
+            <div style="display: flex; gap: 8px; margin-top: 15px;">
+                <button class="btn btn-success btn-block" id="btn-save-new-subscriber">
+                    💾 Save Subscriber
+                </button>
+            </div>
+        `;
+
+        // Setup listeners
+        const cancelBtn = document.getElementById('btn-cancel-add');
+        if (cancelBtn) {
+            cancelBtn.onclick = () => this.showUDRSubscriberPanel(udr);
+        }
+
+        this.setupSubscriberFormListeners();
+
+        const saveBtn = document.getElementById('btn-save-new-subscriber');
+        if (saveBtn) {
+            saveBtn.onclick = () => this.saveNewSubscriber(udr);
+        }
+    }
+
+    // ==========================================
+    // SUBSCRIBER PROFILE TEMPLATES
+    // ==========================================
+
+    /**
+     * Show the profile templates (plans) with their subscriber groups
+     * @param {Object} udr - UDR network function
+     */
+    showSubscriberTemplatesPanel(udr) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        this.subscriberPanelUdrId = udr.id;
+        const templates = window.dataStore.getSubscriberTemplates();
+        const inputStyle = 'width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;';
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>📦 ${udr.name} - Profile Templates</h4>
+                <button class="btn btn-secondary btn-small" id="btn-back-to-subscribers">← Back</button>
+            </div>
+
+            <p style="color: #95a5a6; margin-bottom: 15px; font-size: 13px;">
+                Linked subscribers take UE-AMBR, slices, restrictions, DNNs and policy from their template.
+                Editing a template updates the whole group except each subscriber's overrides.
+            </p>
+
+            <div style="max-height: 300px; overflow-y: auto; margin-bottom: 15px;">
+                ${templates.length === 0 ? '<p class="hint">No profile templates yet</p>' : templates.map((template, index) => {
+                    const members = window.dataStore.getTemplateSubscribers(template.name);
+                    const withOverrides = members.filter(sub => sub.template.overrides.length > 0);
+                    return `
+                    <div style="background: #2c3e50; border-radius: 6px; padding: 10px; margin-bottom: 8px; font-size: 12px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+                            <strong style="color: #ecf0f1;">📦 ${this.escapeHtml(template.name)}</strong>
+                            <div style="display: flex; gap: 4px;">
+                                <button class="btn btn-small edit-template-btn" data-index="${index}" style="background: #3498db;">✏️</button>
+                                <button class="btn btn-danger btn-small delete-template-btn" data-index="${index}">🗑️</button>
+                            </div>
+                        </div>
+                        ${template.description ? `<div style="color: #bdc3c7; margin-bottom: 4px;">${this.escapeHtml(template.description)}</div>` : ''}
+                        <div style="color: #95a5a6;">UE-AMBR: ${template.amData.subscribedUeAmbr.uplink} / ${template.amData.subscribedUeAmbr.downlink}</div>
+                        <div style="color: #95a5a6;">DNNs: ${template.smData.map(entry => `${entry.dnn} (${window.dataStore.formatSnssai(entry)})`).join(', ')}</div>
+                        <div style="color: #95a5a6;">Policy: ${template.policyProfile ? this.escapeHtml(template.policyProfile) : 'PCF decides'}</div>
+                        <div style="color: #95a5a6;">Group: ${members.length} subscriber(s)${withOverrides.length > 0 ? `, ${withOverrides.length} with overrides` : ''}</div>
+                        ${withOverrides.slice(0, 5).map(sub => `
+                            <div style="color: #e67e22; font-size: 11px;">↳ ${sub.imsi}: ${sub.template.overrides.map(section => DataStore.TEMPLATE_SECTIONS[section]).join(', ')}</div>
+                        `).join('')}
+                    </div>
+                `;
+                }).join('')}
+            </div>
+
+            <button class="btn btn-success btn-block" id="btn-new-template">➕ New Template</button>
+
+            <div style="border-top: 2px solid #34495e; padding-top: 15px; margin-top: 15px;">
+                <h5 style="margin: 0 0 8px; font-size: 13px; color: #3498db;">🔗 Assign Subscribers</h5>
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">IMSIs</label>
+                    <textarea id="template-assign-imsis" rows="2" placeholder="001010000000101, 001010000000102" style="${inputStyle}"></textarea>
+                    <small style="color: #95a5a6; font-size: 10px;">Comma or newline separated; the template replaces all their template sections</small>
+                </div>
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">Template</label>
+                    <select id="template-assign-name" style="${inputStyle}">
+                        ${templates.map(template => `<option value="${this.escapeHtml(template.name)}">${this.escapeHtml(template.name)}</option>`).join('')}
+                        <option value="">None (unlink, keep current values)</option>
+                    </select>
+                </div>
+                <button class="btn btn-secondary btn-block" id="btn-assign-template">🔗 Assign</button>
+            </div>
+        `;
+
+        document.getElementById('btn-back-to-subscribers').onclick = () => {
+            this.showUDRSubscriberPanel(udr);
+        };
+
+        document.getElementById('btn-new-template').onclick = () => {
+            this.showSubscriberTemplateForm(udr);
+        };
+
+        configForm.querySelectorAll('.edit-template-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.showSubscriberTemplateForm(udr, templates[parseInt(btn.dataset.index)]);
+            };
+        });
+
+        configForm.querySelectorAll('.delete-template-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.deleteSubscriberTemplate(udr, templates[parseInt(btn.dataset.index)]);
+            };
+        });
+
+        document.getElementById('btn-assign-template').onclick = () => {
+            this.assignSubscribersToTemplate(udr);
+        };
+    }
+
+    /**
+     * Show the form to create or edit a profile template
+     * @param {Object} udr - UDR network function
+     * @param {Object} template - Template to edit (null for a new one)
+     */
+    showSubscriberTemplateForm(udr, template = null) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>${template ? '✏️ Edit Template' : '📦 New Template'}</h4>
+                <button class="btn btn-secondary btn-small" id="btn-cancel-template">Cancel</button>
+            </div>
+
+            ${this.renderSubscriberFormPanel(template, { template: true })}
+
+            <div style="display: flex; gap: 8px; margin-top: 15px;">
+                <button class="btn btn-success btn-block" id="btn-save-template">
+                    💾 Save Template
+                </button>
+            </div>
+        `;
+
+        document.getElementById('btn-cancel-template').onclick = () => this.showSubscriberTemplatesPanel(udr);
+        this.setupSubscriberFormListeners();
+        document.getElementById('btn-save-template').onclick = () => this.saveSubscriberTemplate(udr, template?.name || null);
+    }
+
+    /**
+     * Validate the template form and store the template; linked subscribers are updated
+     * @param {Object} udr - UDR network function
+     * @param {string|null} previousName - Name of the edited template (null when new)
+     */
+    saveSubscriberTemplate(udr, previousName) {
+        const data = this.collectSubscriberFormData();
+        const template = {
+            name: document.getElementById('form-template-name')?.value.trim() || '',
+            description: document.getElementById('form-template-description')?.value.trim() || '',
+            amData: data.amData,
+            smData: data.smData.map(({ staticIpAddress, ...entry }) => entry),
+            policyProfile: data.policyProfile
+        };
+
+        const errors = this.getSubscriberValidationErrors(template, { template: true });
+        if (!template.name) {
+            errors.unshift('Template name is required');
+        } else if (template.name !== previousName && window.dataStore.getSubscriberTemplate(template.name)) {
+            errors.unshift(`A template named "${template.name}" already exists`);
+        }
+        if (errors.length > 0) {
+            alert(`❌ Invalid profile template:\n\n${errors.map(error => `• ${error}`).join('\n')}`);
+            return;
+        }
+
+        const imsis = window.dataStore.saveSubscriberTemplate(template, previousName);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(udr.id, 'SUCCESS', `Profile template "${template.name}" ${previousName ? 'updated' : 'created'}`, {
+                template: template.name,
+                ...(previousName && previousName !== template.name ? { renamedFrom: previousName } : {}),
+                ueAmbr: template.amData.subscribedUeAmbr,
+                dnns: template.smData.map(entry => entry.dnn),
+                policyProfile: template.policyProfile || 'none',
+                updatedSubscribers: imsis.length
+            });
+        }
+
+        if (imsis.length > 0) {
+            alert(`✅ Template "${template.name}" saved\n\n${imsis.length} linked subscriber(s) updated (overridden sections kept)`);
+        }
+        this.showSubscriberTemplatesPanel(udr);
+    }
+
+    /**
+     * Delete a profile template; its subscribers keep their values and become individual profiles
+     * @param {Object} udr - UDR network function
+     * @param {Object} template - Template to delete
+     */
+    deleteSubscriberTemplate(udr, template) {
+        const members = window.dataStore.getTemplateSubscribers(template.name).length;
+        if (!confirm(`Delete profile template "${template.name}"?\n\n${members} linked subscriber(s) keep their current values.`)) return;
+
+        const imsis = window.dataStore.deleteSubscriberTemplate(template.name);
+        window.logEngine?.addLog(udr.id, 'INFO', `Profile template "${template.name}" deleted`, {
+            unlinkedSubscribers: imsis.length
+        });
+        this.showSubscriberTemplatesPanel(udr);
+    }
+
+    /**
+     * Link (or unlink) the IMSIs of the assign form to the selected template
+     * @param {Object} udr - UDR network function
+     */
+    assignSubscribersToTemplate(udr) {
+        const imsis = [...new Set((document.getElementById('template-assign-imsis')?.value || '')
+            .split(/[\s,]+/).map(imsi => imsi.trim()).filter(Boolean))];
+        const name = document.getElementById('template-assign-name')?.value || null;
+
+        if (imsis.length === 0) {
+            alert('❌ Enter at least one IMSI');
+            return;
+        }
+
+        const unknown = imsis.filter(imsi => !window.dataStore.getSubscriberByImsi(imsi));
+        if (unknown.length > 0) {
+            alert(`❌ Unknown subscriber(s):\n\n${unknown.slice(0, 10).join('\n')}`);
+            return;
+        }
+
+        window.dataStore.linkSubscribersToTemplate(imsis, name, { source: 'panel' });
+        window.logEngine?.addLog(udr.id, 'SUCCESS', name ? `Subscribers linked to profile template "${name}"` : 'Subscribers unlinked from their profile template', {
+            imsis,
+            template: name || 'none'
+        });
+        this.showSubscriberTemplatesPanel(udr);
+    }
+
+    // ==========================================
+    // SUBSCRIBER DATABASE LINT
+    // ==========================================
+
+    /**
+     * Lint the UDR store and show the findings grouped by rule, each with a
+     * "go to" action for its subscriber or UE
+     * @param {Object} udr - UDR network function
+     */
+    showSubscriberLintPanel(udr) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm || !window.dbLinter) return;
+
+        this.subscriberPanelUdrId = udr.id;
+        const findings = window.dbLinter.lint();
+        const maxPerRule = 50;
+        const colors = { ERROR: '#e74c3c', WARNING: '#e67e22', INFO: '#3498db' };
+        const count = (severity) => findings.filter(finding => finding.severity === severity).length;
+        const rules = Object.keys(DbLinter.RULES).filter(rule => findings.some(finding => finding.rule === rule));
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>🧹 ${udr.name} - Database Lint</h4>
+                <button class="btn btn-secondary btn-small" id="btn-back-to-subscribers">← Back</button>
+            </div>
+
+            <div style="display: flex; gap: 6px; margin-bottom: 10px;">
+                ${DbLinter.SEVERITIES.map(severity => `
+                    <span style="flex: 1; text-align: center; background: ${colors[severity]}; color: white; padding: 4px; border-radius: 4px; font-size: 11px;">
+                        ${count(severity)} ${severity}
+                    </span>
+                `).join('')}
+            </div>
+
+            <div style="max-height: 420px; overflow-y: auto; margin-bottom: 15px;">
+                ${findings.length === 0 ? '<p class="hint">✅ No findings - the subscriber database matches the topology</p>' : rules.map(rule => {
+                    const ruleFindings = findings.filter(finding => finding.rule === rule);
+                    return `
+                    <div style="background: #2c3e50; border-radius: 6px; padding: 10px; margin-bottom: 8px; font-size: 12px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+                            <strong style="color: ${colors[DbLinter.RULES[rule].severity]};">${DbLinter.RULES[rule].severity} · ${DbLinter.RULES[rule].label}</strong>
+                            <span style="color: #95a5a6;">${ruleFindings.length}</span>
+                        </div>
+                        ${ruleFindings.slice(0, maxPerRule).map(finding => `
+                            <div style="display: flex; gap: 6px; align-items: center; padding: 3px 0; border-top: 1px solid #34495e;">
+                                <span style="flex: 1; color: #bdc3c7; font-size: 11px;">${this.escapeHtml(finding.message)}</span>
+                                <button class="btn btn-small lint-goto-btn" data-imsi="${finding.imsi || ''}" data-ue-id="${finding.ueId || ''}"
+                                    title="${finding.imsi ? 'Go to subscriber' : 'Go to UE'}" style="background: #34495e; padding: 2px 6px; font-size: 10px;">
+                                    ➡️ ${finding.imsi ? 'Subscriber' : 'UE'}
+                                </button>
+                            </div>
+                        `).join('')}
+                        ${ruleFindings.length > maxPerRule ? `<div style="color: #95a5a6; font-size: 11px; padding-top: 4px;">... and ${ruleFindings.length - maxPerRule} more</div>` : ''}
+                    </div>
+                `;
+                }).join('')}
+            </div>
+
+            <button class="btn btn-secondary btn-block" id="btn-rerun-lint">🔄 Run Again</button>
+        `;
+
+        window.logEngine?.addLog(udr.id, count('ERROR') > 0 ? 'WARNING' : 'INFO',
+            `Subscriber database lint: ${count('ERROR')} error(s), ${count('WARNING')} warning(s), ${count('INFO')} info`, {
+            subscribers: window.dataStore.getSubscribers().length,
+            rules: Object.fromEntries(rules.map(rule => [rule, findings.filter(finding => finding.rule === rule).length]))
+        });
+
+        document.getElementById('btn-back-to-subscribers').onclick = () => this.showUDRSubscriberPanel(udr);
+        document.getElementById('btn-rerun-lint').onclick = () => this.showSubscriberLintPanel(udr);
+
+        configForm.querySelectorAll('.lint-goto-btn').forEach(btn => {
+            btn.onclick = () => {
+                if (btn.dataset.imsi) {
+                    this.goToSubscriber(udr, btn.dataset.imsi);
+                    return;
+                }
+                const ue = window.dataStore.getNFById(btn.dataset.ueId);
+                if (ue) this.showNFConfigPanel(ue);
+            };
+        });
+    }
+
+    /**
+     * Open the subscriber list with a subscriber selected and scrolled into view
+     * @param {Object} udr - UDR network function
+     * @param {string} imsi - Subscriber IMSI
+     */
+    goToSubscriber(udr, imsi) {
+        const state = this.subscriberListState;
+        const sub = window.dataStore.getSubscriberByImsi(imsi);
+        if (sub && !this.getSubscriberListView([sub], new Map()).length) {
+            state.query = '';
+        }
+        state.selectedImsi = imsi;
+        this.showUDRSubscriberPanel(udr);
+
+        const listPanel = document.getElementById('subscriber-list-panel');
+        const position = (this.subscriberListView || []).findIndex(item => item.sub.imsi === imsi);
+        if (listPanel && position >= 0) {
+            listPanel.scrollTop = Math.max(0, position * this.subscriberRowHeight - 2 * this.subscriberRowHeight);
+            this.renderSubscriberListRows();
+        }
+    }
+
+    // ==========================================
+    // SUBSCRIBER CHANGE HISTORY
+    // ==========================================
+
+    /**
+     * Show the subscriber change history with field diffs and rollback
+     * @param {Object} udr - UDR network function
+     * @param {string} imsi - Only show this subscriber (optional)
+     */
+    showSubscriberHistoryPanel(udr, imsi = null) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        this.subscriberPanelUdrId = udr.id;
+        const imsis = [...new Set(window.dataStore.getSubscriberHistory().map(entry => entry.imsi))].sort();
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>🕘 ${udr.name} - Change History</h4>
+                <button class="btn btn-secondary btn-small" id="btn-back-to-subscribers">← Back</button>
+            </div>
+
+            <div class="form-group">
+                <label>Subscriber</label>
+                <select id="history-imsi-filter">
+                    <option value="">All subscribers</option>
+                    ${imsis.map(value => `<option value="${value}" ${value === imsi ? 'selected' : ''}>${value}</option>`).join('')}
+                </select>
+            </div>
+
+            <div id="subscriber-history-list" style="max-height: 450px; overflow-y: auto;">
+                ${this.renderSubscriberHistory(imsi)}
+            </div>
+        `;
+
+        document.getElementById('btn-back-to-subscribers').onclick = () => {
+            this.showUDRSubscriberPanel(udr);
+        };
+
+        document.getElementById('history-imsi-filter').onchange = (e) => {
+            this.showSubscriberHistoryPanel(udr, e.target.value || null);
+        };
+
+        this.setupSubscriberHistoryListeners(udr);
+    }
+
+    /**
+     * Re-render the open history list after the UDR store changed elsewhere
+     */
+    refreshSubscriberHistoryPanel() {
+        const list = document.getElementById('subscriber-history-list');
+        const udr = window.dataStore?.getNFById(this.subscriberPanelUdrId);
+        if (!list || !udr) return;
+
+        list.innerHTML = this.renderSubscriberHistory(document.getElementById('history-imsi-filter')?.value || null);
+        this.setupSubscriberHistoryListeners(udr);
+    }
+
+    /**
+     * Render history entries (newest first) with their field-level diff
+     * @param {string} imsi - Only entries of this IMSI (optional)
+     * @returns {string} HTML string
+     */
+    renderSubscriberHistory(imsi) {
+        const history = window.dataStore.getSubscriberHistory(imsi);
+        if (history.length === 0) {
+            return '<p class="hint">No recorded changes</p>';
+        }
+
+        const actionColors = { created: '#27ae60', updated: '#3498db', deleted: '#e74c3c' };
+        const formatValue = (value) => value === undefined
+            ? '<em>unset</em>'
+            : String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        return history.map(entry => `
+            <div style="background: #1a252f; border: 1px solid #34495e; border-left: 3px solid ${actionColors[entry.action]}; border-radius: 6px; padding: 10px; margin-bottom: 8px; font-size: 11px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                    <div>
+                        <strong style="font-size: 12px;">${entry.imsi}</strong>
+                        <span style="background: ${actionColors[entry.action]}; color: white; padding: 1px 6px; border-radius: 3px; margin-left: 4px;">${entry.action}</span>
+                        <span style="background: #34495e; color: #ecf0f1; padding: 1px 6px; border-radius: 3px; margin-left: 2px;">${entry.source}</span>
+                    </div>
+                    <button class="btn btn-small rollback-sub-btn" data-entry-id="${entry.id}" title="${entry.action === 'deleted' ? 'Restore the profile as it was before the delete' : 'Restore the profile as it was after this change'}" style="background: #8e44ad; padding: 2px 8px; font-size: 11px;">
+                        ↩️ ${entry.action === 'deleted' ? 'Restore' : 'Roll back here'}
+                    </button>
+                </div>
+                <div style="color: #95a5a6; margin: 4px 0 6px;">#${entry.id} · ${new Date(entry.timestamp).toLocaleString()}</div>
+                ${entry.action === 'updated' ? `
+                    <table style="width: 100%; border-collapse: collapse; color: #bdc3c7;">
+                        ${entry.changes.map(change => `
+                            <tr>
+                                <td style="padding: 2px 4px; color: #ecf0f1; white-space: nowrap;">${change.field}</td>
+                                <td style="padding: 2px 4px; color: #e74c3c; word-break: break-all;">${formatValue(change.before)}</td>
+                                <td style="padding: 2px 4px;">→</td>
+                                <td style="padding: 2px 4px; color: #2ecc71; word-break: break-all;">${formatValue(change.after)}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                ` : `<div style="color: #bdc3c7;">${entry.changes.length} field(s) ${entry.action === 'created' ? 'set' : 'removed'}</div>`}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Wire the rollback buttons of the history list
+     * @param {Object} udr - UDR network function
+     */
+    setupSubscriberHistoryListeners(udr) {
+        document.querySelectorAll('.rollback-sub-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.rollbackSubscriberFromHistory(udr, parseInt(btn.dataset.entryId));
+            };
+        });
+    }
+
+    /**
+     * Roll a subscriber back to the version of a history entry
+     * @param {Object} udr - UDR network function
+     * @param {number} entryId - History entry ID
+     */
+    rollbackSubscriberFromHistory(udr, entryId) {
+        const entry = window.dataStore.getSubscriberHistory().find(e => e.id === entryId);
+        if (!entry) return;
+
+        if (!confirm(`Roll subscriber ${entry.imsi} back to version #${entry.id}?`)) return;
+
+        let profile;
+        try {
+            profile = window.dataStore.rollbackSubscriber(entryId);
+        } catch (error) {
+            alert(`❌ Rollback rejected: ${error.message}`);
+            return;
+        }
+        if (!profile) return;
+
+        window.logEngine?.addLog(udr.id, 'WARNING', `Subscriber profile rolled back`, {
+            imsi: entry.imsi,
+            version: entry.id,
+            versionSource: entry.source,
+            versionTime: entry.timestamp
+        });
+    }
+
+    // ==========================================
+    // IMSI RANGE PROVISIONING
+    // ==========================================
+
+    /**
+     * Show the IMSI range provisioning form in config panel
+     * @param {Object} udr - UDR network function
+     */
+    showProvisionRangeForm(udr) {
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
+
+        const inputStyle = 'width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;';
+        const sharedHint = 'Shared: every SIM gets this K and OPc';
+        const derivedHint = 'Derived: K = first 16 bytes of HMAC-SHA-256(K, IMSI), the OPc field is the range OP and OPc = E_K(OP) ⊕ OP per SIM';
+
+        configForm.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                <h4>🔢 Provision IMSI Range</h4>
+                <button class="btn btn-secondary btn-small" id="btn-cancel-range">Cancel</button>
+            </div>
+
+            <p style="color: #95a5a6; margin-bottom: 15px; font-size: 13px;">
+                Creates consecutive IMSIs from the template profile below.
+            </p>
+
+            <div style="display: grid; gap: 10px; margin-bottom: 10px;">
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">Number of SIMs *</label>
+                        <input type="number" id="range-count" value="100" min="1" max="${this.maxProvisionRange}" style="${inputStyle}">
+                        <small id="range-last-imsi" style="color: #95a5a6; font-size: 10px;"></small>
+                    </div>
+
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">Existing IMSIs</label>
+                        <select id="range-collision" style="${inputStyle}">
+                            <option value="abort">Abort if any exist</option>
+                            <option value="skip">Skip existing</option>
+                            <option value="overwrite">Overwrite existing</option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">Keys</label>
+                    <select id="range-key-mode" style="${inputStyle}">
+                        <option value="shared">Shared K / OPc</option>
+                        <option value="derived">Derived per SIM from K / OP</option>
+                    </select>
+                </div>
+            </div>
+
+            ${this.renderSubscriberFormPanel(null, { imsiLabel: 'First IMSI', imsiHint: 'First IMSI of the range (15 digits)', keyHint: sharedHint, identities: false })}
+
+            <div style="display: flex; gap: 8px; margin-top: 15px;">
+                <button class="btn btn-success btn-block" id="btn-save-range">
+                    🔢 Provision Range
+                </button>
+            </div>
+        `;
+
+        const cancelBtn = document.getElementById('btn-cancel-range');
+        if (cancelBtn) {
+            cancelBtn.onclick = () => this.showUDRSubscriberPanel(udr);
+        }
+
+        this.setupSubscriberFormListeners();
+
+        // Show the last IMSI of the range while typing
+        const updateLastImsi = () => {
+            const hint = document.getElementById('range-last-imsi');
+            const start = document.getElementById('form-imsi')?.value.trim();
+            const count = parseInt(document.getElementById('range-count')?.value);
+            if (!hint) return;
+            hint.textContent = /^\d{15}$/.test(start) && count > 0
+                ? `Last IMSI: ${this.offsetImsi(start, count - 1) || 'out of range'}`
+                : '';
+        };
+        document.getElementById('form-imsi')?.addEventListener('input', updateLastImsi);
+        document.getElementById('range-count')?.addEventListener('input', updateLastImsi);
+        updateLastImsi();
+
+        const keyMode = document.getElementById('range-key-mode');
+        if (keyMode) {
+            keyMode.onchange = () => {
+                const hint = document.getElementById('form-key-hint');
+                if (hint) hint.textContent = keyMode.value === 'derived' ? derivedHint : sharedHint;
+            };
+        }
+
+        const saveBtn = document.getElementById('btn-save-range');
+        if (saveBtn) {
+            saveBtn.onclick = () => this.provisionSubscriberRange(udr);
+        }
+    }
+
+    /**
+     * Add an offset to the MSIN of an IMSI, keeping its MCC and MNC
+     * (an IMSI outside the configured PLMNs is treated as having a 3-digit MNC)
+     * @param {string} imsi - 15-digit IMSI
+     * @param {number} offset - Offset to add
+     * @returns {string|null} Resulting IMSI or null if it overflows the MSIN
+     */
+    offsetImsi(imsi, offset) {
+        const plmn = window.dataStore.getImsiPlmn(imsi);
+        const prefix = plmn ? `${plmn.mcc}${plmn.mnc}` : imsi.substring(0, 6);
+        const msinLength = imsi.length - prefix.length;
+        const msin = BigInt(imsi.substring(prefix.length)) + BigInt(offset);
+        return msin < 10n ** BigInt(msinLength) ? `${prefix}${msin.toString().padStart(msinLength, '0')}` : null;
+    }
+
+    /**
+     * Derive a per-SIM key K from the master key and the IMSI
+     * @param {string} masterKeyHex - Master K (32 hex)
+     * @param {string} imsi - Subscriber IMSI
+     * @returns {string} Derived K: first 16 bytes of HMAC-SHA-256(master K, IMSI) (32 upper-case hex)
+     */
+    deriveSubscriberKey(masterKeyHex, imsi) {
+        const auth = window.authEngine;
+        const mac = auth.hmacSha256(auth.hexToBytes(masterKeyHex), new TextEncoder().encode(imsi));
+        return auth.bytesToHex(mac.slice(0, 16));
+    }
+
+    /**
+     * Generate the IMSI range from the form and write it to the UDR store in one update
+     * @param {Object} udr - UDR network function
+     */
+    provisionSubscriberRange(udr) {
+        const template = this.collectSubscriberFormData();
+        const count = Number(document.getElementById('range-count')?.value);
+        const keyMode = document.getElementById('range-key-mode')?.value || 'shared';
+        const collision = document.getElementById('range-collision')?.value || 'abort';
+
+        // The template is validated like a single subscriber (its IMSI is the first of the range)
+        if (!this.validateSubscriberData(template)) {
+            return;
+        }
+
+        if (!Number.isInteger(count) || count < 1 || count > this.maxProvisionRange) {
+            alert(`❌ Number of SIMs must be between 1 and ${this.maxProvisionRange}`);
+            return;
+        }
+
+        const lastImsi = this.offsetImsi(template.imsi, count - 1);
+        if (!lastImsi) {
+            alert('❌ The range runs past the last MSIN of its PLMN. Lower the first IMSI or the number of SIMs.');
+            return;
+        }
+
+        const existing = window.dataStore.getSubscribers();
+        const existingImsis = new Set(existing.map(sub => sub.imsi));
+        const imsis = Array.from({ length: count }, (_, offset) => this.offsetImsi(template.imsi, offset));
+        const collisions = imsis.filter(imsi => existingImsis.has(imsi));
+
+        if (collisions.length > 0 && collision === 'abort') {
+            alert(`❌ ${collisions.length} IMSI(s) in the range already exist:\n\n${collisions.slice(0, 10).join('\n')}` +
+                (collisions.length > 10 ? `\n... and ${collisions.length - 10} more` : '') +
+                '\n\nChoose "Skip existing" or "Overwrite existing" to continue.');
+            return;
+        }
+
+        const targets = collision === 'skip' ? imsis.filter(imsi => !existingImsis.has(imsi)) : imsis;
+        if (targets.length === 0) {
+            alert('ℹ️ Every IMSI in the range already exists - nothing to provision.');
+            return;
+        }
+
+        const generated = new Map();
+        for (const imsi of targets) {
+            const profile = { ...template, imsi };
+            if (keyMode === 'derived') {
+                profile.key = this.deriveSubscriberKey(template.key, imsi);
+                profile.opc = window.authEngine.computeOpc(profile.key, template.opc);
+            }
+            generated.set(imsi, window.dataStore.normalizeSubscriber(profile));
+        }
+
+        // Overwritten entries keep their position, new ones are appended - one store update
+        const next = existing.map(sub => {
+            const replacement = generated.get(sub.imsi);
+            if (replacement) generated.delete(sub.imsi);
+            return replacement || sub;
+        });
+        next.push(...generated.values());
+        window.dataStore.setSubscribers(next, { source: 'panel' });
+
+        const overwritten = collision === 'overwrite' ? collisions.length : 0;
+        const skipped = collision === 'skip' ? collisions.length : 0;
+
+        window.logEngine?.addLog(udr.id, 'SUCCESS', `Provisioned IMSI range ${template.imsi} - ${lastImsi}`, {
+            provisioned: targets.length,
+            added: targets.length - overwritten,
+            overwritten,
+            skipped,
+            keyMode,
+            dnn: template.smData.map(entry => `${entry.dnn}/${window.dataStore.formatSnssai(entry)}`).join(', ')
+        });
+
+        alert(`✅ Provisioned ${targets.length} subscriber(s)\n\n` +
+            `Range: ${template.imsi} - ${lastImsi}\n` +
+            `Keys: ${keyMode === 'derived' ? 'derived per SIM' : 'shared'}` +
+            (overwritten > 0 ? `\nOverwritten: ${overwritten}` : '') +
+            (skipped > 0 ? `\nSkipped (already existed): ${skipped}` : ''));
+
+        this.showUDRSubscriberPanel(udr);
+    }
+
+    /**
+     * Show edit subscriber form in config panel
+     * @param {Object} udr - UDR network function
+     * @param {number} index - Subscriber index
+     */
+    showEditSubscriberForm(udr, index) {
+        const subscribers = window.dataStore?.getSubscribers() || [];
+        const subscriber = subscribers[index];
+
+        if (!subscriber) return;
+
+        const configForm = document.getElementById('config-form');
+        if (!configForm) return;
 
         configForm.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
@@ -4247,6 +7064,8 @@ class UIController {
             cancelBtn.onclick = () => this.showUDRSubscriberPanel(udr);
         }
 
+        this.setupSubscriberFormListeners();
+
         const saveBtn = document.getElementById('btn-save-edit-subscriber');
         if (saveBtn) {
             saveBtn.onclick = () => this.saveEditSubscriber(udr, index);
@@ -4256,92 +7075,486 @@ class UIController {
     /**
      * Render subscriber form for config panel
      * @param {Object} subscriber - Subscriber data (optional, for editing)
+     * @param {Object} options - { imsiLabel, imsiHint, keyHint } to relabel the identity fields,
+     *   { template: true } for a profile template (name instead of credentials, no barring / static IPs)
      * @returns {string} HTML string
      */
-    renderSubscriberFormPanel(subscriber = null) {
-        const imsi = subscriber?.imsi || '';
-        const key = subscriber?.key || 'fec86ba6eb707ed08905757b1bb44b8f';
-        const opc = subscriber?.opc || 'C42449363BBAD02B66D16BC975D77CC1';
-        const dnn = subscriber?.dnn || '5G-Lab';
-        const sst = subscriber?.nssai_sst || 1;
+    renderSubscriberFormPanel(subscriber = null, options = {}) {
+        const { imsiLabel = 'IMSI', imsiHint = '15-digit identifier', keyHint = '32 hex characters', template: isTemplate = false, identities = true } = options;
+        this.subscriberFormOptions = options;
+        const profile = window.dataStore.normalizeSubscriber(subscriber || {
+            key: 'fec86ba6eb707ed08905757b1bb44b8f',
+            opc: 'C42449363BBAD02B66D16BC975D77CC1'
+        });
+        const imsi = profile.imsi || '';
+        const nssai = profile.amData.nssai;
+        const inputStyle = 'width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;';
+        const odb = profile.amData.odbPacketServices || '';
+        const ratRestrictions = profile.amData.ratRestrictions || [];
+        const serviceArea = profile.amData.serviceAreaRestriction || {};
+        const areaTacs = (areas) => (areas || []).flatMap(area => area.tacs || []).join(', ');
+        const templates = window.dataStore.getSubscriberTemplates();
+        const policyProfiles = (window.pcfEngine?.getPcf()?.config.policyProfiles || []).map(policy => policy.name);
+        if (profile.policyProfile && !policyProfiles.includes(profile.policyProfile)) {
+            policyProfiles.push(profile.policyProfile);
+        }
+        // Sections of a linked subscriber that differ from its template
+        const overrideTag = (section) => (profile.template?.overrides || []).includes(section)
+            ? ' <span title="Differs from the profile template" style="color: #e67e22; font-size: 10px;">(override)</span>'
+            : '';
 
         return `
-            <div style="display: grid; gap: 10px;">
+            <div id="subscriber-form-fields" style="display: grid; gap: 10px;">
+                ${isTemplate ? `
                 <div class="form-group">
-                    <label style="font-size: 12px; font-weight: 600;">IMSI *</label>
+                    <label style="font-size: 12px; font-weight: 600;">Template Name *</label>
+                    <input type="text" id="form-template-name" value="${this.escapeHtml(subscriber?.name || '')}" placeholder="IoT basic" style="${inputStyle}">
+                </div>
+
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">Description</label>
+                    <input type="text" id="form-template-description" value="${this.escapeHtml(subscriber?.description || '')}" placeholder="Low-rate plan for sensors" style="${inputStyle}">
+                </div>
+                ` : `
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">${imsiLabel} *</label>
                     <input type="text" id="form-imsi" value="${imsi}" placeholder="001010000000101" 
                         pattern="[0-9]{15}" maxlength="15" required
-                        style="width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;">
-                    <small style="color: #95a5a6; font-size: 10px;">15-digit identifier</small>
+                        style="${inputStyle}">
+                    <small style="color: #95a5a6; font-size: 10px;">${imsiHint}</small>
+                </div>
+                ${identities ? `
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">GPSI (MSISDN)</label>
+                        <input type="text" id="form-gpsi" value="${this.escapeHtml(profile.gpsi || '')}" placeholder="msisdn-491701234567" style="${inputStyle}">
+                    </div>
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">PEI (IMEI / IMEISV)</label>
+                        <input type="text" id="form-pei" value="${this.escapeHtml(profile.pei || '')}" placeholder="imei-490154203237518" style="${inputStyle}">
+                    </div>
                 </div>
+                <small style="color: #95a5a6; font-size: 10px; margin-top: -6px;">Optional, unique per subscriber. MSISDN 5-15 digits ("+49 170…" is accepted), IMEI 15 / IMEISV 16 digits</small>
+                ` : ''}
 
                 <div class="form-group">
                     <label style="font-size: 12px; font-weight: 600;">Key (K) *</label>
-                    <input type="text" id="form-key" value="${key}" placeholder="fec86ba6eb707ed08905757b1bb44b8f" 
+                    <input type="text" id="form-key" value="${profile.key}" placeholder="fec86ba6eb707ed08905757b1bb44b8f" 
                         pattern="[0-9a-fA-F]{32}" maxlength="32" required
-                        style="width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;">
-                    <small style="color: #95a5a6; font-size: 10px;">32 hex characters</small>
+                        style="${inputStyle}">
+                    <small id="form-key-hint" style="color: #95a5a6; font-size: 10px;">${keyHint}</small>
                 </div>
 
                 <div class="form-group">
                     <label style="font-size: 12px; font-weight: 600;">OPc *</label>
-                    <input type="text" id="form-opc" value="${opc}" placeholder="C42449363BBAD02B66D16BC975D77CC1" 
+                    <input type="text" id="form-opc" value="${profile.opc}" placeholder="C42449363BBAD02B66D16BC975D77CC1" 
                         pattern="[0-9a-fA-F]{32}" maxlength="32" required
-                        style="width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;">
+                        style="${inputStyle}">
                     <small style="color: #95a5a6; font-size: 10px;">32 hex characters</small>
                 </div>
 
+                <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">SQN *</label>
+                        <input type="text" id="form-sqn" value="${profile.sqn}" maxlength="12" required style="${inputStyle}">
+                        <small style="color: #95a5a6; font-size: 10px;">48-bit sequence number (12 hex)</small>
+                    </div>
+
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">AMF *</label>
+                        <input type="text" id="form-amf" value="${profile.amf}" maxlength="4" required style="${inputStyle}">
+                        <small style="color: #95a5a6; font-size: 10px;">4 hex</small>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">📦 Profile Template</label>
+                    <select id="form-profile-template" style="${inputStyle}">
+                        <option value="">None (individual profile)</option>
+                        ${templates.map(template => `<option value="${this.escapeHtml(template.name)}" ${profile.template?.name === template.name ? 'selected' : ''}>${this.escapeHtml(template.name)}</option>`).join('')}
+                    </select>
+                    <small style="color: #95a5a6; font-size: 10px;">Choosing a template fills its sections; sections changed afterwards are kept as overrides</small>
+                </div>
+                `}
+
+                <h5 style="margin: 8px 0 0; font-size: 13px; color: #3498db;">📶 Access & Mobility Data</h5>
+
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">UE-AMBR Uplink *${overrideTag('ueAmbr')}</label>
+                        <input type="text" id="form-ue-ambr-ul" value="${profile.amData.subscribedUeAmbr.uplink}" placeholder="1 Gbps" style="${inputStyle}">
+                    </div>
+
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">UE-AMBR Downlink *</label>
+                        <input type="text" id="form-ue-ambr-dl" value="${profile.amData.subscribedUeAmbr.downlink}" placeholder="2 Gbps" style="${inputStyle}">
+                    </div>
+                </div>
+
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">Default S-NSSAIs *${overrideTag('nssai')}</label>
+                        <input type="text" id="form-default-nssai" value="${nssai.defaultSingleNssais.map(s => window.dataStore.formatSnssai(s)).join(', ')}" placeholder="1, 1:000001" style="${inputStyle}">
+                    </div>
+
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">Other S-NSSAIs</label>
+                        <input type="text" id="form-nssai" value="${nssai.singleNssais.map(s => window.dataStore.formatSnssai(s)).join(', ')}" placeholder="2, 3:0000AA" style="${inputStyle}">
+                    </div>
+                </div>
+                <small style="color: #95a5a6; font-size: 10px; margin-top: -6px;">Comma separated SST or SST:SD (SD = 6 hex)</small>
+
+                <h5 style="margin: 8px 0 0; font-size: 13px; color: #3498db;">🚧 Access Restrictions${overrideTag('restrictions')}</h5>
+
+                ${isTemplate ? '' : `
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">Operator-Determined Barring</label>
+                    <select id="form-odb" style="${inputStyle}">
+                        <option value="" ${!odb ? 'selected' : ''}>None</option>
+                        <option value="ALL_PACKET_SERVICES" ${odb === 'ALL_PACKET_SERVICES' ? 'selected' : ''}>All packet services (barred) - #7</option>
+                        <option value="ROAMER_ACCESS_HPLMN_AP" ${odb === 'ROAMER_ACCESS_HPLMN_AP' ? 'selected' : ''}>Roamer access to HPLMN-AP - #11 when roaming</option>
+                        <option value="ROAMER_ACCESS_VPLMN_AP" ${odb === 'ROAMER_ACCESS_VPLMN_AP' ? 'selected' : ''}>Roamer access to VPLMN-AP - #11 when roaming</option>
+                    </select>
+                    <small style="color: #95a5a6; font-size: 10px;">A barred subscriber is rejected / deregistered with 5GMM cause #7</small>
+                </div>
+                `}
+
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
                     <div class="form-group">
-                        <label style="font-size: 12px; font-weight: 600;">DNN *</label>
-                        <input type="text" id="form-dnn" value="${dnn}" placeholder="5G-Lab" required
-                            style="width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;">
+                        <label style="font-size: 12px; font-weight: 600;">RAT Restrictions</label>
+                        <label style="font-size: 11px; display: block;"><input type="checkbox" class="form-rat-restriction" value="NR" ${ratRestrictions.includes('NR') ? 'checked' : ''}> NR (#15)</label>
+                        <label style="font-size: 11px; display: block;"><input type="checkbox" class="form-rat-restriction" value="EUTRA" ${ratRestrictions.includes('EUTRA') ? 'checked' : ''}> E-UTRA</label>
+                    </div>
+
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">Core Network Type</label>
+                        <label style="font-size: 11px; display: block;"><input type="checkbox" id="form-cn-restriction-5gc" ${(profile.amData.coreNetworkTypeRestrictions || []).includes('5GC') ? 'checked' : ''}> Restrict 5GC (#27)</label>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">Forbidden TACs</label>
+                    <input type="text" id="form-forbidden-tacs" value="${areaTacs(profile.amData.forbiddenAreas)}" placeholder="000002, 000003" style="${inputStyle}">
+                </div>
+
+                <div style="display: grid; grid-template-columns: 1fr 2fr; gap: 10px;">
+                    <div class="form-group">
+                        <label style="font-size: 12px; font-weight: 600;">Service Area</label>
+                        <select id="form-service-area-type" style="${inputStyle}">
+                            <option value="" ${!serviceArea.restrictionType ? 'selected' : ''}>Unrestricted</option>
+                            <option value="ALLOWED_AREAS" ${serviceArea.restrictionType === 'ALLOWED_AREAS' ? 'selected' : ''}>Allowed areas</option>
+                            <option value="NOT_ALLOWED_AREAS" ${serviceArea.restrictionType === 'NOT_ALLOWED_AREAS' ? 'selected' : ''}>Not allowed areas</option>
+                        </select>
                     </div>
 
                     <div class="form-group">
-                        <label style="font-size: 12px; font-weight: 600;">SST *</label>
-                        <input type="number" id="form-sst" value="${sst}" min="1" max="255" required
-                            style="width: 100%; padding: 6px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 12px;">
+                        <label style="font-size: 12px; font-weight: 600;">Service Area TACs</label>
+                        <input type="text" id="form-service-area-tacs" value="${areaTacs(serviceArea.areas)}" placeholder="000001" style="${inputStyle}">
+                    </div>
+                </div>
+                <small style="color: #95a5a6; font-size: 10px; margin-top: -6px;">Comma separated TACs (hex). A TA outside the service area or in a forbidden area is rejected with #12 (#13 when roaming)</small>
+
+                <h5 style="margin: 8px 0 0; font-size: 13px; color: #3498db;">🌐 SM Subscription Data (DNNs)${overrideTag('smData')}</h5>
+
+                <div id="form-dnn-list" style="display: grid; gap: 8px;">
+                    ${profile.smData.map(entry => this.renderDnnConfigRow(entry, options)).join('')}
+                </div>
+
+                <button type="button" class="btn btn-secondary btn-small" id="btn-add-dnn-row">➕ Add DNN</button>
+
+                <h5 style="margin: 8px 0 0; font-size: 13px; color: #3498db;">📜 Policy Data${overrideTag('policyProfile')}</h5>
+
+                <div class="form-group">
+                    <label style="font-size: 12px; font-weight: 600;">PCF Policy Profile</label>
+                    <select id="form-policy-profile" style="${inputStyle}">
+                        <option value="">PCF decides (IMSI / DNN match)</option>
+                        ${policyProfiles.map(name => `<option value="${this.escapeHtml(name)}" ${profile.policyProfile === name ? 'selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}
+                    </select>
+                    <small style="color: #95a5a6; font-size: 10px;">The named profile is used for the DNNs it covers (see the PCF policy profiles)</small>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one DNN configuration row of the subscriber form
+     * @param {Object} entry - SM subscription data entry
+     * @param {Object} options - Form options ({ template: true } hides the static IP fields)
+     * @returns {string} HTML string
+     */
+    renderDnnConfigRow(entry, options = {}) {
+        const inputStyle = 'width: 100%; padding: 4px; background: #1a252f; border: 1px solid #34495e; color: #ecf0f1; border-radius: 4px; font-size: 11px;';
+        const pduTypes = ['IPV4', 'IPV6', 'IPV4V6'];
+
+        return `
+            <div class="form-dnn-row" style="background: #22313f; border: 1px solid #34495e; border-radius: 4px; padding: 8px; display: grid; gap: 6px;">
+                <div style="display: grid; grid-template-columns: 2fr 1fr 1fr auto; gap: 6px; align-items: end;">
+                    <div>
+                        <label style="font-size: 10px;">DNN *</label>
+                        <select class="dnn-name" title="DNN catalogue of the network settings" style="${inputStyle}">
+                            ${this.renderSettingsOptions(window.dataStore.getNetworkSettings().dnns, entry.dnn || '')}
+                        </select>
+                    </div>
+                    <div>
+                        <label style="font-size: 10px;">S-NSSAI *</label>
+                        <input type="text" class="dnn-snssai" value="${window.dataStore.formatSnssai(entry)}" placeholder="1" style="${inputStyle}">
+                    </div>
+                    <div>
+                        <label style="font-size: 10px;">PDU Type</label>
+                        <select class="dnn-pdu-type" style="${inputStyle}">
+                            ${pduTypes.map(type => `<option value="${type}" ${entry.pduSessionType === type ? 'selected' : ''}>${type}</option>`).join('')}
+                        </select>
+                    </div>
+                    <button type="button" class="btn btn-small remove-dnn-row" title="Remove DNN" style="background: #e74c3c; padding: 4px 8px; font-size: 11px;">🗑️</button>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr; gap: 6px; align-items: end;">
+                    <div>
+                        <label style="font-size: 10px;">Session AMBR UL</label>
+                        <input type="text" class="dnn-ambr-ul" value="${entry.sessionAmbr.uplink}" placeholder="100 Mbps" style="${inputStyle}">
+                    </div>
+                    <div>
+                        <label style="font-size: 10px;">Session AMBR DL</label>
+                        <input type="text" class="dnn-ambr-dl" value="${entry.sessionAmbr.downlink}" placeholder="200 Mbps" style="${inputStyle}">
+                    </div>
+                    <div>
+                        <label style="font-size: 10px;">Default 5QI</label>
+                        <input type="number" class="dnn-5qi" value="${entry.default5qi}" min="1" max="255" style="${inputStyle}">
+                    </div>
+                    <div>
+                        <label style="font-size: 10px;">ARP Priority</label>
+                        <input type="number" class="dnn-arp" value="${entry.arpPriorityLevel}" min="1" max="15" style="${inputStyle}">
+                    </div>
+                </div>
+                <div style="display: ${options.template ? 'none' : 'grid'}; grid-template-columns: 1fr 1fr; gap: 6px; align-items: end;">
+                    <div>
+                        <label style="font-size: 10px;">Static IPv4 (optional)</label>
+                        <input type="text" class="dnn-static-ipv4" value="${entry.staticIpAddress?.ipv4Addr || ''}" placeholder="10.0.0.10" style="${inputStyle}">
+                    </div>
+                    <div>
+                        <label style="font-size: 10px;">Static IPv6 (optional)</label>
+                        <input type="text" class="dnn-static-ipv6" value="${entry.staticIpAddress?.ipv6Addr || ''}" placeholder="fd00:10::10" style="${inputStyle}">
                     </div>
                 </div>
+                <label style="font-size: 11px; color: #bdc3c7;">
+                    <input type="radio" name="form-dnn-default" class="dnn-default" ${entry.isDefault ? 'checked' : ''}> Default DNN
+                </label>
             </div>
         `;
     }
 
+    /**
+     * Setup add/remove DNN row handlers of the subscriber form
+     */
+    setupSubscriberFormListeners() {
+        const dnnList = document.getElementById('form-dnn-list');
+        if (!dnnList) return;
+
+        const bindRemoveButtons = () => {
+            dnnList.querySelectorAll('.remove-dnn-row').forEach(btn => {
+                btn.onclick = () => {
+                    if (dnnList.querySelectorAll('.form-dnn-row').length <= 1) {
+                        alert('❌ A subscriber needs at least one DNN');
+                        return;
+                    }
+                    btn.closest('.form-dnn-row').remove();
+                };
+            });
+        };
+
+        const addBtn = document.getElementById('btn-add-dnn-row');
+        if (addBtn) {
+            addBtn.onclick = () => {
+                const entry = {
+                    dnn: window.dataStore.getNetworkSettings().dnns[0], sst: 1, sd: '', pduSessionType: 'IPV4',
+                    sessionAmbr: { uplink: '100 Mbps', downlink: '200 Mbps' },
+                    default5qi: 9, arpPriorityLevel: 8, isDefault: false
+                };
+                dnnList.insertAdjacentHTML('beforeend', this.renderDnnConfigRow(entry, this.subscriberFormOptions));
+                bindRemoveButtons();
+            };
+        }
+
+        bindRemoveButtons();
+
+        // Choosing a template fills the form with its sections
+        const templateSelect = document.getElementById('form-profile-template');
+        if (templateSelect) {
+            templateSelect.onchange = () => {
+                const template = window.dataStore.getSubscriberTemplate(templateSelect.value);
+                if (!template) return;
+
+                const profile = window.dataStore.applyTemplateSections(this.collectSubscriberFormData(), template);
+                document.getElementById('subscriber-form-fields').outerHTML =
+                    this.renderSubscriberFormPanel({ ...profile, template: { name: template.name } }, this.subscriberFormOptions);
+                this.setupSubscriberFormListeners();
+            };
+        }
+    }
+
+    /**
+     * Render the options of a select fed from the network settings. A current value
+     * the settings no longer list is kept as an extra, marked option.
+     * @param {Array} values - Values from the network settings
+     * @param {string} current - Current value
+     * @returns {string} Option elements HTML
+     */
+    renderSettingsOptions(values, current) {
+        const options = values.map(value =>
+            `<option value="${this.escapeHtml(value)}" ${value === current ? 'selected' : ''}>${this.escapeHtml(value)}</option>`);
+        if (current && !values.includes(current)) {
+            options.push(`<option value="${this.escapeHtml(current)}" selected>${this.escapeHtml(current)} (not in network settings)</option>`);
+        }
+        return options.join('');
+    }
+
+    /**
+     * Parse a comma separated S-NSSAI list ("1, 1:000001")
+     * @param {string} text - S-NSSAI list
+     * @returns {Array} Array of { sst, sd }
+     */
+    parseSnssaiList(text) {
+        return (text || '').split(',')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => {
+                const [sst, sd] = item.split(':').map(part => part.trim());
+                return { sst: Number(sst), sd: window.dataStore.normalizeSd(sd) };
+            });
+    }
+
+    /**
+     * Read the subscriber form into a subscriber profile
+     * @returns {Object} Subscriber profile (not yet validated)
+     */
+    collectSubscriberFormData() {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+
+        const smData = [...document.querySelectorAll('#form-dnn-list .form-dnn-row')].map(row => {
+            const snssai = this.parseSnssaiList(row.querySelector('.dnn-snssai')?.value)[0] || { sst: NaN, sd: '' };
+            const staticIpv4 = row.querySelector('.dnn-static-ipv4')?.value.trim() || '';
+            const staticIpv6 = row.querySelector('.dnn-static-ipv6')?.value.trim() || '';
+            return {
+                dnn: row.querySelector('.dnn-name')?.value.trim() || '',
+                sst: snssai.sst,
+                sd: snssai.sd,
+                pduSessionType: row.querySelector('.dnn-pdu-type')?.value || 'IPV4',
+                sessionAmbr: {
+                    uplink: row.querySelector('.dnn-ambr-ul')?.value.trim() || '',
+                    downlink: row.querySelector('.dnn-ambr-dl')?.value.trim() || ''
+                },
+                default5qi: Number(row.querySelector('.dnn-5qi')?.value),
+                arpPriorityLevel: Number(row.querySelector('.dnn-arp')?.value),
+                isDefault: !!row.querySelector('.dnn-default')?.checked,
+                ...(staticIpv4 || staticIpv6 ? { staticIpAddress: { ipv4Addr: staticIpv4, ipv6Addr: staticIpv6 } } : {})
+            };
+        });
+
+        return {
+            imsi: value('form-imsi'),
+            gpsi: value('form-gpsi'),
+            pei: value('form-pei'),
+            key: value('form-key'),
+            opc: value('form-opc'),
+            sqn: value('form-sqn'),
+            amf: value('form-amf'),
+            amData: {
+                subscribedUeAmbr: {
+                    uplink: value('form-ue-ambr-ul'),
+                    downlink: value('form-ue-ambr-dl')
+                },
+                nssai: {
+                    defaultSingleNssais: this.parseSnssaiList(value('form-default-nssai')),
+                    singleNssais: this.parseSnssaiList(value('form-nssai'))
+                },
+                ...this.collectAccessRestrictions()
+            },
+            smData,
+            policyProfile: value('form-policy-profile'),
+            template: value('form-profile-template') ? { name: value('form-profile-template') } : null
+        };
+    }
+
+    /**
+     * Read the access restriction fields of the subscriber form (only the ones that are set)
+     * @returns {Object} AM data restriction members (TS 29.503 AccessAndMobilitySubscriptionData)
+     */
+    collectAccessRestrictions() {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const parseTacs = (text) => text.split(',').map(tac => tac.trim()).filter(Boolean)
+            .map(tac => window.dataStore.normalizeTac(tac));
+        const restrictions = {};
+
+        if (value('form-odb')) {
+            restrictions.odbPacketServices = value('form-odb');
+        }
+
+        const rats = [...document.querySelectorAll('.form-rat-restriction:checked')].map(box => box.value);
+        if (rats.length > 0) {
+            restrictions.ratRestrictions = rats;
+        }
+
+        if (document.getElementById('form-cn-restriction-5gc')?.checked) {
+            restrictions.coreNetworkTypeRestrictions = ['5GC'];
+        }
+
+        const forbiddenTacs = parseTacs(value('form-forbidden-tacs'));
+        if (forbiddenTacs.length > 0) {
+            restrictions.forbiddenAreas = [{ tacs: forbiddenTacs }];
+        }
+
+        if (value('form-service-area-type')) {
+            restrictions.serviceAreaRestriction = {
+                restrictionType: value('form-service-area-type'),
+                areas: [{ tacs: parseTacs(value('form-service-area-tacs')) }]
+            };
+        }
+
+        return restrictions;
+    }
+
     /**
      * Save new subscriber
      * @param {Object} udr - UDR network function
      */
     saveNewSubscriber(udr) {
-        const imsi = document.getElementById('form-imsi')?.value.trim();
-        const key = document.getElementById('form-key')?.value.trim();
-        const opc = document.getElementById('form-opc')?.value.trim();
-        const dnn = document.getElementById('form-dnn')?.value.trim();
-        const sst = parseInt(document.getElementById('form-sst')?.value);
+        const data = this.collectSubscriberFormData();
 
         // Validation
-        if (!this.validateSubscriberData(imsi, key, opc, dnn, sst)) {
+        if (!this.validateSubscriberData(data)) {
             return;
         }
 
-        // Check for duplicate IMSI
+        // Check for duplicate IMSI, GPSI and PEI
         const subscribers = window.dataStore?.getSubscribers() || [];
-        if (subscribers.some(sub => sub.imsi === imsi)) {
-            alert(`❌ Subscriber with IMSI ${imsi} already exists!`);
+        if (subscribers.some(sub => sub.imsi === data.imsi)) {
+            alert(`❌ Subscriber with IMSI ${data.imsi} already exists!`);
+            return;
+        }
+
+        const conflict = window.dataStore.findIdentityConflict(data);
+        if (conflict) {
+            alert(`❌ ${conflict.type} ${conflict.value} is already used by IMSI ${conflict.imsi}!`);
             return;
         }
 
         // Add subscriber
-        subscribers.push({ imsi, key, opc, dnn, nssai_sst: sst });
-        window.dataStore?.setSubscribers(subscribers);
+        window.dataStore?.setSubscribers([...subscribers, data], { source: 'panel' });
 
         // Log
         if (window.logEngine) {
             window.logEngine.addLog(udr.id, 'SUCCESS',
-                `New subscriber profile added`, { imsi, dnn, sst });
+                `New subscriber profile added`, {
+                imsi: data.imsi,
+                gpsi: window.dataStore.normalizeGpsi(data.gpsi) || undefined,
+                pei: window.dataStore.normalizePei(data.pei) || undefined,
+                dnns: data.smData.map(entry => entry.dnn),
+                nssai: data.amData.nssai.defaultSingleNssais.concat(data.amData.nssai.singleNssais).map(s => window.dataStore.formatSnssai(s)),
+                ueAmbr: data.amData.subscribedUeAmbr,
+                template: data.template?.name || 'none'
+            });
         }
 
-        alert(`✅ Subscriber ${imsi} added successfully!`);
+        alert(`✅ Subscriber ${data.imsi} added successfully!`);
         this.showUDRSubscriberPanel(udr);
     }
 
@@ -4351,14 +7564,11 @@ class UIController {
      * @param {number} index - Subscriber index
      */
     saveEditSubscriber(udr, index) {
-        const imsi = document.getElementById('form-imsi')?.value.trim();
-        const key = document.getElementById('form-key')?.value.trim();
-        const opc = document.getElementById('form-opc')?.value.trim();
-        const dnn = document.getElementById('form-dnn')?.value.trim();
-        const sst = parseInt(document.getElementById('form-sst')?.value);
+        const data = this.collectSubscriberFormData();
+        const imsi = data.imsi;
 
         // Validation
-        if (!this.validateSubscriberData(imsi, key, opc, dnn, sst)) {
+        if (!this.validateSubscriberData(data)) {
             return;
         }
 
@@ -4366,8 +7576,19 @@ class UIController {
         const subscribers = window.dataStore?.getSubscribers() || [];
         const oldImsi = subscribers[index].imsi;
 
-        subscribers[index] = { imsi, key, opc, dnn, nssai_sst: sst };
-        window.dataStore?.setSubscribers(subscribers);
+        if (imsi !== oldImsi && subscribers.some(sub => sub.imsi === imsi)) {
+            alert(`❌ Subscriber with IMSI ${imsi} already exists!`);
+            return;
+        }
+
+        const conflict = window.dataStore.findIdentityConflict(data, oldImsi);
+        if (conflict) {
+            alert(`❌ ${conflict.type} ${conflict.value} is already used by IMSI ${conflict.imsi}!`);
+            return;
+        }
+
+        const updated = subscribers.map((sub, i) => (i === index ? { ...sub, ...data } : sub));
+        window.dataStore?.setSubscribers(updated, { source: 'panel' });
 
         // NOTE: Do NOT automatically update UE configs
         // Users must manually update UE subscriber info if needed
@@ -4382,8 +7603,9 @@ class UIController {
             window.logEngine.addLog(udr.id, 'SUCCESS',
                 `Subscriber profile updated`, { 
                 imsi, 
-                dnn, 
-                sst,
+                dnns: data.smData.map(entry => entry.dnn),
+                nssai: data.amData.nssai.defaultSingleNssais.concat(data.amData.nssai.singleNssais).map(s => window.dataStore.formatSnssai(s)),
+                sqn: data.sqn.toUpperCase(),
                 note: affectedUEs.length > 0 ? `${affectedUEs.length} UE(s) using old IMSI - update manually` : 'No UEs affected'
             });
         }
@@ -4414,7 +7636,8 @@ class UIController {
         const assignedUE = allUEs.find(ue => ue.config.subscriberImsi === subscriber.imsi);
 
         if (assignedUE) {
-            if (!confirm(`⚠️ Warning!\n\nSubscriber ${subscriber.imsi} is assigned to ${assignedUE.name}.\n\nDelete anyway?`)) {
+            const registered = assignedUE.config.pduSessions?.length ? `\n\n${assignedUE.name} is registered and will be deregistered by the network (5GMM cause #3 Illegal UE).` : '';
+            if (!confirm(`⚠️ Warning!\n\nSubscriber ${subscriber.imsi} is assigned to ${assignedUE.name}.${registered}\n\nDelete anyway?`)) {
                 return;
             }
         } else {
@@ -4424,8 +7647,7 @@ class UIController {
         }
 
         // Delete subscriber
-        subscribers.splice(index, 1);
-        window.dataStore?.setSubscribers(subscribers);
+        window.dataStore?.setSubscribers(subscribers.filter((_, i) => i !== index), { source: 'panel' });
 
         // Log
         if (window.logEngine) {
@@ -4441,40 +7663,56 @@ class UIController {
     }
 
     /**
-     * Validate subscriber data
-     * @param {string} imsi - IMSI
-     * @param {string} key - Key
-     * @param {string} opc - OPc
-     * @param {string} dnn - DNN
-     * @param {number} sst - SST
-     * @returns {boolean} Valid or not
+     * Bar or un-bar all packet services of a subscriber (operator-determined barring).
+     * A registered UE is deregistered through the AMF's SDM subscription.
+     * @param {Object} udr - UDR network function
+     * @param {number} index - Subscriber index
      */
-    validateSubscriberData(imsi, key, opc, dnn, sst) {
-        if (!imsi || imsi.length !== 15 || !/^\d{15}$/.test(imsi)) {
-            alert('❌ Invalid IMSI: Must be exactly 15 digits');
-            return false;
-        }
+    toggleSubscriberBarring(udr, index) {
+        const subscriber = window.dataStore?.getSubscribers()[index];
+        if (!subscriber) return;
 
-        if (!key || key.length !== 32 || !/^[0-9a-fA-F]{32}$/.test(key)) {
-            alert('❌ Invalid Key: Must be exactly 32 hexadecimal characters');
-            return false;
+        const barred = subscriber.amData.odbPacketServices !== 'ALL_PACKET_SERVICES';
+        const amData = { ...subscriber.amData };
+        if (barred) {
+            amData.odbPacketServices = 'ALL_PACKET_SERVICES';
+        } else {
+            delete amData.odbPacketServices;
         }
 
-        if (!opc || opc.length !== 32 || !/^[0-9a-fA-F]{32}$/.test(opc)) {
-            alert('❌ Invalid OPc: Must be exactly 32 hexadecimal characters');
-            return false;
-        }
+        window.dataStore.upsertSubscriber(subscriber.imsi, { amData }, { source: 'panel' });
 
-        if (!dnn) {
-            alert('❌ DNN is required');
-            return false;
+        if (window.logEngine) {
+            window.logEngine.addLog(udr.id, barred ? 'WARNING' : 'SUCCESS',
+                `Subscriber ${barred ? 'barred' : 'unbarred'}`, {
+                imsi: subscriber.imsi,
+                odbPacketServices: amData.odbPacketServices || 'none'
+            });
         }
+    }
 
-        if (!sst || sst < 1 || sst > 255) {
-            alert('❌ Invalid SST: Must be between 1 and 255');
+    /**
+     * Validate subscriber data
+     * @param {Object} subscriber - Subscriber profile (see DataStore.normalizeSubscriber)
+     * @returns {boolean} Valid or not
+     */
+    validateSubscriberData(subscriber) {
+        const errors = this.getSubscriberValidationErrors(subscriber);
+        if (errors.length > 0) {
+            alert(`❌ Invalid subscriber profile:\n\n${errors.map(error => `• ${error}`).join('\n')}`);
             return false;
         }
 
         return true;
     }
+
+    /**
+     * Collect all validation errors of a subscriber profile (see DataStore.getSubscriberValidationErrors)
+     * @param {Object} subscriber - Subscriber profile
+     * @param {Object} options - Validation options
+     * @returns {Array<string>} Error messages (empty if valid)
+     */
+    getSubscriberValidationErrors(subscriber, options = {}) {
+        return window.dataStore.getSubscriberValidationErrors(subscriber, options);
+    }
 }
@@ -0,0 +1,449 @@
+/**
+ * ============================================
+ * VI EDITOR (virtual files in the terminals)
+ * ============================================
+ * Small modal vi over a text buffer, drawn inside a terminal window
+ *
+ * Responsibilities:
+ * - Normal mode: h j k l / arrows, 0 $, gg G, x, dd, u, i a I A o O
+ * - Insert mode until Escape
+ * - Command line: :w, :q, :q!, :wq, :x, :<line>
+ * - Search: /pattern, ?pattern, n N (plain text, wraps around)
+ * - Line numbers, mode / cursor position in the status bar
+ * - Hand the buffer to onSave, which may reject it with line-numbered errors
+ *   (or write it and report them as problems)
+ */
+
+class ViEditor {
+    /**
+     * @param {Object} options - Editor options
+     * @param {HTMLElement} options.container - Terminal content element the editor fills
+     * @param {string} options.fileName - File name shown in the status bar
+     * @param {string} options.content - Initial file content
+     * @param {Function} options.onSave - (content) => { ok, message, errors: [{ line, message }] }
+     *   (ok with errors = written, errors shown as problems)
+     * @param {Function} options.onClose - Called after the editor is removed
+     */
+    constructor({ container, fileName, content, onSave = null, onClose = null }) {
+        this.container = container;
+        this.fileName = fileName;
+        this.savedContent = content;
+        this.onSave = onSave;
+        this.onClose = onClose;
+
+        this.mode = 'normal';       // normal | insert | command
+        this.commandLine = '';      // ':' command or '/' '?' search being typed
+        this.lastSearch = null;     // { pattern, direction } for n / N
+        this.pendingKey = '';       // First key of gg / dd
+        this.undoStack = [];        // { value, cursor } before each change
+        this.element = null;
+    }
+
+    // ==========================================
+    // OPEN / CLOSE
+    // ==========================================
+
+    /**
+     * Draw the editor over the terminal content and focus it
+     */
+    open() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'vi-editor';
+        // Fills the terminal content while the caller hides the terminal output / prompt
+        wrapper.style.cssText = `
+            flex: 1;
+            height: 100%;
+            min-height: 0;
+            background: #000;
+            display: flex;
+            flex-direction: column;
+        `;
+        wrapper.innerHTML = `
+            <div style="flex: 1; display: flex; min-height: 0; font-family: 'Consolas', 'Courier New', monospace; font-size: 13px; line-height: 20px;">
+                <div class="vi-gutter" style="padding: 10px 8px 10px 10px; color: #858585; text-align: right; user-select: none; overflow: hidden; white-space: pre; min-width: 30px;"></div>
+                <textarea class="vi-buffer" spellcheck="false" wrap="off" style="flex: 1; resize: none; border: none; outline: none; background: #000; color: #d4d4d4; padding: 10px 10px 10px 5px; font: inherit; line-height: inherit; white-space: pre; overflow: auto; caret-color: #f1c40f;"></textarea>
+            </div>
+            <div class="vi-messages" style="display: none; padding: 4px 10px; background: #1a0000; color: #ff6b6b; font-family: 'Consolas', 'Courier New', monospace; font-size: 12px; white-space: pre-wrap;"></div>
+            <div style="height: 25px; background: #264f78; color: #fff; display: flex; justify-content: space-between; align-items: center; padding: 0 10px; font-size: 11px; font-family: 'Consolas', 'Courier New', monospace;">
+                <span class="vi-status"></span>
+                <span class="vi-position"></span>
+            </div>
+        `;
+
+        this.element = wrapper;
+        this.buffer = wrapper.querySelector('.vi-buffer');
+        this.gutter = wrapper.querySelector('.vi-gutter');
+        this.messages = wrapper.querySelector('.vi-messages');
+        this.status = wrapper.querySelector('.vi-status');
+        this.position = wrapper.querySelector('.vi-position');
+
+        this.buffer.value = this.savedContent;
+        this.buffer.addEventListener('keydown', (e) => this.handleKey(e));
+        this.buffer.addEventListener('input', () => this.refresh());
+        this.buffer.addEventListener('click', () => this.refresh());
+        this.buffer.addEventListener('scroll', () => { this.gutter.scrollTop = this.buffer.scrollTop; });
+
+        this.container.appendChild(wrapper);
+        this.setCursor(0, 0);
+        this.setStatus(`"${this.fileName}" ${this.getLines().length}L, ${this.buffer.value.length}B`);
+        this.refresh();
+        this.buffer.focus();
+    }
+
+    /**
+     * Remove the editor and hand control back to the terminal
+     */
+    close() {
+        this.element?.remove();
+        this.element = null;
+        if (this.onClose) this.onClose();
+    }
+
+    // ==========================================
+    // BUFFER / CURSOR
+    // ==========================================
+
+    getLines() {
+        return this.buffer.value.split('\n');
+    }
+
+    /**
+     * Cursor position from the textarea caret
+     * @returns {Object} { line, col } (0-based)
+     */
+    getCursor() {
+        const before = this.buffer.value.substring(0, this.buffer.selectionStart).split('\n');
+        return { line: before.length - 1, col: before[before.length - 1].length };
+    }
+
+    /**
+     * Move the caret, clamped to the buffer
+     * @param {number} line - 0-based line
+     * @param {number} col - 0-based column
+     */
+    setCursor(line, col) {
+        const lines = this.getLines();
+        const row = Math.max(0, Math.min(line, lines.length - 1));
+        const column = Math.max(0, Math.min(col, lines[row].length));
+        const offset = lines.slice(0, row).reduce((sum, text) => sum + text.length + 1, 0) + column;
+        this.buffer.setSelectionRange(offset, offset);
+
+        // Keep the caret line in view
+        const lineHeight = 20;
+        const top = row * lineHeight;
+        if (top < this.buffer.scrollTop) {
+            this.buffer.scrollTop = top;
+        } else if (top + lineHeight * 2 > this.buffer.scrollTop + this.buffer.clientHeight) {
+            this.buffer.scrollTop = top + lineHeight * 2 - this.buffer.clientHeight;
+        }
+    }
+
+    /**
+     * Replace the buffer lines (one undo step) and put the caret at line / col
+     * @param {Array<string>} lines - New lines
+     * @param {number} line - Caret line
+     * @param {number} col - Caret column
+     */
+    setLines(lines, line, col) {
+        this.pushUndo();
+        this.buffer.value = lines.join('\n');
+        this.setCursor(line, col);
+        this.refresh();
+    }
+
+    pushUndo() {
+        this.undoStack.push({ value: this.buffer.value, cursor: this.getCursor() });
+        if (this.undoStack.length > ViEditor.MAX_UNDO) this.undoStack.shift();
+    }
+
+    isModified() {
+        return this.buffer.value !== this.savedContent;
+    }
+
+    // ==========================================
+    // KEYS
+    // ==========================================
+
+    /**
+     * Dispatch a key by mode (every key stays inside the editor)
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKey(e) {
+        e.stopPropagation();
+
+        if (this.mode === 'insert') {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.mode = 'normal';
+                const { line, col } = this.getCursor();
+                this.setCursor(line, col - 1);
+                this.setStatus('');
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                const start = this.buffer.selectionStart;
+                this.buffer.setRangeText('    ', start, this.buffer.selectionEnd, 'end');
+            }
+            this.refresh();
+            return;
+        }
+
+        // Arrow / page keys move the caret natively in normal mode
+        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End'].includes(e.key) && this.mode === 'normal') {
+            setTimeout(() => this.refresh(), 0);
+            return;
+        }
+        e.preventDefault();
+
+        if (this.mode === 'command') {
+            this.handleCommandKey(e);
+        } else {
+            this.handleNormalKey(e.key);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Normal mode commands
+     * @param {string} key - Key pressed
+     */
+    handleNormalKey(key) {
+        const { line, col } = this.getCursor();
+        const lines = this.getLines();
+        const pending = this.pendingKey;
+        this.pendingKey = '';
+        this.hideMessages();
+
+        if (pending === 'g' && key === 'g') return this.setCursor(0, 0);
+        if (pending === 'd' && key === 'd') {
+            const remaining = lines.length > 1 ? lines.filter((_, index) => index !== line) : [''];
+            return this.setLines(remaining, Math.min(line, remaining.length - 1), 0);
+        }
+
+        switch (key) {
+            case 'h': return this.setCursor(line, col - 1);
+            case 'l': return this.setCursor(line, col + 1);
+            case 'j': return this.setCursor(line + 1, col);
+            case 'k': return this.setCursor(line - 1, col);
+            case '0': return this.setCursor(line, 0);
+            case '$': return this.setCursor(line, lines[line].length);
+            case 'G': return this.setCursor(lines.length - 1, 0);
+            case 'g':
+            case 'd':
+                this.pendingKey = key;
+                return;
+            case 'x':
+                if (lines[line].length === 0) return;
+                lines[line] = lines[line].slice(0, col) + lines[line].slice(col + 1);
+                return this.setLines(lines, line, col);
+            case 'u': {
+                const previous = this.undoStack.pop();
+                if (!previous) return this.setStatus('Already at oldest change');
+                this.buffer.value = previous.value;
+                this.setCursor(previous.cursor.line, previous.cursor.col);
+                return this.setStatus('1 change; before #' + (this.undoStack.length + 1));
+            }
+            case 'i': return this.enterInsert(line, col);
+            case 'a': return this.enterInsert(line, col + 1);
+            case 'I': return this.enterInsert(line, lines[line].length - lines[line].trimStart().length);
+            case 'A': return this.enterInsert(line, lines[line].length);
+            case 'o':
+            case 'O': {
+                const at = key === 'o' ? line + 1 : line;
+                const indent = lines[line].match(/^\s*/)[0];
+                lines.splice(at, 0, indent);
+                this.setLines(lines, at, indent.length);
+                return this.enterInsert(at, indent.length, false);
+            }
+            case 'n':
+            case 'N':
+                if (!this.lastSearch) return this.setStatus('E35: No previous regular expression', true);
+                return this.search(this.lastSearch.pattern, key === 'n' ? this.lastSearch.direction : -this.lastSearch.direction);
+            case ':':
+            case '/':
+            case '?':
+                this.mode = 'command';
+                this.commandLine = key;
+                return this.setStatus(this.commandLine);
+            default:
+                return;
+        }
+    }
+
+    /**
+     * Switch to insert mode at a position
+     * @param {number} line - Caret line
+     * @param {number} col - Caret column
+     * @param {boolean} undoStep - Record an undo step (false when the caller just did)
+     */
+    enterInsert(line, col, undoStep = true) {
+        if (undoStep) this.pushUndo();
+        this.mode = 'insert';
+        this.setCursor(line, col);
+        this.setStatus('-- INSERT --');
+    }
+
+    /**
+     * Command line keys (after ':', '/' or '?')
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleCommandKey(e) {
+        if (e.key === 'Escape') {
+            this.mode = 'normal';
+            this.commandLine = '';
+            this.setStatus('');
+        } else if (e.key === 'Enter') {
+            const prefix = this.commandLine[0];
+            const text = this.commandLine.slice(1);
+            this.mode = 'normal';
+            this.commandLine = '';
+            this.setStatus('');
+            if (prefix === ':') {
+                this.runCommand(text.trim());
+            } else {
+                // An empty pattern repeats the last one
+                const pattern = text || this.lastSearch?.pattern;
+                if (!pattern) return this.setStatus('E35: No previous regular expression', true);
+                this.lastSearch = { pattern, direction: prefix === '/' ? 1 : -1 };
+                this.search(pattern, this.lastSearch.direction);
+            }
+        } else if (e.key === 'Backspace') {
+            this.commandLine = this.commandLine.slice(0, -1);
+            if (this.commandLine === '') this.mode = 'normal';
+            this.setStatus(this.commandLine);
+        } else if (e.key.length === 1) {
+            this.commandLine += e.key;
+            this.setStatus(this.commandLine);
+        }
+    }
+
+    /**
+     * Run an ex command
+     * @param {string} command - Command without the ':'
+     */
+    runCommand(command) {
+        if (/^\d+$/.test(command)) {
+            this.setCursor(parseInt(command) - 1, 0);
+            return;
+        }
+
+        switch (command) {
+            case 'w':
+                this.write();
+                return;
+            case 'wq':
+            case 'x':
+                if ((command === 'wq' || this.isModified()) && !this.write()) return;
+                this.close();
+                return;
+            case 'q':
+                if (this.isModified()) {
+                    this.setStatus('E37: No write since last change (add ! to override)', true);
+                    return;
+                }
+                this.close();
+                return;
+            case 'q!':
+                this.close();
+                return;
+            case '':
+                return;
+            default:
+                this.setStatus(`E492: Not an editor command: ${command}`, true);
+        }
+    }
+
+    /**
+     * Move to the next match of a pattern, wrapping around the buffer
+     * @param {string} pattern - Text to find
+     * @param {number} direction - 1 forward, -1 backward
+     */
+    search(pattern, direction) {
+        const value = this.buffer.value;
+        const start = this.buffer.selectionStart;
+        let index = direction > 0 ? value.indexOf(pattern, start + 1) : (start > 0 ? value.lastIndexOf(pattern, start - 1) : -1);
+        let wrapped = false;
+        if (index === -1) {
+            index = direction > 0 ? value.indexOf(pattern) : value.lastIndexOf(pattern);
+            wrapped = true;
+        }
+        if (index === -1) {
+            this.setStatus(`E486: Pattern not found: ${pattern}`, true);
+            return;
+        }
+
+        const before = value.substring(0, index).split('\n');
+        this.setCursor(before.length - 1, before[before.length - 1].length);
+        if (wrapped) {
+            this.setStatus(direction > 0 ? 'search hit BOTTOM, continuing at TOP' : 'search hit TOP, continuing at BOTTOM', true);
+        } else {
+            this.setStatus(`${direction > 0 ? '/' : '?'}${pattern}`);
+        }
+    }
+
+    /**
+     * Save the buffer through onSave
+     * @returns {boolean} True if written
+     */
+    write() {
+        const content = this.buffer.value;
+        const result = this.onSave ? this.onSave(content) : { ok: true };
+
+        if (!result.ok) {
+            const errors = result.errors || [];
+            this.showMessages([`"${this.fileName}" not written: ${errors.length} error(s)`,
+                ...errors.map(error => `${this.fileName}:${error.line} - ${error.message}`)]);
+            this.setStatus(`E: ${this.fileName}:${errors[0]?.line ?? '?'} - ${errors[0]?.message || result.message || 'write failed'}`, true);
+            if (errors[0]?.line) this.setCursor(errors[0].line - 1, 0);
+            return false;
+        }
+
+        this.savedContent = content;
+        const problems = result.errors || [];
+        if (problems.length > 0) {
+            this.showMessages([`"${this.fileName}" written with ${problems.length} problem(s)`,
+                ...problems.map(error => `${this.fileName}:${error.line} - ${error.message}`)]);
+            this.setCursor(problems[0].line - 1, 0);
+        }
+        this.setStatus(`"${this.fileName}" ${this.getLines().length}L, ${content.length}B written${result.message ? ` - ${result.message}` : ''}`, problems.length > 0);
+        return true;
+    }
+
+    // ==========================================
+    // DISPLAY
+    // ==========================================
+
+    /**
+     * Redraw the line numbers and the cursor position
+     */
+    refresh() {
+        if (!this.element) return;
+        const count = this.getLines().length;
+        this.gutter.textContent = Array.from({ length: count }, (_, index) => String(index + 1)).join('\n');
+        this.gutter.scrollTop = this.buffer.scrollTop;
+
+        const { line, col } = this.getCursor();
+        this.position.textContent = `${this.isModified() ? '[+] ' : ''}${line + 1},${col + 1}`;
+    }
+
+    /**
+     * Show a status line message
+     * @param {string} text - Message
+     * @param {boolean} isError - Show in red
+     */
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.style.color = isError ? '#ff6b6b' : '#fff';
+    }
+
+    showMessages(lines) {
+        this.messages.textContent = lines.join('\n');
+        this.messages.style.display = 'block';
+    }
+
+    hideMessages() {
+        this.messages.style.display = 'none';
+    }
+}
+
+// Undo steps kept per editor
+ViEditor.MAX_UNDO = 100;
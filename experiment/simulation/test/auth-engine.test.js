@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDataLayer } = require('./helpers');
+
+// TS 35.208 4.3 test sets 1-6: K, RAND, SQN, AMF, OP and the expected OPc / f1-f5*
+const MILENAGE_TEST_SETS = [
+    {
+        k: '465B5CE8B199B49FAA5F0A2EE238A6BC', rand: '23553CBE9637A89D218AE64DAE47BF35', sqn: 'FF9BB4D0B607', amf: 'B9B9',
+        op: 'CDC202D5123E20F62B6D676AC72CB318', opc: 'CD63CB71954A9F4E48A5994E37A02BAF',
+        macA: '4A9FFAC354DFAFB3', macS: '01CFAF9EC4E871E9', res: 'A54211D5E3BA50BF',
+        ck: 'B40BA9A3C58B2A05BBF0D987B21BF8CB', ik: 'F769BCD751044604127672711C6D3441', ak: 'AA689C648370', akStar: '451E8BECA43B'
+    },
+    {
+        k: '0396EB317B6D1C36F19C1C84CD6FFD16', rand: 'C00D603103DCEE52C4478119494202E8', sqn: 'FD8EEF40DF7D', amf: 'AF17',
+        op: 'FF53BADE17DF5D4E793073CE9D7579FA', opc: '53C15671C60A4B731C55B4A441C0BDE2',
+        macA: '5DF5B31807E258B0', macS: 'A8C016E51EF4A343', res: 'D3A628ED988620F0',
+        ck: '58C433FF7A7082ACD424220F2B67C556', ik: '21A8C1F929702ADB3E738488B9F5C5DA', ak: 'C47783995F72', akStar: '30F1197061C1'
+    },
+    {
+        k: 'FEC86BA6EB707ED08905757B1BB44B8F', rand: '9F7C8D021ACCF4DB213CCFF0C7F71A6A', sqn: '9D0277595FFC', amf: '725C',
+        op: 'DBC59ADCB6F9A0EF735477B7FADF8374', opc: '1006020F0A478BF6B699F15C062E42B3',
+        macA: '9CABC3E99BAF7281', macS: '95814BA2B3044324', res: '8011C48C0C214ED2',
+        ck: '5DBDBB2954E8F3CDE665B046179A5098', ik: '59A92D3B476A0443487055CF88B2307B', ak: '33484DC2136B', akStar: 'DEACDD848CC6'
+    },
+    {
+        k: '9E5944AEA94B81165C82FBF9F32DB751', rand: 'CE83DBC54AC0274A157C17F80D017BD6', sqn: '0B604A81ECA8', amf: '9E09',
+        op: '223014C5806694C007CA1EEEF57F004F', opc: 'A64A507AE1A2A98BB88EB4210135DC87',
+        macA: '74A58220CBA84C49', macS: 'AC2CC74A96871837', res: 'F365CD683CD92E96',
+        ck: 'E203EDB3971574F5A94B0D61B816345D', ik: '0C4524ADEAC041C4DD830D20854FC46B', ak: 'F0B9C08AD02E', akStar: '6085A86C6F63'
+    },
+    {
+        k: '4AB1DEB05CA6CEB051FC98E77D026A84', rand: '74B0CD6031A1C8339B2B6CE2B8C4A186', sqn: 'E880A1B580B6', amf: '9F07',
+        op: '2D16C5CD1FDF6B22383584E3BEF2A8D8', opc: 'DCF07CBD51855290B92A07A9891E523E',
+        macA: '49E785DD12626EF2', macS: '9E85790336BB3FA2', res: '5860FC1BCE351E7E',
+        ck: '7657766B373D1C2138F307E3DE9242F9', ik: '1C42E960D89B8FA99F2744E0708CCB53', ak: '31E11A609118', akStar: 'FE2555E54AA9'
+    },
+    {
+        k: '6C38A116AC280C454F59332EE35C8C4F', rand: 'EE6466BC96202C5A557ABBEFF8BABF63', sqn: '414B98222181', amf: '4464',
+        op: '1BA00A1A7C6700AC8C3FF3E96AD08725', opc: '3803EF5363B947C6AAA225E58FAE3934',
+        macA: '078ADFB488241A57', macS: '80246B8D0186BCF1', res: '16C8233F05A0AC28',
+        ck: '3F8C7587FE8E4B233AF676AEDE30BA3B', ik: 'A7466CC1E6B2A1337D49D3B66E95D7B4', ak: '45B0F69AB06C', akStar: '1F53CD2B1113'
+    }
+];
+
+const SUBSCRIBER = {
+    imsi: '001010000000001',
+    key: '465B5CE8B199B49FAA5F0A2EE238A6BC',
+    opc: 'CD63CB71954A9F4E48A5994E37A02BAF',
+    sqn: '000000000020',
+    amf: '8000'
+};
+
+test('start-up self-test passes', () => {
+    const { authEngine } = createDataLayer();
+    assert.strictEqual(authEngine.testVectorsPassed, true);
+});
+
+test('MILENAGE matches TS 35.208 test sets 1-6', () => {
+    const { authEngine } = createDataLayer();
+
+    MILENAGE_TEST_SETS.forEach((set, index) => {
+        const opc = authEngine.computeOpc(set.k, set.op);
+        assert.strictEqual(opc, set.opc, `test set ${index + 1}: OPc`);
+
+        const result = authEngine.milenage(set.k, opc, set.rand, set.sqn, set.amf);
+        ['macA', 'macS', 'res', 'ck', 'ik', 'ak', 'akStar'].forEach(name => {
+            assert.strictEqual(result[name], set[name], `test set ${index + 1}: ${name}`);
+        });
+    });
+});
+
+test('5G-AKA succeeds with the UDR credentials and fails on a wrong USIM key', () => {
+    const { authEngine } = createDataLayer();
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: {} };
+
+    const result = authEngine.run5GAka(ue, SUBSCRIBER);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.hresStar, result.vector.hxresStar);
+
+    ue.config.subscriberKey = '0396EB317B6D1C36F19C1C84CD6FFD16';
+    const failure = authEngine.run5GAka(ue, SUBSCRIBER);
+    assert.strictEqual(failure.success, false);
+    assert.strictEqual(failure.cause, AuthEngine.CAUSE_MAC_FAILURE);
+});
+
+test('AUTS carries SQN_MS to the UDM and a tampered MAC-S is detected', () => {
+    const { authEngine } = createDataLayer();
+    const usim = { key: SUBSCRIBER.key, opc: SUBSCRIBER.opc, sqn: '0000000001F4' };
+    const rand = MILENAGE_TEST_SETS[0].rand;
+
+    const auts = authEngine.computeAuts(usim, rand);
+    const resync = authEngine.resynchronize(SUBSCRIBER, rand, auts);
+    assert.strictEqual(resync.success, true);
+    assert.strictEqual(resync.sqnMs, '0000000001F4');
+
+    const tampered = auts.substring(0, 27) + (auts[27] === '0' ? '1' : '0');
+    assert.strictEqual(authEngine.resynchronize(SUBSCRIBER, rand, tampered).success, false);
+});
+
+test('a USIM ahead of the UDR resynchronises on Synch Failure and authenticates on the second run', () => {
+    const { dataStore, authEngine } = createDataLayer();
+    dataStore.setSubscribers([{ ...SUBSCRIBER }]);
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: { subscriberSqn: '0000000001F4' } };
+
+    const result = authEngine.authenticate(ue, dataStore.getSubscriberByImsi(SUBSCRIBER.imsi));
+    assert.strictEqual(result.attempts.length, 2);
+    assert.strictEqual(result.attempts[0].cause, AuthEngine.CAUSE_SYNCH_FAILURE);
+    assert.strictEqual(result.resync.success, true);
+    assert.strictEqual(result.resync.sqnMs, '0000000001F4');
+    assert.strictEqual(result.success, true);
+
+    // SQN_HE continues after SQN_MS, and both sides store the accepted SQN
+    assert.strictEqual(result.sqnHe, '0000000001F5');
+    assert.strictEqual(ue.config.subscriberSqn, '0000000001F5');
+    assert.strictEqual(dataStore.getSubscriberByImsi(SUBSCRIBER.imsi).sqn, '0000000001F5');
+});
+
+test('a MAC failure ends the authentication without resynchronising', () => {
+    const { authEngine } = createDataLayer();
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: { subscriberSqn: '0000000001F4', subscriberOpc: MILENAGE_TEST_SETS[1].opc } };
+
+    // SQN_MS is ahead too, but the USIM checks the MAC before the SQN
+    const result = authEngine.authenticate(ue, SUBSCRIBER, { persist: false });
+    assert.strictEqual(result.cause, AuthEngine.CAUSE_MAC_FAILURE);
+    assert.strictEqual(result.resync, null);
+    assert.strictEqual(ue.config.subscriberSqn, '0000000001F4');
+});
+
+test('serving network name uses the configured PLMN, not the IMSI prefix', () => {
+    const { dataStore, authEngine } = createDataLayer();
+    dataStore.setNetworkSettings({ plmns: [{ mcc: '310', mnc: '410' }] });
+
+    assert.strictEqual(authEngine.getServingNetworkName(), '5G:mnc410.mcc310.3gppnetwork.org');
+    assert.strictEqual(authEngine.getServingNetworkName({ mcc: '001', mnc: '01' }), '5G:mnc001.mcc001.3gppnetwork.org');
+
+    const vector = authEngine.generateAuthVector({
+        imsi: '310410000000001',
+        key: '465B5CE8B199B49FAA5F0A2EE238A6BC',
+        opc: 'CD63CB71954A9F4E48A5994E37A02BAF',
+        sqn: '000000000020',
+        amf: '8000'
+    });
+    assert.strictEqual(vector.snName, '5G:mnc410.mcc310.3gppnetwork.org');
+});
+
+test('5G-AKA binds the vector to the PLMN of the serving gNB', () => {
+    const { dataStore, authEngine } = createDataLayer();
+    dataStore.setNetworkSettings({ plmns: [{ mcc: '001', mnc: '01' }, { mcc: '310', mnc: '410' }] });
+    dataStore.addNF({ id: 'gnb', type: 'gNB', name: 'gNB-1', config: { mcc: '310', mnc: '410' }, position: { x: 0, y: 0 } });
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: {}, position: { x: 0, y: 0 } };
+    const subscriber = {
+        imsi: '001010000000001',
+        key: '465B5CE8B199B49FAA5F0A2EE238A6BC',
+        opc: 'CD63CB71954A9F4E48A5994E37A02BAF',
+        sqn: '000000000020',
+        amf: '8000'
+    };
+
+    const result = authEngine.run5GAka(ue, subscriber);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.vector.snName, '5G:mnc410.mcc310.3gppnetwork.org');
+});
@@ -0,0 +1,101 @@
+/**
+ * ============================================
+ * TEST HELPERS
+ * ============================================
+ * Load the browser scripts of the simulator into Node
+ *
+ * Responsibilities:
+ * - Provide the window global the scripts expect
+ * - Evaluate js/*.js files in load order and expose their classes
+ * - Create fresh engine instances for each test
+ * - Create a UIController without touching the DOM
+ *
+ * Run the tests with: node --test experiment/simulation/test/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+globalThis.window = globalThis;
+
+/**
+ * Evaluate a script from js/ and expose its class on window
+ * @param {string} file - File name (e.g. 'data-store.js')
+ * @param {string} className - Class declared by the file
+ */
+function loadScript(file, className) {
+    if (globalThis[className]) return;
+    const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+    vm.runInThisContext(`${source}\n;globalThis.${className} = ${className};`, { filename: file });
+}
+
+/**
+ * Run a function with console.log silenced (the engines log their start-up and every NF log)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function quiet(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Create the data layer (DataStore, NF manager helpers, SQL, auth and SUCI engines)
+ * @returns {Object} { dataStore, sqlEngine, authEngine, suciEngine }
+ */
+function createDataLayer() {
+    loadScript('data-store.js', 'DataStore');
+    loadScript('nf-manager.js', 'NFManager');
+    loadScript('sql-engine.js', 'SQLEngine');
+    loadScript('auth-engine.js', 'AuthEngine');
+    loadScript('suci-engine.js', 'SuciEngine');
+
+    quiet(() => {
+        window.dataStore = new DataStore();
+        window.nfManager = Object.create(NFManager.prototype);
+        window.sqlEngine = new SQLEngine();
+        window.authEngine = new AuthEngine();
+        window.suciEngine = new SuciEngine();
+    });
+    window.logEngine = null;
+
+    return {
+        dataStore: window.dataStore,
+        sqlEngine: window.sqlEngine,
+        authEngine: window.authEngine,
+        suciEngine: window.suciEngine
+    };
+}
+
+/**
+ * Create a LogEngine without fetching its JSON scenarios (logs are kept in memory)
+ * @returns {Object} LogEngine instance
+ */
+function createLogEngine() {
+    loadScript('log-engine.js', 'LogEngine');
+    window.logEngine = Object.create(LogEngine.prototype);
+    window.logEngine.logs = new Map();
+    window.logEngine.maxLogsPerNF = 100;
+    window.logEngine.logListeners = [];
+    return window.logEngine;
+}
+
+/**
+ * Create a UIController without its DOM setup (for the non-rendering helpers)
+ * @returns {Object} UIController instance
+ */
+function createUiController() {
+    loadScript('ui-controller.js', 'UIController');
+    window.uiController = Object.create(UIController.prototype);
+    return window.uiController;
+}
+
+module.exports = { loadScript, quiet, createDataLayer, createLogEngine, createUiController };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, quiet, createDataLayer, createLogEngine } = require('./helpers');
+
+const IMSI = '001010000000101';
+
+/**
+ * Deploy a UE and an AMF with the default UDR subscribers, served through the Nudr router
+ * @returns {Object} { dataStore, logEngine, ue, amf, established }
+ */
+function createRegistrationScenario() {
+    const { dataStore } = createDataLayer();
+    const logEngine = createLogEngine();
+    loadScript('nudr-router.js', 'NudrRouter');
+    window.nudrRouter = new NudrRouter();
+    quiet(() => dataStore.ensureDefaultSubscribers());
+
+    const amf = { id: 'amf', type: 'AMF', name: 'AMF-1', config: {}, position: { x: 0, y: 0 } };
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: {}, position: { x: 100, y: 0 } };
+    dataStore.addNF(amf);
+    dataStore.addNF(ue);
+
+    const established = [];
+    window.nfManager.registerUEAndEstablishPDU = ueId => established.push(ueId);
+
+    return { dataStore, logEngine, ue, amf, established };
+}
+
+/**
+ * Messages logged for an NF
+ * @param {Object} logEngine - LogEngine instance
+ * @param {string} nfId - NF id
+ * @returns {Array<string>} Log messages
+ */
+function messages(logEngine, nfId) {
+    return (logEngine.logs.get(nfId) || []).map(entry => entry.message);
+}
+
+test('NAS registration runs 5G-AKA to Registration Complete and starts the PDU session', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { logEngine, ue, amf, established } = createRegistrationScenario();
+
+    quiet(() => {
+        logEngine.simulateNASRegistration(ue, amf, { imsi: IMSI });
+        t.mock.timers.tick(5000);
+    });
+
+    assert.ok(messages(logEngine, amf.id).includes('NAS: Registration Accept'));
+    assert.ok(messages(logEngine, ue.id).includes('NAS: Registration Complete'));
+    assert.ok(window.nudrRouter.exchanges.some(exchange => exchange.uri.endsWith('/00101/provisioned-data/am-data')
+        && exchange.status === 200));
+    assert.ok(!messages(logEngine, ue.id).some(message => /Reject/.test(message)));
+    assert.deepStrictEqual(established, [ue.id]);
+});
+
+test('NAS registration is rejected when the USIM key differs from the UDR', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { logEngine, ue, amf, established } = createRegistrationScenario();
+    ue.config.subscriberKey = '0396EB317B6D1C36F19C1C84CD6FFD16';
+
+    quiet(() => {
+        logEngine.simulateNASRegistration(ue, amf, { imsi: IMSI });
+        t.mock.timers.tick(5000);
+    });
+
+    assert.ok(messages(logEngine, amf.id).includes('NAS: Authentication Reject'));
+    assert.ok(!messages(logEngine, amf.id).includes('NAS: Registration Accept'));
+    assert.deepStrictEqual(established, []);
+});
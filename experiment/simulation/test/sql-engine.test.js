@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDataLayer } = require('./helpers');
+
+const KEY = '8BAF473F2F8FD09487CCCBD7097C6862';
+const OPC = '8E27B6AF0E692E750F32667A3B14605D';
+
+test('INSERT validates subscriber rows without the UI loaded', () => {
+    const { dataStore, sqlEngine } = createDataLayer();
+    delete window.uiController;
+    dataStore.setSubscribers([]);
+
+    assert.throws(
+        () => sqlEngine.execute(`INSERT INTO AuthenticationSubscription (ueid, authenticationMethod, encPermanentKey, encOpcKey, authenticationManagementField) VALUES ('001010000000001', '5G_AKA', 'XYZ', '${OPC}', '8000')`),
+        error => error.mysqlCode === 3819 && /Invalid Key/.test(error.message)
+    );
+    assert.strictEqual(dataStore.getSubscribers().length, 0);
+});
+
+// Shape of the oai_db.sql shipped with the OAI docker-compose deployments (no AM rows)
+const OAI_DUMP = `-- MySQL dump 10.13  Distrib 8.0.30, for Linux (x86_64)
+--
+-- Host: localhost    Database: oai_db
+-- ------------------------------------------------------
+SET SQL_MODE = "NO_AUTO_VALUE_ON_ZERO";
+SET AUTOCOMMIT = 0;
+START TRANSACTION;
+SET time_zone = "+00:00";
+
+CREATE TABLE \`AuthenticationSubscription\` (
+  \`ueid\` varchar(20) NOT NULL,
+  \`authenticationMethod\` varchar(25) NOT NULL,
+  \`encPermanentKey\` varchar(50) DEFAULT NULL,
+  \`protectionParameterId\` varchar(50) DEFAULT NULL,
+  \`sequenceNumber\` json DEFAULT NULL,
+  \`authenticationManagementField\` varchar(50) DEFAULT NULL,
+  \`algorithmId\` varchar(50) DEFAULT NULL,
+  \`encOpcKey\` varchar(50) DEFAULT NULL,
+  \`encTopcKey\` varchar(50) DEFAULT NULL,
+  \`vectorGenerationInHss\` tinyint(1) DEFAULT NULL,
+  \`n5gcAuthMethod\` varchar(15) DEFAULT NULL,
+  \`rgAuthenticationInd\` tinyint(1) DEFAULT NULL,
+  \`supi\` varchar(20) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+INSERT INTO \`AuthenticationSubscription\` (\`ueid\`, \`authenticationMethod\`, \`encPermanentKey\`, \`protectionParameterId\`, \`sequenceNumber\`, \`authenticationManagementField\`, \`algorithmId\`, \`encOpcKey\`, \`encTopcKey\`, \`vectorGenerationInHss\`, \`n5gcAuthMethod\`, \`rgAuthenticationInd\`, \`supi\`) VALUES
+('001010000000001', '5G_AKA', '${KEY}', '${KEY}', '{\\"sqn\\": \\"000000000020\\", \\"sqnScheme\\": \\"NON_TIME_BASED\\", \\"lastIndexes\\": {\\"ausf\\": 0}}', '8000', 'milenage', '${OPC}', NULL, NULL, NULL, NULL, '001010000000001'),
+('001010000000002', '5G_AKA', '${KEY}', '${KEY}', '{\\"sqn\\": \\"000000000020\\", \\"sqnScheme\\": \\"NON_TIME_BASED\\", \\"lastIndexes\\": {\\"ausf\\": 0}}', '8000', 'milenage', '${OPC}', NULL, NULL, NULL, NULL, '001010000000002');
+
+CREATE TABLE \`SessionManagementSubscriptionData\` (
+  \`ueid\` varchar(15) NOT NULL,
+  \`servingPlmnid\` varchar(15) NOT NULL,
+  \`singleNssai\` json NOT NULL,
+  \`dnnConfigurations\` json DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+INSERT INTO \`SessionManagementSubscriptionData\` (\`ueid\`, \`servingPlmnid\`, \`singleNssai\`, \`dnnConfigurations\`) VALUES
+('001010000000001', '00101', '{\\"sst\\": 1, \\"sd\\": \\"FFFFFF\\"}','{\\"oai\\":{\\"pduSessionTypes\\":{ \\"defaultSessionType\\": \\"IPV4\\"},\\"sscModes\\": {\\"defaultSscMode\\": \\"SSC_MODE_1\\"},\\"5gQosProfile\\": {\\"5qi\\": 6,\\"arp\\":{\\"priorityLevel\\": 1,\\"preemptCap\\": \\"NOT_PREEMPT\\",\\"preemptVuln\\":\\"NOT_PREEMPTABLE\\"},\\"priorityLevel\\":1},\\"sessionAmbr\\":{\\"uplink\\":\\"100Mbps\\", \\"downlink\\":\\"100Mbps\\"}}}'),
+('001010000000002', '00101', '{\\"sst\\": 1, \\"sd\\": \\"FFFFFF\\"}','{\\"oai\\":{\\"pduSessionTypes\\":{ \\"defaultSessionType\\": \\"IPV4\\"},\\"sscModes\\": {\\"defaultSscMode\\": \\"SSC_MODE_1\\"},\\"5gQosProfile\\": {\\"5qi\\": 6,\\"arp\\":{\\"priorityLevel\\": 1,\\"preemptCap\\": \\"NOT_PREEMPT\\",\\"preemptVuln\\":\\"NOT_PREEMPTABLE\\"},\\"priorityLevel\\":1},\\"sessionAmbr\\":{\\"uplink\\":\\"100Mbps\\", \\"downlink\\":\\"100Mbps\\"}}}'),
+('001010000000002', '00101', '{\\"sst\\": 2}','{\\"ims\\":{\\"pduSessionTypes\\":{ \\"defaultSessionType\\": \\"IPV4V6\\"},\\"sscModes\\": {\\"defaultSscMode\\": \\"SSC_MODE_1\\"},\\"5gQosProfile\\": {\\"5qi\\": 5,\\"arp\\":{\\"priorityLevel\\": 1,\\"preemptCap\\": \\"NOT_PREEMPT\\",\\"preemptVuln\\":\\"NOT_PREEMPTABLE\\"},\\"priorityLevel\\":1},\\"sessionAmbr\\":{\\"uplink\\":\\"50Mbps\\", \\"downlink\\":\\"50Mbps\\"}}}');
+COMMIT;
+`;
+
+test('importDump builds profiles from an oai_db.sql without AM rows', () => {
+    const { sqlEngine } = createDataLayer();
+    const result = sqlEngine.importDump(OAI_DUMP);
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.subscribers.map(sub => sub.imsi), ['001010000000001', '001010000000002']);
+
+    // The first SM slice becomes the default S-NSSAI, further slices are subscribed non-default
+    const [first, second] = result.subscribers;
+    assert.deepStrictEqual(first.amData.nssai, { defaultSingleNssais: [{ sst: 1, sd: 'FFFFFF' }], singleNssais: [] });
+    assert.deepStrictEqual(second.amData.nssai, { defaultSingleNssais: [{ sst: 1, sd: 'FFFFFF' }], singleNssais: [{ sst: 2, sd: '' }] });
+    assert.deepStrictEqual(second.smData.map(entry => [entry.dnn, entry.sst]), [['oai', 1], ['ims', 2]]);
+    assert.strictEqual(first.opc, OPC);
+});
+
+test('importDump ignores AM columns outside the simulated schema with a warning', () => {
+    const { sqlEngine } = createDataLayer();
+    const amRow = `INSERT INTO \`AccessAndMobilitySubscriptionData\` (\`ueid\`, \`servingPlmnid\`, \`supportedFeatures\`, \`gpsis\`, \`internalGroupIds\`, \`subscribedUeAmbr\`, \`nssai\`) VALUES
+('001010000000001', '00101', NULL, '[\\"msisdn-491700000001\\"]', NULL, '{\\"uplink\\": \\"1 Gbps\\", \\"downlink\\": \\"2 Gbps\\"}', '{\\"defaultSingleNssais\\": [{\\"sst\\": 1, \\"sd\\": \\"FFFFFF\\"}]}');
+`;
+    const result = sqlEngine.importDump(OAI_DUMP.replace('COMMIT;', `${amRow}COMMIT;`));
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.stats.rows.AccessAndMobilitySubscriptionData, 1);
+    assert.deepStrictEqual(result.subscribers[0].amData.nssai.defaultSingleNssais, [{ sst: 1, sd: 'FFFFFF' }]);
+    assert.strictEqual(result.subscribers[0].gpsi, 'msisdn-491700000001');
+    assert.ok(result.warnings.some(warning => /ignored: supportedFeatures, internalGroupIds/.test(warning)));
+});
+
+test('interactive INSERT still rejects unknown columns', () => {
+    const { sqlEngine } = createDataLayer();
+    assert.throws(
+        () => sqlEngine.execute("INSERT INTO AccessAndMobilitySubscriptionData (ueid, servingPlmnid, supportedFeatures) VALUES ('001010000000001', '00101', NULL)"),
+        error => error.mysqlCode === 1054
+    );
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDataLayer, createUiController } = require('./helpers');
+
+const KEY = '8BAF473F2F8FD09487CCCBD7097C6862';
+const OPC = '8E27B6AF0E692E750F32667A3B14605D';
+
+/**
+ * Parse CSV text the way importSubscriberCsv does (without the report UI)
+ * @param {Object} ui - UIController
+ * @param {string} text - CSV content
+ * @returns {Object} { columns, subscribers }
+ */
+function importCsv(ui, text) {
+    const [header, ...rows] = ui.parseCsvRecords(text);
+    const columns = header.fields.map(name => name.trim().toLowerCase());
+    const subscribers = rows.map(({ fields }) => {
+        const data = ui.subscriberFromCsvRecord(Object.fromEntries(columns.map((name, index) => [name, fields[index]])));
+        assert.deepStrictEqual(ui.getSubscriberValidationErrors(data), []);
+        return window.dataStore.normalizeSubscriber(data);
+    });
+    return { columns, subscribers };
+}
+
+test('CSV merge keeps AM data the file does not carry', () => {
+    const { dataStore } = createDataLayer();
+    const ui = createUiController();
+    dataStore.setSubscribers([{
+        imsi: '001010000000001',
+        key: KEY,
+        opc: OPC,
+        gpsi: 'msisdn-491700000001',
+        amData: {
+            nssai: { defaultSingleNssais: [{ sst: 1 }], singleNssais: [] },
+            ratRestrictions: ['NR'],
+            forbiddenAreas: [{ tacs: ['000002'] }],
+            odbPacketServices: 'ALL_PACKET_SERVICES'
+        },
+        smData: [{ dnn: 'oai', sst: 1 }]
+    }]);
+
+    const { columns, subscribers: imported } = importCsv(ui,
+        `imsi,key,opc,ue_ambr_uplink,ue_ambr_downlink,dnn_configurations\n001010000000001,${KEY},${OPC},50 Mbps,100 Mbps,internet;1\n`);
+    const { subscribers, updated } = ui.mergeImportedSubscribers(dataStore.getSubscribers(), imported, columns);
+    dataStore.setSubscribers(subscribers);
+
+    const merged = dataStore.getSubscriberByImsi('001010000000001');
+    assert.strictEqual(updated, 1);
+    assert.deepStrictEqual(merged.amData.subscribedUeAmbr, { uplink: '50 Mbps', downlink: '100 Mbps' });
+    assert.deepStrictEqual(merged.smData.map(entry => entry.dnn), ['internet']);
+    assert.deepStrictEqual(merged.amData.ratRestrictions, ['NR']);
+    assert.deepStrictEqual(merged.amData.forbiddenAreas, [{ tacs: ['000002'] }]);
+    assert.strictEqual(merged.amData.odbPacketServices, 'ALL_PACKET_SERVICES');
+    assert.strictEqual(merged.gpsi, 'msisdn-491700000001');
+});
+
+test('CSV export reads back unchanged', () => {
+    const { dataStore } = createDataLayer();
+    const ui = createUiController();
+    dataStore.saveSubscriberTemplate({ name: 'IoT basic', smData: [{ dnn: 'iot', sst: 1 }] });
+    dataStore.setSubscribers([
+        {
+            imsi: '001010000000001',
+            key: KEY,
+            opc: OPC,
+            sqn: '0000000000A0',
+            gpsi: 'msisdn-491700000001',
+            pei: 'imei-490154203237518',
+            policyProfile: 'gold',
+            amData: {
+                subscribedUeAmbr: { uplink: '500 Mbps', downlink: '1 Gbps' },
+                nssai: { defaultSingleNssais: [{ sst: 1, sd: 'FFFFFF' }], singleNssais: [{ sst: 2 }] },
+                ratRestrictions: ['EUTRA'],
+                forbiddenAreas: [{ tacs: ['000002', '000003'] }, { tacs: ['0000A0'] }],
+                serviceAreaRestriction: { restrictionType: 'ALLOWED_AREAS', areas: [{ tacs: ['000001'] }] },
+                coreNetworkTypeRestrictions: ['5GC'],
+                odbPacketServices: 'ALL_PACKET_SERVICES'
+            },
+            smData: [
+                { dnn: 'oai', sst: 1, sd: 'FFFFFF', staticIpAddress: { ipv4Addr: '12.1.1.10' } },
+                { dnn: 'ims', sst: 2, pduSessionType: 'IPV4V6', default5qi: 5, isDefault: false }
+            ]
+        },
+        { imsi: '001010000000002', key: KEY, opc: OPC, smData: [{ dnn: 'oai', sst: 1 }], template: { name: 'IoT basic' } },
+        { imsi: '001010000000003', key: KEY, opc: OPC, smData: [{ dnn: 'iot', sst: 1 }], template: { name: 'IoT basic' } }
+    ]);
+
+    const exported = dataStore.getSubscribers();
+    assert.deepStrictEqual(exported[1].template, { name: 'IoT basic', overrides: ['smData'] });
+    const { subscribers } = importCsv(ui, ui.subscribersToCsv(exported));
+
+    assert.deepStrictEqual(subscribers, exported);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDataLayer } = require('./helpers');
+
+const KEY = '8BAF473F2F8FD09487CCCBD7097C6862';
+const OPC = '8E27B6AF0E692E750F32667A3B14605D';
+
+test('a store write records field diffs that can be rolled back', () => {
+    const { dataStore } = createDataLayer();
+    dataStore.setSubscribers([{ imsi: '001010000000001', key: KEY, opc: OPC, sqn: '000000000020' }], { source: 'panel' });
+
+    const stored = dataStore.getSubscribers();
+    dataStore.setSubscribers(stored.map(sub => ({ ...sub, sqn: '000000000040' })), { source: 'panel' });
+
+    const [update, create] = dataStore.getSubscriberHistory('001010000000001');
+    assert.strictEqual(create.action, 'created');
+    assert.strictEqual(update.action, 'updated');
+    assert.deepStrictEqual(update.changes, [{ field: 'sqn', before: '000000000020', after: '000000000040' }]);
+
+    dataStore.rollbackSubscriber(create.id);
+    assert.strictEqual(dataStore.getSubscriberByImsi('001010000000001').sqn, '000000000020');
+    assert.strictEqual(dataStore.getSubscriberHistory('001010000000001')[0].source, 'rollback');
+});
+
+test('deleting a profile keeps its last version in the history', () => {
+    const { dataStore } = createDataLayer();
+    dataStore.setSubscribers([{ imsi: '001010000000001', key: KEY, opc: OPC }]);
+    dataStore.setSubscribers([], { source: 'sql' });
+
+    const [entry] = dataStore.getSubscriberHistory('001010000000001');
+    assert.strictEqual(entry.action, 'deleted');
+    assert.strictEqual(entry.source, 'sql');
+    assert.strictEqual(entry.before.key, KEY);
+});
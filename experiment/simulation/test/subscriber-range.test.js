@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { createDataLayer, createUiController } = require('./helpers');
+
+test('offsetImsi stays inside the MSIN of the first IMSI', () => {
+    const { dataStore } = createDataLayer();
+    const ui = createUiController();
+    dataStore.setNetworkSettings({ plmns: [{ mcc: '001', mnc: '01' }, { mcc: '310', mnc: '410' }] });
+
+    assert.strictEqual(ui.offsetImsi('001010000000001', 9), '001010000000010');
+    assert.strictEqual(ui.offsetImsi('001019999999998', 1), '001019999999999');
+    assert.strictEqual(ui.offsetImsi('001019999999999', 1), null);
+
+    // 3-digit MNC: the MSIN has 9 digits
+    assert.strictEqual(ui.offsetImsi('310410999999999', 0), '310410999999999');
+    assert.strictEqual(ui.offsetImsi('310410999999999', 1), null);
+
+    // Unknown PLMN: never carries into the sixth digit
+    assert.strictEqual(ui.offsetImsi('999990999999999', 1), null);
+});
+
+test('derived range keys use the pure-JS HMAC and OPc = E_K(OP) XOR OP', () => {
+    const { authEngine } = createDataLayer();
+    const ui = createUiController();
+    const master = '465B5CE8B199B49FAA5F0A2EE238A6BC';
+    const op = 'CDC202D5123E20F62B6D676AC72CB318';
+
+    const key = ui.deriveSubscriberKey(master, '001010000000001');
+    const expected = crypto.createHmac('sha256', Buffer.from(master, 'hex')).update('001010000000001').digest('hex').slice(0, 32);
+    assert.strictEqual(key, expected.toUpperCase());
+    assert.notStrictEqual(key, ui.deriveSubscriberKey(master, '001010000000002'));
+
+    // TS 35.208 test set 1
+    assert.strictEqual(authEngine.computeOpc(master, op), 'CD63CB71954A9F4E48A5994E37A02BAF');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDataLayer } = require('./helpers');
+
+const KEY = '8BAF473F2F8FD09487CCCBD7097C6862';
+const OPC = '8E27B6AF0E692E750F32667A3B14605D';
+
+/**
+ * Store with an 'IoT basic' template and two linked subscribers
+ * @returns {Object} DataStore
+ */
+function createLinkedStore() {
+    const { dataStore } = createDataLayer();
+    dataStore.saveSubscriberTemplate({ name: 'IoT basic', smData: [{ dnn: 'iot', sst: 1 }] });
+    dataStore.setSubscribers([
+        { imsi: '001010000000001', key: KEY, opc: OPC },
+        { imsi: '001010000000002', key: KEY, opc: OPC }
+    ]);
+    dataStore.linkSubscribersToTemplate(['001010000000001', '001010000000002'], 'IoT basic');
+    return dataStore;
+}
+
+test('linking takes every section from the template', () => {
+    const dataStore = createLinkedStore();
+    const linked = dataStore.getSubscriberByImsi('001010000000001');
+
+    assert.deepStrictEqual(linked.template, { name: 'IoT basic', overrides: [] });
+    assert.deepStrictEqual(linked.smData.map(entry => entry.dnn), ['iot']);
+});
+
+test('unlinking keeps the values and drops the template link', () => {
+    const dataStore = createLinkedStore();
+    dataStore.linkSubscribersToTemplate(['001010000000001'], null);
+
+    const unlinked = dataStore.getSubscriberByImsi('001010000000001');
+    assert.ok(!('template' in unlinked));
+    assert.deepStrictEqual(unlinked.smData.map(entry => entry.dnn), ['iot']);
+    assert.deepStrictEqual(unlinked, dataStore.normalizeSubscriber(unlinked));
+    assert.strictEqual(dataStore.getSubscriberByImsi('001010000000002').template.name, 'IoT basic');
+});
+
+test('deleting a template unlinks its subscribers', () => {
+    const dataStore = createLinkedStore();
+    const imsis = dataStore.deleteSubscriberTemplate('IoT basic');
+
+    assert.deepStrictEqual(imsis, ['001010000000001', '001010000000002']);
+    assert.strictEqual(dataStore.getSubscriberTemplate('IoT basic'), null);
+    dataStore.getSubscribers().forEach(sub => {
+        assert.ok(!('template' in sub));
+        assert.deepStrictEqual(sub.smData.map(entry => entry.dnn), ['iot']);
+    });
+    assert.strictEqual(dataStore.getSubscriberHistory('001010000000001')[0].changes[0].field, 'template.name');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDataLayer } = require('./helpers');
+
+test('start-up self-test passes', () => {
+    const { suciEngine } = createDataLayer();
+    assert.strictEqual(suciEngine.testVectorsPassed, true);
+});
+
+test('Profile A and B conceal the TS 33.501 Annex C.4 SUPI to the expected scheme output', () => {
+    const { suciEngine } = createDataLayer();
+
+    Object.entries(SuciEngine.TEST_VECTORS).forEach(([profile, vector]) => {
+        const concealed = suciEngine.conceal(vector.imsi, {
+            scheme: profile,
+            keyId: 1,
+            hnPublicKey: vector.hnPublicKey,
+            mncLength: 3,
+            ephemeralPrivateKey: vector.ephemeralPrivateKey
+        });
+        const schemeOutput = `${vector.ephemeralPublicKey}${vector.ciphertext}${vector.macTag}`.toLowerCase();
+        assert.strictEqual(concealed.suci, `suci-0-274-012-0-${SuciEngine.SCHEME_IDS[profile]}-1-${schemeOutput}`, `Profile ${profile}`);
+        assert.strictEqual(concealed.sharedSecret, vector.sharedSecret, `Profile ${profile}`);
+
+        const revealed = suciEngine.deconceal(concealed.suci, [{ keyId: 1, profile, privateKey: vector.hnPrivateKey }]);
+        assert.strictEqual(revealed.success, true, `Profile ${profile}`);
+        assert.strictEqual(revealed.supi, `imsi-${vector.imsi}`, `Profile ${profile}`);
+    });
+});
+
+test('the SIDF rejects a SUCI with a tampered MAC tag or an unknown key ID', () => {
+    const { suciEngine } = createDataLayer();
+    const vector = SuciEngine.TEST_VECTORS.A;
+    const keys = [{ keyId: 1, profile: 'A', privateKey: vector.hnPrivateKey }];
+    const { suci } = suciEngine.conceal(vector.imsi, { scheme: 'A', keyId: 1, hnPublicKey: vector.hnPublicKey, mncLength: 3 });
+
+    const tampered = suci.slice(0, -1) + (suci.endsWith('0') ? '1' : '0');
+    const result = suciEngine.deconceal(tampered, keys);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'MAC tag mismatch');
+
+    assert.strictEqual(suciEngine.deconceal(suci.replace('-1-1-', '-1-2-'), keys).success, false);
+});
+
+test('a UE with the null scheme sends its MSIN in clear and is identified', () => {
+    const { suciEngine } = createDataLayer();
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: { subscriberImsi: '001010000000101' } };
+
+    const identity = suciEngine.identifyUe(ue);
+    assert.strictEqual(identity.success, true);
+    assert.strictEqual(identity.concealed.suci, 'suci-0-001-01-0-0-0-0000000101');
+    assert.strictEqual(identity.revealed.imsi, '001010000000101');
+});
+
+test('the SUCI takes the MNC length of the home PLMN in the network settings', () => {
+    const { dataStore, suciEngine } = createDataLayer();
+    dataStore.setNetworkSettings({ plmns: [{ mcc: '001', mnc: '01' }], roamingPlmns: [{ mcc: '310', mnc: '410' }] });
+    const ue = { id: 'ue', type: 'UE', name: 'UE-1', config: { subscriberImsi: '310410000000101' } };
+
+    assert.strictEqual(suciEngine.getMncLength('001010000000101'), 2);
+    assert.strictEqual(suciEngine.getMncLength('310410000000101'), 3);
+    assert.strictEqual(suciEngine.identifyUe(ue).concealed.suci, 'suci-0-310-410-0-0-0-000000101');
+});